@@ -0,0 +1,473 @@
+import { CONFIG } from '../config.js';
+import { Physics } from '../core/Physics.js';
+import { Vector2 } from '../utils/Vector2.js';
+import { Random } from '../utils/Random.js';
+
+// Ticks of current velocity used to predict where a player is heading
+const LOOKAHEAD_TICKS = 12;
+
+/**
+ * CPU opponent. Reads the simulation and produces the same
+ * { movement, dash, dashHeld, action, grab } input an InputManager player would, so bots work
+ * everywhere human input does (recording, replays, headless runs).
+ */
+export class BotController {
+    /**
+     * @param {number} playerId - Player the bot controls
+     * @param {string} difficulty - Key of CONFIG.BOTS (EASY, NORMAL, HARD)
+     * @param {Random} random - Stream for the bot's mistakes and hesitation
+     */
+    constructor(playerId, difficulty = 'NORMAL', random = new Random()) {
+        this.playerId = playerId;
+        this.random = random;
+        this.setDifficulty(difficulty);
+        
+        // Current plan, held between decisions
+        this.movement = new Vector2();
+        this.action = false; // Action button held (brace / ground pound charge)
+        this.dashHold = 0; // ms left holding a charge dash down
+        this.decisionTimer = 0;
+    }
+    
+    /**
+     * Switch to another difficulty preset
+     */
+    setDifficulty(difficulty) {
+        if (!CONFIG.BOTS[difficulty]) {
+            throw new Error(`Unknown bot difficulty: ${difficulty}`);
+        }
+        this.difficulty = difficulty;
+        this.settings = CONFIG.BOTS[difficulty];
+    }
+    
+    /**
+     * Produce this tick's input
+     * @param {Simulation} simulation
+     * @param {number} deltaTime - Step length in ms
+     */
+    getInput(simulation, deltaTime) {
+        const player = simulation.players[this.playerId];
+        
+        if (!player || !player.isAlive || !simulation.roundManager.isPlaying()) {
+            this.movement = new Vector2();
+            this.action = false;
+            this.dashHold = 0;
+            this.decisionTimer = 0;
+            return { movement: new Vector2(), dash: false, dashHeld: false, action: false, grab: false };
+        }
+        
+        this.decisionTimer -= deltaTime;
+        
+        // Keep a charge dash held until it has charged enough; letting go dashes
+        if (this.dashHold > 0) {
+            this.dashHold -= deltaTime;
+            return { movement: this.movement.clone(), dash: false, dashHeld: true, action: this.action, grab: false };
+        }
+        
+        if (this.decisionTimer <= 0) {
+            this.decisionTimer = this.settings.reactionTime * this.random.range(0.75, 1.25);
+            const decision = this.decide(simulation, player);
+            this.movement = decision.movement;
+            this.action = decision.action ?? false;
+            
+            // A charge dash starts charging now, held for the distance to cover
+            const dashHeld = decision.dash && player.chargeDash;
+            if (dashHeld) {
+                this.dashHold = this.getDashChargeTime(player, decision.reach);
+            }
+            return { movement: decision.movement.clone(), dash: decision.dash, dashHeld, action: this.action, grab: decision.grab ?? false };
+        }
+        
+        // Between decisions only sharper bots notice they are drifting out
+        if (this.settings.edgeReflex && !simulation.arena.bouncyWalls && this.isInDanger(simulation.arena, player)) {
+            this.movement = this.getSafeDirection(simulation.arena, player.position);
+        }
+        
+        return { movement: this.movement.clone(), dash: false, dashHeld: false, action: this.action, grab: false };
+    }
+    
+    /**
+     * Pick movement, whether to dash, hold the action button or press grab:
+     * struggle or throw, recover, finish a ground pound, dodge or brace, grab, or attack
+     * (in King of the Hill: hold the zone; in soccer: play the ball; in
+     * Hot Potato: pass the bomb on or keep clear of it; in survival the
+     * enemies are the opponents)
+     */
+    decide(simulation, player) {
+        const arena = simulation.arena;
+        
+        // Mash out of a hold; the grab press is a fresh one each decision
+        if (player.isHeld()) {
+            return { movement: new Vector2(), dash: false, grab: true };
+        }
+        
+        // Throw whoever we hold out toward the edge
+        if (player.isHolding()) {
+            const outward = this.getDirectionToCenter(arena, player.position).multiply(-1);
+            return { movement: outward, dash: false, grab: true };
+        }
+        
+        const opponents = [...simulation.players, ...simulation.enemies].filter(p =>
+            p !== player && p.isAlive && !simulation.areTeammates(player, p)
+        );
+        const targets = opponents.filter(p => !p.isInvulnerable()); // Can't be pushed yet
+        const target = targets.length > 0 ? this.pickTarget(arena, player, targets) : null;
+        
+        // Near the edge, fall back - unless someone is close enough to hit first
+        // (soccer walls are safe)
+        if (!arena.bouncyWalls && this.isInDanger(arena, player)) {
+            const canStrike = target && player.canDash() &&
+                player.position.distanceTo(target.position) < this.getDashDistance(player) * 0.5;
+            if (!canStrike) {
+                return this.recover(arena, player);
+            }
+        }
+        
+        // Keep charging a ground pound until it is ready, then let go
+        if (this.action && player.poundCharge > 0) {
+            return { movement: new Vector2(), dash: false, action: !player.isPoundCharged() };
+        }
+        
+        if (!target) {
+            return { movement: this.getDirectionToCenter(arena, player.position), dash: false };
+        }
+        
+        const threat = this.findThreat(player, opponents);
+        if (threat && this.random.chance(this.settings.dodgeChance)) {
+            return this.dodge(arena, player, threat);
+        }
+        if (threat && player.getBraceCooldownProgress() >= 1 && this.random.chance(this.settings.braceChance)) {
+            return { movement: this.getDirectionToCenter(arena, player.position), dash: false, action: true };
+        }
+        
+        // Soccer is about the ball, not the crowd
+        if (simulation.ball) {
+            return this.playBall(arena, player, simulation.ball);
+        }
+        
+        // Hot Potato: the bomb comes first when it's close
+        const carrier = simulation.players.find(p => p.hasBomb());
+        const bombMove = carrier ? this.playBomb(arena, player, carrier, target) : null;
+        if (bombMove) {
+            return bombMove;
+        }
+        
+        const crowd = targets.filter(p => player.position.distanceTo(p.position) < CONFIG.GROUND_POUND.RADIUS * 0.6);
+        if (crowd.length > 0 && player.getPoundCooldownProgress() >= 1 && this.random.chance(this.settings.poundChance)) {
+            return { movement: new Vector2(), dash: false, action: true };
+        }
+        
+        // Only players can be grabbed
+        if (player.canGrab() && simulation.players.includes(target) && Physics.isInGrabReach(player, target) && this.random.chance(this.settings.grabChance)) {
+            const toTarget = Vector2.subtract(target.position, player.position).normalize();
+            return { movement: toTarget, dash: false, grab: true };
+        }
+        
+        const pickup = this.findPowerUp(simulation, player, opponents);
+        if (pickup) {
+            return { movement: new Vector2(pickup.x - player.position.x, pickup.y - player.position.y).normalize(), dash: false };
+        }
+        
+        if (arena.zone) {
+            return this.holdZone(arena, player, targets);
+        }
+        
+        return this.attack(arena, player, target);
+    }
+    
+    /**
+     * King of the Hill: knock anyone out of the zone, else get deep into it and stay
+     */
+    holdZone(arena, player, targets) {
+        const zone = arena.zone;
+        const intruders = targets.filter(p => arena.isInZone(p.position.x, p.position.y));
+        if (intruders.length > 0) {
+            return this.attack(arena, player, this.pickTarget(arena, player, intruders));
+        }
+        
+        const toZone = new Vector2(zone.x - player.position.x, zone.y - player.position.y);
+        if (toZone.magnitude() > zone.radius * 0.5) {
+            return { movement: toZone.normalize(), dash: false };
+        }
+        return { movement: new Vector2(), dash: false };
+    }
+    
+    /**
+     * Soccer: get round behind the ball, on the far side from the goal we
+     * attack, then run or dash it in
+     */
+    playBall(arena, player, ball) {
+        const goal = arena.getGoal(1 - player.team);
+        const shot = new Vector2(goal.x - ball.position.x, goal.y - ball.position.y).normalize();
+        const toBall = Vector2.subtract(ball.position, player.position);
+        const distance = toBall.magnitude();
+        toBall.normalize();
+        
+        if (toBall.dot(shot) > 0.8) {
+            const movement = this.applyAimError(toBall);
+            const dash = player.canDash() &&
+                distance < this.settings.dashRange * 0.6 &&
+                this.random.chance(this.settings.dashChance);
+            return { movement, dash, reach: distance };
+        }
+        
+        // Wrong side: step around the ball instead of knocking it back
+        const behind = new Vector2(
+            ball.position.x - shot.x * (player.radius + ball.radius) * 1.5,
+            ball.position.y - shot.y * (player.radius + ball.radius) * 1.5
+        );
+        const movement = Vector2.subtract(behind, player.position).normalize();
+        if (toBall.dot(shot) < 0 && distance < (player.radius + ball.radius) * 2.5) {
+            const side = Math.sign(shot.x * toBall.y - shot.y * toBall.x) || 1;
+            movement.set(shot.y * side - shot.x * 0.5, -shot.x * side - shot.y * 0.5).normalize();
+        }
+        return { movement, dash: false };
+    }
+    
+    /**
+     * Hot Potato: run the bomb we carry into the target, or get away from
+     * the carrier when it is close - well out of the blast as the fuse runs
+     * low. Null when the bomb is no concern of ours right now.
+     */
+    playBomb(arena, player, carrier, target) {
+        if (carrier === player) {
+            return this.attack(arena, player, target);
+        }
+        
+        const away = Vector2.subtract(player.position, carrier.position);
+        const reach = carrier.bombFuse < 2000 ? CONFIG.BOMB.RADIUS : (player.radius + carrier.radius) * 3;
+        if (away.magnitude() > reach) return null;
+        
+        const movement = away.normalize().add(this.getDirectionToCenter(arena, player.position).multiply(0.7)).normalize();
+        const dash = carrier.bombFuse < 1000 && player.canDash() && this.isDashSafe(arena, player, movement);
+        return { movement, dash };
+    }
+    
+    /**
+     * Nearest power-up within pickup range that we'd reach before any opponent
+     */
+    findPowerUp(simulation, player, opponents) {
+        let best = null;
+        let bestDistance = this.settings.pickupRange;
+        
+        for (const item of simulation.powerUps.items) {
+            const distance = Math.hypot(item.x - player.position.x, item.y - player.position.y);
+            const contested = opponents.some(p => Math.hypot(item.x - p.position.x, item.y - p.position.y) < distance);
+            if (distance < bestDistance && !contested) {
+                best = item;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * Rough distance a player's dash covers (dash speed over its duration, in px)
+     */
+    getDashDistance(player) {
+        const stats = player.getStats();
+        return stats.maxSpeed * stats.dashSpeed * (stats.dashDuration / CONFIG.PHYSICS.FIXED_TIMESTEP);
+    }
+    
+    /**
+     * How long to hold a charge dash for it to carry about the given distance
+     * (speed and duration both scale with power, so the distance goes with its square)
+     */
+    getDashChargeTime(player, distance = 0) {
+        const { CHARGE_TIME, MIN_POWER, MAX_POWER } = CONFIG.DASH_CHARGE;
+        const power = Math.sqrt(distance / this.getDashDistance(player));
+        const charge = Math.max(0, Math.min(1, (power - MIN_POWER) / (MAX_POWER - MIN_POWER)));
+        return charge * CHARGE_TIME;
+    }
+    
+    /**
+     * Where a player will be in a few ticks at its current velocity
+     */
+    predictPosition(player, ticks = LOOKAHEAD_TICKS) {
+        return new Vector2(
+            player.position.x + player.velocity.x * ticks,
+            player.position.y + player.velocity.y * ticks
+        );
+    }
+    
+    /**
+     * Margin kept from the edge - wider while the arena closes in or spins,
+     * but never so wide that a small arena has no safe middle left
+     */
+    getEdgeMargin(arena) {
+        let margin = this.settings.edgeMargin;
+        if (arena.isShrinking) margin *= 1.25;
+        if (arena.centrifugeMode) margin *= 1.5;
+        
+        const halfSize = arena.centrifugeMode
+            ? arena.centrifugeRadius
+            : Math.min(arena.bounds.right - arena.bounds.left, arena.bounds.bottom - arena.bounds.top) / 2;
+        return Math.min(margin, halfSize * 0.4);
+    }
+    
+    /**
+     * Check if the player is (or is about to be) too close to the edge
+     */
+    isInDanger(arena, player) {
+        const future = this.predictPosition(player);
+        const distance = Math.min(
+            arena.getDistanceToBoundary(player.position.x, player.position.y),
+            arena.getDistanceToBoundary(future.x, future.y)
+        );
+        return distance - player.radius < this.getEdgeMargin(arena);
+    }
+    
+    /**
+     * Unit vector from a position toward the arena center
+     */
+    getDirectionToCenter(arena, position) {
+        return new Vector2(arena.centerX - position.x, arena.centerY - position.y).normalize();
+    }
+    
+    /**
+     * Way out of danger: toward the center, or on a floor with holes, the way
+     * the distance to the nearest edge or hole grows fastest
+     */
+    getSafeDirection(arena, position) {
+        if (!arena.hasTileFloor()) {
+            return this.getDirectionToCenter(arena, position);
+        }
+        
+        const step = 4;
+        const { x, y } = position;
+        const away = new Vector2(
+            arena.getDistanceToBoundary(x + step, y) - arena.getDistanceToBoundary(x - step, y),
+            arena.getDistanceToBoundary(x, y + step) - arena.getDistanceToBoundary(x, y - step)
+        );
+        return away.magnitude() > 0 ? away.normalize() : this.getDirectionToCenter(arena, position);
+    }
+    
+    /**
+     * Head back to safety. No dash: it would leave us open to a counter-hit.
+     */
+    recover(arena, player) {
+        return { movement: this.getSafeDirection(arena, player.position), dash: false };
+    }
+    
+    /**
+     * Opponent dashing at us that will arrive soon, if any
+     */
+    findThreat(player, opponents) {
+        for (const opponent of opponents) {
+            if (!opponent.isDashing) continue;
+            
+            const toPlayer = Vector2.subtract(player.position, opponent.position);
+            const distance = toPlayer.magnitude();
+            const closingSpeed = opponent.velocity.dot(toPlayer.normalize());
+            
+            if (distance < this.getDashDistance(opponent) * 1.2 && closingSpeed > opponent.getStats().maxSpeed) {
+                return opponent;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Sidestep an incoming dash, preferring the side toward the center
+     */
+    dodge(arena, player, threat) {
+        const heading = threat.velocity.clone().normalize();
+        const movement = new Vector2(-heading.y, heading.x);
+        
+        const toCenter = this.getDirectionToCenter(arena, player.position);
+        if (movement.dot(toCenter) < 0) {
+            movement.multiply(-1);
+        }
+        
+        const dash = player.canDash() && this.isDashSafe(arena, player, movement);
+        return { movement, dash };
+    }
+    
+    /**
+     * Prefer close opponents, especially ones near the edge, without a dash to
+     * answer with or carrying a lot of damage
+     */
+    pickTarget(arena, player, opponents) {
+        let best = null;
+        let bestScore = Infinity;
+        
+        for (const opponent of opponents) {
+            const distance = player.position.distanceTo(opponent.position);
+            const edgeDistance = arena.getDistanceToBoundary(opponent.position.x, opponent.position.y);
+            const score = distance + edgeDistance * 1.5 - (opponent.canDash() ? 0 : 60) - opponent.damage * 0.5;
+            
+            if (score < bestScore) {
+                bestScore = score;
+                best = opponent;
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * Chase a target, come at it from the center side and dash when lined up
+     */
+    attack(arena, player, target) {
+        const distance = player.position.distanceTo(target.position);
+        
+        // Lead the target by its velocity over the time a dash needs to reach it
+        const stats = player.getStats();
+        const leadTicks = (distance / (stats.maxSpeed * stats.dashSpeed)) * this.settings.leadFactor;
+        const aim = this.predictPosition(target, leadTicks);
+        const toAim = Vector2.subtract(aim, player.position);
+        const aimDistance = toAim.magnitude();
+        toAim.normalize();
+        
+        let movement = toAim.clone();
+        
+        if (this.settings.flanking) {
+            // The push we want: from the center outward through the target
+            const pushDirection = new Vector2(aim.x - arena.centerX, aim.y - arena.centerY).normalize();
+            
+            // Not behind the target yet - aim for a point on its center side
+            if (toAim.dot(pushDirection) < 0.5) {
+                const approach = Vector2.subtract(
+                    aim,
+                    pushDirection.clone().multiply((player.radius + target.radius) * 1.5)
+                );
+                movement = Vector2.subtract(approach, player.position).normalize();
+            }
+        }
+        
+        movement = this.applyAimError(movement);
+        
+        const linedUp = movement.dot(toAim) > 0.9;
+        const dash = player.canDash() &&
+            linedUp &&
+            aimDistance < this.settings.dashRange &&
+            (this.isDashSafe(arena, player, movement) || aimDistance < this.getDashDistance(player) * 0.5) &&
+            this.random.chance(this.settings.dashChance);
+        
+        return { movement, dash, reach: aimDistance };
+    }
+    
+    /**
+     * Check that a dash in this direction doesn't carry us out
+     */
+    isDashSafe(arena, player, direction) {
+        const distance = this.getDashDistance(player);
+        const end = new Vector2(
+            player.position.x + direction.x * distance,
+            player.position.y + direction.y * distance
+        );
+        return arena.getDistanceToBoundary(end.x, end.y) - player.radius > this.getEdgeMargin(arena) * 0.5;
+    }
+    
+    /**
+     * Rotate a direction by a random error within the difficulty's limit
+     */
+    applyAimError(direction) {
+        const error = this.random.range(-1, 1) * this.settings.aimError;
+        const cos = Math.cos(error);
+        const sin = Math.sin(error);
+        return new Vector2(
+            direction.x * cos - direction.y * sin,
+            direction.x * sin + direction.y * cos
+        );
+    }
+}
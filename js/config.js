@@ -13,7 +13,38 @@ export const CONFIG = {
         BORDER_WIDTH: 4,
         BORDER_COLOR: '#ff4444',
         DANGER_ZONE_WIDTH: 30,
-        BACKGROUND_COLOR: '#2a2a4a'
+        BACKGROUND_COLOR: '#2a2a4a',
+        // Default shrink schedule for arenas that don't set their own
+        SHRINK: {
+            START_TIME: 8000, // Start shrinking after 8 seconds
+            DURATION: 12000, // Shrink over 12 seconds
+            MIN_SIZE: 0.35 // Shrink to 35% of original size
+        },
+        // Default pacing for arenas whose floor crumbles away in tiles instead
+        TILES: {
+            SIZE: 75, // Tile edge in pixels
+            START_TIME: 5000, // First tiles crack after 5 seconds
+            INTERVAL: 450, // Schedule and random: another tile cracks every 0.45 seconds
+            CRACK_TIME: 1500, // Cracked tiles fall 1.5 seconds later
+            WEAR: 1500, // Occupancy: a tile cracks once players have stood on it this long
+            MIN_FLOOR: 0.2 // Tiles stop falling with 20% of the floor left
+        },
+        // Built-in arenas, in the arena file format (see ArenaLoader.js)
+        PRESETS: {
+            RECTANGLE: { name: 'Rectangle', shape: { type: 'rectangle' } },
+            ROUNDED: { name: 'Rounded', shape: { type: 'roundedRect', cornerRadius: 140 } },
+            CIRCLE: { name: 'Circle', shape: { type: 'circle' } },
+            HEXAGON: { name: 'Hexagon', shape: { type: 'polygon', sides: 6 } },
+            OCTAGON: { name: 'Octagon', shape: { type: 'polygon', sides: 8, rotation: 22.5 } },
+            DIAMOND: {
+                name: 'Diamond',
+                shape: {
+                    type: 'polygon',
+                    points: [{ x: 0, y: -300 }, { x: 430, y: 0 }, { x: 0, y: 300 }, { x: -430, y: 0 }]
+                }
+            },
+            CRUMBLING: { name: 'Crumbling', shape: { type: 'rectangle' }, tiles: { mode: 'random' } }
+        }
     },
     
     // Player settings
@@ -34,16 +65,401 @@ export const CONFIG = {
         COOLDOWN: 1500, // ms
     },
     
+    // Charge dash - optional dash mode: holding the dash button charges it
+    // (moving slowly meanwhile), letting go dashes harder the longer it charged
+    DASH_CHARGE: {
+        CHARGE_TIME: 900, // ms held for a full charge
+        MIN_POWER: 0.6, // Dash speed and duration multiplier when let go at once
+        MAX_POWER: 1.35, // Dash speed and duration multiplier at full charge
+        MOVE_MULTIPLIER: 0.35 // Acceleration while charging
+    },
+    
+    // Characters - picked per player before a match. Each brings its own size,
+    // weight, movement and dash (in place of the CONFIG.PLAYER / CONFIG.DASH
+    // values, which BLOB keeps) and one signature ability.
+    CHARACTERS: {
+        BLOB: {
+            name: 'Blob',
+            icon: '💧',
+            look: 'classic',
+            radius: 25,
+            mass: 1,
+            maxSpeed: 6,
+            acceleration: 0.8,
+            dashSpeed: 3, // Multiplier of maxSpeed
+            dashDuration: 150, // ms
+            dashCooldown: 1500, // ms
+            signature: { name: 'Quick Pound', description: 'Ground pound recharges twice as fast' },
+            poundCooldownMultiplier: 0.5
+        },
+        TANK: {
+            name: 'Tank',
+            icon: '🦏',
+            look: 'armored',
+            radius: 30,
+            mass: 1.2,
+            maxSpeed: 4.6,
+            acceleration: 0.5,
+            dashSpeed: 2.8,
+            dashDuration: 150,
+            dashCooldown: 2200,
+            signature: { name: 'Juggernaut', description: 'Takes 60% less knockback while dashing' },
+            dashArmor: 0.4 // Knockback multiplier while dashing
+        },
+        SPEEDSTER: {
+            name: 'Speedster',
+            icon: '🐇',
+            look: 'sleek',
+            radius: 21,
+            mass: 0.85,
+            maxSpeed: 7.5,
+            acceleration: 1.1,
+            dashSpeed: 3,
+            dashDuration: 120,
+            dashCooldown: 1500,
+            signature: { name: 'Double Dash', description: 'Dashes twice before recharging' },
+            dashCharges: 2
+        },
+        LANCER: {
+            name: 'Lancer',
+            icon: '🗡️',
+            look: 'spiked',
+            radius: 25,
+            mass: 1.15,
+            maxSpeed: 5.6,
+            acceleration: 0.75,
+            dashSpeed: 2.7,
+            dashDuration: 220,
+            dashCooldown: 1500,
+            signature: { name: 'Follow-through', description: 'Landing a dash hit halves the dash recharge left' },
+            dashHitRefund: 0.5 // Share of the remaining cooldown a landed dash hit takes off
+        }
+    },
+    
+    // Brace - the action button: a short stance that is hard to move, at the cost of moving
+    BRACE: {
+        DURATION: 600, // ms a brace lasts at most per press
+        COOLDOWN: 1200, // ms after a brace ends before the next
+        MASS_MULTIPLIER: 3,
+        KNOCKBACK_MULTIPLIER: 0.4,
+        MOVE_MULTIPLIER: 0.25 // Acceleration while bracing or charging a ground pound
+    },
+    
+    // Ground pound - holding the action button charges it, letting go releases it
+    GROUND_POUND: {
+        CHARGE_TIME: 700, // ms held before it is ready
+        COOLDOWN: 5000, // ms
+        RADIUS: 170,
+        STRENGTH: 12, // Pixels per tick up close, half that at the edge
+        LAUNCH_TIME: 300 // ms those hit may fly faster than the top speed
+    },
+    
+    // Parry - starting a dash or brace just before a dashing opponent hits you
+    // sends the hit back at them
+    PARRY: {
+        WINDOW: 100, // ms after starting a dash or brace (about 6 ticks)
+        REFLECT_MULTIPLIER: 1.3, // Attacker's own speed sent back at it
+        MIN_REFLECT_SPEED: 10, // Pixels per tick at least, before knockback scaling
+        LAUNCH_TIME: 400, // ms the attacker may fly faster than the top speed
+        DAMAGE: 10 // Damage percent the attacker takes
+    },
+    
+    // Grab and throw - press the grab button next to an opponent to hold them,
+    // press it again to throw them the way you're steering
+    GRAB: {
+        REACH: 14, // px beyond touching
+        HOLD_TIME: 1500, // ms before the held player slips free
+        MOVE_MULTIPLIER: 0.4, // Acceleration while holding someone
+        THROW_SPEED: 15, // Pixels per tick, scaled by the thrown player's knockback
+        LAUNCH_TIME: 400, // ms a thrown player may fly faster than the top speed
+        THROW_DAMAGE: 10, // Damage percent a throw deals
+        ESCAPE_PRESSES: 8, // Button presses the held player needs to break free
+        ESCAPE_PUSH: 5, // Pixels per tick both are pushed apart on breaking free
+        COOLDOWN: 1000 // ms after a grab ends before the next
+    },
+    
     // Collision settings
     COLLISION: {
         PUSH_FORCE: 1.5,
         DASH_PUSH_MULTIPLIER: 2
     },
     
+    // Damage percent - hard hits build it up, knockback taken grows with it
+    DAMAGE: {
+        MIN_INTENSITY: 2, // Softer bumps and shoving deal no damage
+        PER_INTENSITY: 2, // % per point of impact intensity
+        MAX_PER_HIT: 20, // Late-round escalation makes huge impacts possible
+        DASH_MULTIPLIER: 1.5, // Being hit by a dashing player hurts more
+        ATTACKER_SHARE: 0.25, // Share of that a dashing attacker takes itself
+        HIT_COOLDOWN: 500, // ms after a hit before the same player takes damage again
+        KNOCKBACK_PER_PERCENT: 0.006, // +0.6% knockback taken per damage %
+        MAX: 300
+    },
+    
+    // Power-ups - pickups that appear on the floor during a round
+    POWERUPS: {
+        FIRST_SPAWN: 4000, // ms into a round before the first one appears
+        SPAWN_INTERVAL: 5000, // ms between spawns after that
+        MAX_ON_FLOOR: 2,
+        LIFETIME: 10000, // ms an untouched power-up stays before fading
+        RADIUS: 16,
+        EDGE_MARGIN: 80, // Spawn at least this far inside the current bounds
+        PLAYER_CLEARANCE: 120, // ...and this far from every player
+        TYPES: {
+            DASH_RESET: { name: 'Dash Reset', icon: '🔄', color: '#4ecdc4' },
+            MASS: { name: 'Heavyweight', icon: '🪨', color: '#b8a07e', duration: 6000, mass: 2.5 },
+            SHIELD: { name: 'Shield', icon: '🛡️', color: '#74b9ff', duration: 10000, guard: 300 },
+            SPEED: { name: 'Speed Burst', icon: '⚡', color: '#ffe66d', duration: 4000, speedMultiplier: 1.5 },
+            SHOCKWAVE: { name: 'Shockwave', icon: '💥', color: '#ff6b6b', radius: 200, strength: 14, launchTime: 300 }
+        }
+    },
+    
     // Gamepad settings
     GAMEPAD: {
         DEADZONE: 0.2,
-        DASH_BUTTON: 1 // B button on Xbox, Circle on PlayStation
+        DASH_BUTTON: 1, // B button on Xbox, Circle on PlayStation
+        ACTION_BUTTON: 2, // X button on Xbox, Square on PlayStation (brace / ground pound)
+        GRAB_BUTTON: 3 // Y button on Xbox, Triangle on PlayStation
+    },
+    
+    // CPU opponents - one preset per difficulty
+    BOTS: {
+        EASY: {
+            name: 'Easy',
+            reactionTime: 320, // ms between decisions
+            aimError: 0.45, // Max steering error in radians
+            leadFactor: 0, // How far ahead opponents are predicted (0-1)
+            flanking: false, // Circle around to push targets outward
+            edgeMargin: 45, // Distance from the edge that triggers recovery
+            edgeReflex: false, // Check the edge every tick instead of on decisions
+            dashRange: 110,
+            dashChance: 0.3,
+            dodgeChance: 0,
+            braceChance: 0, // Brace against a dash we didn't dodge
+            poundChance: 0, // Per decision, start charging a ground pound with opponents close
+            grabChance: 0, // Per decision, grab a target in reach
+            pickupRange: 0 // How far away power-ups are worth going for
+        },
+        NORMAL: {
+            name: 'Normal',
+            reactionTime: 170,
+            aimError: 0.22,
+            leadFactor: 0.5,
+            flanking: true,
+            edgeMargin: 75,
+            edgeReflex: true,
+            dashRange: 150,
+            dashChance: 0.6,
+            dodgeChance: 0.35,
+            braceChance: 0.3,
+            poundChance: 0.05,
+            grabChance: 0.1,
+            pickupRange: 200
+        },
+        HARD: {
+            name: 'Hard',
+            reactionTime: 150,
+            aimError: 0.05,
+            leadFactor: 0.5,
+            flanking: true,
+            edgeMargin: 95,
+            edgeReflex: true,
+            dashRange: 170,
+            dashChance: 0.9,
+            dodgeChance: 0.75,
+            braceChance: 0.6,
+            poundChance: 0.1,
+            grabChance: 0.2,
+            pickupRange: 300
+        }
+    },
+    
+    // Team matches
+    TEAMS: {
+        NAMES: ['Orange Team', 'Blue Team'],
+        COLORS: ['#ff9f43', '#54a0ff'],
+        // Team index for each player id; a layout needs its exact player count
+        LAYOUTS: {
+            TWO_VS_TWO: { name: '2 vs 2', teams: [0, 0, 1, 1] },
+            THREE_VS_ONE: { name: '3 vs 1', teams: [0, 0, 0, 1] }
+        },
+        // Push strength between teammates (OFF lets them pass through each other)
+        FRIENDLY_COLLISION: {
+            FULL: 1,
+            REDUCED: 0.35,
+            OFF: 0
+        }
+    },
+    
+    // Stock matches - players respawn until their lives run out
+    STOCKS: {
+        MAX: 9, // Most lives per round a match may use (1 = classic)
+        RESPAWN_DELAY: 1500, // ms off the arena before coming back
+        INVULNERABILITY: 2000, // ms of spawn protection (passes through players)
+        SAFE_DISTANCE: 250 // Distance from other players that counts as fully safe
+    },
+    
+    // Game modes - how a round is won (see WinConditions.js); in co-op modes
+    // all players are on one side against the simulation's enemies
+    MODES: {
+        CLASSIC: { name: 'Classic', icon: '⚔️', description: 'Last one on the arena wins the round' },
+        KING_OF_THE_HILL: { name: 'King of the Hill', icon: '👑', description: 'Hold the zone alone to score' },
+        SOCCER: { name: 'Soccer', icon: '⚽', description: 'Two teams, one ball - score in the other goal' },
+        HOT_POTATO: { name: 'Hot Potato', icon: '💣', description: 'Bump the bomb onto someone else before it blows' },
+        SURVIVAL: { name: 'Survival', icon: '🌊', description: 'Team up against waves of enemies', minPlayers: 1, coop: true },
+        BOSS_FIGHT: { name: 'Boss Fight', icon: '👹', description: 'Team up to knock a giant boss off the arena', minPlayers: 1, coop: true }
+    },
+    
+    // King of the Hill - a zone that moves around the arena; the side alone
+    // in it scores, and reaching the target wins the round
+    HILL: {
+        RADIUS: 75,
+        MOVE_INTERVAL: 7000, // ms before the zone moves somewhere else
+        MOVE_WARNING: 2000, // ms before a move that the zone blinks
+        POINTS_PER_SECOND: 1,
+        SCORE_TARGET: 8 // Points that win the round
+    },
+    
+    // Soccer - two teams knock a ball into each other's goal; the walls bounce
+    // instead of eliminating. Without a team layout players alternate teams.
+    SOCCER: {
+        BALL_RADIUS: 16,
+        BALL_MASS: 0.5,
+        BALL_FRICTION: 0.985,
+        BALL_MAX_SPEED: 22,
+        WALL_BOUNCE: 0.75, // Restitution off the walls, for players and the ball
+        GOAL_WIDTH: 170, // Goal mouth at full arena size (px); team 0 defends the left goal
+        GOAL_DEPTH: 36, // How far the net is drawn behind the goal line
+        KICKOFF_DELAY: 1500, // ms everyone stands still after a goal
+        SCORE_TARGET: 2 // Goals that win the round
+    },
+    
+    // Hot Potato - one player carries a bomb and bumps it onto others; when
+    // the fuse runs out it blows the carrier off the arena and blasts anyone near
+    BOMB: {
+        FIRST_DELAY: 2000, // ms into the round before the first bomb is handed out
+        NEXT_DELAY: 1500, // ms after a bomb goes off (or falls off the arena) before the next
+        FUSE_MIN: 7000, // ms, each bomb's fuse is picked between these
+        FUSE_MAX: 11000,
+        PASS_COOLDOWN: 500, // ms a new carrier can't pass the bomb straight back
+        RADIUS: 200,
+        STRENGTH: 18, // Pixels per tick up close, half that at the edge
+        LAUNCH_TIME: 450 // ms those hit may fly faster than the top speed
+    },
+    
+    // Survival - everyone on one team against waves of enemies trying to push
+    // them off; the run ends when the last player is out and is scored by the
+    // waves survived. Each wave is bigger (more so with more players), brings
+    // in tougher enemy types and makes all of them faster and harder hitting.
+    SURVIVAL: {
+        FIRST_WAVE_DELAY: 1500, // ms into the run before the first wave
+        WAVE_BREAK: 3000, // ms between clearing a wave and the next; knocked-out players rejoin
+        SPAWN_INTERVAL: 700, // ms between the enemies of a wave appearing
+        SPAWN_TIME: 900, // ms an enemy takes to appear, harmless and still meanwhile
+        MAX_ALIVE: 8, // Enemies on the arena at once; the rest of the wave waits
+        BASE_COUNT: 3, // Enemies in the first wave for one player
+        COUNT_PER_WAVE: 1.5,
+        COUNT_PER_PLAYER: 1.5,
+        STRENGTH_PER_WAVE: 0.06, // Enemy speed and push added per wave...
+        MAX_STRENGTH: 1.6, // ...up to this multiple
+        HIT_DAMAGE: 0.8, // Share of the damage percent a player hit would deal
+        SPLIT_INTENSITY: 1.2, // Hit intensity that splits a splitter
+        ENEMIES: {
+            CHARGER: {
+                name: 'Charger',
+                color: '#ff6b81',
+                radius: 20,
+                mass: 0.9,
+                maxSpeed: 3.2,
+                acceleration: 0.3,
+                fromWave: 1, // First wave the type turns up in
+                weight: 3, // How often it turns up next to the others
+                chargeRange: 220, // Distance it starts winding up a charge from
+                windUp: 600, // ms standing still, aiming, before a charge
+                chargeSpeed: 13,
+                chargeTime: 350, // ms
+                chargeCooldown: 1800 // ms
+            },
+            HEAVY: {
+                name: 'Heavy',
+                color: '#778ca3',
+                radius: 34,
+                mass: 3,
+                maxSpeed: 1.2,
+                acceleration: 0.08,
+                fromWave: 3,
+                weight: 1
+            },
+            SPLITTER: {
+                name: 'Splitter',
+                color: '#a55eea',
+                radius: 26,
+                mass: 1.1,
+                maxSpeed: 2.8,
+                acceleration: 0.25,
+                fromWave: 5,
+                weight: 2,
+                splitScale: 0.65 // Size of the two halves (they don't split again)
+            }
+        }
+    },
+    
+    // Boss fight - everyone on one team against a single oversized boss that
+    // attacks by a script, telegraphing each attack with a wind-up. Hits fill
+    // its stagger meter rather than adding damage percent; once full it's
+    // stunned and flies far, the chance to knock it off. The fight ends when
+    // it falls or the last player does.
+    BOSS: {
+        ENTRANCE_TIME: 1500, // ms the boss takes to appear, harmless and still meanwhile
+        STRENGTH_PER_PLAYER: 0.15, // Speed and push added per player after the first
+        KNOCKBACK: 0.35, // Share of a hit's knockback it takes...
+        STAGGER_KNOCKBACK: 2.5, // ...and while staggered
+        STAGGER_MAX: 60, // Damage percent the hits would deal that fills the meter
+        STAGGER_DECAY: 4, // Meter lost per second when not hit
+        STAGGER_TIME: 4000, // ms it stays staggered
+        STAGGER_FRICTION: 0.96, // Slides further while staggered
+        RAGE_PER_STAGGER: 0.15, // Speed and attack pace added after each stagger
+        ATTACK_COOLDOWN: 2500, // ms of chasing between attacks
+        RECOVER_TIME: 900, // ms standing after an attack or a stagger
+        HIT_LAUNCH_TIME: 400, // ms players its charge or spin hits may fly faster than the top speed
+        SCRIPT: ['CHARGE', 'SPIN', 'CHARGE', 'SLAM'], // Attack order, over and over; a slam near the edge is skipped
+        BODY: {
+            name: 'Boss',
+            color: '#eb3b5a',
+            radius: 58,
+            mass: 5,
+            maxSpeed: 1.6,
+            acceleration: 0.1
+        },
+        ATTACKS: {
+            CHARGE: {
+                name: 'Charge',
+                icon: '⚠️',
+                windUp: 900, // ms aiming at its target
+                speed: 12,
+                time: 800, // ms
+                brakeDistance: 40 // Stops this far short of the edge
+            },
+            SPIN: {
+                name: 'Spin',
+                icon: '🌀',
+                windUp: 800,
+                time: 2500,
+                radius: 260, // Reach of its force field
+                force: 0.4, // Outward push, full from 100px out like the centrifuge
+                swirl: 0.6 // Push along the spin, as a share of the outward push
+            },
+            SLAM: {
+                name: 'Slam',
+                icon: '💥',
+                windUp: 1100,
+                radius: 230,
+                strength: 16, // Pixels per tick up close, half that at the edge
+                launchTime: 400, // ms those hit may fly faster than the top speed
+                arenaScale: 0.7, // The arena squeezes to this size...
+                squeezeTime: 4000 // ...for this many ms, then eases back out
+            }
+        }
     },
     
     // Round settings
@@ -60,6 +476,13 @@ export const CONFIG = {
         FIXED_TIMESTEP: 1000 / 60
     },
     
+    // Online play (rollback netcode)
+    NETWORK: {
+        DEFAULT_SERVER: 'ws://localhost:8787',
+        INPUT_DELAY: 2, // Ticks local input is held back to hide latency
+        MAX_ROLLBACK: 8 // Ticks we may run ahead of the slowest peer before stalling
+    },
+    
     // Escalation settings - force combat and resolution
     ESCALATION: {
         // Damage amplification over time
@@ -1,18 +1,31 @@
 import { CONFIG } from '../config.js';
 import { InputManager } from './InputManager.js';
-import { Physics } from './Physics.js';
-import { RoundManager } from './RoundManager.js';
-import { Arena } from '../entities/Arena.js';
-import { Player } from '../entities/Player.js';
+import { Simulation } from './Simulation.js';
+import { InputCodec } from './InputCodec.js';
+import { ReplayRecorder, ReplayPlayer } from './Replay.js';
 import { UI } from '../ui/UI.js';
+import { ReplayControls, REPLAY_SPEEDS } from '../ui/ReplayControls.js';
+import { OnlineLobby } from '../ui/OnlineLobby.js';
+import { MatchOptions } from '../ui/MatchOptions.js';
+import { ArenaEditor } from '../ui/ArenaEditor.js';
+import { ArenaLoader } from '../entities/ArenaLoader.js';
+import { NetClient } from '../net/NetClient.js';
+import { RollbackSession } from '../net/RollbackSession.js';
+import { BotController } from '../ai/BotController.js';
 import { ParticleSystem } from '../effects/ParticleSystem.js';
 import { ScreenEffects } from '../effects/ScreenEffects.js';
+import { Random } from '../utils/Random.js';
 
 /**
- * Main Game class - orchestrates all game systems
+ * Main Game class - browser shell around the headless Simulation.
+ * Owns input, rendering, UI and effects and drives the fixed timestep.
  */
 export class Game {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options - `seed` fixes the seed of every match (for reproduction)
+     */
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         
@@ -26,29 +39,63 @@ export class Game {
         
         // Initialize systems
         this.input = new InputManager();
-        this.roundManager = new RoundManager();
         this.ui = new UI();
-        this.particles = new ParticleSystem();
-        this.screenEffects = new ScreenEffects();
         
-        // Initialize arena
-        this.arena = new Arena(this.baseWidth, this.baseHeight);
+        // Cosmetic effects draw from their own stream so they never disturb gameplay
+        this.cosmeticRandom = new Random();
+        this.particles = new ParticleSystem(this.cosmeticRandom);
+        this.screenEffects = new ScreenEffects(this.cosmeticRandom);
+        
+        // Fixed match seed, or null to roll a new one every match
+        this.matchSeed = options.seed ?? null;
+        
+        // Match settings chosen on the start screen (teams, rules, arena)
+        this.matchOptions = new MatchOptions();
+        this.matchOptions.onChange = (settings) => this.applyMatchSettings(settings);
+        this.matchOptions.onError = () => this.ui.showEscalationWarning('Invalid arena file');
+        
+        // Arena editor - takes over the canvas while open
+        this.editor = new ArenaEditor(canvas);
+        this.setupEditor();
+        
+        // Game rules run in the simulation; default to 2 players
+        this.simulation = new Simulation({
+            width: this.baseWidth,
+            height: this.baseHeight,
+            playerCount: 2,
+            settings: this.matchOptions.getSettings()
+        });
+        this.selectedPlayerCount = 2;
         
-        // Initialize players
-        this.playerCount = 2; // Default to 2 players
-        this.players = [];
-        this.initializePlayers();
+        // CPU controllers by player index (null = human)
+        this.bots = [];
+        this.botRandom = new Random();
         
-        // Current round modifier effects
-        this.activeModifier = null;
+        this.ui.initScoreboard(this.players);
         
-        // Setup round manager callbacks
-        this.setupRoundCallbacks();
+        // Turn simulation events into UI and effects
+        this.setupSimulationEvents();
+        
+        // Replay recording (live matches) and playback
+        this.recorder = null;
+        this.lastReplay = null;
+        this.replay = null; // ReplayPlayer while watching a replay
+        this.replayPaused = false;
+        this.replaySpeed = 1;
+        this.replayControls = new ReplayControls();
+        this.setupReplayControls();
+        
+        // Online play: relay connection and the rollback session of the running match
+        this.net = new NetClient();
+        this.netSession = null;
+        this.netMatch = null; // Seed identifying the running online match
+        this.onlineSlots = []; // Room slot of each player index
+        this.lobby = new OnlineLobby();
+        this.setupOnline();
         
         // Game loop timing
         this.lastTime = performance.now();
         this.accumulator = 0;
-        this.roundResetDone = false;
         
         // Set canvas rect for UI positioning
         this.updateCanvasRect();
@@ -63,11 +110,40 @@ export class Game {
         // Setup start game listener
         this.setupStartListener();
         
+        // Arena file given in the page URL (?arena=arenas/hex-pit.json)
+        if (options.arenaUrl) {
+            this.loadArenaUrl(options.arenaUrl);
+        }
+        
         // Start game loop
         this.gameLoop = this.gameLoop.bind(this);
         requestAnimationFrame(this.gameLoop);
     }
     
+    get players() {
+        return this.simulation.players;
+    }
+    
+    get arena() {
+        return this.simulation.arena;
+    }
+    
+    get roundManager() {
+        return this.simulation.roundManager;
+    }
+    
+    get playerCount() {
+        return this.simulation.playerCount;
+    }
+    
+    get activeModifier() {
+        return this.simulation.activeModifier;
+    }
+    
+    get seed() {
+        return this.simulation.seed;
+    }
+    
     /**
      * Resize canvas to fit screen while maintaining aspect ratio
      */
@@ -89,48 +165,34 @@ export class Game {
     }
     
     /**
-     * Initialize players at spawn positions
+     * Subscribe to simulation events
      */
-    initializePlayers() {
-        this.players = [];
-        const spawnPositions = this.arena.getSpawnPositions(this.playerCount);
+    setupSimulationEvents() {
+        const sim = this.simulation;
         
-        for (let i = 0; i < this.playerCount; i++) {
-            const spawn = spawnPositions[i];
-            const color = CONFIG.PLAYER.COLORS[i];
-            const player = new Player(i, spawn.x, spawn.y, color);
-            this.players.push(player);
-        }
-        
-        this.ui.initScoreboard(this.players);
-        this.roundResetDone = false; // Ensure reset happens when match starts
-    }
-    
-    /**
-     * Setup round manager callbacks
-     */
-    setupRoundCallbacks() {
-        this.roundManager.onCountdownTick = (value) => {
+        sim.on('countdownTick', (value) => {
             this.ui.showCountdown(value);
             if (value > 0) {
                 // Pulse effect on countdown
                 this.screenEffects.flash('#ffffff', 0.1);
             }
-        };
+        });
+        
+        sim.on('matchStart', (seed) => {
+            this.particles.clear();
+            this.ui.resetForMatch(this.players);
+            console.log(`Match seed: ${seed}`);
+        });
         
-        this.roundManager.onRoundStart = (round, modifier) => {
-            this.roundResetDone = false; // Allow reset for next round
-            this.activeModifier = modifier;
+        sim.on('roundReset', () => {
+            this.particles.clear();
+            this.ui.resetForRound(this.players);
+        });
+        
+        sim.on('roundStart', (round, modifier) => {
             this.ui.hideWinner();
             this.screenEffects.flash('#4ecdc4', 0.3);
             
-            // Apply modifier to arena if needed
-            if (modifier && modifier.key === 'TINY_ARENA') {
-                this.arena.setScale(modifier.arenaScale);
-            } else if (modifier && modifier.key === 'FAST_SHRINK') {
-                this.arena.setShrinkSpeed(modifier.shrinkSpeed);
-            }
-            
             // Burst particles at center
             this.particles.burst(
                 this.arena.centerX,
@@ -143,29 +205,27 @@ export class Game {
                 this.ui.updateAliveCounter(this.playerCount, this.playerCount);
             }
             console.log(`Round ${round} started! Modifier: ${modifier?.name || 'Standard'}`);
-        };
+        });
         
-        this.roundManager.onModifierAnnounce = (modifier) => {
+        sim.on('modifierAnnounce', (modifier) => {
             this.ui.showModifierAnnouncement(modifier);
             this.screenEffects.flash(modifier.key === 'HEAVY_HITS' ? '#ff4444' : '#ffe66d', 0.3);
-        };
+        });
         
-        this.roundManager.onEscalation = (type, message) => {
+        sim.on('escalation', (type, message) => {
             this.ui.showEscalationWarning(message);
             this.screenEffects.shake(10, 300);
             this.screenEffects.flash('#ff4444', 0.2);
-        };
+        });
         
-        this.roundManager.onFinalCountdown = (seconds) => {
-            this.ui.showFinalCountdown(seconds);
+        sim.on('finalCountdown', (seconds) => {
+            this.ui.showFinalCountdown(seconds, this.roundManager.winCondition.target !== null);
             if (seconds > 0) {
                 this.screenEffects.shake(5 + (5 - seconds) * 2, 200);
             }
-        };
+        });
         
-        this.roundManager.onCentrifugeStart = () => {
-            // Activate centrifuge mode in arena
-            this.arena.activateCentrifuge();
+        sim.on('centrifugeStart', () => {
             this.ui.hideFinalCountdown();
             this.screenEffects.flash('#44ff44', 0.4);
             this.screenEffects.shake(15, 400);
@@ -177,16 +237,25 @@ export class Game {
                 50,
                 { color: '#44ff44', size: 8, speed: 12 }
             );
-        };
+        });
         
-        this.roundManager.onRoundEnd = (winner, round, reason) => {
-            this.ui.showRoundWinner(winner, round, this.playerCount, reason);
+        sim.on('roundEnd', (winner, round, reason) => {
             this.ui.updateScoreboard(this.players);
             this.ui.hideAliveCounter();
             this.ui.hideFinalCountdown();
             
-            // Reset modifier
-            this.activeModifier = null;
+            // Co-op modes: the run is over, its result screen follows
+            if (reason === 'wipeout') {
+                this.screenEffects.flash('#ff4757', 0.5);
+                this.screenEffects.shake(12, 400);
+                return;
+            }
+            if (reason === 'bossDown') {
+                this.screenEffects.flash('#ffd700', 0.5);
+                this.screenEffects.shake(20, 600);
+                return;
+            }
+            this.ui.showRoundWinner(winner, round, this.playerCount, reason);
             
             if (winner) {
                 // Show winner crown above survivor
@@ -207,9 +276,14 @@ export class Game {
                 this.screenEffects.flash('#ff4444', 0.4);
                 this.screenEffects.shake(10, 300);
             }
-        };
+        });
         
-        this.roundManager.onMatchEnd = (winner) => {
+        sim.on('matchEnd', (winner) => {
+            if (!winner) {
+                this.showCoopResult();
+                return;
+            }
+            
             this.ui.showMatchWinner(winner);
             // Big celebration
             this.screenEffects.flash(winner.color, 0.5);
@@ -218,10 +292,10 @@ export class Game {
             // Fireworks effect
             for (let i = 0; i < 5; i++) {
                 setTimeout(() => {
-                    const x = this.arena.bounds.left + Math.random() * this.arena.width;
-                    const y = this.arena.bounds.top + Math.random() * this.arena.height;
+                    const x = this.arena.bounds.left + this.cosmeticRandom.next() * this.arena.width;
+                    const y = this.arena.bounds.top + this.cosmeticRandom.next() * this.arena.height;
                     this.particles.burst(x, y, 30, {
-                        color: CONFIG.PLAYER.COLORS[Math.floor(Math.random() * 4)],
+                        color: this.cosmeticRandom.pick(CONFIG.PLAYER.COLORS),
                         size: 6,
                         speed: 8,
                         gravity: 0.1
@@ -229,20 +303,313 @@ export class Game {
                 }, i * 200);
             }
             
-            console.log(`Player ${winner.id + 1} wins the match!`);
-        };
+            console.log(`${this.ui.getWinnerName(winner)} wins the match!`);
+        });
+        
+        sim.on('zoneMove', ({ x, y, radius }) => {
+            this.particles.burst(x, y, 30, {
+                color: '#ffd700',
+                size: 5,
+                speed: radius / 15,
+                friction: 0.93,
+                decay: 0.03
+            });
+            this.ui.showFloatingText(x, y - radius - 10, '👑 HILL MOVED!', 'dash', '#ffd700');
+            this.screenEffects.flash('#ffd700', 0.15);
+        });
+        
+        sim.on('zoneTaken', (player) => {
+            const { x, y } = this.arena.zone;
+            const color = this.ui.getWinnerColor(player);
+            this.particles.burst(x, y, 16, { color, size: 4, speed: 5 });
+            this.ui.showFloatingText(x, y - 40, `👑 ${this.ui.getWinnerName(player).toUpperCase()}!`, 'hit', color);
+        });
+        
+        sim.on('kick', (player, { x, y, intensity }) => {
+            this.particles.sparks(x, y, Math.min(12, Math.ceil(intensity * 4)), { color: '#ffffff' });
+            if (intensity > 1) {
+                this.screenEffects.shake(intensity * 3, 100);
+            }
+        });
+        
+        sim.on('goal', (team, scorer, { x, y }) => {
+            const color = CONFIG.TEAMS.COLORS[team];
+            this.particles.burst(x, y, 50, { color, size: 7, speed: 12, life: 1.5 });
+            this.ui.showGoalText(x, y, team, scorer);
+            this.screenEffects.flash(color, 0.4);
+            this.screenEffects.shake(12, 400);
+        });
+        
+        sim.on('bombArmed', (player) => {
+            this.ui.showFloatingText(player.position.x, player.position.y - 60, '💣 BOMB!', 'hit', '#ff4757');
+        });
+        
+        sim.on('bombPass', (from, to) => {
+            this.particles.sparks(to.position.x, to.position.y, 10, { color: '#ffd32a' });
+            this.ui.showFloatingText(to.position.x, to.position.y - 60, '💣 PASSED!', 'dash', '#ff9f43');
+        });
+        
+        sim.on('explosion', (player, { x, y, radius }) => {
+            this.particles.explosion(x, y, radius);
+            this.ui.showFloatingText(x, y - 40, '💥 BOOM!', 'hit', '#ff9f43');
+            this.screenEffects.flash('#ff9f43', 0.4);
+            this.screenEffects.shake(18, 400);
+        });
+        
+        sim.on('waveStart', (wave, count) => {
+            this.ui.showModifierAnnouncement({
+                icon: '🌊',
+                name: `Wave ${wave}`,
+                description: `${count} enemies incoming!`
+            });
+            this.screenEffects.flash('#4ecdc4', 0.2);
+        });
+        
+        sim.on('waveCleared', (wave) => {
+            this.ui.showFloatingText(this.arena.centerX, this.arena.centerY - 60, `🌊 WAVE ${wave} CLEARED!`, 'dash', '#4ecdc4');
+            this.screenEffects.flash('#4ecdc4', 0.3);
+            this.ui.updateScoreboard(this.players);
+        });
+        
+        sim.on('enemyHit', (player, enemy, { x, y, intensity }) => {
+            this.particles.collision(x, y, player.color, enemy.color, intensity);
+            // Enemies keep leaning on players, only damaging hits shake the screen
+            if (intensity >= CONFIG.DAMAGE.MIN_INTENSITY) {
+                this.screenEffects.impact(intensity);
+            }
+            this.ui.updateDamage(player);
+        });
+        
+        sim.on('enemySplit', (enemy) => {
+            this.particles.burst(enemy.position.x, enemy.position.y, 16, { color: enemy.color, size: 5, speed: 6 });
+        });
+        
+        sim.on('enemyDown', (enemy) => {
+            this.particles.elimination(enemy.position.x, enemy.position.y, enemy.color);
+            this.screenEffects.shake(6, 150);
+        });
+        
+        sim.on('bossTelegraph', (boss, attack) => {
+            const { name, icon } = CONFIG.BOSS.ATTACKS[attack];
+            this.ui.showFloatingText(boss.position.x, boss.position.y - boss.radius - 30, `${icon} ${name.toUpperCase()}!`, 'hit', '#ff4757');
+        });
+        
+        sim.on('bossAttack', (boss, attack, { x, y, radius }) => {
+            if (attack === 'SLAM') {
+                this.particles.explosion(x, y, radius);
+                this.screenEffects.flash('#ff4757', 0.3);
+                this.screenEffects.shake(18, 500);
+            } else {
+                this.particles.burst(x, y, 20, { color: boss.color, size: 6, speed: 8 });
+                this.screenEffects.shake(8, 200);
+            }
+        });
+        
+        sim.on('bossStagger', (boss) => {
+            this.particles.burst(boss.position.x, boss.position.y, 30, { color: '#ffd32a', size: 6, speed: 9 });
+            this.ui.showFloatingText(boss.position.x, boss.position.y - boss.radius - 30, '💫 STAGGERED!', 'dash', '#ffd32a');
+            this.screenEffects.flash('#ffd32a', 0.25);
+        });
+        
+        sim.on('dash', (player) => {
+            // Create dash effects - ENHANCED
+            const angle = player.getMoveAngle();
+            this.particles.dashStart(
+                player.position.x,
+                player.position.y,
+                angle,
+                player.color
+            );
+            // Show dash text
+            this.ui.showDashText(player.position.x, player.position.y, player.color);
+            // Stronger screen shake
+            this.screenEffects.shake(8, 150);
+            // Brief slow-mo for impact feel
+            this.screenEffects.slowMotion(0.7, 50);
+        });
+        
+        sim.on('brace', (player) => {
+            this.particles.burst(player.position.x, player.position.y, 10, {
+                color: '#a4b0be',
+                size: 3,
+                speed: 3,
+                decay: 0.05
+            });
+        });
+        
+        sim.on('groundPound', (player, { x, y, radius }) => {
+            this.particles.burst(x, y, 36, {
+                color: '#ff9f43',
+                size: 5,
+                speed: radius / 20,
+                friction: 0.93,
+                decay: 0.035
+            });
+            this.ui.showFloatingText(x, y - 40, '💢 POUND!', 'hit', '#ff9f43');
+            this.screenEffects.shake(10, 200);
+        });
+        
+        sim.on('parry', (player, attacker, { x, y }) => {
+            this.particles.sparks(x, y, 24, { color: '#ffd700' });
+            this.ui.showParryText(x, y);
+            this.screenEffects.flash('#ffd700', 0.35);
+            this.screenEffects.shake(10, 150);
+            this.screenEffects.slowMotion(0.3, 300);
+        });
+        
+        sim.on('grab', (player, target) => {
+            this.particles.burst(target.position.x, target.position.y, 10, {
+                color: '#c77dff',
+                size: 3,
+                speed: 3,
+                decay: 0.05
+            });
+            this.ui.showFloatingText(target.position.x, target.position.y - 40, '✊ GRAB!', 'hit', '#c77dff');
+        });
+        
+        sim.on('throw', (player, target, { x, y }) => {
+            this.particles.collision(x, y, player.color, target.color, 2);
+            this.ui.showFloatingText(x, y - 40, '🌀 THROW!', 'hit', '#c77dff');
+            this.screenEffects.shake(8, 150);
+        });
+        
+        sim.on('grabEscape', (player) => {
+            this.particles.burst(player.position.x, player.position.y, 12, {
+                color: player.color,
+                size: 3,
+                speed: 4,
+                decay: 0.05
+            });
+            this.ui.showFloatingText(player.position.x, player.position.y - 40, 'BROKE FREE!', 'hit', player.color);
+        });
+        
+        sim.on('collision', (p1, p2, { x, y, intensity, damageMultiplier }) => {
+            // Create collision effects - ENHANCED
+            this.particles.collision(x, y, p1.color, p2.color, intensity * damageMultiplier);
+            this.screenEffects.impact(intensity * damageMultiplier);
+            
+            // Show hit text for strong impacts
+            if (intensity > 0.8) {
+                const hitText = damageMultiplier > 1.5 ? '💥 MEGA HIT!' : null;
+                this.ui.showHitText(x, y, intensity * damageMultiplier, hitText);
+            }
+            
+            this.ui.updateDamage(p1);
+            this.ui.updateDamage(p2);
+        });
+        
+        sim.on('obstacleHit', (player, { x, y, intensity }) => {
+            this.particles.sparks(x, y, Math.min(12, Math.ceil(intensity * 4)), { color: this.arena.colors.border });
+            if (intensity > 0.8) {
+                this.screenEffects.shake(intensity * 4, 100);
+            }
+        });
+        
+        sim.on('hazard', (player, type, { x, y }) => {
+            if (type === 'bumper') {
+                this.particles.sparks(x, y, 10, { color: '#ff6bd6' });
+                this.screenEffects.shake(4, 100);
+            } else if (type === 'boost') {
+                this.particles.burst(x, y, 12, { color: '#ffe66d', size: 4, speed: 4 });
+            }
+        });
+        
+        sim.on('powerUp', (player, type, { x, y }) => {
+            this.particles.burst(x, y, 16, { color: CONFIG.POWERUPS.TYPES[type].color, size: 4, speed: 4 });
+            this.ui.showPowerUpText(x, y, type);
+            this.ui.updatePowerUps(player);
+        });
+        
+        sim.on('powerUpEnd', (player) => {
+            this.ui.updatePowerUps(player);
+        });
+        
+        sim.on('shieldBlock', (player, { x, y }) => {
+            this.particles.sparks(x, y, 14, { color: CONFIG.POWERUPS.TYPES.SHIELD.color });
+            this.ui.showShieldText(x, y);
+            this.ui.updatePowerUps(player);
+            this.screenEffects.shake(4, 100);
+        });
+        
+        sim.on('shockwave', (player, { x, y, radius }) => {
+            // Ring racing out to the shockwave's reach
+            this.particles.burst(x, y, 36, {
+                color: CONFIG.POWERUPS.TYPES.SHOCKWAVE.color,
+                size: 5,
+                speed: radius / 20,
+                friction: 0.93,
+                decay: 0.035
+            });
+            this.screenEffects.shake(10, 200);
+            this.screenEffects.flash(CONFIG.POWERUPS.TYPES.SHOCKWAVE.color, 0.15);
+        });
+        
+        sim.on('elimination', (player, aliveCount) => {
+            // Create elimination explosion
+            this.particles.elimination(
+                player.position.x,
+                player.position.y,
+                player.color
+            );
+            
+            // Screen effects - ENHANCED
+            this.screenEffects.elimination();
+            
+            // Show elimination text (or the lives left in stock matches)
+            if (player.isInRound()) {
+                this.ui.showStockLostText(
+                    player.position.x,
+                    player.position.y,
+                    player.id + 1,
+                    player.stocks,
+                    player.color
+                );
+            } else {
+                this.ui.showEliminationText(
+                    player.position.x, 
+                    player.position.y, 
+                    player.id + 1, 
+                    player.color
+                );
+            }
+            
+            this.ui.updateScoreboard(this.players);
+            
+            // Update alive counter
+            this.ui.updateAliveCounter(aliveCount, this.playerCount);
+        });
+        
+        sim.on('respawn', (player) => {
+            this.particles.burst(
+                player.position.x,
+                player.position.y,
+                25,
+                { color: player.color, size: 5, speed: 6 }
+            );
+            this.ui.showRespawnText(player.position.x, player.position.y, player.color);
+            this.ui.updateScoreboard(this.players);
+        });
     }
     
     /**
      * Setup start game listener
      */
     setupStartListener() {
-        // Keyboard start (SPACE)
+        // Keyboard start (SPACE), replay (R)
         window.addEventListener('keydown', (e) => {
+            if (this.editor.isOpen) return; // The editor has its own keys
+            
+            if (this.replay) {
+                this.handleReplayKey(e);
+                return;
+            }
+            
             if (e.code === 'Space') {
                 if (this.roundManager.isWaiting() || this.roundManager.isMatchOver()) {
                     this.startNewMatch();
                 }
+            } else if (e.code === 'KeyR' && this.roundManager.isMatchOver() && this.lastReplay) {
+                this.startReplay(this.lastReplay);
             }
         });
         
@@ -253,77 +620,525 @@ export class Game {
         document.querySelectorAll('.player-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const count = parseInt(e.target.dataset.count);
-                this.setPlayerCount(count);
-                
-                // Update button states
-                document.querySelectorAll('.player-btn').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
+                if (this.net.isConnected()) return; // Online rooms size themselves
+                if (this.replay) this.stopReplay();
+                this.selectPlayerCount(count);
                 
-                // Update player slot visibility
-                document.querySelectorAll('.player-slot').forEach(slot => {
-                    const playerNum = parseInt(slot.dataset.player);
-                    slot.classList.toggle('hidden', playerNum > count);
-                });
+                // A team layout for another player count falls back to free-for-all
+                const settings = this.matchOptions.getSettings();
+                if (settings.teamLayout && CONFIG.TEAMS.LAYOUTS[settings.teamLayout].teams.length !== count) {
+                    settings.teamLayout = null;
+                    this.matchOptions.setSettings(settings);
+                }
+                this.simulation.setSettings(settings);
+                this.setPlayerCount(count);
+            });
+        });
+        
+        // Human / CPU choice per slot
+        document.querySelectorAll('.slot-controller').forEach(select => {
+            select.addEventListener('change', () => {
+                this.setSlotController(parseInt(select.dataset.player) - 1, select.value || null);
             });
         });
         
         // Set default active button and slot visibility
-        const defaultBtn = document.querySelector('.player-btn[data-count="2"]');
-        if (defaultBtn) defaultBtn.classList.add('active');
-        // Initialize slots visibility for 2 players
+        this.selectPlayerCount(2);
+    }
+    
+    /**
+     * Highlight a player count button and show the matching player slots;
+     * counts the game mode doesn't support are hidden
+     */
+    selectPlayerCount(count) {
+        this.selectedPlayerCount = count;
+        
+        const mode = this.simulation.settings.mode;
+        document.querySelectorAll('.player-btn').forEach(btn => {
+            const btnCount = parseInt(btn.dataset.count);
+            btn.classList.toggle('active', btnCount === count);
+            btn.classList.toggle('hidden', Simulation.clampPlayerCount(btnCount, mode) !== btnCount);
+        });
         document.querySelectorAll('.player-slot').forEach(slot => {
             const playerNum = parseInt(slot.dataset.player);
-            slot.classList.toggle('hidden', playerNum > 2);
+            slot.classList.toggle('hidden', playerNum > count);
         });
     }
     
     /**
-     * Update canvas rect for UI positioning
+     * Use new match settings for local play; a team layout brings its own player count
      */
-    updateCanvasRect() {
-        const rect = this.canvas.getBoundingClientRect();
-        this.ui.setCanvasRect(rect);
+    applyMatchSettings(settings) {
+        if (this.net.isConnected()) return; // Sent by the host when the match starts
+        if (this.replay) this.stopReplay();
+        
+        // The mode may not allow the current player count
+        const layout = settings.teamLayout ? CONFIG.TEAMS.LAYOUTS[settings.teamLayout] : null;
+        this.simulation.setSettings(settings);
+        this.selectPlayerCount(layout ? layout.teams.length : Simulation.clampPlayerCount(this.selectedPlayerCount, settings.mode));
+        this.setPlayerCount(this.selectedPlayerCount);
     }
     
     /**
-     * Start a new match
+     * Hand a player slot to a CPU of the given difficulty, or back to a human (null)
      */
-    startNewMatch() {
-        // Reset arena to original bounds
-        this.arena.reset();
+    setSlotController(index, difficulty) {
+        this.bots[index] = difficulty ? new BotController(index, difficulty, this.botRandom) : null;
+        
+        const slot = document.querySelector(`.player-slot[data-player="${index + 1}"]`);
+        if (slot) slot.classList.toggle('bot-slot', !!difficulty);
+        
+        this.updatePlayerLabels();
+        this.ui.updateScoreboard(this.players);
+    }
+    
+    /**
+     * Name CPU players on the scoreboard (online matches have no bots)
+     */
+    updatePlayerLabels() {
+        const labels = this.bots.map((bot, i) => {
+            if (!bot || this.netSession) return null;
+            return `Player ${i + 1} (CPU ${bot.settings.name})`;
+        });
+        this.ui.setPlayerLabels(labels);
+        this.ui.initScoreboard(this.players);
+    }
+    
+    /**
+     * Input for a local player - from its bot or from keyboard/gamepad/touch
+     */
+    getLocalInput(player, deltaTime) {
+        const bot = this.bots[player.id];
+        if (bot) {
+            return bot.getInput(this.simulation, deltaTime);
+        }
+        return this.input.getPlayerInput(player.id);
+    }
+    
+    /**
+     * Setup replay bar callbacks and the replay file loader
+     */
+    setupReplayControls() {
+        this.replayControls.onTogglePause = () => this.toggleReplayPause();
+        this.replayControls.onStep = (direction) => this.stepReplay(direction);
+        this.replayControls.onSpeedChange = (speed) => this.setReplaySpeed(speed);
+        this.replayControls.onSeek = (tick) => this.seekReplay(tick);
+        this.replayControls.onDownload = () => this.downloadReplay();
+        this.replayControls.onExit = () => this.stopReplay();
+        
+        const loadButton = document.getElementById('load-replay-btn');
+        const fileInput = document.getElementById('replay-file-input');
+        if (loadButton && fileInput) {
+            loadButton.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) {
+                    this.loadReplayFile(fileInput.files[0]);
+                }
+                fileInput.value = '';
+            });
+        }
+    }
+    
+    /**
+     * Wire the arena editor: open it from the start screen, play-test its arena
+     */
+    setupEditor() {
+        this.editor.onPlayTest = (definition) => {
+            this.editor.close();
+            this.matchOptions.setCustomArena(definition);
+            this.matchOptions.notifyChange();
+            this.startNewMatch();
+        };
+        this.editor.onClose = () => this.ui.showWaitingMessage();
         
-        // Update spawn positions and reset players
-        const spawnPositions = this.arena.getSpawnPositions(this.playerCount);
-        for (let i = 0; i < this.players.length; i++) {
-            const spawn = spawnPositions[i];
-            this.players[i].setSpawnPosition(spawn.x, spawn.y);
-            this.players[i].wins = 0;
-            this.players[i].reset();
+        const editButton = document.getElementById('edit-arena-btn');
+        if (editButton) {
+            editButton.addEventListener('click', () => this.openEditor());
         }
+    }
+    
+    /**
+     * Edit the selected arena (not while online)
+     */
+    openEditor() {
+        if (this.net.isConnected()) return;
+        if (this.replay) this.stopReplay();
+        if (!this.roundManager.isWaiting()) this.returnToWaiting();
+        
+        this.ui.hideWinner();
+        this.editor.open(Simulation.getArenaDefinition(this.matchOptions.getSettings()));
+    }
+    
+    /**
+     * Wire the online lobby and relay connection
+     */
+    setupOnline() {
+        this.lobby.onConnect = (url, room) => {
+            if (this.editor.isOpen) this.editor.close();
+            if (this.replay) this.stopReplay();
+            if (!this.roundManager.isWaiting()) this.returnToWaiting();
+            this.lobby.setPending();
+            this.lobby.setStatus(`Connecting to ${url}...`);
+            this.net.connect(url, room);
+        };
+        this.lobby.onLeave = () => this.leaveOnline('Offline');
+        
+        this.net.onWelcome = () => {
+            this.lobby.setConnected(true);
+        };
+        
+        this.net.onPeers = (slots) => {
+            // Preview the roster while no online match is running
+            if (!this.netSession && !this.roundManager.isPlaying()) {
+                this.setPlayerCount(slots.length);
+            }
+            this.updateLobbyStatus();
+        };
+        
+        this.net.onStart = (seed, slots, settings) => this.startOnlineMatch(seed, slots, settings);
+        
+        this.net.onInput = (slot, match, tick, input) => {
+            if (!this.netSession || match !== this.netMatch) return;
+            const index = this.onlineSlots.indexOf(slot);
+            if (index >= 0) {
+                this.netSession.addRemoteInput(index, tick, input);
+            }
+        };
+        
+        this.net.onPeerLeft = (slot) => {
+            const index = this.onlineSlots.indexOf(slot);
+            if (!this.netSession || index < 0) return;
+            this.netSession.removePlayer(index);
+            this.ui.showEscalationWarning(`P${index + 1} disconnected`);
+        };
+        
+        this.net.onError = (message) => {
+            console.warn(`Online: ${message}`);
+            this.lobby.setStatus(message);
+            if (!this.net.isConnected()) {
+                this.lobby.setConnected(false);
+            }
+        };
+        
+        this.net.onClose = () => this.leaveOnline('Disconnected from server');
+    }
+    
+    /**
+     * Describe the room and what happens next
+     */
+    updateLobbyStatus() {
+        if (!this.net.isConnected()) return;
+        
+        const slots = this.netSession ? this.onlineSlots : this.net.slots;
+        const index = slots.indexOf(this.net.slot);
+        const you = index >= 0 ? `you are P${index + 1}` : 'spectating until the next match';
+        const next = this.net.isHost() ? 'press SPACE to start' : 'waiting for host to start';
+        this.lobby.setStatus(`Room "${this.net.room}" · ${this.net.slots.length} connected · ${you} · ${next}`);
+        
+        // Only the host's match options count online
+        this.matchOptions.setDisabled(!this.net.isHost());
+    }
+    
+    /**
+     * Start the match the host announced, with every peer on the same seed and settings
+     */
+    startOnlineMatch(seed, slots, settings) {
+        if (this.replay) this.stopReplay();
+        this.endOnlineSession();
+        
+        if (!slots.includes(this.net.slot)) {
+            this.updateLobbyStatus();
+            return;
+        }
+        
+        // Every peer rejects the same bad settings, so falling back keeps them in sync
+        try {
+            this.simulation.setSettings(settings);
+        } catch (error) {
+            console.error(`Host sent invalid match settings: ${error.message}`);
+            this.simulation.setSettings({});
+        }
+        
+        this.onlineSlots = slots;
+        this.setPlayerCount(slots.length);
+        this.simulation.startNewMatch(seed);
+        this.accumulator = 0;
+        
+        // Only inputs every peer agrees on go into the replay
+        this.recorder = new ReplayRecorder(seed, slots.length, this.simulation.settings);
+        
+        const session = new RollbackSession(this.simulation, slots.indexOf(this.net.slot));
+        session.onLocalInput = (tick, input) => this.net.sendInput(seed, tick, input);
+        session.onInputsFinalized = (tick, inputs) => {
+            if (this.recorder) this.recorder.record(inputs);
+        };
+        session.onRollback = () => this.ui.updateScoreboard(this.players);
+        this.netSession = session;
+        this.netMatch = seed;
+        
+        this.updatePlayerLabels();
+        this.updateLobbyStatus();
+    }
+    
+    /**
+     * Drop the rollback session of the current online match
+     */
+    endOnlineSession() {
+        if (!this.netSession) return;
+        
+        this.netSession.dispose();
+        this.netSession = null;
+        this.netMatch = null;
+    }
+    
+    /**
+     * Disconnect and return to local play
+     */
+    leaveOnline(status) {
+        const wasInMatch = this.netSession !== null;
+        
+        this.net.disconnect();
+        this.endOnlineSession();
+        this.updatePlayerLabels();
+        this.lobby.setConnected(false);
+        this.lobby.setStatus(status);
+        this.matchOptions.setDisabled(false);
+        
+        if (wasInMatch || !this.roundManager.isWaiting()) {
+            this.returnToWaiting();
+        }
+        this.simulation.setSettings(this.matchOptions.getSettings());
+        this.setPlayerCount(this.selectedPlayerCount);
+        this.ui.resetForMatch(this.players);
+    }
+    
+    /**
+     * Abandon the running match and show the start screen
+     */
+    returnToWaiting() {
+        this.recorder = null;
+        this.simulation.abortMatch();
+        this.particles.clear();
+        this.ui.hideFinalCountdown();
+        this.ui.showWaitingMessage();
+    }
+    
+    /**
+     * Keyboard shortcuts while watching a replay
+     */
+    handleReplayKey(e) {
+        switch (e.code) {
+            case 'Space':
+            case 'KeyP':
+                this.toggleReplayPause();
+                break;
+            case 'Comma':
+                this.stepReplay(-1);
+                break;
+            case 'Period':
+                this.stepReplay(1);
+                break;
+            case 'BracketLeft':
+            case 'BracketRight': {
+                const index = REPLAY_SPEEDS.indexOf(this.replaySpeed);
+                const offset = e.code === 'BracketLeft' ? -1 : 1;
+                this.setReplaySpeed(REPLAY_SPEEDS[Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, index + offset))]);
+                break;
+            }
+            case 'KeyR':
+                this.seekReplay(0);
+                break;
+            case 'Escape':
+                this.stopReplay();
+                break;
+        }
+    }
+    
+    /**
+     * Watch a recorded match (replay object as produced by ReplayRecorder)
+     */
+    startReplay(replayData) {
+        const replay = new ReplayPlayer(replayData);
+        
+        if (this.editor.isOpen) this.editor.close();
+        this.recorder = null;
+        this.replay = replay;
+        this.replayPaused = false;
+        this.replaySpeed = 1;
+        this.accumulator = 0;
+        
+        this.simulation.setSettings(replay.settings);
+        this.simulation.setPlayerCount(replay.playerCount);
+        this.simulation.startNewMatch(replay.seed);
+        replay.recordSnapshot(this.simulation);
+        this.replayControls.show(replay.tickCount);
+        console.log(`Watching replay: seed ${replay.seed}, ${replay.playerCount} players, ${replay.tickCount} ticks`);
+    }
+    
+    /**
+     * Leave replay mode and return to the waiting screen
+     */
+    stopReplay() {
+        if (!this.replay) return;
+        
+        this.replay = null;
+        this.replayControls.hide();
+        this.simulation.abortMatch();
+        this.simulation.setSettings(this.matchOptions.getSettings());
+        this.setPlayerCount(this.selectedPlayerCount);
         
         this.particles.clear();
-        this.roundResetDone = true; // Mark as done so countdown doesn't reset again
         this.ui.resetForMatch(this.players);
-        this.roundManager.startMatch();
+        this.ui.hideFinalCountdown();
+        this.ui.showWaitingMessage();
+    }
+    
+    /**
+     * Pause or resume playback (restarts if the replay has finished)
+     */
+    toggleReplayPause() {
+        if (!this.replay) return;
+        
+        if (this.replayPaused && this.replay.isFinished(this.simulation.tick)) {
+            this.seekReplay(0);
+        }
+        this.replayPaused = !this.replayPaused;
+    }
+    
+    /**
+     * Set playback speed (0.25x - 4x)
+     */
+    setReplaySpeed(speed) {
+        const min = REPLAY_SPEEDS[0];
+        const max = REPLAY_SPEEDS[REPLAY_SPEEDS.length - 1];
+        this.replaySpeed = Math.max(min, Math.min(max, speed));
+    }
+    
+    /**
+     * Pause and move a single tick forward or back
+     */
+    stepReplay(direction) {
+        if (!this.replay) return;
+        
+        this.replayPaused = true;
+        if (direction < 0) {
+            this.seekReplay(this.simulation.tick - 1);
+        } else if (!this.replay.isFinished(this.simulation.tick)) {
+            this.fixedUpdate(CONFIG.PHYSICS.FIXED_TIMESTEP);
+        }
     }
     
     /**
-     * Reset players for new round
+     * Jump to a tick. Rewinding re-simulates from the nearest snapshot
+     * before it, which is exact because the simulation is deterministic.
      */
-    resetForRound() {
-        // Reset arena first to restore original bounds
-        this.arena.reset();
+    seekReplay(targetTick) {
+        if (!this.replay) return;
         
-        // Update spawn positions based on reset arena and reset players
-        const spawnPositions = this.arena.getSpawnPositions(this.playerCount);
-        for (let i = 0; i < this.players.length; i++) {
-            const spawn = spawnPositions[i];
-            this.players[i].setSpawnPosition(spawn.x, spawn.y);
-            this.players[i].reset();
+        const target = Math.max(0, Math.min(this.replay.tickCount, targetTick));
+        const fixedDelta = CONFIG.PHYSICS.FIXED_TIMESTEP;
+        
+        this.simulation.muted = true;
+        const snapshot = this.replay.getSnapshot(target);
+        if (target < this.simulation.tick || snapshot.tick > this.simulation.tick) {
+            this.simulation.loadState(snapshot);
         }
+        while (this.simulation.tick < target) {
+            this.simulation.fixedUpdate(fixedDelta, this.replay.getInputs(this.simulation.tick));
+            this.replay.recordSnapshot(this.simulation);
+        }
+        this.simulation.muted = false;
         
+        // Events were skipped, so rebuild the UI from the current state
         this.particles.clear();
         this.ui.resetForRound(this.players);
+        this.ui.hideFinalCountdown();
+        if (this.roundManager.isMatchOver() && this.roundManager.winner) {
+            this.ui.showMatchWinner(this.roundManager.winner);
+        } else if (this.roundManager.isMatchOver()) {
+            this.showCoopResult();
+        }
+    }
+    
+    /**
+     * Show how a co-op run ended: the waves survived, or whether the boss
+     * went down
+     */
+    showCoopResult() {
+        const waves = this.simulation.waves;
+        if (waves) {
+            this.ui.showGameOver(waves.survived, waves.defeated);
+        } else {
+            this.ui.showBossResult(this.roundManager.roundEndReason === 'bossDown', this.roundManager.roundTime);
+        }
+    }
+    
+    /**
+     * Save the current or most recent replay as a JSON file
+     */
+    downloadReplay() {
+        const replayData = this.replay ? this.replay.replay : this.lastReplay;
+        if (!replayData) return;
+        
+        const blob = new Blob([JSON.stringify(replayData)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `arena-brawler-replay-${replayData.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Load a replay file chosen by the user and start watching it
+     */
+    async loadReplayFile(file) {
+        try {
+            const replayData = JSON.parse(await file.text());
+            this.startReplay(replayData);
+        } catch (error) {
+            console.error(`Could not load replay: ${error.message}`);
+            this.ui.showEscalationWarning('Invalid replay file');
+        }
+    }
+    
+    /**
+     * Fetch an arena file and make it the selected arena
+     */
+    async loadArenaUrl(url) {
+        try {
+            this.matchOptions.setCustomArena(await ArenaLoader.load(url));
+            this.matchOptions.notifyChange();
+        } catch (error) {
+            console.error(`Could not load arena: ${error.message}`);
+            this.ui.showEscalationWarning('Invalid arena file');
+        }
+    }
+    
+    /**
+     * Update canvas rect for UI positioning
+     */
+    updateCanvasRect() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.ui.setCanvasRect(rect);
+    }
+    
+    /**
+     * Start a new match
+     */
+    startNewMatch() {
+        if (this.replay) return;
+        
+        // Online, the host asks the server to start everyone at once
+        if (this.net.isConnected()) {
+            if (this.net.isHost() && this.net.slots.length >= 2) {
+                this.net.requestStart(this.matchSeed ?? Random.generateSeed(), this.matchOptions.getSettings());
+            }
+            return;
+        }
+        
+        this.simulation.startNewMatch(this.matchSeed ?? undefined);
+        this.recorder = new ReplayRecorder(this.seed, this.playerCount, this.simulation.settings);
     }
     
     /**
@@ -331,6 +1146,7 @@ export class Game {
      */
     checkGamepadStart() {
         if (!this.roundManager.isWaiting() && !this.roundManager.isMatchOver()) return;
+        if (this.editor.isOpen) return;
         
         const gamepads = navigator.getGamepads();
         for (const gp of gamepads) {
@@ -356,6 +1172,7 @@ export class Game {
      */
     checkTouchStart() {
         if (!this.roundManager.isWaiting() && !this.roundManager.isMatchOver()) return;
+        if (this.editor.isOpen) return;
         
         if (this.input.getTouchStart()) {
             this.startNewMatch();
@@ -404,22 +1221,52 @@ export class Game {
         // Update screen effects
         this.screenEffects.update(deltaTime);
         
-        // Get time scale for slow motion
-        const timeScale = this.screenEffects.getTimeScale();
+        // The editor shows its own arena; no match runs meanwhile
+        if (this.editor.isOpen) {
+            this.input.lateUpdate();
+            this.editor.update(deltaTime);
+            this.editor.render(this.ctx);
+            requestAnimationFrame(this.gameLoop);
+            return;
+        }
+        
+        // Get time scale for slow motion (never online - peers must keep the same clock)
+        const timeScale = this.netSession ? 1 : this.screenEffects.getTimeScale();
         const scaledDelta = deltaTime * timeScale;
         
-        // Fixed timestep for physics
-        this.accumulator += scaledDelta;
+        // Fixed timestep for physics (replays run at their own speed)
+        if (this.replay && this.replayPaused) {
+            this.accumulator = 0;
+        } else {
+            this.accumulator += scaledDelta * (this.replay ? this.replaySpeed : 1);
+        }
         const fixedDelta = CONFIG.PHYSICS.FIXED_TIMESTEP;
         
         while (this.accumulator >= fixedDelta) {
+            if (this.replay && this.replay.isFinished(this.simulation.tick)) {
+                this.replayPaused = true;
+                this.accumulator = 0;
+                break;
+            }
             this.fixedUpdate(fixedDelta);
             this.accumulator -= fixedDelta;
         }
         
+        if (this.replay) {
+            this.replayControls.update(
+                this.simulation.tick,
+                this.replay.tickCount,
+                this.replayPaused,
+                this.replaySpeed,
+                fixedDelta
+            );
+        }
+        
         // Store previous input states
         this.input.lateUpdate();
         
+        this.updateScoreHud();
+        
         // Update particles (always at full speed for smoothness)
         this.particles.update();
         
@@ -431,126 +1278,111 @@ export class Game {
     }
     
     /**
-     * Fixed timestep update for physics
+     * Show the score bars while a score mode round is on (the wave counter
+     * in survival, the boss's stagger meter in a boss fight)
+     */
+    updateScoreHud() {
+        const { target } = this.roundManager.winCondition;
+        const state = this.roundManager.state;
+        const waves = this.simulation.waves;
+        const boss = this.simulation.getBoss();
+        
+        if (waves && (state === 'playing' || state === 'roundEnd')) {
+            this.ui.updateWaveHud(waves.wave, this.simulation.enemies.length + waves.queue.length, waves.isResting());
+        } else if (boss && state === 'playing') {
+            this.ui.updateBossHud(boss.stagger / CONFIG.BOSS.STAGGER_MAX, boss.isStaggered());
+        } else if (target !== null && (state === 'playing' || state === 'roundEnd')) {
+            this.ui.updateScoreHud(this.players, target, this.arena.zone?.holderId ?? null);
+        } else {
+            this.ui.hideScoreHud();
+        }
+    }
+    
+    /**
+     * Fixed timestep update - feed local (or replayed) input into the simulation
      */
     fixedUpdate(deltaTime) {
-        // Update round manager
-        this.roundManager.update(deltaTime, this.players);
+        // Online: rollback session simulates with our input and peer inputs
+        if (this.netSession) {
+            this.netSession.update(deltaTime, InputCodec.encode(this.input.getPlayerInput(0)));
+            this.finishOnlineRecording();
+            if (this.roundManager.isPlaying()) {
+                this.spawnAmbientParticles();
+            }
+            return;
+        }
         
-        // Update arena
-        this.arena.update(deltaTime, this.roundManager.isPlaying());
+        let inputs;
         
-        // Only process game logic if playing
-        if (!this.roundManager.isPlaying()) {
-            // Reset players at start of countdown (only once per countdown)
-            if (this.roundManager.state === 'countdown' && !this.roundResetDone) {
-                this.resetForRound();
-                this.roundResetDone = true;
+        if (this.replay) {
+            inputs = this.replay.getInputs(this.simulation.tick);
+        } else {
+            // Quantize live input exactly like the recording so replays reproduce it
+            const encoded = this.players.map(player => InputCodec.encode(this.getLocalInput(player, deltaTime)));
+            if (this.recorder) {
+                this.recorder.record(encoded);
             }
-            return;
+            inputs = encoded.map(input => InputCodec.decode(input));
+        }
+        
+        this.simulation.fixedUpdate(deltaTime, inputs);
+        if (this.replay) {
+            this.replay.recordSnapshot(this.simulation);
         }
         
-        // Get current modifier effects
-        const modifier = this.activeModifier;
-        const frictionMod = modifier?.friction || 1;
-        const speedMod = modifier?.speedMultiplier || 1;
-        const pushMod = modifier?.pushMultiplier || 1;
-        const bounceMod = modifier?.bounceMultiplier || 1;
+        // Keep the finished match around for instant replay
+        if (this.recorder && this.roundManager.isMatchOver()) {
+            this.lastReplay = this.recorder.finish();
+            this.recorder = null;
+        }
         
-        // Process player input and movement
+        if (this.roundManager.isPlaying()) {
+            this.spawnAmbientParticles();
+        }
+    }
+    
+    /**
+     * Keep an online match for instant replay once every tick up to its end is final
+     */
+    finishOnlineRecording() {
+        if (this.recorder && this.roundManager.isMatchOver() && this.netSession.isSettled()) {
+            this.lastReplay = this.recorder.finish();
+            this.recorder = null;
+        }
+    }
+    
+    /**
+     * Cosmetic particles that follow ongoing simulation state
+     */
+    spawnAmbientParticles() {
         for (const player of this.players) {
-            const input = this.input.getPlayerInput(player.id);
-            const result = player.handleInput(input, deltaTime, speedMod);
-            
-            // Create dash effects - ENHANCED
-            if (result && result.dashStarted) {
-                const angle = player.getMoveAngle();
-                this.particles.dashStart(
-                    player.position.x,
-                    player.position.y,
-                    angle,
-                    player.color
-                );
-                // Show dash text
-                this.ui.showDashText(player.position.x, player.position.y, player.color);
-                // Stronger screen shake
-                this.screenEffects.shake(8, 150);
-                // Brief slow-mo for impact feel
-                this.screenEffects.slowMotion(0.7, 50);
-            }
-            
-            player.update(deltaTime, this.arena, frictionMod);
-            
-            // Calculate distance from center for forced resolution
-            player.distanceFromCenter = Math.sqrt(
-                Math.pow(player.position.x - this.arena.centerX, 2) +
-                Math.pow(player.position.y - this.arena.centerY, 2)
-            );
-            
-            // Apply centrifuge force (pushes players outward from spinning)
-            if (player.isAlive && this.arena.centrifugeMode) {
-                const force = this.arena.getCentrifugeForce(player.position.x, player.position.y);
-                player.velocity.x += force.x;
-                player.velocity.y += force.y;
-                
+            if (player.isAlive) {
                 // Centrifuge spark particles
-                if (Math.random() < 0.25) {
+                if (this.arena.centrifugeMode && this.cosmeticRandom.next() < 0.25) {
                     this.particles.trail(player.position.x, player.position.y, {
                         color: '#44ff44',
                         size: 4
                     });
                 }
-            }
-            
-            // Apply sudden death force - pushes players toward center
-            if (player.isAlive && this.arena.suddenDeathActive && !this.arena.centrifugeMode) {
-                const force = this.arena.getSuddenDeathForce(player.position.x, player.position.y);
-                player.velocity.x += force.x;
-                player.velocity.y += force.y;
                 
                 // Sudden death spark particles
-                if (Math.random() < 0.3) {
+                if (this.arena.suddenDeathActive && !this.arena.centrifugeMode && this.cosmeticRandom.next() < 0.3) {
                     this.particles.trail(player.position.x, player.position.y, {
                         color: '#ff4444',
                         size: 4
                     });
                 }
-            }
-            
-            // Apply instability forces (chaos mode)
-            if (player.isAlive && this.roundManager.instabilityActive) {
-                const instForce = this.roundManager.getInstabilityForce(
-                    player.position.x, 
-                    player.position.y,
-                    { x: this.arena.centerX, y: this.arena.centerY }
-                );
-                player.velocity.x += instForce.x;
-                player.velocity.y += instForce.y;
                 
                 // Chaos particles
-                if (Math.random() < 0.15) {
+                if (this.roundManager.instabilityActive && this.cosmeticRandom.next() < 0.15) {
                     this.particles.trail(player.position.x, player.position.y, {
                         color: '#ff66ff',
                         size: 3
                     });
                 }
-            }
-            
-            // Apply idle penalty - push toward edge if idle too long
-            if (player.isIdle && player.isAlive) {
-                const centerX = this.arena.centerX;
-                const centerY = this.arena.centerY;
-                const dirX = player.position.x - centerX;
-                const dirY = player.position.y - centerY;
-                const dist = Math.sqrt(dirX * dirX + dirY * dirY);
-                if (dist > 1) {
-                    const pushForce = 0.15;
-                    player.velocity.x += (dirX / dist) * pushForce;
-                    player.velocity.y += (dirY / dist) * pushForce;
-                }
                 
-                // Warning particles
-                if (Math.random() < 0.2) {
+                // Idle warning particles
+                if (player.isIdle && this.cosmeticRandom.next() < 0.2) {
                     this.particles.trail(player.position.x, player.position.y, {
                         color: '#ff4444',
                         size: 3
@@ -567,103 +1399,10 @@ export class Game {
             }
             
             // Edge warning particles
-            if (player.nearEdge && Math.random() < player.edgeWarningIntensity * 0.3) {
+            if (player.nearEdge && this.cosmeticRandom.next() < player.edgeWarningIntensity * 0.3) {
                 this.particles.edgeWarning(player.position.x, player.position.y, player.color);
             }
         }
-        
-        // Update alive count for sudden death tracking
-        const aliveCount = this.players.filter(p => p.isAlive).length;
-        this.arena.setAliveCount(aliveCount);
-        
-        // Process collisions with effects (including damage multiplier)
-        this.processCollisionsWithEffects(pushMod, bounceMod);
-        
-        // Check arena boundaries
-        for (const player of this.players) {
-            if (Physics.checkArenaBoundary(player, this.arena)) {
-                this.onPlayerEliminated(player);
-            }
-        }
-    }
-    
-    /**
-     * Process collisions and create effects
-     */
-    processCollisionsWithEffects(pushMod = 1, bounceMod = 1) {
-        // Get damage multiplier from escalation
-        const damageMultiplier = this.roundManager.damageMultiplier || 1;
-        
-        for (let i = 0; i < this.players.length; i++) {
-            for (let j = i + 1; j < this.players.length; j++) {
-                const p1 = this.players[i];
-                const p2 = this.players[j];
-                
-                if (!p1.isAlive || !p2.isAlive) continue;
-                
-                if (Physics.checkCircleCollision(p1, p2)) {
-                    // Calculate collision intensity based on relative velocity
-                    const relVelX = p1.velocity.x - p2.velocity.x;
-                    const relVelY = p1.velocity.y - p2.velocity.y;
-                    const intensity = Math.sqrt(relVelX * relVelX + relVelY * relVelY) / 10;
-                    
-                    // Collision point
-                    const midX = (p1.position.x + p2.position.x) / 2;
-                    const midY = (p1.position.y + p2.position.y) / 2;
-                    
-                    // Create collision effects - ENHANCED
-                    if (intensity > 0.3) {
-                        this.particles.collision(midX, midY, p1.color, p2.color, intensity * damageMultiplier);
-                        this.screenEffects.impact(intensity * damageMultiplier);
-                        
-                        // Apply hit flash to players
-                        p1.onHit(intensity);
-                        p2.onHit(intensity);
-                        
-                        // Show hit text for strong impacts
-                        if (intensity > 0.8) {
-                            const hitText = damageMultiplier > 1.5 ? '💥 MEGA HIT!' : null;
-                            this.ui.showHitText(midX, midY, intensity * damageMultiplier, hitText);
-                        }
-                    }
-                    
-                    // Resolve the collision with modifiers
-                    Physics.resolveCollision(p1, p2, damageMultiplier * pushMod, bounceMod);
-                }
-            }
-        }
-    }
-    
-    /**
-     * Handle player elimination
-     */
-    onPlayerEliminated(player) {
-        // Create elimination explosion
-        this.particles.elimination(
-            player.position.x,
-            player.position.y,
-            player.color
-        );
-        
-        // Screen effects - ENHANCED
-        this.screenEffects.elimination();
-        this.arena.triggerBorderGlow();
-        
-        // Show elimination text
-        this.ui.showEliminationText(
-            player.position.x, 
-            player.position.y, 
-            player.id + 1, 
-            player.color
-        );
-        
-        // Eliminate player
-        player.eliminate();
-        this.ui.updateScoreboard(this.players);
-        
-        // Update alive counter
-        const aliveCount = this.players.filter(p => p.isAlive).length;
-        this.ui.updateAliveCounter(aliveCount, this.playerCount);
     }
     
     /**
@@ -682,9 +1421,22 @@ export class Game {
         // Render arena
         this.arena.render(ctx);
         
+        // Render power-ups on the floor
+        this.simulation.powerUps.render(ctx);
+        
+        // Render the soccer ball
+        if (this.simulation.ball) {
+            this.simulation.ball.render(ctx);
+        }
+        
         // Render particles (behind players)
         this.particles.render(ctx);
         
+        // Render survival enemies
+        for (const enemy of this.simulation.enemies) {
+            enemy.render(ctx);
+        }
+        
         // Render players
         for (const player of this.players) {
             player.render(ctx);
@@ -693,10 +1445,41 @@ export class Game {
         // Render round info
         this.renderRoundInfo();
         
+        if (this.netSession) {
+            this.renderOnlineInfo();
+        }
+        
         // Apply post-render effects (flash, vignette)
         this.screenEffects.postRender(ctx, this.canvas);
     }
     
+    /**
+     * Mark our own player and show when we are waiting on a peer
+     */
+    renderOnlineInfo() {
+        const ctx = this.ctx;
+        const player = this.players[this.netSession.localIndex];
+        
+        ctx.save();
+        ctx.textAlign = 'center';
+        
+        if (player && player.isAlive) {
+            ctx.font = 'bold 11px Arial';
+            ctx.fillStyle = player.color;
+            // Above the damage percent when that is shown
+            const labelY = player.position.y - player.radius - (player.damage > 0 ? 30 : 14);
+            ctx.fillText('YOU', player.position.x, labelY);
+        }
+        
+        if (this.netSession.stalled) {
+            ctx.font = 'bold 16px Arial';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fillText('Waiting for other players...', this.canvas.width / 2, this.canvas.height - 40);
+        }
+        
+        ctx.restore();
+    }
+    
     /**
      * Render round information
      */
@@ -706,11 +1489,18 @@ export class Game {
             this.ctx.font = '16px Arial';
             this.ctx.textAlign = 'right';
             this.ctx.fillText(
-                `Round ${this.roundManager.currentRound}`,
+                this.simulation.waves ? `Wave ${Math.max(1, this.simulation.waves.wave)}` : `Round ${this.roundManager.currentRound}`,
                 this.canvas.width - 20,
                 30
             );
             
+            // Seed for reproducing this match
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+            this.ctx.font = '11px Arial';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`Seed ${this.seed}`, 20, this.canvas.height - 15);
+            this.ctx.textAlign = 'right';
+            
             // Show damage multiplier if elevated
             if (this.roundManager.damageMultiplier > 1.1) {
                 const dmgPercent = Math.round((this.roundManager.damageMultiplier - 1) * 100);
@@ -740,7 +1530,7 @@ export class Game {
         if (this.roundManager.isPlaying()) {
             const timeUntilShrink = Math.max(0, this.arena.shrinkStartTime - this.arena.roundTime);
             
-            if (timeUntilShrink > 0 && timeUntilShrink <= 5000) {
+            if (this.arena.closesIn && timeUntilShrink > 0 && timeUntilShrink <= 5000) {
                 // Warning: arena about to shrink
                 const seconds = Math.ceil(timeUntilShrink / 1000);
                 this.ctx.font = 'bold 20px Arial';
@@ -772,9 +1562,8 @@ export class Game {
      * Set player count (2-4)
      */
     setPlayerCount(count) {
-        this.playerCount = Math.max(2, Math.min(4, count));
-        this.arena.reset(); // Reset arena bounds before recalculating spawn positions
-        this.initializePlayers();
-        this.roundResetDone = false; // Allow reset when new match starts
+        this.recorder = null; // Roster changed mid-match, recording can't be replayed
+        this.simulation.setPlayerCount(count);
+        this.ui.initScoreboard(this.players);
     }
 }
@@ -0,0 +1,88 @@
+import { Vector2 } from '../utils/Vector2.js';
+
+/**
+ * Button bit flags in an encoded input
+ */
+export const INPUT_BUTTONS = {
+    DASH: 1,
+    ACTION: 2,
+    GRAB: 4,
+    DASH_HELD: 8
+};
+
+// Movement axes are stored as integers in [-AXIS_SCALE, AXIS_SCALE]
+const AXIS_SCALE = 100;
+
+// Every button bit an encoded input may have set
+const BUTTON_MASK = Object.values(INPUT_BUTTONS).reduce((mask, bit) => mask | bit, 0);
+
+/**
+ * Compact, lossless-after-quantization encoding of a player input
+ * ({ movement, dash, dashHeld, action, grab } -> [x, y, buttons]). Live play feeds the decoded
+ * form into the simulation too, so recorded or networked inputs reproduce
+ * exactly the same simulation.
+ */
+export class InputCodec {
+    /**
+     * Encode an input object into a small integer array
+     */
+    static encode(input) {
+        const movement = input?.movement || new Vector2();
+        const x = Math.round(Math.max(-1, Math.min(1, movement.x)) * AXIS_SCALE);
+        const y = Math.round(Math.max(-1, Math.min(1, movement.y)) * AXIS_SCALE);
+        
+        let buttons = 0;
+        if (input?.dash) buttons |= INPUT_BUTTONS.DASH;
+        if (input?.action) buttons |= INPUT_BUTTONS.ACTION;
+        if (input?.grab) buttons |= INPUT_BUTTONS.GRAB;
+        if (input?.dashHeld) buttons |= INPUT_BUTTONS.DASH_HELD;
+        
+        return [x, y, buttons];
+    }
+    
+    /**
+     * Decode an encoded input back into the shape the simulation expects
+     */
+    static decode(data) {
+        if (!data) {
+            return { movement: new Vector2(), dash: false, dashHeld: false, action: false, grab: false };
+        }
+        
+        const [x, y, buttons] = data;
+        return {
+            movement: new Vector2(x / AXIS_SCALE, y / AXIS_SCALE),
+            dash: (buttons & INPUT_BUTTONS.DASH) !== 0,
+            dashHeld: (buttons & INPUT_BUTTONS.DASH_HELD) !== 0,
+            action: (buttons & INPUT_BUTTONS.ACTION) !== 0,
+            grab: (buttons & INPUT_BUTTONS.GRAB) !== 0
+        };
+    }
+    
+    /**
+     * Round-trip an input through the encoding (what remote peers and replays will see)
+     */
+    static quantize(input) {
+        return InputCodec.decode(InputCodec.encode(input));
+    }
+    
+    /**
+     * Check that data is an encoded input as encode() makes them, for inputs
+     * read from files or the network
+     */
+    static isValid(data) {
+        if (!Array.isArray(data) || data.length !== 3 || !data.every(Number.isInteger)) {
+            return false;
+        }
+        
+        const [x, y, buttons] = data;
+        return Math.abs(x) <= AXIS_SCALE && Math.abs(y) <= AXIS_SCALE &&
+            buttons >= 0 && (buttons & ~BUTTON_MASK) === 0;
+    }
+    
+    /**
+     * Compare two encoded inputs
+     */
+    static equals(a, b) {
+        return a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+    }
+}
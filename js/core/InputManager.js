@@ -21,6 +21,9 @@ export class InputManager {
     
     setupKeyboardListeners() {
         window.addEventListener('keydown', (e) => {
+            // Typing into a text field (arena name, online room) is not play
+            if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
+            
             if (!this.keys.has(e.code)) {
                 this.keyJustPressed.add(e.code);
             }
@@ -28,7 +31,7 @@ export class InputManager {
             
             // Prevent default for game keys
             if (['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 
-                 'ShiftLeft', 'ShiftRight', 'ControlRight'].includes(e.code)) {
+                 'ShiftLeft', 'ShiftRight', 'ControlRight', 'Enter', 'Slash'].includes(e.code)) {
                 e.preventDefault();
             }
         });
@@ -159,6 +162,52 @@ export class InputManager {
         return false;
     }
     
+    /**
+     * Check if the dash button is held for a player (keyboard) - charge dashes
+     * charge while it is and go off when it is let go
+     */
+    getKeyboardDashHeld(playerIndex) {
+        if (playerIndex === 0) {
+            return this.isKeyDown('ShiftLeft') || this.isKeyDown('ShiftRight');
+        } else if (playerIndex === 1) {
+            return this.isKeyDown('ControlRight');
+        } else if (playerIndex === 2) {
+            return this.isKeyDown('KeyH');
+        }
+        // Player 4: Gamepad only
+        return false;
+    }
+    
+    /**
+     * Check if the action button (brace / ground pound) is held for a player (keyboard)
+     */
+    getKeyboardAction(playerIndex) {
+        if (playerIndex === 0) {
+            return this.isKeyDown('KeyQ');
+        } else if (playerIndex === 1) {
+            return this.isKeyDown('Enter');
+        } else if (playerIndex === 2) {
+            return this.isKeyDown('KeyY');
+        }
+        // Player 4: Gamepad only
+        return false;
+    }
+    
+    /**
+     * Check if the grab button is held for a player (keyboard)
+     */
+    getKeyboardGrab(playerIndex) {
+        if (playerIndex === 0) {
+            return this.isKeyDown('KeyE');
+        } else if (playerIndex === 1) {
+            return this.isKeyDown('Slash');
+        } else if (playerIndex === 2) {
+            return this.isKeyDown('KeyU');
+        }
+        // Player 4: Gamepad only
+        return false;
+    }
+    
     /**
      * Get gamepad movement with deadzone
      */
@@ -203,6 +252,33 @@ export class InputManager {
         return isPressed && !wasPressed;
     }
     
+    /**
+     * Check if the dash button is held on gamepad
+     */
+    getGamepadDashHeld(gamepadIndex) {
+        const gamepad = this.gamepads.get(gamepadIndex);
+        if (!gamepad) return false;
+        return gamepad.buttons[CONFIG.GAMEPAD.DASH_BUTTON]?.pressed || false;
+    }
+    
+    /**
+     * Check if the action button is held on gamepad
+     */
+    getGamepadAction(gamepadIndex) {
+        const gamepad = this.gamepads.get(gamepadIndex);
+        if (!gamepad) return false;
+        return gamepad.buttons[CONFIG.GAMEPAD.ACTION_BUTTON]?.pressed || false;
+    }
+    
+    /**
+     * Check if the grab button is held on gamepad
+     */
+    getGamepadGrab(gamepadIndex) {
+        const gamepad = this.gamepads.get(gamepadIndex);
+        if (!gamepad) return false;
+        return gamepad.buttons[CONFIG.GAMEPAD.GRAB_BUTTON]?.pressed || false;
+    }
+    
     /**
      * Get combined input for a player (keyboard + gamepad + touch)
      */
@@ -210,6 +286,9 @@ export class InputManager {
         // Try keyboard first
         let movement = this.getKeyboardMovement(playerIndex);
         let dash = this.getKeyboardDash(playerIndex);
+        let dashHeld = this.getKeyboardDashHeld(playerIndex);
+        let action = this.getKeyboardAction(playerIndex);
+        let grab = this.getKeyboardGrab(playerIndex);
         
         // Check for gamepad input
         const gamepadMovement = this.getGamepadMovement(playerIndex);
@@ -224,6 +303,18 @@ export class InputManager {
             dash = true;
         }
         
+        if (this.getGamepadDashHeld(playerIndex)) {
+            dashHeld = true;
+        }
+        
+        if (this.getGamepadAction(playerIndex)) {
+            action = true;
+        }
+        
+        if (this.getGamepadGrab(playerIndex)) {
+            grab = true;
+        }
+        
         // Touch controls only affect player 1 (index 0)
         if (playerIndex === 0 && this.touch.isTouch()) {
             const touchMovement = this.touch.getMovement();
@@ -236,9 +327,21 @@ export class InputManager {
             if (touchDash) {
                 dash = true;
             }
+            
+            if (this.touch.getDashHeld()) {
+                dashHeld = true;
+            }
+            
+            if (this.touch.getAction()) {
+                action = true;
+            }
+            
+            if (this.touch.getGrab()) {
+                grab = true;
+            }
         }
         
-        return { movement, dash };
+        return { movement, dash, dashHeld, action, grab };
     }
     
     /**
@@ -2,7 +2,9 @@ import { CONFIG } from '../config.js';
 import { Vector2 } from '../utils/Vector2.js';
 
 /**
- * Physics system for collision detection and resolution
+ * Physics system for collision detection and resolution. Bodies are
+ * players, or anything with the same position, velocity, radius, isAlive,
+ * isDashing, getMass() and getKnockbackMultiplier() (the soccer ball).
  */
 export class Physics {
     /**
@@ -18,7 +20,9 @@ export class Physics {
     }
     
     /**
-     * Resolve collision between two players
+     * Resolve collision between two players. Each side's knockback is
+     * scaled by its own damage percent; a braced player counts as heavier
+     * and takes less of it.
      * @param {Player} p1 - First player
      * @param {Player} p2 - Second player
      * @param {number} damageMultiplier - Multiplier for push force (escalation)
@@ -38,15 +42,16 @@ export class Physics {
         const nx = dx / distance;
         const ny = dy / distance;
         
-        // Separate the players
+        // Separate the players, the lighter one giving way more
+        const mass1 = p1.getMass();
+        const mass2 = p2.getMass();
+        const totalMass = mass1 + mass2;
         const overlap = minDistance - distance;
-        const separationX = (overlap / 2) * nx;
-        const separationY = (overlap / 2) * ny;
         
-        p1.position.x -= separationX;
-        p1.position.y -= separationY;
-        p2.position.x += separationX;
-        p2.position.y += separationY;
+        p1.position.x -= overlap * (mass2 / totalMass) * nx;
+        p1.position.y -= overlap * (mass2 / totalMass) * ny;
+        p2.position.x += overlap * (mass1 / totalMass) * nx;
+        p2.position.y += overlap * (mass1 / totalMass) * ny;
         
         // Calculate relative velocity
         const dvx = p1.velocity.x - p2.velocity.x;
@@ -62,7 +67,6 @@ export class Physics {
         const restitution = CONFIG.PLAYER.BOUNCE_FACTOR * bounceMultiplier;
         
         // Calculate impulse scalar
-        const totalMass = p1.mass + p2.mass;
         let impulse = -(1 + restitution) * dvn / totalMass;
         
         // Apply push force with damage multiplier
@@ -79,11 +83,13 @@ export class Physics {
         const impulseX = impulse * nx;
         const impulseY = impulse * ny;
         
-        // Adjust based on mass ratio
-        p1.velocity.x += (impulseX * p2.mass);
-        p1.velocity.y += (impulseY * p2.mass);
-        p2.velocity.x -= (impulseX * p1.mass);
-        p2.velocity.y -= (impulseY * p1.mass);
+        // Adjust based on mass ratio; damaged players are knocked back harder
+        const knockback1 = p1.getKnockbackMultiplier();
+        const knockback2 = p2.getKnockbackMultiplier();
+        p1.velocity.x += (impulseX * mass2 * knockback1);
+        p1.velocity.y += (impulseY * mass2 * knockback1);
+        p2.velocity.x -= (impulseX * mass1 * knockback2);
+        p2.velocity.y -= (impulseY * mass1 * knockback2);
         
         // Add slight drag on collision to make hits feel more impactful
         const dragFactor = 0.95;
@@ -112,6 +118,147 @@ export class Physics {
         }
     }
     
+    /**
+     * Send a parried hit back: the defender stops dead, the attacker is
+     * pushed clear and flies back the way it came, at least as fast as it hit
+     * @param {number} multiplier - Share of the attacker's speed sent back
+     * @param {number} minSpeed - Pixels per tick at least (before knockback scaling)
+     */
+    static reflectHit(defender, attacker, multiplier, minSpeed) {
+        const dx = attacker.position.x - defender.position.x;
+        const dy = attacker.position.y - defender.position.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        const nx = dx / distance;
+        const ny = dy / distance;
+        
+        const minDistance = defender.radius + attacker.radius;
+        if (distance < minDistance) {
+            attacker.position.x += nx * (minDistance - distance);
+            attacker.position.y += ny * (minDistance - distance);
+        }
+        
+        const speed = Math.max(attacker.velocity.magnitude() * multiplier, minSpeed) * attacker.getKnockbackMultiplier();
+        attacker.velocity = new Vector2(nx * speed, ny * speed);
+        defender.velocity = new Vector2();
+    }
+    
+    /**
+     * Check if another player is close enough to grab
+     */
+    static isInGrabReach(grabber, target) {
+        const distance = grabber.position.distanceTo(target.position);
+        return distance < grabber.radius + target.radius + CONFIG.GRAB.REACH;
+    }
+    
+    /**
+     * Carry a held player against its holder, on the side it was grabbed
+     * from, at the holder's velocity
+     */
+    static holdPlayer(holder, held) {
+        const direction = holder.holdDirection;
+        const distance = holder.radius + held.radius;
+        
+        held.position.set(
+            holder.position.x + direction.x * distance,
+            holder.position.y + direction.y * distance
+        );
+        held.velocity = holder.velocity.clone();
+        holder.tether = { x: held.position.x, y: held.position.y };
+    }
+    
+    /**
+     * Launch a player in a direction, further the more knockback it takes
+     * @param {Vector2} direction - Unit vector
+     * @param {number} speed - Pixels per tick at no damage
+     */
+    static throwPlayer(player, direction, speed) {
+        player.velocity = direction.clone().multiply(speed * player.getKnockbackMultiplier());
+    }
+    
+    /**
+     * Shove two players apart along the line between them
+     * @param {number} speed - Pixels per tick each is pushed
+     */
+    static pushApart(p1, p2, speed) {
+        const direction = Vector2.subtract(p2.position, p1.position);
+        if (direction.magnitude() === 0) return;
+        direction.normalize();
+        
+        p1.velocity.x -= direction.x * speed;
+        p1.velocity.y -= direction.y * speed;
+        p2.velocity.x += direction.x * speed;
+        p2.velocity.y += direction.y * speed;
+    }
+    
+    /**
+     * Bounce a player off an obstacle of the arena. Obstacles are immovable,
+     * so the player takes the whole bounce, relative to the obstacle's own
+     * motion where they touch (moving and spinning obstacles bat players away).
+     * @param {Player} player
+     * @param {Arena} arena
+     * @param {number} index - Obstacle index
+     * @param {number} bounceMultiplier - Multiplier for bounce (modifier)
+     * @returns {number} Speed of the impact, 0 if none
+     */
+    static resolveObstacleCollision(player, arena, index, bounceMultiplier = 1) {
+        if (!player.isAlive) return 0;
+        
+        const contact = arena.getObstacleContact(index, player.position.x, player.position.y, player.radius);
+        if (!contact) return 0;
+        
+        const { nx, ny, depth } = contact;
+        
+        // Push the player out
+        player.position.x += nx * depth;
+        player.position.y += ny * depth;
+        
+        // Velocity of the obstacle surface at the contact point
+        const pose = arena.obstaclePoses[index];
+        const offsetX = player.position.x - nx * player.radius - pose.x;
+        const offsetY = player.position.y - ny * player.radius - pose.y;
+        const surfaceX = pose.vx - pose.spin * offsetY;
+        const surfaceY = pose.vy + pose.spin * offsetX;
+        
+        // Relative velocity along the normal; nothing to do if separating
+        const dvn = (player.velocity.x - surfaceX) * nx + (player.velocity.y - surfaceY) * ny;
+        if (dvn >= 0) return 0;
+        
+        const restitution = CONFIG.PLAYER.BOUNCE_FACTOR * bounceMultiplier;
+        player.velocity.x -= (1 + restitution) * dvn * nx;
+        player.velocity.y -= (1 + restitution) * dvn * ny;
+        
+        return -dvn;
+    }
+    
+    /**
+     * Bounce a body off the arena edge where it is a wall (soccer); the
+     * ball may go through the goal mouths
+     * @param {Player|Ball} body
+     * @param {Arena} arena
+     * @param {number} bounceMultiplier - Multiplier for bounce (modifier)
+     * @param {boolean} throughGoals - Let the body into the goals
+     * @returns {number} Speed of the impact, 0 if none
+     */
+    static resolveWallCollision(body, arena, bounceMultiplier = 1, throughGoals = false) {
+        if (!body.isAlive) return 0;
+        
+        const contact = arena.getWallContact(body.position.x, body.position.y, body.radius, throughGoals);
+        if (!contact) return 0;
+        
+        const { nx, ny, depth } = contact;
+        body.position.x += nx * depth;
+        body.position.y += ny * depth;
+        
+        const dvn = body.velocity.x * nx + body.velocity.y * ny;
+        if (dvn >= 0) return 0;
+        
+        const restitution = CONFIG.SOCCER.WALL_BOUNCE * bounceMultiplier;
+        body.velocity.x -= (1 + restitution) * dvn * nx;
+        body.velocity.y -= (1 + restitution) * dvn * ny;
+        
+        return -dvn;
+    }
+    
     /**
      * Check and handle arena boundary collisions
      * Returns true if player should be eliminated
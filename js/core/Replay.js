@@ -0,0 +1,163 @@
+import { CONFIG } from '../config.js';
+import { InputCodec } from './InputCodec.js';
+import { Simulation } from './Simulation.js';
+
+/**
+ * Replay file format version
+ */
+export const REPLAY_VERSION = 1;
+
+// Ticks between the simulation snapshots kept for seeking back
+const SNAPSHOT_INTERVAL = 300;
+
+/**
+ * Records a match as its seed, player count, match settings, config and
+ * per-tick inputs. Consecutive identical ticks are run-length encoded as
+ * [count, inputs].
+ */
+export class ReplayRecorder {
+    constructor(seed, playerCount, settings = {}) {
+        this.seed = seed;
+        this.playerCount = playerCount;
+        this.settings = { ...settings };
+        this.config = JSON.parse(JSON.stringify(CONFIG));
+        this.recordedAt = new Date().toISOString();
+        this.frames = [];
+        this.tickCount = 0;
+    }
+    
+    /**
+     * Record the encoded inputs used for one fixed step
+     */
+    record(encodedInputs) {
+        const last = this.frames[this.frames.length - 1];
+        
+        if (last && last[1].every((input, i) => InputCodec.equals(input, encodedInputs[i]))) {
+            last[0]++;
+        } else {
+            this.frames.push([1, encodedInputs.map(input => [...input])]);
+        }
+        
+        this.tickCount++;
+    }
+    
+    /**
+     * Produce the serializable replay
+     */
+    finish() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            playerCount: this.playerCount,
+            settings: this.settings,
+            config: this.config,
+            recordedAt: this.recordedAt,
+            tickCount: this.tickCount,
+            frames: this.frames
+        };
+    }
+}
+
+/**
+ * Random access to the inputs of a recorded match
+ */
+export class ReplayPlayer {
+    constructor(replay) {
+        ReplayPlayer.validate(replay);
+        
+        this.replay = replay;
+        this.seed = replay.seed;
+        this.playerCount = replay.playerCount;
+        this.settings = Simulation.normalizeSettings(replay.settings); // Older replays have none
+        
+        // Expand run-length frames into one entry per tick
+        this.ticks = [];
+        for (const [count, inputs] of replay.frames) {
+            for (let i = 0; i < count; i++) {
+                this.ticks.push(inputs);
+            }
+        }
+        this.tickCount = this.ticks.length;
+        this.snapshots = new Map(); // Simulation state by tick, filled in as playback goes
+        
+        this.configMatches = JSON.stringify(replay.config) === JSON.stringify(CONFIG);
+        if (!this.configMatches) {
+            console.warn('Replay was recorded with a different CONFIG - playback may diverge');
+        }
+    }
+    
+    /**
+     * Check a parsed replay object, throwing a descriptive error if malformed
+     */
+    static validate(replay) {
+        if (!replay || typeof replay !== 'object') {
+            throw new Error('Replay must be an object');
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay.version}`);
+        }
+        if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+            throw new Error('Replay seed must be a non-negative integer');
+        }
+        if (!Number.isInteger(replay.playerCount) || replay.playerCount < 1 || replay.playerCount > 4) {
+            throw new Error('Replay playerCount must be between 1 and 4');
+        }
+        if (replay.settings !== undefined && (typeof replay.settings !== 'object' || replay.settings === null)) {
+            throw new Error('Replay settings must be an object');
+        }
+        if (!Array.isArray(replay.frames)) {
+            throw new Error('Replay frames must be an array');
+        }
+        replay.frames.forEach((frame, index) => {
+            if (!Array.isArray(frame) || !Number.isInteger(frame[0]) || frame[0] < 1 ||
+                !Array.isArray(frame[1]) || frame[1].length !== replay.playerCount) {
+                throw new Error(`Replay frame ${index} is malformed`);
+            }
+            frame[1].forEach((input, player) => {
+                if (!InputCodec.isValid(input)) {
+                    throw new Error(`Replay frame ${index} has a malformed input for player ${player + 1}`);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Decoded inputs for a tick (empty inputs past the end)
+     */
+    getInputs(tick) {
+        const encoded = this.ticks[tick];
+        if (!encoded) {
+            return new Array(this.playerCount).fill(null).map(() => InputCodec.decode(null));
+        }
+        return encoded.map(input => InputCodec.decode(input));
+    }
+    
+    /**
+     * Keep the simulation state at the start and every SNAPSHOT_INTERVAL
+     * ticks, so seeking back only re-simulates from the nearest one
+     */
+    recordSnapshot(simulation) {
+        const tick = simulation.tick;
+        if (tick % SNAPSHOT_INTERVAL === 0 && !this.snapshots.has(tick)) {
+            this.snapshots.set(tick, simulation.saveState());
+        }
+    }
+    
+    /**
+     * Latest snapshot at or before a tick (null if there is none yet)
+     */
+    getSnapshot(tick) {
+        for (let t = tick - tick % SNAPSHOT_INTERVAL; t >= 0; t -= SNAPSHOT_INTERVAL) {
+            const snapshot = this.snapshots.get(t);
+            if (snapshot) return snapshot;
+        }
+        return null;
+    }
+    
+    /**
+     * Check if playback has consumed every recorded tick
+     */
+    isFinished(tick) {
+        return tick >= this.tickCount;
+    }
+}
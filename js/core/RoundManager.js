@@ -1,10 +1,17 @@
 import { CONFIG } from '../config.js';
+import { Random } from '../utils/Random.js';
+import { StateSnapshot } from '../utils/StateSnapshot.js';
+import { LastStanding } from './WinConditions.js';
 
 /**
  * Manages rounds and match state with escalation mechanics
  */
 export class RoundManager {
-    constructor() {
+    /**
+     * @param {Random} random - Gameplay random stream (modifier selection)
+     */
+    constructor(random = new Random()) {
+        this.random = random;
         this.currentRound = 0;
         this.state = 'waiting'; // waiting, countdown, playing, roundEnd, matchEnd
         this.countdownValue = 0;
@@ -12,6 +19,10 @@ export class RoundManager {
         this.roundEndTimer = 0;
         this.winner = null;
         this.roundWinner = null;
+        this.roundEndReason = null; // Why the last round ended (the win condition's reason)
+        
+        // How rounds are won (set per game mode)
+        this.winCondition = new LastStanding();
         
         // Round time tracking for escalation
         this.roundTime = 0;
@@ -40,18 +51,43 @@ export class RoundManager {
         this.onCentrifugeStart = null;
     }
     
+    /**
+     * Decide rounds by another win condition (see WinConditions.js)
+     */
+    setWinCondition(winCondition) {
+        this.winCondition = winCondition;
+    }
+    
     /**
      * Get a random modifier for the round (with some probability of standard)
      */
     getRandomModifier() {
         // 40% chance of standard round, 60% chance of modifier
-        if (Math.random() < 0.4) {
+        if (this.random.chance(0.4)) {
             return CONFIG.MODIFIERS.NONE;
         }
-        const key = this.modifierKeys[Math.floor(Math.random() * this.modifierKeys.length)];
+        const key = this.random.pick(this.modifierKeys);
         return { key, ...CONFIG.MODIFIERS[key] };
     }
     
+    /**
+     * Return to the waiting state without finishing the match
+     */
+    reset() {
+        this.currentRound = 0;
+        this.state = 'waiting';
+        this.winner = null;
+        this.roundWinner = null;
+        this.roundEndReason = null;
+        this.roundTime = 0;
+        this.currentModifier = null;
+        this.damageMultiplier = CONFIG.ESCALATION.BASE_DAMAGE_MULTIPLIER;
+        this.instabilityActive = false;
+        this.finalCountdownActive = false;
+        this.finalCountdownTime = 0;
+        this.centrifugeActive = false;
+    }
+    
     /**
      * Start a new match
      */
@@ -70,6 +106,7 @@ export class RoundManager {
         this.countdownTimer = 1000; // 1 second per count
         this.state = 'countdown';
         this.roundWinner = null;
+        this.roundEndReason = null;
         
         // Reset escalation state
         this.roundTime = 0;
@@ -155,18 +192,20 @@ export class RoundManager {
         this.roundTime += deltaTime;
         
         // Update damage multiplier based on time
-        this.updateDamageMultiplier();
+        if (this.winCondition.escalates) {
+            this.updateDamageMultiplier();
+        }
         
         // Check for instability activation
-        if (!this.instabilityActive && this.roundTime >= CONFIG.ESCALATION.INSTABILITY_START) {
+        if (this.winCondition.escalates && !this.instabilityActive && this.roundTime >= CONFIG.ESCALATION.INSTABILITY_START) {
             this.instabilityActive = true;
             if (this.onEscalation) {
                 this.onEscalation('instability', 'CHAOS MODE! Random forces active!');
             }
         }
         
-        // Check for final countdown (guaranteed end)
-        if (!this.finalCountdownActive && this.roundTime >= CONFIG.ESCALATION.FINAL_COUNTDOWN_START) {
+        // Check for final countdown (guaranteed end, unless the mode ends rounds itself)
+        if (this.winCondition.timeLimit && !this.finalCountdownActive && this.roundTime >= CONFIG.ESCALATION.FINAL_COUNTDOWN_START) {
             this.finalCountdownActive = true;
             this.finalCountdownTime = CONFIG.ESCALATION.FINAL_COUNTDOWN_DURATION;
             if (this.onFinalCountdown) {
@@ -233,35 +272,21 @@ export class RoundManager {
     }
     
     /**
-     * Force round to end - trigger centrifuge tiebreaker if multiple alive
+     * Force round to end - the win condition decides, or the centrifuge
+     * tiebreaker starts if it can't
      */
     forceRoundEnd(players) {
-        const alivePlayers = players.filter(p => p.isAlive);
+        const result = this.winCondition.getTimeoutResult(players);
+        if (result) {
+            this.endRound(result, players);
+            return;
+        }
         
-        if (alivePlayers.length === 0) {
-            // All dead - no winner
-            this.roundWinner = null;
-            this.state = 'roundEnd';
-            this.roundEndTimer = CONFIG.ROUNDS.ROUND_END_DELAY;
-            if (this.onRoundEnd) {
-                this.onRoundEnd(this.roundWinner, this.currentRound, 'timeout');
-            }
-        } else if (alivePlayers.length === 1) {
-            // Single survivor
-            this.roundWinner = alivePlayers[0];
-            this.roundWinner.addWin();
-            this.state = 'roundEnd';
-            this.roundEndTimer = CONFIG.ROUNDS.ROUND_END_DELAY;
-            if (this.onRoundEnd) {
-                this.onRoundEnd(this.roundWinner, this.currentRound, 'timeout');
-            }
-        } else {
-            // Multiple alive - trigger centrifuge tiebreaker!
-            this.centrifugeActive = true;
-            this.finalCountdownActive = false; // Stop the countdown
-            if (this.onCentrifugeStart) {
-                this.onCentrifugeStart();
-            }
+        // Several sides still in it - trigger centrifuge tiebreaker!
+        this.centrifugeActive = true;
+        this.finalCountdownActive = false; // Stop the countdown
+        if (this.onCentrifugeStart) {
+            this.onCentrifugeStart();
         }
     }
     
@@ -269,20 +294,41 @@ export class RoundManager {
      * Check if round should end
      */
     checkRoundEnd(players) {
-        const alivePlayers = players.filter(p => p.isAlive);
+        const result = this.winCondition.checkRoundEnd(players);
+        if (result) {
+            this.endRound(result, players);
+        }
+    }
+    
+    /**
+     * End the round with a win condition result, crediting the winner's side
+     */
+    endRound({ winner, reason }, players) {
+        this.roundWinner = winner;
+        this.roundEndReason = reason;
+        if (winner) {
+            this.awardRound(winner, players);
+        }
         
-        if (alivePlayers.length <= 1) {
-            this.roundWinner = alivePlayers.length === 1 ? alivePlayers[0] : null;
-            
-            if (this.roundWinner) {
-                this.roundWinner.addWin();
-            }
-            
-            this.state = 'roundEnd';
-            this.roundEndTimer = CONFIG.ROUNDS.ROUND_END_DELAY;
-            
-            if (this.onRoundEnd) {
-                this.onRoundEnd(this.roundWinner, this.currentRound, 'knockout');
+        this.state = 'roundEnd';
+        this.roundEndTimer = CONFIG.ROUNDS.ROUND_END_DELAY;
+        
+        if (this.onRoundEnd) {
+            this.onRoundEnd(winner, this.currentRound, reason);
+        }
+    }
+    
+    /**
+     * Give the round to the winner - and to every teammate, eliminated or not
+     */
+    awardRound(winner, players) {
+        if (winner.team === null) {
+            winner.addWin();
+            return;
+        }
+        for (const player of players) {
+            if (player.team === winner.team) {
+                player.addWin();
             }
         }
     }
@@ -294,10 +340,10 @@ export class RoundManager {
         this.roundEndTimer -= deltaTime;
         
         if (this.roundEndTimer <= 0) {
-            // Check for match winner
-            const matchWinner = players.find(p => p.hasWonMatch());
+            // Check for match winner (single round modes end without one)
+            const matchWinner = players.find(p => p.hasWonMatch()) ?? null;
             
-            if (matchWinner) {
+            if (matchWinner || this.winCondition.singleRound) {
                 this.winner = matchWinner;
                 this.state = 'matchEnd';
                 this.roundEndTimer = CONFIG.ROUNDS.MATCH_END_DELAY;
@@ -312,6 +358,26 @@ export class RoundManager {
         }
     }
     
+    /**
+     * Snapshot round state; winners are stored by player id
+     */
+    getState() {
+        const state = StateSnapshot.capture(this, ['random', 'modifierKeys', 'winCondition', 'winner', 'roundWinner']);
+        state.winnerId = this.winner ? this.winner.id : null;
+        state.roundWinnerId = this.roundWinner ? this.roundWinner.id : null;
+        return state;
+    }
+    
+    /**
+     * Restore a snapshot taken with getState
+     */
+    setState(state, players) {
+        const { winnerId, roundWinnerId, ...rest } = state;
+        StateSnapshot.restore(this, rest);
+        this.winner = winnerId === null ? null : players[winnerId];
+        this.roundWinner = roundWinnerId === null ? null : players[roundWinnerId];
+    }
+    
     /**
      * Check if game is in playing state
      */
@@ -343,6 +409,7 @@ export class RoundManager {
             countdown: this.countdownValue,
             winner: this.winner,
             roundWinner: this.roundWinner,
+            roundEndReason: this.roundEndReason,
             modifier: this.currentModifier,
             roundTime: this.roundTime,
             damageMultiplier: this.damageMultiplier,
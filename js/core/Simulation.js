@@ -0,0 +1,1438 @@
+import { CONFIG } from '../config.js';
+import { Physics } from './Physics.js';
+import { RoundManager } from './RoundManager.js';
+import { createWinCondition } from './WinConditions.js';
+import { Arena } from '../entities/Arena.js';
+import { Player } from '../entities/Player.js';
+import { ArenaLoader } from '../entities/ArenaLoader.js';
+import { Ball } from '../entities/Ball.js';
+import { PowerUps } from '../entities/PowerUps.js';
+import { createEnemy } from '../entities/Enemy.js';
+import { WaveSpawner } from './WaveSpawner.js';
+import { Vector2 } from '../utils/Vector2.js';
+import { Random } from '../utils/Random.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { StateSnapshot } from '../utils/StateSnapshot.js';
+
+/**
+ * Headless simulation core - players, arena, physics and round rules.
+ * Touches neither the DOM nor a canvas, so it can be stepped from Node
+ * with injected inputs. Everything presentational is announced as events:
+ *
+ *   countdownTick(value), matchStart(seed), roundReset(), roundStart(round, modifier),
+ *   modifierAnnounce(modifier), escalation(type, message), finalCountdown(seconds),
+ *   centrifugeStart(), roundEnd(winner, round, reason), matchEnd(winner),
+ *   dash(player, direction), brace(player), groundPound(player, info), grab(player, target),
+ *   throw(player, target, info), grabEscape(player, holder), parry(player, attacker, info),
+ *   collision(p1, p2, info), obstacleHit(player, info),
+ *   hazard(player, type, info), powerUp(player, type, info), powerUpEnd(player, type),
+ *   shieldBlock(player, info), shockwave(player, info), zoneMove(zone), zoneTaken(player),
+ *   kick(player, info), goal(team, scorer, info), bombArmed(player), bombPass(from, to),
+ *   explosion(player, info), waveStart(wave, count), waveCleared(wave), enemyHit(player, enemy, info),
+ *   enemySplit(enemy, halves), enemyDown(enemy), bossTelegraph(boss, attack), bossAttack(boss, attack, info),
+ *   bossStagger(boss), elimination(player, aliveCount), respawn(player)
+ */
+export class Simulation extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.width = options.width || CONFIG.CANVAS_WIDTH;
+        this.height = options.height || CONFIG.CANVAS_HEIGHT;
+        
+        // Gameplay randomness comes only from `rng`; visual variation that lives
+        // in simulation state (pulse phases) uses a separate cosmetic stream
+        this.rng = new Random();
+        this.cosmeticRng = new Random();
+        this.setSeed(options.seed ?? Random.generateSeed());
+        
+        this.roundManager = new RoundManager(this.rng);
+        this.arena = new Arena(this.width, this.height);
+        
+        // Match rules chosen before the match (mode, teams, friendly collisions, stocks, damage, power-ups, arena, characters)
+        this.settings = Simulation.normalizeSettings(options.settings);
+        this.arena.load(Simulation.getArenaDefinition(this.settings));
+        this.teams = null; // Team index per player id, or null in free-for-all
+        
+        this.playerCount = Simulation.clampPlayerCount(options.playerCount || 2, this.settings.mode);
+        this.players = [];
+        
+        // The soccer ball (null in other modes) and ms left of the pause after a goal
+        this.ball = null;
+        this.kickoffTimer = 0;
+        
+        // Hot Potato: ms until the next bomb is handed out while nobody carries one
+        this.bombDelay = 0;
+        
+        // Co-op modes: enemies on the arena (the boss in a boss fight) and the
+        // survival waves sending them (null in other modes); ids are unique
+        // within the run
+        this.enemies = [];
+        this.waves = null;
+        this.nextEnemyId = 0;
+        this.applyMode();
+        
+        // Power-ups lying on the floor (only spawn when the match allows them)
+        this.powerUps = new PowerUps();
+        
+        // Current round modifier effects
+        this.activeModifier = null;
+        
+        // Players are reset once at the start of every countdown
+        this.roundResetDone = false;
+        
+        // Number of fixed steps simulated so far
+        this.tick = 0;
+        
+        // While muted no events are emitted (used when fast-forwarding)
+        this.muted = false;
+        
+        // Optional (event, args) => boolean; rollback uses it to drop repeated events
+        this.eventFilter = null;
+        
+        this.setupRoundCallbacks();
+        this.initializePlayers();
+    }
+    
+    /**
+     * Clamp a requested player count to the range a game mode supports
+     * (2-4, or from its `minPlayers`)
+     */
+    static clampPlayerCount(count, mode = 'CLASSIC') {
+        return Math.max(CONFIG.MODES[mode].minPlayers ?? 2, Math.min(4, count));
+    }
+    
+    /**
+     * Fill in defaults for match settings, throwing on unknown values
+     */
+    static normalizeSettings(settings = {}) {
+        const normalized = {
+            mode: settings.mode ?? 'CLASSIC',
+            teamLayout: settings.teamLayout ?? null,
+            friendlyCollision: settings.friendlyCollision ?? 'REDUCED',
+            stocks: settings.stocks ?? 1,
+            damagePercent: settings.damagePercent ?? true,
+            powerUps: settings.powerUps ?? true,
+            // TAP: dash on the press; CHARGE: hold to charge, let go to dash
+            dashMode: settings.dashMode ?? 'TAP',
+            // A built-in arena key or a full arena definition (custom arena files);
+            // replays from before arena files name it `arenaShape`
+            arena: settings.arena ?? settings.arenaShape ?? 'RECTANGLE',
+            // Character per player slot
+            characters: settings.characters ?? []
+        };
+        
+        if (!CONFIG.MODES[normalized.mode]) {
+            throw new Error(`Unknown game mode: ${normalized.mode}`);
+        }
+        if (normalized.teamLayout !== null && !CONFIG.TEAMS.LAYOUTS[normalized.teamLayout]) {
+            throw new Error(`Unknown team layout: ${normalized.teamLayout}`);
+        }
+        if (!(normalized.friendlyCollision in CONFIG.TEAMS.FRIENDLY_COLLISION)) {
+            throw new Error(`Unknown friendly collision setting: ${normalized.friendlyCollision}`);
+        }
+        if (!Number.isInteger(normalized.stocks) || normalized.stocks < 1 || normalized.stocks > CONFIG.STOCKS.MAX) {
+            throw new Error(`Stocks must be a whole number from 1 to ${CONFIG.STOCKS.MAX}`);
+        }
+        if (typeof normalized.damagePercent !== 'boolean') {
+            throw new Error('damagePercent must be true or false');
+        }
+        if (typeof normalized.powerUps !== 'boolean') {
+            throw new Error('powerUps must be true or false');
+        }
+        if (normalized.dashMode !== 'TAP' && normalized.dashMode !== 'CHARGE') {
+            throw new Error(`Unknown dash mode: ${normalized.dashMode}`);
+        }
+        if (typeof normalized.arena === 'string') {
+            if (!CONFIG.ARENA.PRESETS[normalized.arena]) {
+                throw new Error(`Unknown arena: ${normalized.arena}`);
+            }
+        } else {
+            normalized.arena = ArenaLoader.normalize(normalized.arena);
+        }
+        if (!Array.isArray(normalized.characters)) {
+            throw new Error('characters must be a list of character names');
+        }
+        normalized.characters = CONFIG.PLAYER.COLORS.map((color, i) => normalized.characters[i] ?? 'BLOB');
+        for (const character of normalized.characters) {
+            if (!CONFIG.CHARACTERS[character]) {
+                throw new Error(`Unknown character: ${character}`);
+            }
+        }
+        return normalized;
+    }
+    
+    /**
+     * Team index per player for a layout, or null if it doesn't fit the player
+     * count. Soccer always has two teams: without a fitting layout players
+     * alternate between them.
+     */
+    static getTeamAssignments(settings, playerCount) {
+        const layout = settings.teamLayout ? CONFIG.TEAMS.LAYOUTS[settings.teamLayout] : null;
+        if (layout && layout.teams.length === playerCount) return [...layout.teams];
+        if (settings.mode === 'SOCCER') {
+            return Array.from({ length: playerCount }, (_, i) => i % 2);
+        }
+        return null;
+    }
+    
+    /**
+     * Full arena definition for normalized settings
+     */
+    static getArenaDefinition(settings) {
+        if (typeof settings.arena === 'string') {
+            return ArenaLoader.normalize(CONFIG.ARENA.PRESETS[settings.arena]);
+        }
+        return settings.arena;
+    }
+    
+    /**
+     * Damage percent a hit deals to `target`: more when the attacker dashed,
+     * a small share when the target was the one dashing
+     */
+    static getHitDamage(intensity, attacker, target) {
+        let damage = intensity * CONFIG.DAMAGE.PER_INTENSITY;
+        if (attacker.isDashing) damage *= CONFIG.DAMAGE.DASH_MULTIPLIER;
+        if (target.isDashing) damage *= CONFIG.DAMAGE.ATTACKER_SHARE;
+        return Math.min(damage, CONFIG.DAMAGE.MAX_PER_HIT);
+    }
+    
+    /**
+     * Which of two colliding players parries the other's dash, if either: the
+     * one whose dash or brace started last, within the parry window, against
+     * a dashing attacker. Simultaneous starts parry nothing.
+     * @returns {{defender: Player, attacker: Player}|null}
+     */
+    static getParry(p1, p2) {
+        if (p2.isDashing && p1.parryTime > Math.max(0, p2.parryTime) && !p1.isHeld()) {
+            return { defender: p1, attacker: p2 };
+        }
+        if (p1.isDashing && p2.parryTime > Math.max(0, p1.parryTime) && !p2.isHeld()) {
+            return { defender: p2, attacker: p1 };
+        }
+        return null;
+    }
+    
+    /**
+     * Emit an event unless the simulation is muted
+     */
+    emit(event, ...args) {
+        if (this.muted) return;
+        if (this.eventFilter && !this.eventFilter(event, args)) return;
+        super.emit(event, ...args);
+    }
+    
+    /**
+     * Derive a second seed so the cosmetic stream never mirrors gameplay draws
+     */
+    static cosmeticSeed(seed) {
+        return (seed ^ 0x9E3779B9) >>> 0;
+    }
+    
+    /**
+     * Input used for players that have nothing injected this step
+     */
+    static emptyInput() {
+        return { movement: new Vector2(), dash: false, dashHeld: false, action: false, grab: false };
+    }
+    
+    /**
+     * Initialize players at spawn positions
+     */
+    initializePlayers() {
+        this.players = [];
+        this.teams = Simulation.getTeamAssignments(this.settings, this.playerCount);
+        const spawnPositions = this.arena.getSpawnPositions(this.playerCount, this.teams);
+        
+        for (let i = 0; i < this.playerCount; i++) {
+            const spawn = spawnPositions[i];
+            const color = CONFIG.PLAYER.COLORS[i];
+            const player = new Player(i, spawn.x, spawn.y, color, this.cosmeticRng);
+            player.setCharacter(this.settings.characters[i]);
+            player.team = this.teams ? this.teams[i] : null;
+            player.maxStocks = this.settings.stocks;
+            player.stocks = player.maxStocks;
+            player.damageEnabled = this.settings.damagePercent;
+            player.chargeDash = this.settings.dashMode === 'CHARGE';
+            this.players.push(player);
+        }
+        
+        this.roundResetDone = false; // Ensure reset happens when match starts
+    }
+    
+    /**
+     * Set up what the game mode brings: its win condition, for soccer the
+     * ball and walls with goals, for survival the waves and for a boss
+     * fight the boss. Neither soccer nor the co-op modes let the arena close in.
+     */
+    applyMode() {
+        const soccer = this.settings.mode === 'SOCCER';
+        const coop = CONFIG.MODES[this.settings.mode].coop ?? false;
+        this.roundManager.setWinCondition(createWinCondition(this.settings.mode));
+        this.arena.setWalls(soccer, soccer ? CONFIG.SOCCER.GOAL_WIDTH : 0);
+        this.arena.setClosesIn(!soccer && !coop);
+        this.ball = soccer ? new Ball(this.arena.centerX, this.arena.centerY) : null;
+        this.waves = this.settings.mode === 'SURVIVAL' ? new WaveSpawner() : null;
+        this.resetEnemies();
+    }
+    
+    /**
+     * Set player count (2-4, from 1 in co-op modes) and rebuild the roster
+     */
+    setPlayerCount(count) {
+        this.playerCount = Simulation.clampPlayerCount(count, this.settings.mode);
+        this.arena.reset(); // Reset arena bounds before recalculating spawn positions
+        this.initializePlayers();
+    }
+    
+    /**
+     * Change match settings and rebuild the roster (teams may change)
+     */
+    setSettings(settings) {
+        this.settings = Simulation.normalizeSettings(settings);
+        this.arena.load(Simulation.getArenaDefinition(this.settings));
+        this.applyMode();
+        this.playerCount = Simulation.clampPlayerCount(this.playerCount, this.settings.mode);
+        this.initializePlayers();
+    }
+    
+    /**
+     * Check if two players are on the same team (never in free-for-all; in
+     * co-op modes all players are, against the enemies)
+     */
+    areTeammates(p1, p2) {
+        if (CONFIG.MODES[this.settings.mode].coop) {
+            return p1 instanceof Player && p2 instanceof Player;
+        }
+        return p1.team !== null && p1.team === p2.team;
+    }
+    
+    /**
+     * Reseed both random streams; the seed alone reproduces a match
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.rng.setSeed(this.seed);
+        this.cosmeticRng.setSeed(Simulation.cosmeticSeed(this.seed));
+    }
+    
+    /**
+     * Wire round manager callbacks to simulation state and events
+     */
+    setupRoundCallbacks() {
+        this.roundManager.onCountdownTick = (value) => {
+            this.emit('countdownTick', value);
+        };
+        
+        this.roundManager.onRoundStart = (round, modifier) => {
+            this.roundResetDone = false; // Allow reset for next round
+            this.activeModifier = modifier;
+            
+            // Apply modifier to arena if needed
+            if (modifier && modifier.key === 'TINY_ARENA') {
+                this.arena.setScale(modifier.arenaScale);
+            } else if (modifier && modifier.key === 'FAST_SHRINK') {
+                this.arena.setShrinkSpeed(modifier.shrinkSpeed);
+            }
+            
+            this.emit('roundStart', round, modifier);
+        };
+        
+        this.roundManager.onModifierAnnounce = (modifier) => {
+            this.emit('modifierAnnounce', modifier);
+        };
+        
+        this.roundManager.onEscalation = (type, message) => {
+            this.emit('escalation', type, message);
+        };
+        
+        this.roundManager.onFinalCountdown = (seconds) => {
+            this.emit('finalCountdown', seconds);
+        };
+        
+        this.roundManager.onCentrifugeStart = () => {
+            this.arena.activateCentrifuge();
+            this.emit('centrifugeStart');
+        };
+        
+        this.roundManager.onRoundEnd = (winner, round, reason) => {
+            this.activeModifier = null;
+            this.emit('roundEnd', winner, round, reason);
+        };
+        
+        this.roundManager.onMatchEnd = (winner) => {
+            this.emit('matchEnd', winner);
+        };
+    }
+    
+    /**
+     * Start a new match
+     * @param {number} seed - Match seed, a fresh one is generated if omitted
+     */
+    startNewMatch(seed = Random.generateSeed()) {
+        this.setSeed(seed);
+        this.tick = 0;
+        
+        // Reset arena to original bounds
+        this.arena.reset();
+        this.arena.shuffleFloor(this.rng);
+        this.powerUps.reset();
+        this.resetZone();
+        this.resetBall();
+        this.resetEnemies();
+        this.bombDelay = CONFIG.BOMB.FIRST_DELAY;
+        
+        // Update spawn positions and reset players
+        const spawnPositions = this.arena.getSpawnPositions(this.playerCount, this.teams);
+        for (let i = 0; i < this.players.length; i++) {
+            const spawn = spawnPositions[i];
+            this.players[i].setSpawnPosition(spawn.x, spawn.y);
+            this.players[i].wins = 0;
+            this.players[i].reset();
+            this.players[i].randomizePulsePhase(this.cosmeticRng);
+        }
+        
+        this.activeModifier = null;
+        this.roundResetDone = true; // Mark as done so countdown doesn't reset again
+        this.emit('matchStart', this.seed);
+        this.roundManager.startMatch();
+    }
+    
+    /**
+     * Abandon the current match and return to the waiting state
+     */
+    abortMatch() {
+        this.roundManager.reset();
+        this.arena.reset();
+        this.powerUps.reset();
+        this.resetEnemies();
+        for (const player of this.players) {
+            player.wins = 0;
+            player.reset();
+        }
+        this.activeModifier = null;
+        this.roundResetDone = false;
+    }
+    
+    /**
+     * Reset players for new round
+     */
+    resetForRound() {
+        // Reset arena first to restore original bounds
+        this.arena.reset();
+        this.arena.shuffleFloor(this.rng);
+        this.powerUps.reset();
+        this.resetZone();
+        this.resetBall();
+        this.resetEnemies();
+        this.bombDelay = CONFIG.BOMB.FIRST_DELAY;
+        
+        // Update spawn positions based on reset arena and reset players
+        const spawnPositions = this.arena.getSpawnPositions(this.playerCount, this.teams);
+        for (let i = 0; i < this.players.length; i++) {
+            const spawn = spawnPositions[i];
+            this.players[i].setSpawnPosition(spawn.x, spawn.y);
+            this.players[i].reset();
+        }
+        
+        this.emit('roundReset');
+    }
+    
+    /**
+     * Snapshot everything needed to resume from this tick (for rollback)
+     */
+    saveState() {
+        return {
+            tick: this.tick,
+            rng: this.rng.getState(),
+            cosmeticRng: this.cosmeticRng.getState(),
+            activeModifier: StateSnapshot.cloneValue(this.activeModifier),
+            roundResetDone: this.roundResetDone,
+            roundManager: this.roundManager.getState(),
+            arena: this.arena.getState(),
+            powerUps: this.powerUps.getState(),
+            ball: this.ball ? this.ball.getState() : null,
+            kickoffTimer: this.kickoffTimer,
+            bombDelay: this.bombDelay,
+            enemies: this.enemies.map(enemy => enemy.getState()),
+            waves: this.waves ? this.waves.getState() : null,
+            nextEnemyId: this.nextEnemyId,
+            players: this.players.map(player => player.getState())
+        };
+    }
+    
+    /**
+     * Rewind to a snapshot taken with saveState
+     */
+    loadState(state) {
+        this.tick = state.tick;
+        this.rng.setState(state.rng);
+        this.cosmeticRng.setState(state.cosmeticRng);
+        this.activeModifier = StateSnapshot.cloneValue(state.activeModifier);
+        this.roundResetDone = state.roundResetDone;
+        this.roundManager.setState(state.roundManager, this.players);
+        this.arena.setState(state.arena);
+        this.powerUps.setState(state.powerUps);
+        if (this.ball) this.ball.setState(state.ball);
+        this.kickoffTimer = state.kickoffTimer;
+        this.bombDelay = state.bombDelay;
+        this.enemies = state.enemies.map(enemyState => {
+            const enemy = createEnemy(enemyState.id, enemyState.type, 0, 0);
+            enemy.setState(enemyState);
+            return enemy;
+        });
+        if (this.waves) this.waves.setState(state.waves);
+        this.nextEnemyId = state.nextEnemyId;
+        state.players.forEach((playerState, i) => this.players[i].setState(playerState));
+    }
+    
+    /**
+     * Advance the simulation by one fixed step
+     * @param {number} deltaTime - Step length in ms
+     * @param {Array<{movement: Vector2, dash: boolean, action: boolean}>} inputs - Input per player id
+     */
+    fixedUpdate(deltaTime, inputs = []) {
+        this.tick++;
+        
+        // Update round manager
+        this.roundManager.update(deltaTime, this.players);
+        
+        // Update arena
+        this.arena.update(deltaTime, this.roundManager.isPlaying());
+        for (const player of this.players) {
+            player.updateGhost(deltaTime);
+        }
+        
+        // Only process game logic if playing
+        if (!this.roundManager.isPlaying()) {
+            // Reset players at start of countdown (only once per countdown)
+            if (this.roundManager.state === 'countdown' && !this.roundResetDone) {
+                this.resetForRound();
+                this.roundResetDone = true;
+            }
+            return;
+        }
+        
+        // Everyone stands still for the kickoff after a goal
+        if (this.kickoffTimer > 0) {
+            this.kickoffTimer -= deltaTime;
+            return;
+        }
+        
+        // Get current modifier effects
+        const modifier = this.activeModifier;
+        const frictionMod = modifier?.friction || 1;
+        const speedMod = modifier?.speedMultiplier || 1;
+        const pushMod = modifier?.pushMultiplier || 1;
+        const bounceMod = modifier?.bounceMultiplier || 1;
+        
+        // Bring back players who lost a stock
+        this.updateRespawns(deltaTime);
+        
+        // Process player input and movement
+        for (const player of this.players) {
+            const input = inputs[player.id] || Simulation.emptyInput();
+            const result = player.handleInput(input, deltaTime, speedMod);
+            
+            if (result && result.dashStarted) {
+                this.emit('dash', player, result.direction);
+            }
+            if (result && result.braceStarted) {
+                this.emit('brace', player);
+            }
+            if (result && result.groundPound) {
+                this.groundPound(player);
+            }
+            if (result && result.grabPressed) {
+                this.handleGrab(player, input.movement);
+            }
+            
+            player.update(deltaTime, this.arena, frictionMod);
+            for (const type of player.isAlive ? player.updatePowerUps(deltaTime) : []) {
+                this.emit('powerUpEnd', player, type);
+            }
+            
+            // Calculate distance from center for forced resolution
+            player.distanceFromCenter = Math.sqrt(
+                Math.pow(player.position.x - this.arena.centerX, 2) +
+                Math.pow(player.position.y - this.arena.centerY, 2)
+            );
+            
+            this.applyEnvironmentForces(player);
+            this.applyHazards(player, deltaTime);
+            if (player.isAlive) {
+                this.arena.wearFloor(player.position.x, player.position.y, deltaTime);
+            }
+        }
+        
+        this.updateGrabs(deltaTime);
+        
+        for (const enemy of this.enemies) {
+            const action = enemy.update(deltaTime, this.getEnemyTarget(enemy), frictionMod, this.arena);
+            if (action) {
+                this.handleBossAction(enemy, action);
+            }
+        }
+        
+        if (this.settings.powerUps) {
+            this.updatePowerUps(deltaTime);
+        }
+        
+        // Update alive count for sudden death tracking
+        this.arena.setAliveCount(this.getAliveCount());
+        
+        // Process collisions (including damage multiplier)
+        this.processCollisions(pushMod, bounceMod);
+        if (this.enemies.length > 0) {
+            this.processEnemyCollisions(pushMod, bounceMod);
+        }
+        this.processObstacleCollisions(bounceMod);
+        
+        // Soccer: the walls hold everyone in and the ball is in play
+        if (this.arena.bouncyWalls) {
+            for (const player of this.players) {
+                Physics.resolveWallCollision(player, this.arena, bounceMod);
+            }
+        }
+        if (this.ball) {
+            this.updateBall(frictionMod, pushMod, bounceMod);
+        }
+        
+        // Check arena boundaries
+        for (const player of this.players) {
+            if (Physics.checkArenaBoundary(player, this.arena)) {
+                this.eliminatePlayer(player);
+            }
+        }
+        for (const enemy of [...this.enemies]) {
+            if (Physics.checkArenaBoundary(enemy, this.arena)) {
+                this.defeatEnemy(enemy);
+            }
+        }
+        
+        if (this.arena.zone) {
+            this.updateZone(deltaTime);
+        }
+        if (this.settings.mode === 'HOT_POTATO') {
+            this.updateBomb(deltaTime);
+        }
+        if (this.waves) {
+            this.updateWaves(deltaTime);
+        }
+    }
+    
+    /**
+     * Apply arena and escalation forces to a single player
+     */
+    applyEnvironmentForces(player) {
+        if (!player.isAlive) return;
+        
+        // Apply centrifuge force (pushes players outward from spinning)
+        if (this.arena.centrifugeMode) {
+            const force = this.arena.getCentrifugeForce(player.position.x, player.position.y);
+            player.velocity.x += force.x;
+            player.velocity.y += force.y;
+        }
+        
+        // Apply sudden death force - pushes players toward center
+        if (this.arena.suddenDeathActive && !this.arena.centrifugeMode) {
+            const force = this.arena.getSuddenDeathForce(player.position.x, player.position.y);
+            player.velocity.x += force.x;
+            player.velocity.y += force.y;
+        }
+        
+        // Apply instability forces (chaos mode)
+        if (this.roundManager.instabilityActive) {
+            const instForce = this.roundManager.getInstabilityForce(
+                player.position.x,
+                player.position.y,
+                { x: this.arena.centerX, y: this.arena.centerY }
+            );
+            player.velocity.x += instForce.x;
+            player.velocity.y += instForce.y;
+        }
+        
+        // Apply enemy force fields (a spinning boss flings players away)
+        for (const enemy of this.enemies) {
+            const force = enemy.getForceField(player.position.x, player.position.y);
+            player.velocity.x += force.x;
+            player.velocity.y += force.y;
+        }
+        
+        // Apply idle penalty - push toward edge if idle too long
+        if (player.isIdle) {
+            const dirX = player.position.x - this.arena.centerX;
+            const dirY = player.position.y - this.arena.centerY;
+            const dist = Math.sqrt(dirX * dirX + dirY * dirY);
+            if (dist > 1) {
+                const pushForce = 0.15;
+                player.velocity.x += (dirX / dist) * pushForce;
+                player.velocity.y += (dirY / dist) * pushForce;
+            }
+        }
+    }
+    
+    /**
+     * Let the floor hazards act on a player. Ice sets the friction used by
+     * the player's next update; pads fire once per visit.
+     */
+    applyHazards(player, deltaTime) {
+        if (!player.isAlive) return;
+        
+        const under = [];
+        player.surfaceFriction = 1;
+        
+        this.arena.hazards.forEach((hazard, index) => {
+            const touch = this.arena.getHazardContact(index, player.position.x, player.position.y, player.radius);
+            if (!touch) return;
+            
+            if (touch.covered) under.push(index);
+            touch.entered = touch.covered && !player.hazardsUnder.includes(index);
+            
+            if (hazard.affect(player, touch, deltaTime)) {
+                this.arena.flashHazard(index);
+                this.emit('hazard', player, hazard.type, { x: player.position.x, y: player.position.y });
+            }
+        });
+        player.hazardsUnder = under;
+    }
+    
+    /**
+     * Spawn power-ups and hand them to the players who touch them
+     */
+    updatePowerUps(deltaTime) {
+        this.powerUps.update(deltaTime, this.arena, this.players, this.rng);
+        
+        for (const player of this.players) {
+            if (!player.isAlive) continue;
+            
+            const item = this.powerUps.collect(player);
+            if (!item) continue;
+            
+            player.applyPowerUp(item.type);
+            this.emit('powerUp', player, item.type, { x: item.x, y: item.y });
+            if (item.type === 'SHOCKWAVE') {
+                this.releaseShockwave(player);
+            }
+        }
+    }
+    
+    /**
+     * Place the King of the Hill zone for a new round (no zone in other modes)
+     */
+    resetZone() {
+        if (this.settings.mode === 'KING_OF_THE_HILL') {
+            this.moveZone();
+        }
+    }
+    
+    /**
+     * Put the King of the Hill zone at a random spot clear of obstacles,
+     * preferably well away from where it was. On a floor mostly crumbled
+     * away it goes onto one of the tiles left; with none left it stays put
+     * (the arena center for a new round).
+     * @returns {boolean} Whether the zone moved
+     */
+    moveZone() {
+        const { RADIUS, MOVE_INTERVAL } = CONFIG.HILL;
+        const previous = this.arena.zone;
+        
+        let point = null;
+        for (let i = 0; i < 4; i++) {
+            point = this.arena.getRandomPoint(this.rng, RADIUS * 1.5);
+            if (!point || !previous || Math.hypot(point.x - previous.x, point.y - previous.y) > RADIUS * 3) break;
+        }
+        point = point ?? this.arena.getRandomFloorPoint(this.rng, RADIUS / 2);
+        
+        if (!point && previous) {
+            previous.moveTime = MOVE_INTERVAL;
+            return false;
+        }
+        point = point ?? { x: this.arena.centerX, y: this.arena.centerY };
+        if (previous && point.x === previous.x && point.y === previous.y) {
+            previous.moveTime = MOVE_INTERVAL;
+            return false;
+        }
+        
+        this.arena.setZone(point.x, point.y, RADIUS, MOVE_INTERVAL);
+        return true;
+    }
+    
+    /**
+     * King of the Hill: move the zone when its time is up (or the arena shrank
+     * onto it), and score for the side alone inside - every member of it,
+     * like round wins
+     */
+    updateZone(deltaTime) {
+        let zone = this.arena.zone;
+        zone.moveTime -= deltaTime;
+        if ((zone.moveTime <= 0 || this.arena.isOutOfBounds(zone.x, zone.y, zone.radius / 2)) && this.moveZone()) {
+            zone = this.arena.zone;
+            this.emit('zoneMove', zone);
+        }
+        
+        const inside = this.players.filter(p => p.isAlive && this.arena.isInZone(p.position.x, p.position.y));
+        const holder = inside.length > 0 && inside.every(p => p === inside[0] || this.areTeammates(p, inside[0])) ? inside[0] : null;
+        
+        zone.holderId = holder ? holder.id : null;
+        zone.color = holder ? (holder.team !== null ? CONFIG.TEAMS.COLORS[holder.team] : holder.color) : null;
+        zone.contested = inside.length > 0 && !holder;
+        if (!holder) return;
+        
+        const points = CONFIG.HILL.POINTS_PER_SECOND * deltaTime / 1000;
+        for (const player of this.players) {
+            if (player === holder || this.areTeammates(player, holder)) {
+                player.score += points;
+            }
+        }
+        
+        // Announce a new side taking the zone (not the same one stepping back in)
+        const taker = zone.takenById === null ? null : this.players[zone.takenById];
+        if (!taker || !(taker === holder || this.areTeammates(taker, holder))) {
+            zone.takenById = holder.id;
+            this.emit('zoneTaken', holder);
+        }
+    }
+    
+    /**
+     * Put the soccer ball on the center spot for a new round
+     */
+    resetBall() {
+        this.kickoffTimer = 0;
+        if (!this.ball) return;
+        
+        const spot = this.arena.moveClearOfObstacles({ x: this.arena.centerX, y: this.arena.centerY }, this.ball.radius);
+        this.ball.reset(spot.x, spot.y);
+    }
+    
+    /**
+     * Soccer: roll the ball, let players, obstacles and walls knock it about,
+     * and score once it is all the way over a goal line
+     */
+    updateBall(frictionMod, pushMod, bounceMod) {
+        const ball = this.ball;
+        ball.update(frictionMod);
+        
+        const push = (this.roundManager.damageMultiplier || 1) * pushMod;
+        for (const player of this.players) {
+            if (!player.isAlive || player.isInvulnerable() || !Physics.checkCircleCollision(player, ball)) continue;
+            
+            const intensity = Vector2.subtract(player.velocity, ball.velocity).magnitude() / 10;
+            Physics.resolveCollision(player, ball, push, bounceMod);
+            ball.lastTouchId = player.id;
+            
+            if (intensity > 0.3) {
+                this.emit('kick', player, { x: ball.position.x, y: ball.position.y, intensity });
+            }
+        }
+        
+        for (let i = 0; i < this.arena.obstacles.length; i++) {
+            Physics.resolveObstacleCollision(ball, this.arena, i, bounceMod);
+        }
+        Physics.resolveWallCollision(ball, this.arena, bounceMod, true);
+        
+        const { x, y } = ball.position;
+        const goal = this.arena.getGoalAt(x, y, ball.radius);
+        if (goal && this.arena.getEdgeDistance(x, y) < -ball.radius) {
+            this.scoreGoal(goal.team);
+        }
+    }
+    
+    /**
+     * Soccer goal into the goal a team defends: every member of the other
+     * team scores (like round wins), then play restarts with a kickoff
+     */
+    scoreGoal(concedingTeam) {
+        const team = 1 - concedingTeam;
+        for (const player of this.players) {
+            if (player.team === team) {
+                player.score += 1;
+            }
+        }
+        
+        const scorer = this.ball.lastTouchId === null ? null : this.players[this.ball.lastTouchId];
+        this.emit('goal', team, scorer, { x: this.ball.position.x, y: this.ball.position.y });
+        this.kickoff();
+    }
+    
+    /**
+     * Ball back on the center spot and everyone on the arena back on their
+     * spawn, standing still for a moment
+     */
+    kickoff() {
+        this.resetBall();
+        
+        const spawnPositions = this.arena.getSpawnPositions(this.playerCount, this.teams);
+        for (const player of this.players) {
+            if (player.isAlive) {
+                const spawn = spawnPositions[player.id];
+                player.placeAt(spawn.x, spawn.y);
+            }
+        }
+        this.kickoffTimer = CONFIG.SOCCER.KICKOFF_DELAY;
+    }
+    
+    /**
+     * Hot Potato: burn down the carried bomb's fuse and set it off when it
+     * runs out, or hand a new one out once the delay is up
+     */
+    updateBomb(deltaTime) {
+        const holder = this.players.find(p => p.hasBomb());
+        if (!holder) {
+            this.bombDelay -= deltaTime;
+            if (this.bombDelay <= 0) {
+                this.handOutBomb();
+            }
+            return;
+        }
+        
+        holder.bombPassCooldown = Math.max(0, holder.bombPassCooldown - deltaTime);
+        holder.bombFuse = Math.max(0, holder.bombFuse - deltaTime);
+        if (holder.bombFuse === 0) {
+            this.explodeBomb(holder);
+        }
+    }
+    
+    /**
+     * Give a fresh bomb to a random player on the arena; with nobody to pass
+     * it to, try again a little later
+     */
+    handOutBomb() {
+        const { FUSE_MIN, FUSE_MAX, NEXT_DELAY } = CONFIG.BOMB;
+        const alive = this.players.filter(p => p.isAlive);
+        const candidates = alive.filter(p => !p.isInvulnerable());
+        if (alive.length < 2 || candidates.length === 0) {
+            this.bombDelay = NEXT_DELAY;
+            return;
+        }
+        
+        const holder = this.rng.pick(candidates);
+        holder.takeBomb(this.rng.range(FUSE_MIN, FUSE_MAX));
+        this.emit('bombArmed', holder);
+    }
+    
+    /**
+     * Bumping into someone hands them the bomb, fuse and all
+     */
+    passBomb(p1, p2) {
+        const [from, to] = p1.hasBomb() ? [p1, p2] : [p2, p1];
+        if (!from.hasBomb() || from.bombPassCooldown > 0) return;
+        
+        to.takeBomb(from.dropBomb());
+        this.emit('bombPass', from, to);
+    }
+    
+    /**
+     * The fuse ran out: everyone near the carrier is blasted away and the
+     * carrier is knocked out
+     */
+    explodeBomb(holder) {
+        const { RADIUS, STRENGTH, LAUNCH_TIME } = CONFIG.BOMB;
+        this.pushAway(holder, RADIUS, STRENGTH, LAUNCH_TIME);
+        this.emit('explosion', holder, { x: holder.position.x, y: holder.position.y, radius: RADIUS });
+        this.eliminatePlayer(holder);
+    }
+    
+    /**
+     * Clear the co-op run's enemies and go back to its start: before the
+     * first survival wave, or a fresh boss in the middle of the arena
+     */
+    resetEnemies() {
+        this.enemies = [];
+        this.nextEnemyId = 0;
+        if (this.waves) this.waves.reset();
+        if (this.settings.mode === 'BOSS_FIGHT') {
+            this.spawnBoss();
+        }
+    }
+    
+    /**
+     * Survival: start the next wave once the break is over, bring on its
+     * enemies one by one, and when it's cleared bring back the players
+     * knocked out for good for the next one
+     */
+    updateWaves(deltaTime) {
+        const waves = this.waves;
+        if (waves.isResting()) {
+            if (waves.rest(deltaTime)) {
+                waves.startWave(this.playerCount, this.rng);
+                this.emit('waveStart', waves.wave, waves.queue.length);
+            }
+            return;
+        }
+        
+        const type = waves.nextSpawn(deltaTime, this.enemies.length);
+        if (type) {
+            this.spawnEnemy(type);
+        }
+        
+        if (waves.isCleared(this.enemies.length)) {
+            waves.finishWave();
+            for (const player of this.players) {
+                if (!player.isInRound()) player.rejoin();
+            }
+            this.emit('waveCleared', waves.wave);
+        }
+    }
+    
+    /**
+     * Put an enemy of the current wave on the arena, at the random spot
+     * furthest from the players of a few tried
+     */
+    spawnEnemy(type) {
+        const margin = CONFIG.SURVIVAL.ENEMIES[type].radius * 3;
+        const players = this.players.filter(p => p.isAlive);
+        
+        let spot = null;
+        let bestClearance = -1;
+        for (let i = 0; i < 4; i++) {
+            const point = this.arena.getRandomPoint(this.rng, margin);
+            if (!point) continue;
+            
+            const clearance = Math.min(...players.map(p => Math.hypot(p.position.x - point.x, p.position.y - point.y)));
+            if (clearance > bestClearance) {
+                spot = point;
+                bestClearance = clearance;
+            }
+        }
+        spot = spot ?? { x: this.arena.centerX, y: this.arena.centerY };
+        
+        const strength = WaveSpawner.getStrength(this.waves.wave);
+        this.enemies.push(createEnemy(this.nextEnemyId++, type, spot.x, spot.y, strength));
+    }
+    
+    /**
+     * Boss fight: put the boss in the middle of the arena, stronger the more
+     * players take it on
+     */
+    spawnBoss() {
+        const spot = this.arena.moveClearOfObstacles({ x: this.arena.centerX, y: this.arena.centerY }, CONFIG.BOSS.BODY.radius);
+        const strength = 1 + (this.playerCount - 1) * CONFIG.BOSS.STRENGTH_PER_PLAYER;
+        this.enemies.push(createEnemy(this.nextEnemyId++, 'BOSS', spot.x, spot.y, strength));
+    }
+    
+    /**
+     * The boss, or null outside a boss fight (and once it's down)
+     */
+    getBoss() {
+        return this.enemies.find(enemy => enemy.type === 'BOSS') ?? null;
+    }
+    
+    /**
+     * Carry out what the boss's script called for: announce a wind-up or a
+     * stagger, or set off an attack (the slam blasts players away and
+     * squeezes the arena; the charge and the spin play out in its steering)
+     */
+    handleBossAction(boss, action) {
+        const { x, y } = boss.position;
+        
+        if (action.type === 'telegraph') {
+            this.emit('bossTelegraph', boss, action.attack);
+        } else if (action.type === 'stagger') {
+            this.emit('bossStagger', boss);
+        } else if (action.attack === 'SLAM') {
+            const { radius, strength, launchTime, arenaScale, squeezeTime } = CONFIG.BOSS.ATTACKS.SLAM;
+            this.pushAway(boss, radius, strength * boss.strength, launchTime);
+            this.arena.squeezeTo(arenaScale, squeezeTime);
+            this.emit('bossAttack', boss, action.attack, { x, y, radius });
+        } else {
+            this.emit('bossAttack', boss, action.attack, { x, y, radius: boss.radius });
+        }
+    }
+    
+    /**
+     * Player an enemy goes after: the nearest one it can touch, or null
+     */
+    getEnemyTarget(enemy) {
+        let target = null;
+        for (const player of this.players) {
+            if (!player.isAlive || player.isInvulnerable()) continue;
+            if (!target || enemy.position.distanceTo(player.position) < enemy.position.distanceTo(target.position)) {
+                target = player;
+            }
+        }
+        return target;
+    }
+    
+    /**
+     * A hard hit splits a splitter into two smaller halves flying apart
+     * sideways, with its damage; they count as enemies of the wave on their own
+     */
+    splitEnemy(enemy) {
+        const { x, y } = enemy.position;
+        const heading = enemy.velocity.magnitude() > 0 ? enemy.velocity.clone().normalize() : enemy.facing.clone();
+        const side = new Vector2(-heading.y, heading.x);
+        const scale = enemy.getStats().splitScale;
+        
+        const halves = [-1, 1].map(sign => {
+            const offset = side.clone().multiply(sign * enemy.radius * 0.5);
+            const half = createEnemy(this.nextEnemyId++, enemy.type, x + offset.x, y + offset.y, enemy.strength, scale);
+            half.spawnTime = 0;
+            half.velocity = enemy.velocity.clone().add(side.clone().multiply(sign * 3));
+            half.launchTime = enemy.launchTime;
+            half.damage = enemy.damage;
+            return half;
+        });
+        
+        enemy.isAlive = false;
+        this.enemies.splice(this.enemies.indexOf(enemy), 1, ...halves);
+        this.emit('enemySplit', enemy, halves);
+    }
+    
+    /**
+     * An enemy went over the edge: it's out of the wave for good. The boss
+     * going down wins the fight, so it ends the round on the spot.
+     */
+    defeatEnemy(enemy) {
+        enemy.isAlive = false;
+        this.enemies.splice(this.enemies.indexOf(enemy), 1);
+        if (this.waves) this.waves.enemyDefeated();
+        this.arena.triggerBorderGlow();
+        this.emit('enemyDown', enemy);
+        
+        if (enemy.type === 'BOSS' && this.roundManager.isPlaying()) {
+            this.roundManager.endRound({ winner: null, reason: 'bossDown' }, this.players);
+        }
+    }
+    
+    /**
+     * Shockwave power-up: blast opponents away
+     */
+    releaseShockwave(player) {
+        const { radius, strength, launchTime } = CONFIG.POWERUPS.TYPES.SHOCKWAVE;
+        this.pushAway(player, radius, strength, launchTime);
+        this.emit('shockwave', player, { x: player.position.x, y: player.position.y, radius });
+    }
+    
+    /**
+     * Released ground pound: blast opponents away
+     */
+    groundPound(player) {
+        const { RADIUS, STRENGTH, LAUNCH_TIME } = CONFIG.GROUND_POUND;
+        this.pushAway(player, RADIUS, STRENGTH, LAUNCH_TIME);
+        this.emit('groundPound', player, { x: player.position.x, y: player.position.y, radius: RADIUS });
+    }
+    
+    /**
+     * Knock every opponent (and enemy) near a player away from it, harder
+     * up close; shields absorb it and braced players take less
+     * @param {number} strength - Pixels per tick at the player, half at `radius`
+     * @param {number} launchTime - ms those hit may go faster than the top speed
+     */
+    pushAway(player, radius, strength, launchTime) {
+        for (const other of [...this.players, ...this.enemies]) {
+            if (other === player || !other.isAlive || other.isInvulnerable() || this.areTeammates(player, other)) continue;
+            
+            const dx = other.position.x - player.position.x;
+            const dy = other.position.y - player.position.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance >= radius || distance === 0) continue;
+            if (this.blockWithShield(other)) continue;
+            
+            const push = strength * (1 - (distance / radius) * 0.5) * other.getKnockbackMultiplier();
+            other.velocity.x += (dx / distance) * push;
+            other.velocity.y += (dy / distance) * push;
+            other.launchTime = Math.max(other.launchTime, launchTime);
+            other.onHit(1);
+        }
+    }
+    
+    /**
+     * Grab button: throw the player we hold, or grab the nearest opponent in reach
+     * @param {Vector2} movement - Steering at the press, the throw direction
+     */
+    handleGrab(player, movement) {
+        if (player.isHolding()) {
+            this.throwHeld(player, movement);
+            return;
+        }
+        if (!player.canGrab()) return;
+        
+        let target = null;
+        for (const other of this.players) {
+            if (other === player || !other.isAlive || other.isInvulnerable() || this.areTeammates(player, other)) continue;
+            if (other.isHolding() || other.isHeld() || !Physics.isInGrabReach(player, other)) continue;
+            if (!target || player.position.distanceTo(other.position) < player.position.distanceTo(target.position)) {
+                target = other;
+            }
+        }
+        if (!target) return;
+        
+        // Held on the side they were grabbed from
+        player.holdPlayer(target.id, Vector2.subtract(target.position, player.position).normalize());
+        target.becomeHeld(player.id);
+        this.emit('grab', player, target);
+    }
+    
+    /**
+     * Throw the held player the way the holder steers (or faces); a shield
+     * takes the throw instead
+     */
+    throwHeld(player, movement) {
+        const target = this.players[player.holdingId];
+        const held = player.holdDirection;
+        const direction = movement.magnitude() > 0 ? movement.clone().normalize() : new Vector2(held.x, held.y);
+        this.releaseGrab(player);
+        if (this.blockWithShield(target)) return;
+        
+        Physics.throwPlayer(target, direction, CONFIG.GRAB.THROW_SPEED);
+        target.launchTime = Math.max(target.launchTime, CONFIG.GRAB.LAUNCH_TIME);
+        target.takeDamage(CONFIG.GRAB.THROW_DAMAGE);
+        target.onHit(1.5);
+        this.emit('throw', player, target, { x: target.position.x, y: target.position.y, direction });
+    }
+    
+    /**
+     * End the hold a player is part of, holding or held
+     */
+    releaseGrab(player) {
+        if (player.isHolding()) {
+            this.players[player.holdingId].release();
+            player.endHold();
+        }
+        if (player.isHeld()) {
+            this.players[player.heldById].endHold();
+            player.release();
+        }
+    }
+    
+    /**
+     * Carry held players along; they break free once they mashed enough or
+     * the hold ran out
+     */
+    updateGrabs(deltaTime) {
+        for (const player of this.players) {
+            if (!player.isHolding()) continue;
+            
+            const held = this.players[player.holdingId];
+            player.holdTime += deltaTime;
+            
+            if (held.escapePresses >= CONFIG.GRAB.ESCAPE_PRESSES || player.holdTime >= CONFIG.GRAB.HOLD_TIME) {
+                this.releaseGrab(player);
+                Physics.pushApart(player, held, CONFIG.GRAB.ESCAPE_PUSH);
+                this.emit('grabEscape', held, player);
+            } else {
+                Physics.holdPlayer(player, held);
+            }
+        }
+    }
+    
+    /**
+     * Send a parried dash back at the attacker (a shield takes it instead)
+     */
+    parry(defender, attacker) {
+        defender.onParry();
+        attacker.isDashing = false;
+        
+        if (!this.blockWithShield(attacker)) {
+            const { REFLECT_MULTIPLIER, MIN_REFLECT_SPEED, LAUNCH_TIME, DAMAGE } = CONFIG.PARRY;
+            Physics.reflectHit(defender, attacker, REFLECT_MULTIPLIER, MIN_REFLECT_SPEED);
+            attacker.launchTime = Math.max(attacker.launchTime, LAUNCH_TIME);
+            attacker.takeDamage(DAMAGE);
+            attacker.onHit(2);
+        }
+        
+        this.emit('parry', defender, attacker, {
+            x: (defender.position.x + attacker.position.x) / 2,
+            y: (defender.position.y + attacker.position.y) / 2
+        });
+    }
+    
+    /**
+     * Let a player's shield take a hit
+     * @returns {boolean} Whether the shield absorbed it
+     */
+    blockWithShield(player) {
+        if (!player.absorbHit()) return false;
+        this.emit('shieldBlock', player, { x: player.position.x, y: player.position.y });
+        return true;
+    }
+    
+    /**
+     * Resolve player collisions and announce the noticeable ones
+     */
+    processCollisions(pushMod = 1, bounceMod = 1) {
+        // Get damage multiplier from escalation
+        const damageMultiplier = this.roundManager.damageMultiplier || 1;
+        const friendlyPush = CONFIG.TEAMS.FRIENDLY_COLLISION[this.settings.friendlyCollision];
+        
+        for (let i = 0; i < this.players.length; i++) {
+            for (let j = i + 1; j < this.players.length; j++) {
+                const p1 = this.players[i];
+                const p2 = this.players[j];
+                
+                if (!p1.isAlive || !p2.isAlive) continue;
+                
+                // Spawn-protected players pass through everyone
+                if (p1.isInvulnerable() || p2.isInvulnerable()) continue;
+                
+                // A holder and the player it holds move as one
+                if (p1.holdingId === p2.id || p2.holdingId === p1.id) continue;
+                
+                // Teammates pass through each other or bump more softly
+                const teammates = this.areTeammates(p1, p2);
+                if (teammates && friendlyPush === 0) continue;
+                
+                if (Physics.checkCircleCollision(p1, p2)) {
+                    if (this.settings.mode === 'HOT_POTATO') {
+                        this.passBomb(p1, p2);
+                    }
+                    
+                    // Calculate collision intensity based on relative velocity
+                    const relVelX = p1.velocity.x - p2.velocity.x;
+                    const relVelY = p1.velocity.y - p2.velocity.y;
+                    const intensity = Math.sqrt(relVelX * relVelX + relVelY * relVelY) / 10;
+                    
+                    // A well-timed dash or brace turns a dash hit around
+                    const parry = !teammates && intensity > 0.3 ? Simulation.getParry(p1, p2) : null;
+                    if (parry) {
+                        this.parry(parry.defender, parry.attacker);
+                        continue;
+                    }
+                    
+                    if (intensity > 0.3) {
+                        // Apply hit flash to players
+                        p1.onHit(intensity);
+                        p2.onHit(intensity);
+                        
+                        // Hard hits break shields and build up damage percent (softer between teammates)
+                        if (intensity >= CONFIG.DAMAGE.MIN_INTENSITY) {
+                            if (!teammates) {
+                                this.blockWithShield(p1);
+                                this.blockWithShield(p2);
+                                if (p1.isDashing) p1.landDashHit();
+                                if (p2.isDashing) p2.landDashHit();
+                                
+                                // A hard hit breaks any hold either side is in
+                                this.releaseGrab(p1);
+                                this.releaseGrab(p2);
+                            }
+                            const scale = teammates ? friendlyPush : 1;
+                            p1.takeDamage(Simulation.getHitDamage(intensity, p2, p1) * scale);
+                            p2.takeDamage(Simulation.getHitDamage(intensity, p1, p2) * scale);
+                        }
+                        
+                        this.emit('collision', p1, p2, {
+                            x: (p1.position.x + p2.position.x) / 2,
+                            y: (p1.position.y + p2.position.y) / 2,
+                            intensity,
+                            damageMultiplier
+                        });
+                    }
+                    
+                    // Resolve the collision with modifiers
+                    const push = damageMultiplier * pushMod * (teammates ? friendlyPush : 1);
+                    Physics.resolveCollision(p1, p2, push, bounceMod);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Co-op modes: players and enemies bump like players do and both build
+     * up damage percent (the boss its stagger meter), players a share of a
+     * normal hit. Enemies push as hard
+     * as their wave makes them, and a hard enough hit splits a splitter.
+     */
+    processEnemyCollisions(pushMod = 1, bounceMod = 1) {
+        const enemies = this.enemies.filter(enemy => enemy.isAlive && !enemy.isInvulnerable());
+        
+        for (const enemy of enemies) {
+            for (const player of this.players) {
+                if (!enemy.isAlive || !player.isAlive || player.isInvulnerable()) continue;
+                if (!Physics.checkCircleCollision(player, enemy)) continue;
+                
+                const intensity = Vector2.subtract(player.velocity, enemy.velocity).magnitude() / 10;
+                if (intensity > 0.3) {
+                    player.onHit(intensity);
+                    enemy.onHit(intensity);
+                    player.launchTime = Math.max(player.launchTime, enemy.getHitLaunchTime());
+                    
+                    if (intensity >= CONFIG.DAMAGE.MIN_INTENSITY) {
+                        this.blockWithShield(player);
+                        if (player.isDashing) player.landDashHit();
+                        this.releaseGrab(player);
+                        player.takeDamage(Simulation.getHitDamage(intensity, enemy, player) * CONFIG.SURVIVAL.HIT_DAMAGE);
+                        enemy.takeDamage(Simulation.getHitDamage(intensity, player, enemy));
+                    }
+                    
+                    this.emit('enemyHit', player, enemy, {
+                        x: (player.position.x + enemy.position.x) / 2,
+                        y: (player.position.y + enemy.position.y) / 2,
+                        intensity
+                    });
+                }
+                
+                Physics.resolveCollision(player, enemy, pushMod * enemy.strength, bounceMod);
+                if (enemy.canSplit() && intensity >= CONFIG.SURVIVAL.SPLIT_INTENSITY) {
+                    this.splitEnemy(enemy);
+                }
+            }
+        }
+        
+        Physics.processCollisions(enemies, 1, bounceMod);
+    }
+    
+    /**
+     * Bounce players and enemies off the arena's obstacles and announce hard impacts
+     */
+    processObstacleCollisions(bounceMod = 1) {
+        const obstacleCount = this.arena.obstacles.length;
+        
+        for (const player of [...this.players, ...this.enemies]) {
+            for (let i = 0; i < obstacleCount; i++) {
+                const impact = Physics.resolveObstacleCollision(player, this.arena, i, bounceMod);
+                
+                // Same scale as player collision intensity
+                const intensity = impact / 10;
+                if (intensity > 0.3) {
+                    this.emit('obstacleHit', player, {
+                        x: player.position.x,
+                        y: player.position.y,
+                        intensity
+                    });
+                }
+            }
+        }
+    }
+    
+    /**
+     * Handle player elimination
+     */
+    eliminatePlayer(player) {
+        this.arena.triggerBorderGlow();
+        this.releaseGrab(player);
+        
+        // A bomb goes down with its carrier and the next comes along shortly
+        if (player.hasBomb()) {
+            player.dropBomb();
+            this.bombDelay = CONFIG.BOMB.NEXT_DELAY;
+        }
+        player.eliminate();
+        this.emit('elimination', player, this.getAliveCount());
+    }
+    
+    /**
+     * Respawn knocked-out players with stocks left once their delay is up,
+     * at the safest point of the arena as it is now
+     */
+    updateRespawns(deltaTime) {
+        for (const player of this.players) {
+            if (player.isAlive || player.respawnTimer <= 0) continue;
+            
+            player.respawnTimer -= deltaTime;
+            if (player.respawnTimer > 0) continue;
+            
+            const others = this.players.filter(p => p !== player && p.isAlive);
+            const spawn = this.arena.getSafeSpawnPoint(others, player.radius);
+            player.respawn(spawn.x, spawn.y);
+            this.emit('respawn', player);
+        }
+    }
+    
+    /**
+     * Count players still in the round (including those waiting to respawn)
+     */
+    getAliveCount() {
+        return this.players.filter(p => p.isInRound()).length;
+    }
+}
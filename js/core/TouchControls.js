@@ -2,13 +2,16 @@ import { Vector2 } from '../utils/Vector2.js';
 
 /**
  * Touch controls for mobile devices
- * Provides a virtual joystick and dash button
+ * Provides a virtual joystick, a dash button, an action (brace) button and a grab button
  */
 export class TouchControls {
     constructor() {
         this.enabled = false;
         this.movement = new Vector2();
         this.dashPressed = false;
+        this.dashHeld = false;
+        this.actionHeld = false;
+        this.grabHeld = false;
         this.startPressed = false;
         
         this.joystickOrigin = null;
@@ -49,6 +52,23 @@ export class TouchControls {
         this.dashButton.className = 'touch-dash-btn';
         this.dashButton.textContent = 'DASH';
         
+        // Create action button (held: brace, then charge a ground pound)
+        this.actionButton = document.createElement('div');
+        this.actionButton.className = 'touch-action-btn';
+        this.actionButton.textContent = 'BRACE';
+        
+        // Create grab button (press to grab, again to throw)
+        this.grabButton = document.createElement('div');
+        this.grabButton.className = 'touch-grab-btn';
+        this.grabButton.textContent = 'GRAB';
+        
+        // Buttons sit together on the right
+        this.buttons = document.createElement('div');
+        this.buttons.className = 'touch-buttons';
+        this.buttons.appendChild(this.grabButton);
+        this.buttons.appendChild(this.actionButton);
+        this.buttons.appendChild(this.dashButton);
+        
         // Create start button (shown when waiting)
         this.startButton = document.createElement('div');
         this.startButton.className = 'touch-start-btn';
@@ -71,7 +91,7 @@ export class TouchControls {
         });
         
         this.container.appendChild(this.joystickOuter);
-        this.container.appendChild(this.dashButton);
+        this.container.appendChild(this.buttons);
         document.body.appendChild(this.container);
         document.body.appendChild(this.startButton);
         document.body.appendChild(this.landscapeHint);
@@ -127,16 +147,47 @@ export class TouchControls {
         this.dashButton.addEventListener('touchstart', (e) => {
             e.preventDefault();
             this.dashPressed = true;
+            this.dashHeld = true;
             this.dashButton.style.transform = 'scale(0.9)';
             this.dashButton.style.background = 'rgba(78, 205, 196, 0.6)';
         });
         
-        this.dashButton.addEventListener('touchend', (e) => {
+        // Held buttons let go when the touch ends or the OS cancels it
+        // (notification, system gesture, app switch)
+        for (const type of ['touchend', 'touchcancel']) {
+            this.dashButton.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.dashHeld = false;
+                this.resetDashVisual();
+            });
+        }
+        
+        // Action button is held, not pressed
+        this.actionButton.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.actionHeld = true;
+        });
+        
+        for (const type of ['touchend', 'touchcancel']) {
+            this.actionButton.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.actionHeld = false;
+            });
+        }
+        
+        // Grab button is passed on held too; the player sees each new press
+        this.grabButton.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            this.dashButton.style.transform = 'scale(1)';
-            this.dashButton.style.background = 'rgba(78, 205, 196, 0.3)';
+            this.grabHeld = true;
         });
         
+        for (const type of ['touchend', 'touchcancel']) {
+            this.grabButton.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.grabHeld = false;
+            });
+        }
+        
         // Start button handling
         this.startButton.addEventListener('touchstart', (e) => {
             e.preventDefault();
@@ -185,6 +236,14 @@ export class TouchControls {
         this.joystickInner.style.transform = 'translate(-50%, -50%)';
     }
     
+    /**
+     * Reset dash button visual to not pressed
+     */
+    resetDashVisual() {
+        this.dashButton.style.transform = 'scale(1)';
+        this.dashButton.style.background = 'rgba(78, 205, 196, 0.3)';
+    }
+    
     /**
      * Enable touch controls
      */
@@ -205,6 +264,10 @@ export class TouchControls {
         this.container.classList.remove('active');
         this.movement.set(0, 0);
         this.resetJoystickVisual();
+        this.dashHeld = false;
+        this.actionHeld = false;
+        this.grabHeld = false;
+        this.resetDashVisual();
     }
     
     /**
@@ -239,6 +302,27 @@ export class TouchControls {
         return pressed;
     }
     
+    /**
+     * Check if the dash button is held (charge dashes)
+     */
+    getDashHeld() {
+        return this.dashHeld;
+    }
+    
+    /**
+     * Check if the action button is held
+     */
+    getAction() {
+        return this.actionHeld;
+    }
+    
+    /**
+     * Check if the grab button is held
+     */
+    getGrab() {
+        return this.grabHeld;
+    }
+    
     /**
      * Check if start was pressed (and consume the press)
      */
@@ -0,0 +1,135 @@
+import { CONFIG } from '../config.js';
+import { StateSnapshot } from '../utils/StateSnapshot.js';
+
+/**
+ * Survival waves - when each wave starts, what it sends and how fast. The
+ * difficulty curve: every wave is bigger than the last (and bigger with
+ * more players), tougher enemy types join from their `fromWave` on, and
+ * all enemies get faster and push harder up to CONFIG.SURVIVAL.MAX_STRENGTH.
+ * The simulation puts the enemies on the arena and reports them gone.
+ */
+export class WaveSpawner {
+    constructor() {
+        this.reset();
+    }
+    
+    /**
+     * Back to before the first wave of a run
+     */
+    reset() {
+        this.wave = 0; // Current wave, 0 before the first
+        this.survived = 0; // Waves cleared this run
+        this.defeated = 0; // Enemies knocked out this run
+        this.queue = []; // Enemy types of the wave still to appear
+        this.spawnTimer = 0; // ms until the next of them may appear
+        this.breakTimer = CONFIG.SURVIVAL.FIRST_WAVE_DELAY; // ms until the next wave, 0 during one
+    }
+    
+    /**
+     * Number of enemies a wave sends
+     */
+    static getWaveSize(wave, playerCount) {
+        const { BASE_COUNT, COUNT_PER_WAVE, COUNT_PER_PLAYER } = CONFIG.SURVIVAL;
+        return Math.round(BASE_COUNT + (wave - 1) * COUNT_PER_WAVE + (playerCount - 1) * COUNT_PER_PLAYER);
+    }
+    
+    /**
+     * Speed and push multiplier of a wave's enemies
+     */
+    static getStrength(wave) {
+        const { STRENGTH_PER_WAVE, MAX_STRENGTH } = CONFIG.SURVIVAL;
+        return Math.min(MAX_STRENGTH, 1 + (wave - 1) * STRENGTH_PER_WAVE);
+    }
+    
+    /**
+     * Enemy types that turn up in a wave
+     */
+    static getEnemyTypes(wave) {
+        return Object.keys(CONFIG.SURVIVAL.ENEMIES).filter(type => CONFIG.SURVIVAL.ENEMIES[type].fromWave <= wave);
+    }
+    
+    /**
+     * Check if the run is between waves
+     */
+    isResting() {
+        return this.breakTimer > 0;
+    }
+    
+    /**
+     * Count down the break
+     * @returns {boolean} Whether the next wave is due
+     */
+    rest(deltaTime) {
+        this.breakTimer = Math.max(0, this.breakTimer - deltaTime);
+        return this.breakTimer === 0;
+    }
+    
+    /**
+     * Line up the next wave's enemies, types picked by their weights
+     * @param {Random} random - Gameplay random stream
+     */
+    startWave(playerCount, random) {
+        this.wave++;
+        
+        const types = WaveSpawner.getEnemyTypes(this.wave);
+        const totalWeight = types.reduce((sum, type) => sum + CONFIG.SURVIVAL.ENEMIES[type].weight, 0);
+        
+        this.queue = [];
+        for (let i = 0; i < WaveSpawner.getWaveSize(this.wave, playerCount); i++) {
+            let roll = random.range(0, totalWeight);
+            const type = types.find(type => (roll -= CONFIG.SURVIVAL.ENEMIES[type].weight) < 0) ?? types[types.length - 1];
+            this.queue.push(type);
+        }
+        this.spawnTimer = 0;
+    }
+    
+    /**
+     * Enemy type to put on the arena now, if one is due and there's room
+     * @param {number} aliveCount - Enemies on the arena
+     */
+    nextSpawn(deltaTime, aliveCount) {
+        this.spawnTimer -= deltaTime;
+        if (this.queue.length === 0 || this.spawnTimer > 0 || aliveCount >= CONFIG.SURVIVAL.MAX_ALIVE) {
+            return null;
+        }
+        
+        this.spawnTimer = CONFIG.SURVIVAL.SPAWN_INTERVAL;
+        return this.queue.shift();
+    }
+    
+    /**
+     * Count a knocked-out enemy
+     */
+    enemyDefeated() {
+        this.defeated++;
+    }
+    
+    /**
+     * Check if the wave is over: all of it appeared and none is left
+     */
+    isCleared(aliveCount) {
+        return !this.isResting() && this.queue.length === 0 && aliveCount === 0;
+    }
+    
+    /**
+     * Score the cleared wave and start the break before the next
+     */
+    finishWave() {
+        this.survived = this.wave;
+        this.breakTimer = CONFIG.SURVIVAL.WAVE_BREAK;
+    }
+    
+    /**
+     * Snapshot spawner state
+     */
+    getState() {
+        return StateSnapshot.capture(this);
+    }
+    
+    /**
+     * Restore a snapshot taken with getState
+     */
+    setState(state) {
+        StateSnapshot.restore(this, state);
+    }
+}
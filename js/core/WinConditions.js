@@ -0,0 +1,202 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Win conditions - how a round is decided. RoundManager asks its condition
+ * every playing tick and once more when the final countdown runs out:
+ *
+ *   checkRoundEnd(players)     the result once the round is decided, else null
+ *   getTimeoutResult(players)  the result when time is up, or null to leave it
+ *                              to the centrifuge tiebreaker
+ *
+ * A result is `{ winner, reason }`; the winner's whole side takes the round
+ * and a null winner is a draw. `target` is the score that wins a round in
+ * score modes, null otherwise. Without `timeLimit` the mode ends rounds by
+ * itself and there is no final countdown; without `escalates` damage doesn't
+ * ramp up and chaos mode never starts; with `singleRound` the match is over
+ * after one round.
+ */
+export class WinCondition {
+    constructor() {
+        this.target = null;
+        this.timeLimit = true;
+        this.escalates = true;
+        this.singleRound = false;
+    }
+    
+    /**
+     * Result once the round is decided, or null to keep playing
+     */
+    checkRoundEnd(players) {
+        throw new Error('checkRoundEnd not implemented');
+    }
+    
+    /**
+     * Result when the final countdown runs out, or null for the tiebreaker
+     */
+    getTimeoutResult(players) {
+        throw new Error('getTimeoutResult not implemented');
+    }
+}
+
+/**
+ * Classic rules - the last player (or team) on the arena wins
+ */
+export class LastStanding extends WinCondition {
+    checkRoundEnd(players) {
+        const sides = getSurvivingSides(players);
+        if (sides.length > 1) return null;
+        
+        return { winner: sides.length === 1 ? sides[0][0] : null, reason: 'knockout' };
+    }
+    
+    getTimeoutResult(players) {
+        const sides = getSurvivingSides(players);
+        if (sides.length > 1) return null;
+        
+        return { winner: sides.length === 1 ? sides[0][0] : null, reason: 'timeout' };
+    }
+}
+
+/**
+ * Score modes - the first side to reach the target wins; knocking everyone
+ * else out still does too, and when time is up the side ahead wins
+ */
+export class ScoreTarget extends LastStanding {
+    /**
+     * @param {number} target - Points that win the round
+     */
+    constructor(target) {
+        super();
+        this.target = target;
+    }
+    
+    checkRoundEnd(players) {
+        const leader = this.getLeader(players);
+        if (leader && getSideScore(leader) >= this.target) {
+            return { winner: leader[0], reason: 'score' };
+        }
+        return super.checkRoundEnd(players);
+    }
+    
+    getTimeoutResult(players) {
+        const leader = this.getLeader(players);
+        if (leader) {
+            return { winner: leader[0], reason: 'points' };
+        }
+        return super.getTimeoutResult(players);
+    }
+    
+    /**
+     * The surviving side with the most points, null if none leads alone
+     */
+    getLeader(players) {
+        let leader = null;
+        let tied = false;
+        
+        for (const side of getSurvivingSides(players)) {
+            const score = getSideScore(side);
+            if (!leader || score > getSideScore(leader)) {
+                leader = side;
+                tied = false;
+            } else if (score === getSideScore(leader)) {
+                tied = true;
+            }
+        }
+        return tied ? null : leader;
+    }
+}
+
+/**
+ * Goal modes (soccer) - nobody is knocked out over a wall, so a side level
+ * on goals when time is up draws instead of going to the tiebreaker
+ */
+export class GoalTarget extends ScoreTarget {
+    getTimeoutResult(players) {
+        return super.getTimeoutResult(players) ?? { winner: null, reason: 'points' };
+    }
+}
+
+/**
+ * Hot Potato - bombs keep knocking players out until one side is left, so
+ * the round needs no time limit
+ */
+export class LastBlast extends LastStanding {
+    constructor() {
+        super();
+        this.timeLimit = false;
+    }
+}
+
+/**
+ * Co-op modes (survival, boss fight) - all players are on one side against
+ * the enemies, so the run goes on while any of them is left and then ends
+ * in a wipeout. The enemies get harder instead of the round; knocking the
+ * boss off ends a boss fight too, which the simulation sees to.
+ */
+export class Cooperative extends WinCondition {
+    constructor() {
+        super();
+        this.timeLimit = false;
+        this.escalates = false;
+        this.singleRound = true;
+    }
+    
+    checkRoundEnd(players) {
+        return players.some(player => player.isInRound()) ? null : { winner: null, reason: 'wipeout' };
+    }
+    
+    getTimeoutResult(players) {
+        return null;
+    }
+}
+
+/**
+ * Group players still in the round (alive or about to respawn) by team;
+ * outside team matches each player is a side
+ */
+export function getSurvivingSides(players) {
+    const sides = new Map();
+    for (const player of players) {
+        if (!player.isInRound()) continue;
+        
+        const key = player.team ?? `solo-${player.id}`;
+        if (!sides.has(key)) sides.set(key, []);
+        
+        // Members on the arena first, so a side's first player can take the crown
+        if (player.isAlive) {
+            sides.get(key).unshift(player);
+        } else {
+            sides.get(key).push(player);
+        }
+    }
+    return [...sides.values()];
+}
+
+/**
+ * Points of a side - every member is credited with the side's points, so
+ * any of them holds the score
+ */
+export function getSideScore(side) {
+    return Math.max(...side.map(player => player.score));
+}
+
+/**
+ * Win condition for a game mode (key of CONFIG.MODES)
+ */
+export function createWinCondition(mode) {
+    switch (mode) {
+        case 'CLASSIC':
+            return new LastStanding();
+        case 'KING_OF_THE_HILL':
+            return new ScoreTarget(CONFIG.HILL.SCORE_TARGET);
+        case 'SOCCER':
+            return new GoalTarget(CONFIG.SOCCER.SCORE_TARGET);
+        case 'HOT_POTATO':
+            return new LastBlast();
+        case 'SURVIVAL':
+        case 'BOSS_FIGHT':
+            return new Cooperative();
+        default:
+            throw new Error(`Unknown game mode: ${mode}`);
+    }
+}
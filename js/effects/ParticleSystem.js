@@ -1,12 +1,14 @@
+import { Random } from '../utils/Random.js';
+
 /**
  * Particle class for visual effects
  */
 class Particle {
-    constructor(x, y, options = {}) {
+    constructor(x, y, options = {}, random) {
         this.x = x;
         this.y = y;
-        this.vx = options.vx || (Math.random() - 0.5) * 10;
-        this.vy = options.vy || (Math.random() - 0.5) * 10;
+        this.vx = options.vx || (random.next() - 0.5) * 10;
+        this.vy = options.vy || (random.next() - 0.5) * 10;
         this.life = options.life || 1;
         this.maxLife = this.life;
         this.size = options.size || 5;
@@ -15,8 +17,8 @@ class Particle {
         this.gravity = options.gravity || 0;
         this.friction = options.friction || 0.98;
         this.shape = options.shape || 'circle'; // circle, square, star
-        this.rotation = Math.random() * Math.PI * 2;
-        this.rotationSpeed = (Math.random() - 0.5) * 0.2;
+        this.rotation = random.next() * Math.PI * 2;
+        this.rotationSpeed = (random.next() - 0.5) * 0.2;
     }
     
     update() {
@@ -80,7 +82,11 @@ class Particle {
  * Particle System for managing all particles
  */
 export class ParticleSystem {
-    constructor() {
+    /**
+     * @param {Random} random - Cosmetic random stream, kept apart from gameplay randomness
+     */
+    constructor(random = new Random()) {
+        this.random = random;
         this.particles = [];
     }
     
@@ -88,7 +94,7 @@ export class ParticleSystem {
      * Add a single particle
      */
     addParticle(x, y, options) {
-        this.particles.push(new Particle(x, y, options));
+        this.particles.push(new Particle(x, y, options, this.random));
     }
     
     /**
@@ -96,8 +102,8 @@ export class ParticleSystem {
      */
     burst(x, y, count, options = {}) {
         for (let i = 0; i < count; i++) {
-            const angle = (i / count) * Math.PI * 2 + Math.random() * 0.5;
-            const speed = (options.speed || 5) * (0.5 + Math.random() * 0.5);
+            const angle = (i / count) * Math.PI * 2 + this.random.next() * 0.5;
+            const speed = (options.speed || 5) * (0.5 + this.random.next() * 0.5);
             
             this.addParticle(x, y, {
                 vx: Math.cos(angle) * speed,
@@ -114,8 +120,8 @@ export class ParticleSystem {
         const spread = options.spread || 0.5;
         
         for (let i = 0; i < count; i++) {
-            const particleAngle = angle + (Math.random() - 0.5) * spread;
-            const speed = (options.speed || 5) * (0.5 + Math.random() * 0.5);
+            const particleAngle = angle + (this.random.next() - 0.5) * spread;
+            const speed = (options.speed || 5) * (0.5 + this.random.next() * 0.5);
             
             this.addParticle(x, y, {
                 vx: Math.cos(particleAngle) * speed,
@@ -130,8 +136,8 @@ export class ParticleSystem {
      */
     trail(x, y, options = {}) {
         this.addParticle(x, y, {
-            vx: (Math.random() - 0.5) * 2,
-            vy: (Math.random() - 0.5) * 2,
+            vx: (this.random.next() - 0.5) * 2,
+            vy: (this.random.next() - 0.5) * 2,
             life: 0.5,
             decay: 0.03,
             size: 3,
@@ -144,15 +150,15 @@ export class ParticleSystem {
      */
     sparks(x, y, count, options = {}) {
         for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 3 + Math.random() * 8;
+            const angle = this.random.next() * Math.PI * 2;
+            const speed = 3 + this.random.next() * 8;
             
             this.addParticle(x, y, {
                 vx: Math.cos(angle) * speed,
                 vy: Math.sin(angle) * speed,
-                life: 0.3 + Math.random() * 0.3,
+                life: 0.3 + this.random.next() * 0.3,
                 decay: 0.02,
-                size: 2 + Math.random() * 3,
+                size: 2 + this.random.next() * 3,
                 shape: 'circle',
                 gravity: 0.1,
                 ...options
@@ -204,6 +210,41 @@ export class ParticleSystem {
         }
     }
     
+    /**
+     * Create a bomb blast - a fireball and smoke spreading out to the blast's
+     * reach, around the carrier's elimination burst
+     */
+    explosion(x, y, radius) {
+        // Fireball
+        this.burst(x, y, 30, {
+            color: '#ff9f43',
+            size: 9,
+            speed: radius / 18,
+            life: 0.8,
+            decay: 0.03,
+            friction: 0.92
+        });
+        this.burst(x, y, 16, {
+            color: '#ffd32a',
+            size: 7,
+            speed: radius / 30,
+            life: 0.5,
+            decay: 0.04,
+            friction: 0.92
+        });
+        
+        // Smoke drifting up
+        this.burst(x, y, 14, {
+            color: '#57606f',
+            size: 10,
+            speed: radius / 40,
+            life: 1.2,
+            decay: 0.015,
+            gravity: -0.05,
+            friction: 0.95
+        });
+    }
+    
     /**
      * Create collision impact effect - tuned for clarity
      */
@@ -212,15 +253,15 @@ export class ParticleSystem {
         
         // Mixed color particles
         for (let i = 0; i < count; i++) {
-            const color = Math.random() > 0.5 ? color1 : color2;
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 4 * intensity + Math.random() * 4;
+            const color = this.random.next() > 0.5 ? color1 : color2;
+            const angle = this.random.next() * Math.PI * 2;
+            const speed = 4 * intensity + this.random.next() * 4;
             
             this.addParticle(x, y, {
                 vx: Math.cos(angle) * speed,
                 vy: Math.sin(angle) * speed,
                 color: color,
-                size: 4 + Math.random() * 4,
+                size: 4 + this.random.next() * 4,
                 life: 0.5,
                 decay: 0.025
             });
@@ -295,8 +336,8 @@ export class ParticleSystem {
      */
     edgeWarning(x, y, color) {
         this.addParticle(x, y, {
-            vx: (Math.random() - 0.5) * 3,
-            vy: -2 - Math.random() * 2,
+            vx: (this.random.next() - 0.5) * 3,
+            vy: -2 - this.random.next() * 2,
             color: '#ff4444',
             size: 3,
             life: 0.5,
@@ -1,8 +1,15 @@
+import { Random } from '../utils/Random.js';
+
 /**
  * Screen effects like shake, flash, etc.
  */
 export class ScreenEffects {
-    constructor() {
+    /**
+     * @param {Random} random - Cosmetic random stream for shake jitter
+     */
+    constructor(random = new Random()) {
+        this.random = random;
+        
         this.shakeIntensity = 0;
         this.shakeDuration = 0;
         this.shakeDecay = 0.9;
@@ -100,8 +107,8 @@ export class ScreenEffects {
     update(deltaTime) {
         // Update shake
         if (this.shakeDuration > 0) {
-            this.offsetX = (Math.random() - 0.5) * this.shakeIntensity * 2;
-            this.offsetY = (Math.random() - 0.5) * this.shakeIntensity * 2;
+            this.offsetX = (this.random.next() - 0.5) * this.shakeIntensity * 2;
+            this.offsetY = (this.random.next() - 0.5) * this.shakeIntensity * 2;
             this.shakeDuration -= deltaTime;
             this.shakeIntensity *= this.shakeDecay;
         } else {
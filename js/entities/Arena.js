@@ -1,23 +1,38 @@
 import { CONFIG } from '../config.js';
+import { StateSnapshot } from '../utils/StateSnapshot.js';
+import { CircleShape, createArenaShape } from './ArenaShapes.js';
+import { ArenaLoader } from './ArenaLoader.js';
+import { createObstacle } from './Obstacles.js';
+import { createHazard } from './Hazards.js';
+import { TileFloor } from './TileFloor.js';
+
+// The centrifuge tiebreaker always spins a circle (scaled to centrifugeRadius)
+const CENTRIFUGE_SHAPE = new CircleShape(1);
+
+// Share of its size per ms the arena squeezes in, or eases back out, on a boss slam
+const SQUEEZE_SPEED = 0.0008;
+
+// Loaded from the arena definition and fixed for the match - left out of snapshots
+const DEFINITION_KEYS = ['definition', 'shape', 'spawnPoints', 'colors', 'obstacles', 'hazards', 'floor'];
 
 /**
- * Arena - the play area with boundaries and visual effects
+ * Arena - the play area with boundaries and visual effects.
+ * Layout comes from an arena definition (see ArenaLoader); the outline is an
+ * ArenaShape and `bounds` is its bounding box at the current scale.
+ * Obstacles and hazards follow the shrink and the centrifuge spin;
+ * `obstaclePoses` and `hazardPoses` hold where each one is this tick.
+ * Arenas with a tile `floor` crumble into holes instead of shrinking.
+ * In King of the Hill `zone` is the scoring zone; in soccer the edge is a
+ * bouncing wall with a goal in its left and right sides.
  */
 export class Arena {
-    constructor(canvasWidth, canvasHeight) {
-        const padding = CONFIG.ARENA.PADDING;
-        
-        this.bounds = {
-            left: padding,
-            right: canvasWidth - padding,
-            top: padding,
-            bottom: canvasHeight - padding
-        };
+    constructor(canvasWidth, canvasHeight, definition = ArenaLoader.normalize(CONFIG.ARENA.PRESETS.RECTANGLE)) {
+        this.centerX = canvasWidth / 2;
+        this.centerY = canvasHeight / 2;
         
-        this.width = this.bounds.right - this.bounds.left;
-        this.height = this.bounds.bottom - this.bounds.top;
-        this.centerX = this.bounds.left + this.width / 2;
-        this.centerY = this.bounds.top + this.height / 2;
+        // Current size relative to the shape (shrinking and modifiers)
+        this.scale = 1;
+        this.bounds = { left: 0, right: 0, top: 0, bottom: 0 };
         
         // Animation state
         this.time = 0;
@@ -25,11 +40,10 @@ export class Arena {
         this.borderGlow = 0;
         this.targetBorderGlow = 0;
         
-        // Shrinking mechanic
-        this.originalBounds = { ...this.bounds };
-        this.shrinkStartTime = 8000; // Start shrinking after 8 seconds
-        this.shrinkDuration = 12000; // Shrink over 12 seconds
-        this.minSizePercent = 0.35; // Shrink to 35% of original size
+        // Shrinking mechanic (schedule set by the arena definition)
+        this.shrinkStartTime = 0;
+        this.shrinkDuration = 0;
+        this.minSizePercent = 1;
         this.roundTime = 0;
         this.isShrinking = false;
         this.shrinkWarningShown = false;
@@ -52,6 +66,78 @@ export class Arena {
         this.centrifugeMaxSpeed = 0.004; // radians per ms
         this.centrifugeForce = 0;
         this.centrifugeMaxForce = 0.35;
+        
+        // Per obstacle: { x, y, angle, vx, vy, spin, active } in canvas space
+        this.obstaclePoses = [];
+        
+        // Per hazard: { x, y, angle, active } in canvas space, and ms left of
+        // the flash shown when it fires
+        this.hazardPoses = [];
+        this.hazardFlashes = [];
+        
+        // King of the Hill zone in canvas space, null in other modes:
+        // { x, y, radius, moveTime (ms until it moves), holderId, color, contested,
+        // takenById (last side announced taking it) }
+        this.zone = null;
+        
+        // Soccer: the edge bounces players and the ball back instead of
+        // eliminating, and `goalWidth` (px at full size, 0 for none) opens a
+        // goal in the left and right walls that only the ball goes through
+        this.bouncyWalls = false;
+        this.goalWidth = 0;
+        
+        // Whether the arena closes in as the round goes on (shrinking or
+        // crumbling, and sudden death); off in modes that keep it whole
+        this.closesIn = true;
+        
+        // Boss slams: the arena squeezes to `squeezeScale` of its size until
+        // `squeezeTime` (ms) runs out, then eases back; `squeeze` is where it is
+        this.squeeze = 1;
+        this.squeezeScale = 1;
+        this.squeezeTime = 0;
+        
+        this.load(definition);
+    }
+    
+    /**
+     * Set up the arena from a normalized definition (ArenaLoader.normalize)
+     */
+    load(definition) {
+        this.definition = definition;
+        this.shape = createArenaShape(definition.shape, definition.size.width / 2, definition.size.height / 2);
+        this.spawnPoints = definition.spawnPoints;
+        this.colors = definition.colors;
+        this.obstacles = definition.obstacles.map(createObstacle);
+        this.hazards = definition.hazards.map(createHazard);
+        this.floor = definition.tiles ? new TileFloor(definition.tiles, this.shape) : null;
+        
+        this.shrinkStartTime = definition.shrink.startTime;
+        this.shrinkDuration = definition.shrink.duration;
+        this.minSizePercent = definition.shrink.minSize;
+        
+        this.reset();
+    }
+    
+    /**
+     * Recompute the bounding box for the current scale
+     */
+    updateBounds() {
+        this.width = this.shape.halfWidth * 2 * this.scale;
+        this.height = this.shape.halfHeight * 2 * this.scale;
+        this.bounds.left = this.centerX - this.width / 2;
+        this.bounds.right = this.centerX + this.width / 2;
+        this.bounds.top = this.centerY - this.height / 2;
+        this.bounds.bottom = this.centerY + this.height / 2;
+    }
+    
+    /**
+     * Shape and scale of the live edge - the spinning circle in centrifuge mode
+     */
+    getEdgeShape() {
+        if (this.centrifugeMode) {
+            return { shape: CENTRIFUGE_SHAPE, scale: this.centrifugeRadius };
+        }
+        return { shape: this.shape, scale: this.scale };
     }
     
     /**
@@ -73,82 +159,489 @@ export class Arena {
      * Apply current scale to bounds
      */
     applyScale() {
-        const origWidth = this.originalBounds.right - this.originalBounds.left;
-        const origHeight = this.originalBounds.bottom - this.originalBounds.top;
-        const newWidth = origWidth * this.arenaScale;
-        const newHeight = origHeight * this.arenaScale;
-        
-        this.bounds.left = this.centerX - newWidth / 2;
-        this.bounds.right = this.centerX + newWidth / 2;
-        this.bounds.top = this.centerY - newHeight / 2;
-        this.bounds.bottom = this.centerY + newHeight / 2;
-        this.width = newWidth;
-        this.height = newHeight;
+        this.scale = this.arenaScale;
+        this.updateBounds();
+        this.updateObstacles(true);
+        this.updateHazards();
     }
     
     /**
-     * Get spawn positions for players
+     * Get spawn positions for players. With teams (team index per player)
+     * each team lines up on its own side instead.
      */
-    getSpawnPositions(playerCount) {
-        const positions = [];
+    getSpawnPositions(playerCount, teams = null) {
         const padding = 80;
+        let positions;
+        
+        if (this.spawnPoints) {
+            positions = this.getDefinedSpawnPositions(playerCount, teams);
+        } else if (teams) {
+            positions = this.getTeamSpawnPositions(teams, padding);
+        } else {
+            // Left, right, top and bottom of the center, just inside the edge
+            const directions = [
+                { x: -1, y: 0 },
+                { x: 1, y: 0 },
+                { x: 0, y: -1 },
+                { x: 0, y: 1 }
+            ];
+            positions = directions.slice(0, playerCount).map(dir =>
+                this.getEdgePoint(this.centerX, this.centerY, dir.x, dir.y, padding)
+            );
+        }
+        
+        // Generated spawns may land on an obstacle
+        return positions.map(position => this.moveClearOfObstacles(position, CONFIG.PLAYER.RADIUS));
+    }
+    
+    /**
+     * Spawn points from the arena definition, scaled with the arena. Teams
+     * take them from opposite sides: team 0 the leftmost, team 1 the rightmost.
+     */
+    getDefinedSpawnPositions(playerCount, teams) {
+        const toWorld = point => ({
+            x: this.centerX + point.x * this.scale,
+            y: this.centerY + point.y * this.scale
+        });
+        
+        if (!teams) {
+            return this.spawnPoints.slice(0, playerCount).map(toWorld);
+        }
         
-        // Predefined spawn positions based on player count
-        const spawnPoints = [
-            { x: this.bounds.left + padding, y: this.centerY }, // Left
-            { x: this.bounds.right - padding, y: this.centerY }, // Right
-            { x: this.centerX, y: this.bounds.top + padding }, // Top
-            { x: this.centerX, y: this.bounds.bottom - padding } // Bottom
+        const byX = [...this.spawnPoints].sort((a, b) => a.x - b.x);
+        return teams.map(team => toWorld(team === 0 ? byX.shift() : byX.pop()));
+    }
+    
+    /**
+     * Point `padding` short of where the edge is hit going from (x, y) in a direction
+     */
+    getEdgePoint(x, y, dirX, dirY, padding) {
+        const reach = this.shape.getRayDistance(x - this.centerX, y - this.centerY, dirX, dirY, this.scale);
+        const distance = Math.max(0, reach - padding);
+        return { x: x + dirX * distance, y: y + dirY * distance };
+    }
+    
+    /**
+     * Team 0 near the left edge, team 1 near the right, members spread vertically
+     */
+    getTeamSpawnPositions(teams, padding) {
+        const spacing = 110;
+        const counts = [0, 0];
+        const sizes = [
+            teams.filter(team => team === 0).length,
+            teams.filter(team => team === 1).length
         ];
         
-        for (let i = 0; i < playerCount; i++) {
-            positions.push(spawnPoints[i]);
+        return teams.map(team => {
+            const slot = counts[team]++;
+            const y = this.centerY + (slot - (sizes[team] - 1) / 2) * spacing;
+            return this.getEdgePoint(this.centerX, y, team === 0 ? -1 : 1, 0, padding);
+        });
+    }
+    
+    /**
+     * Point inside the current (possibly shrunk or spinning) arena, well away
+     * from the edge and as far from the given players as possible - for respawns
+     */
+    getSafeSpawnPoint(players, radius) {
+        const width = this.bounds.right - this.bounds.left;
+        const height = this.bounds.bottom - this.bounds.top;
+        const margin = Math.max(radius * 2, Math.min(width, height) * 0.15);
+        const steps = 6;
+        
+        let best = { x: this.centerX, y: this.centerY };
+        let bestScore = -Infinity;
+        
+        for (let i = 0; i <= steps; i++) {
+            for (let j = 0; j <= steps; j++) {
+                const x = this.bounds.left + width * (i / steps);
+                const y = this.bounds.top + height * (j / steps);
+                if (this.isOutOfBounds(x, y, margin)) continue;
+                
+                // Distance to the nearest player, capped so that among safe
+                // points the one closest to the center wins
+                let clearance = CONFIG.STOCKS.SAFE_DISTANCE;
+                for (const player of players) {
+                    clearance = Math.min(clearance, Math.hypot(player.position.x - x, player.position.y - y));
+                }
+                let score = clearance - Math.hypot(x - this.centerX, y - this.centerY) * 0.01;
+                
+                // Points on an obstacle only when nothing else is left
+                if (this.overlapsObstacle(x, y, radius * 1.5)) {
+                    score -= CONFIG.STOCKS.SAFE_DISTANCE * 2;
+                }
+                
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = { x, y };
+                }
+            }
+        }
+        
+        return this.moveClearOfObstacles(best, radius);
+    }
+    
+    /**
+     * A random point at least `margin` inside the current bounds (and clear
+     * of holes and obstacles), or null if a few tries found none
+     * @param {Random} random - Gameplay random stream
+     */
+    getRandomPoint(random, margin, tries = 12) {
+        for (let i = 0; i < tries; i++) {
+            const x = random.range(this.bounds.left, this.bounds.right);
+            const y = random.range(this.bounds.top, this.bounds.bottom);
+            if (!this.isOutOfBounds(x, y, margin) && !this.overlapsObstacle(x, y, margin / 2)) {
+                return { x, y };
+            }
         }
+        return null;
+    }
+    
+    /**
+     * A random whole floor tile's center at least `margin` inside the edge
+     * and holes and clear of obstacles, or null if there's none left (for
+     * tile floors mostly gone, where random points rarely find floor)
+     * @param {Random} random - Gameplay random stream
+     */
+    getRandomFloorPoint(random, margin) {
+        if (!this.hasTileFloor()) return null;
         
-        return positions;
+        const spots = [];
+        this.floor.tiles.forEach((tile, i) => {
+            const x = this.centerX + tile.x * this.scale;
+            const y = this.centerY + tile.y * this.scale;
+            if (!this.floor.isCracked(i) && !this.isOutOfBounds(x, y, margin) && !this.overlapsObstacle(x, y, margin / 2)) {
+                spots.push({ x, y });
+            }
+        });
+        return spots.length > 0 ? random.pick(spots) : null;
     }
     
     /**
      * Check if a position is outside the arena
      */
     isOutOfBounds(x, y, radius = 0) {
-        if (this.centrifugeMode) {
-            return this.isOutOfCentrifuge(x, y, radius);
-        }
-        return (
-            x - radius < this.bounds.left ||
-            x + radius > this.bounds.right ||
-            y - radius < this.bounds.top ||
-            y + radius > this.bounds.bottom
-        );
+        return this.getDistanceToBoundary(x, y) < radius;
     }
     
     /**
      * Check if player is completely outside (eliminated)
      */
     isEliminated(x, y, radius) {
+        return this.isOverHole(x, y) || this.getDistanceToBoundary(x, y) < -radius;
+    }
+    
+    /**
+     * Get distance to the live edge or the nearest hole in the floor
+     * (negative if outside or over it)
+     */
+    getDistanceToBoundary(x, y) {
+        const edge = this.getEdgeDistance(x, y);
+        if (!this.hasTileFloor()) return edge;
+        
+        const local = this.toLocal(x, y);
+        return Math.min(edge, this.floor.getHoleDistance(local.x, local.y) * this.scale);
+    }
+    
+    /**
+     * Get distance to the live edge alone, holes aside (negative outside)
+     */
+    getEdgeDistance(x, y) {
+        const { shape, scale } = this.getEdgeShape();
+        return shape.getDistance(x - this.centerX, y - this.centerY, scale);
+    }
+    
+    /**
+     * Make the edge a bouncing wall (soccer) with goals of a width in its
+     * left and right sides (0 for none), or a drop again
+     */
+    setWalls(bouncy, goalWidth = 0) {
+        this.bouncyWalls = bouncy;
+        this.goalWidth = goalWidth;
+    }
+    
+    /**
+     * Let the arena close in as rounds go on, or keep it whole
+     */
+    setClosesIn(closesIn) {
+        this.closesIn = closesIn;
+    }
+    
+    /**
+     * Squeeze the arena to a share of its size for a while (boss slams)
+     */
+    squeezeTo(scale, duration) {
+        this.squeezeScale = scale;
+        this.squeezeTime = duration;
+    }
+    
+    /**
+     * Move the squeeze toward its target size, back to full once its time is up
+     */
+    updateSqueeze(deltaTime) {
+        this.squeezeTime = Math.max(0, this.squeezeTime - deltaTime);
+        const target = this.squeezeTime > 0 ? this.squeezeScale : 1;
+        const step = SQUEEZE_SPEED * deltaTime;
+        this.squeeze = target < this.squeeze
+            ? Math.max(target, this.squeeze - step)
+            : Math.min(target, this.squeeze + step);
+        
+        if (!this.isShrinking) {
+            this.scale = this.arenaScale * this.squeeze;
+            this.updateBounds();
+        }
+    }
+    
+    /**
+     * Overlap of a circle with the edge as a wall, as the unit normal pushing
+     * the circle back in and the depth, or null. With `throughGoals` the goal
+     * mouths let it pass.
+     */
+    getWallContact(x, y, radius, throughGoals = false) {
+        const distance = this.getEdgeDistance(x, y);
+        if (distance >= radius) return null;
+        if (throughGoals && this.getGoalAt(x, y, radius)) return null;
+        
+        // The edge distance grows inward, so its slope points back in
+        const step = 0.5;
+        const nx = this.getEdgeDistance(x + step, y) - this.getEdgeDistance(x - step, y);
+        const ny = this.getEdgeDistance(x, y + step) - this.getEdgeDistance(x, y - step);
+        const length = Math.hypot(nx, ny);
+        if (length === 0) return null;
+        
+        return { nx: nx / length, ny: ny / length, depth: radius - distance };
+    }
+    
+    /**
+     * Goal a team defends (team 0 left, team 1 right) at the current size:
+     * the middle of its mouth on the edge, the mouth's half width and the
+     * way out of the arena through it (dir, -1 or 1 along x)
+     */
+    getGoal(team) {
+        const dir = team === 0 ? -1 : 1;
+        const { shape, scale } = this.getEdgeShape();
+        const reach = shape.getRayDistance(0, 0, dir, 0, scale);
+        return {
+            team,
+            x: this.centerX + dir * reach,
+            y: this.centerY,
+            halfWidth: this.goalWidth / 2 * this.scale,
+            dir
+        };
+    }
+    
+    /**
+     * Goal whose mouth a circle fits through at this height, or null
+     */
+    getGoalAt(x, y, radius) {
+        if (this.goalWidth <= 0) return null;
+        
+        for (const team of [0, 1]) {
+            const goal = this.getGoal(team);
+            if ((x - this.centerX) * goal.dir > 0 && Math.abs(y - goal.y) < goal.halfWidth - radius) {
+                return goal;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Check if the tile floor is in play (the centrifuge brings its own floor)
+     */
+    hasTileFloor() {
+        return this.floor !== null && !this.centrifugeMode;
+    }
+    
+    /**
+     * Canvas point relative to the center at scale 1
+     */
+    toLocal(x, y) {
+        return { x: (x - this.centerX) / this.scale, y: (y - this.centerY) / this.scale };
+    }
+    
+    /**
+     * Check if a point is over a hole where floor tiles fell away
+     */
+    isOverHole(x, y) {
+        if (!this.hasTileFloor()) return false;
+        const local = this.toLocal(x, y);
+        return this.floor.isHole(local.x, local.y);
+    }
+    
+    /**
+     * How close the floor tile at a point is to falling (0-1)
+     */
+    getCrackProgress(x, y) {
+        if (!this.hasTileFloor()) return 0;
+        const local = this.toLocal(x, y);
+        return this.floor.getCrackProgress(local.x, local.y);
+    }
+    
+    /**
+     * Wear the floor tile a player stands on (occupancy floors)
+     */
+    wearFloor(x, y, deltaTime) {
+        if (!this.hasTileFloor() || this.roundTime < this.floor.startTime) return;
+        const local = this.toLocal(x, y);
+        this.floor.wearAt(local.x, local.y, deltaTime * this.getShrinkMultiplier());
+    }
+    
+    /**
+     * Draw the order random floors crumble in for this round
+     * @param {Random} random - Gameplay random stream
+     */
+    shuffleFloor(random) {
+        if (this.floor && this.floor.mode === 'random') {
+            this.floor.shuffle(random);
+        }
+    }
+    
+    /**
+     * Place the obstacles for the current round time, shrink and centrifuge
+     * spin. Their velocity is how far they moved since the last update
+     * (one tick), or zero when `still` (after a reset or a jump in scale).
+     */
+    updateObstacles(still = false) {
+        this.obstaclePoses = this.obstacles.map((obstacle, i) => {
+            const { x, y, angle } = this.toFloor(obstacle.getPose(this.roundTime));
+            const previous = still ? null : this.obstaclePoses[i];
+            return {
+                x,
+                y,
+                angle,
+                vx: previous ? x - previous.x : 0,
+                vy: previous ? y - previous.y : 0,
+                spin: previous ? angle - previous.angle : 0,
+                // Obstacles left outside the edge sink and stop blocking
+                active: this.getDistanceToBoundary(x, y) > 0
+            };
+        });
+    }
+    
+    /**
+     * Place the hazards for the current shrink and centrifuge spin
+     */
+    updateHazards() {
+        this.hazardPoses = this.hazards.map(hazard => {
+            const pose = this.toFloor({ x: hazard.x, y: hazard.y, angle: hazard.direction });
+            // Hazards left outside the edge stop working
+            pose.active = this.getDistanceToBoundary(pose.x, pose.y) > 0;
+            return pose;
+        });
+    }
+    
+    /**
+     * Canvas position and angle of a point given relative to the center at
+     * scale 1, shrunk with the arena and carried around by the centrifuge
+     */
+    toFloor({ x, y, angle }) {
+        x *= this.scale;
+        y *= this.scale;
         if (this.centrifugeMode) {
-            return this.isEliminatedCentrifuge(x, y, radius);
+            const cos = Math.cos(this.centrifugeRotation);
+            const sin = Math.sin(this.centrifugeRotation);
+            [x, y] = [x * cos - y * sin, x * sin + y * cos];
+            angle += this.centrifugeRotation;
         }
-        return (
-            x + radius < this.bounds.left ||
-            x - radius > this.bounds.right ||
-            y + radius < this.bounds.top ||
-            y - radius > this.bounds.bottom
+        return { x: x + this.centerX, y: y + this.centerY, angle };
+    }
+    
+    /**
+     * How a circle meets an active hazard (see Hazards.js for the fields),
+     * or null when it does not touch it. Hazards shrink with the floor.
+     */
+    getHazardContact(index, x, y, radius) {
+        const pose = this.hazardPoses[index];
+        if (!pose || !pose.active) return null;
+        
+        const reach = this.hazards[index].radius * this.scale;
+        const dx = x - pose.x;
+        const dy = y - pose.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance >= reach + radius) return null;
+        
+        return {
+            nx: distance > 0 ? dx / distance : 0,
+            ny: distance > 0 ? dy / distance : -1,
+            depth: reach + radius - distance,
+            dirX: Math.cos(pose.angle),
+            dirY: Math.sin(pose.angle),
+            covered: distance < reach
+        };
+    }
+    
+    /**
+     * Light up a hazard that just fired
+     */
+    flashHazard(index) {
+        this.hazardFlashes[index] = 200;
+    }
+    
+    /**
+     * Overlap of a circle with an active obstacle, as the unit normal pushing
+     * the circle out and the depth, or null. Obstacles shrink with the floor.
+     */
+    getObstacleContact(index, x, y, radius) {
+        const obstacle = this.obstacles[index];
+        const pose = this.obstaclePoses[index];
+        if (!pose || !pose.active) return null;
+        
+        const dx = x - pose.x;
+        const dy = y - pose.y;
+        const reach = obstacle.getReach() * this.scale + radius;
+        if (dx * dx + dy * dy >= reach * reach) return null;
+        
+        // Into the obstacle's own unscaled frame and back
+        const cos = Math.cos(pose.angle);
+        const sin = Math.sin(pose.angle);
+        const contact = obstacle.getContact(
+            (dx * cos + dy * sin) / this.scale,
+            (-dx * sin + dy * cos) / this.scale,
+            radius / this.scale
         );
+        if (!contact) return null;
+        
+        return {
+            nx: contact.nx * cos - contact.ny * sin,
+            ny: contact.nx * sin + contact.ny * cos,
+            depth: contact.depth * this.scale
+        };
     }
     
     /**
-     * Get distance to nearest boundary (negative if outside)
+     * Check if a circle touches any active obstacle
      */
-    getDistanceToBoundary(x, y) {
-        const distances = [
-            x - this.bounds.left,
-            this.bounds.right - x,
-            y - this.bounds.top,
-            this.bounds.bottom - y
-        ];
-        return Math.min(...distances);
+    overlapsObstacle(x, y, radius) {
+        return this.obstacles.some((obstacle, i) => this.getObstacleContact(i, x, y, radius) !== null);
+    }
+    
+    /**
+     * Nudge a point out of the obstacles a circle there would overlap
+     */
+    moveClearOfObstacles(point, radius) {
+        let { x, y } = point;
+        this.obstacles.forEach((obstacle, i) => {
+            const contact = this.getObstacleContact(i, x, y, radius);
+            if (contact) {
+                x += contact.nx * contact.depth;
+                y += contact.ny * contact.depth;
+            }
+        });
+        return { x, y };
+    }
+    
+    /**
+     * Place the King of the Hill zone; it should move on after `moveTime` ms
+     */
+    setZone(x, y, radius, moveTime) {
+        this.zone = { x, y, radius, moveTime, holderId: null, color: null, contested: false, takenById: null };
+    }
+    
+    /**
+     * Check if a point is inside the King of the Hill zone
+     */
+    isInZone(x, y) {
+        return this.zone !== null && Math.hypot(x - this.zone.x, y - this.zone.y) < this.zone.radius;
     }
     
     /**
@@ -162,15 +655,15 @@ export class Arena {
      * Reset arena for new round
      */
     reset() {
-        this.bounds = { ...this.originalBounds };
-        this.width = this.bounds.right - this.bounds.left;
-        this.height = this.bounds.bottom - this.bounds.top;
-        this.centerX = this.bounds.left + this.width / 2;
-        this.centerY = this.bounds.top + this.height / 2;
+        this.scale = 1;
+        this.updateBounds();
         this.roundTime = 0;
         this.isShrinking = false;
         this.shrinkWarningShown = false;
         this.suddenDeathActive = false;
+        this.squeeze = 1;
+        this.squeezeScale = 1;
+        this.squeezeTime = 0;
         // Reset centrifuge
         this.centrifugeMode = false;
         this.centrifugeRotation = 0;
@@ -179,6 +672,36 @@ export class Arena {
         // Reset modifiers
         this.arenaScale = 1.0;
         this.shrinkSpeedMultiplier = 1.0;
+        this.hazardFlashes = this.hazards.map(() => 0);
+        this.zone = null;
+        this.floor?.reset();
+        this.updateObstacles(true);
+        this.updateHazards();
+    }
+    
+    /**
+     * Snapshot bounds, shrink and centrifuge state
+     */
+    getState() {
+        const state = StateSnapshot.capture(this, DEFINITION_KEYS);
+        if (this.floor) state.floor = this.floor.getState();
+        return state;
+    }
+    
+    /**
+     * Restore a snapshot taken with getState
+     */
+    setState(state) {
+        const { floor, ...rest } = state;
+        StateSnapshot.restore(this, rest);
+        if (floor) this.floor.setState(floor);
+    }
+    
+    /**
+     * How much faster than normal the arena shrinks or crumbles
+     */
+    getShrinkMultiplier() {
+        return this.suddenDeathActive ? this.suddenDeathShrinkSpeed : this.shrinkSpeedMultiplier;
     }
     
     /**
@@ -202,7 +725,7 @@ export class Arena {
      */
     setAliveCount(count) {
         // Activate sudden death when only 2 players remain and time threshold reached
-        if (count <= 2 && this.roundTime >= this.suddenDeathStartTime && !this.suddenDeathActive) {
+        if (count <= 2 && this.closesIn && this.roundTime >= this.suddenDeathStartTime && !this.suddenDeathActive) {
             this.suddenDeathActive = true;
         }
     }
@@ -218,28 +741,6 @@ export class Arena {
         this.centrifugeForce = 0;
     }
     
-    /**
-     * Check if a position is outside the circular centrifuge arena
-     */
-    isOutOfCentrifuge(x, y, radius = 0) {
-        if (!this.centrifugeMode) return false;
-        const dx = x - this.centerX;
-        const dy = y - this.centerY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        return dist + radius > this.centrifugeRadius;
-    }
-    
-    /**
-     * Check if player eliminated in centrifuge mode
-     */
-    isEliminatedCentrifuge(x, y, radius) {
-        if (!this.centrifugeMode) return false;
-        const dx = x - this.centerX;
-        const dy = y - this.centerY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        return dist - radius > this.centrifugeRadius;
-    }
-    
     /**
      * Get centrifugal force for a position (pushes outward from center based on rotation)
      */
@@ -307,33 +808,35 @@ export class Arena {
         // Update round time and shrinking only when playing
         if (isPlaying) {
             this.roundTime += deltaTime;
-            
+        }
+        
+        if (isPlaying && this.closesIn) {
             // Calculate effective shrink speed (faster during sudden death or with modifier)
-            const shrinkMultiplier = this.suddenDeathActive ? 
-                this.suddenDeathShrinkSpeed : this.shrinkSpeedMultiplier;
+            const shrinkMultiplier = this.getShrinkMultiplier();
             
-            // Check if we should be shrinking
-            if (this.roundTime >= this.shrinkStartTime) {
+            // Tile floors crumble instead of shrinking
+            if (this.hasTileFloor()) {
+                this.floor.update(deltaTime, this.roundTime, shrinkMultiplier);
+            } else if (this.roundTime >= this.shrinkStartTime) {
                 this.isShrinking = true;
                 const baseProgress = this.getShrinkProgress();
                 // Accelerate progress during sudden death or with modifier
                 const progress = Math.min(1, baseProgress * shrinkMultiplier);
                 const scale = 1 - (1 - this.minSizePercent) * progress;
-                // Also apply arena scale modifier
-                const finalScale = scale * this.arenaScale;
                 
-                // Calculate new bounds from center
-                const newWidth = (this.originalBounds.right - this.originalBounds.left) * finalScale;
-                const newHeight = (this.originalBounds.bottom - this.originalBounds.top) * finalScale;
-                
-                this.bounds.left = this.centerX - newWidth / 2;
-                this.bounds.right = this.centerX + newWidth / 2;
-                this.bounds.top = this.centerY - newHeight / 2;
-                this.bounds.bottom = this.centerY + newHeight / 2;
-                this.width = newWidth;
-                this.height = newHeight;
+                // Shrink the shape toward the center, on top of the arena scale modifier
+                this.scale = scale * this.arenaScale * this.squeeze;
+                this.updateBounds();
             }
         }
+        
+        if (this.squeezeTime > 0 || this.squeeze < 1) {
+            this.updateSqueeze(deltaTime);
+        }
+        
+        this.updateObstacles();
+        this.updateHazards();
+        this.hazardFlashes = this.hazardFlashes.map(flash => Math.max(0, flash - deltaTime));
     }
     
     /**
@@ -353,6 +856,11 @@ export class Arena {
             // Draw danger zone gradient (edge warning)
             this.renderDangerZone(ctx);
             
+            // Draw floor tiles and the holes between them
+            if (this.floor) {
+                this.renderFloor(ctx);
+            }
+            
             // Draw shrinking warning
             if (this.isShrinking) {
                 this.renderShrinkingEffect(ctx);
@@ -364,6 +872,16 @@ export class Arena {
             // Draw corner markers (impact points)
             this.renderCornerMarkers(ctx);
         }
+        
+        // Hazards and the hill zone lie on the floor, obstacles stand on top of it
+        this.renderHazards(ctx);
+        if (this.zone) {
+            this.renderZone(ctx);
+        }
+        if (this.goalWidth > 0) {
+            this.renderGoals(ctx);
+        }
+        this.renderObstacles(ctx);
     }
     
     /**
@@ -462,14 +980,16 @@ export class Arena {
         // Pulsing overlay - MUCH more intense during sudden death
         const overlayAlpha = this.suddenDeathActive ? pulseIntensity * 0.35 : pulseIntensity * 0.1;
         ctx.fillStyle = `rgba(255, 0, 0, ${overlayAlpha})`;
-        ctx.fillRect(this.bounds.left, this.bounds.top, this.width, this.height);
+        this.traceOutline(ctx);
+        ctx.fill();
         
         // During sudden death, add flashing border effect
         if (this.suddenDeathActive) {
             const flashIntensity = 0.6 + Math.sin(this.pulsePhase * 15) * 0.4;
             ctx.strokeStyle = `rgba(255, 50, 50, ${flashIntensity})`;
             ctx.lineWidth = 8;
-            ctx.strokeRect(this.bounds.left, this.bounds.top, this.width, this.height);
+            this.traceOutline(ctx);
+            ctx.stroke();
         }
         
         // Warning text - different for sudden death
@@ -493,6 +1013,14 @@ export class Arena {
         ctx.restore();
     }
     
+    /**
+     * Start a new path with the arena outline, optionally moved inward
+     */
+    traceOutline(ctx, inset = 0) {
+        ctx.beginPath();
+        this.shape.tracePath(ctx, this.centerX, this.centerY, this.scale, inset);
+    }
+    
     /**
      * Render out of bounds area
      */
@@ -521,19 +1049,16 @@ export class Arena {
             this.centerX, this.centerY, 0,
             this.centerX, this.centerY, this.width * 0.7
         );
-        gradient.addColorStop(0, '#252535');
-        gradient.addColorStop(0.5, '#1a1a28');
-        gradient.addColorStop(1, '#12121a');
+        gradient.addColorStop(0, this.colors.background);
+        gradient.addColorStop(1, this.colors.backgroundEdge);
         
         ctx.fillStyle = gradient;
-        ctx.fillRect(
-            this.bounds.left,
-            this.bounds.top,
-            this.width,
-            this.height
-        );
+        this.traceOutline(ctx);
+        ctx.fill();
         
         // Subtle diagonal slash pattern for aggressive texture
+        ctx.save();
+        ctx.clip();
         ctx.strokeStyle = 'rgba(255, 68, 68, 0.03)';
         ctx.lineWidth = 2;
         const slashSpacing = 40;
@@ -543,40 +1068,38 @@ export class Arena {
             ctx.lineTo(this.bounds.left + i + this.height, this.bounds.bottom);
             ctx.stroke();
         }
+        ctx.restore();
     }
     
     /**
-     * Render danger zone near edges
+     * Render the tile floor, clipped to the outline
+     */
+    renderFloor(ctx) {
+        ctx.save();
+        this.traceOutline(ctx);
+        ctx.clip();
+        ctx.translate(this.centerX, this.centerY);
+        ctx.scale(this.scale, this.scale);
+        this.floor.render(ctx, this.time, '#0d0d1a');
+        ctx.restore();
+    }
+    
+    /**
+     * Render danger zone near edges - bands along the outline fading inward,
+     * so it follows any shape
      */
     renderDangerZone(ctx) {
         const dangerWidth = CONFIG.ARENA.DANGER_ZONE_WIDTH;
         const pulseIntensity = 0.2 + Math.sin(this.pulsePhase * 2) * 0.1;
+        const alpha = pulseIntensity + this.borderGlow * 0.3;
+        const bands = 6;
+        const bandWidth = dangerWidth / bands;
         
-        // Create gradient for each edge
-        const edges = [
-            { x: this.bounds.left, y: this.bounds.top, w: dangerWidth, h: this.height, dir: 'right' },
-            { x: this.bounds.right - dangerWidth, y: this.bounds.top, w: dangerWidth, h: this.height, dir: 'left' },
-            { x: this.bounds.left, y: this.bounds.top, w: this.width, h: dangerWidth, dir: 'down' },
-            { x: this.bounds.left, y: this.bounds.bottom - dangerWidth, w: this.width, h: dangerWidth, dir: 'up' }
-        ];
-        
-        for (const edge of edges) {
-            let gradient;
-            if (edge.dir === 'right') {
-                gradient = ctx.createLinearGradient(edge.x, 0, edge.x + edge.w, 0);
-            } else if (edge.dir === 'left') {
-                gradient = ctx.createLinearGradient(edge.x + edge.w, 0, edge.x, 0);
-            } else if (edge.dir === 'down') {
-                gradient = ctx.createLinearGradient(0, edge.y, 0, edge.y + edge.h);
-            } else {
-                gradient = ctx.createLinearGradient(0, edge.y + edge.h, 0, edge.y);
-            }
-            
-            gradient.addColorStop(0, `rgba(255, 68, 68, ${pulseIntensity + this.borderGlow * 0.3})`);
-            gradient.addColorStop(1, 'rgba(255, 68, 68, 0)');
-            
-            ctx.fillStyle = gradient;
-            ctx.fillRect(edge.x, edge.y, edge.w, edge.h);
+        ctx.lineWidth = bandWidth;
+        for (let i = 0; i < bands; i++) {
+            this.traceOutline(ctx, bandWidth * (i + 0.5));
+            ctx.strokeStyle = `rgba(255, 68, 68, ${alpha * (1 - i / bands)})`;
+            ctx.stroke();
         }
     }
     
@@ -624,75 +1147,223 @@ export class Arena {
         const glowIntensity = 0.5 + this.borderGlow * 0.5;
         
         // Outer glow
-        ctx.shadowColor = CONFIG.ARENA.BORDER_COLOR;
+        ctx.shadowColor = this.colors.border;
         ctx.shadowBlur = 15 + this.borderGlow * 20;
         
-        ctx.strokeStyle = CONFIG.ARENA.BORDER_COLOR;
+        ctx.strokeStyle = this.colors.border;
         ctx.lineWidth = CONFIG.ARENA.BORDER_WIDTH;
-        ctx.strokeRect(
-            this.bounds.left,
-            this.bounds.top,
-            this.width,
-            this.height
-        );
+        this.traceOutline(ctx);
+        ctx.stroke();
         
         ctx.shadowBlur = 0;
         
         // Inner border highlight
-        ctx.strokeStyle = `rgba(255, 100, 100, ${0.3 + this.borderGlow * 0.3})`;
+        ctx.globalAlpha = 0.3 + this.borderGlow * 0.3;
+        ctx.strokeStyle = this.colors.border;
         ctx.lineWidth = 1;
-        ctx.strokeRect(
-            this.bounds.left + 4,
-            this.bounds.top + 4,
-            this.width - 8,
-            this.height - 8
-        );
+        this.traceOutline(ctx, 4);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
     }
     
     /**
-     * Render corner markers - sharp aggressive style
+     * Render corner markers - sharp aggressive style (none on smooth shapes)
      */
     renderCornerMarkers(ctx) {
         const markerSize = 25;
         const pulseSize = markerSize + Math.sin(this.pulsePhase * 3) * 4;
+        const corners = this.shape.getCorners();
         
-        ctx.strokeStyle = '#ff4444';
+        ctx.strokeStyle = this.colors.border;
         ctx.lineWidth = 5;
         ctx.lineCap = 'square'; // Sharp corners
         
-        const corners = [
-            { x: this.bounds.left, y: this.bounds.top, dx: 1, dy: 1 },
-            { x: this.bounds.right, y: this.bounds.top, dx: -1, dy: 1 },
-            { x: this.bounds.left, y: this.bounds.bottom, dx: 1, dy: -1 },
-            { x: this.bounds.right, y: this.bounds.bottom, dx: -1, dy: -1 }
-        ];
-        
-        for (const corner of corners) {
+        corners.forEach((vertex, i) => {
+            const prev = corners[(i + corners.length - 1) % corners.length];
+            const next = corners[(i + 1) % corners.length];
+            const x = this.centerX + vertex.x * this.scale;
+            const y = this.centerY + vertex.y * this.scale;
+            
+            // Unit directions along the two edges meeting here
+            const toPrevLength = Math.hypot(prev.x - vertex.x, prev.y - vertex.y);
+            const toNextLength = Math.hypot(next.x - vertex.x, next.y - vertex.y);
+            const a = { x: (prev.x - vertex.x) / toPrevLength, y: (prev.y - vertex.y) / toPrevLength };
+            const b = { x: (next.x - vertex.x) / toNextLength, y: (next.y - vertex.y) / toNextLength };
+            
             // Glow effect
-            ctx.shadowColor = '#ff4444';
+            ctx.shadowColor = this.colors.border;
             ctx.shadowBlur = 15;
             
             ctx.beginPath();
-            ctx.moveTo(corner.x + corner.dx * pulseSize, corner.y);
-            ctx.lineTo(corner.x, corner.y);
-            ctx.lineTo(corner.x, corner.y + corner.dy * pulseSize);
+            ctx.moveTo(x + a.x * pulseSize, y + a.y * pulseSize);
+            ctx.lineTo(x, y);
+            ctx.lineTo(x + b.x * pulseSize, y + b.y * pulseSize);
             ctx.stroke();
             
             ctx.shadowBlur = 0;
             
             // Corner spike
-            ctx.fillStyle = '#ff6666';
+            ctx.fillStyle = this.colors.border;
             ctx.beginPath();
-            ctx.moveTo(corner.x, corner.y);
-            ctx.lineTo(corner.x + corner.dx * 8, corner.y);
-            ctx.lineTo(corner.x, corner.y + corner.dy * 8);
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + a.x * 8, y + a.y * 8);
+            ctx.lineTo(x + b.x * 8, y + b.y * 8);
             ctx.closePath();
             ctx.fill();
-        }
+        });
         
         ctx.lineCap = 'butt';
     }
     
+    /**
+     * Render hazards, each drawing itself at its pose
+     */
+    renderHazards(ctx) {
+        this.hazards.forEach((hazard, i) => {
+            const pose = this.hazardPoses[i];
+            if (!pose || !pose.active) return;
+            
+            ctx.save();
+            ctx.translate(pose.x, pose.y);
+            ctx.rotate(pose.angle);
+            ctx.scale(this.scale, this.scale);
+            hazard.render(ctx, this.time, this.hazardFlashes[i] / 200);
+            ctx.restore();
+        });
+    }
+    
+    /**
+     * Render the soccer goals - a net in the defending team's color behind
+     * each goal mouth, with white posts
+     */
+    renderGoals(ctx) {
+        const depth = CONFIG.SOCCER.GOAL_DEPTH * this.scale;
+        
+        for (const team of [0, 1]) {
+            const { x, y, halfWidth, dir } = this.getGoal(team);
+            const color = CONFIG.TEAMS.COLORS[team];
+            const back = x + dir * depth;
+            
+            ctx.save();
+            
+            // Net
+            ctx.fillStyle = color + '33';
+            ctx.fillRect(Math.min(x, back), y - halfWidth, depth, halfWidth * 2);
+            ctx.strokeStyle = color + '66';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let i = 1; i < 4; i++) {
+                ctx.moveTo(x + dir * depth * i / 4, y - halfWidth);
+                ctx.lineTo(x + dir * depth * i / 4, y + halfWidth);
+            }
+            for (let i = 1; i < 8; i++) {
+                ctx.moveTo(x, y - halfWidth + halfWidth * 2 * i / 8);
+                ctx.lineTo(back, y - halfWidth + halfWidth * 2 * i / 8);
+            }
+            ctx.stroke();
+            
+            // Frame and goal line
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.moveTo(x, y - halfWidth);
+            ctx.lineTo(back, y - halfWidth);
+            ctx.lineTo(back, y + halfWidth);
+            ctx.lineTo(x, y + halfWidth);
+            ctx.stroke();
+            
+            ctx.setLineDash([8, 6]);
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(x, y - halfWidth);
+            ctx.lineTo(x, y + halfWidth);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            
+            // Posts
+            ctx.fillStyle = '#ffffff';
+            for (const side of [-1, 1]) {
+                ctx.beginPath();
+                ctx.arc(x, y + side * halfWidth, 5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            
+            ctx.restore();
+        }
+    }
+    
+    /**
+     * Render the King of the Hill zone - tinted by the side holding it, red
+     * while contested, blinking before it moves
+     */
+    renderZone(ctx) {
+        const { x, y, radius, moveTime, color, contested } = this.zone;
+        const tint = contested ? '#ff6b6b' : color || '#ffffff';
+        const blink = moveTime < CONFIG.HILL.MOVE_WARNING && Math.sin(this.time * 0.02) < 0 ? 0.35 : 1;
+        
+        ctx.save();
+        
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.globalAlpha = (color || contested ? 0.22 : 0.08) * blink;
+        ctx.fillStyle = tint;
+        ctx.fill();
+        
+        // Marching dashed rim
+        ctx.globalAlpha = 0.85 * blink;
+        ctx.setLineDash([14, 10]);
+        ctx.lineDashOffset = -this.time * 0.03;
+        ctx.strokeStyle = tint;
+        ctx.lineWidth = 4;
+        ctx.shadowColor = tint;
+        ctx.shadowBlur = 12 + Math.sin(this.pulsePhase * 3) * 4;
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        ctx.globalAlpha = 0.45 * blink;
+        ctx.shadowBlur = 0;
+        ctx.font = '30px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('👑', x, y);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render obstacles - dark blocks outlined in the border color
+     */
+    renderObstacles(ctx) {
+        this.obstacles.forEach((obstacle, i) => {
+            const pose = this.obstaclePoses[i];
+            if (!pose || !pose.active) return;
+            
+            // The path keeps the transform it was traced with, so the
+            // stroke below is not scaled down with the body
+            ctx.save();
+            ctx.translate(pose.x, pose.y);
+            ctx.rotate(pose.angle);
+            ctx.scale(this.scale, this.scale);
+            ctx.beginPath();
+            obstacle.tracePath(ctx);
+            ctx.restore();
+            
+            ctx.save();
+            ctx.fillStyle = '#1c1c2a';
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+            ctx.shadowBlur = 12;
+            ctx.fill();
+            
+            ctx.shadowColor = this.colors.border;
+            ctx.shadowBlur = 8 + this.borderGlow * 10;
+            ctx.strokeStyle = this.colors.border;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+            
+            ctx.restore();
+        });
+    }
+    
     /**
      * Render center marker
      */
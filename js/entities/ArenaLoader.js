@@ -0,0 +1,462 @@
+import { CONFIG } from '../config.js';
+import { createArenaShape } from './ArenaShapes.js';
+import { createObstacle } from './Obstacles.js';
+
+export const ARENA_FORMAT_VERSION = 1;
+
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Fields each arena shape type takes besides `type`
+const SHAPE_FIELDS = {
+    rectangle: [],
+    roundedRect: ['cornerRadius'],
+    circle: ['radius'],
+    polygon: ['sides', 'rotation', 'points']
+};
+
+// Size fields of each obstacle type, as [min, max]
+const OBSTACLE_SIZES = {
+    circle: { radius: [5, 300] },
+    box: { width: [10, CONFIG.CANVAS_WIDTH], height: [10, CONFIG.CANVAS_HEIGHT] },
+    capsule: { length: [0, CONFIG.CANVAS_WIDTH], radius: [5, 300] }
+};
+
+// Fields every obstacle may have to turn or move
+const OBSTACLE_MOTION = {
+    rotation: [-360, 360],
+    spin: [-720, 720],
+    speed: [1, 2000]
+};
+
+const TILE_MODES = ['schedule', 'random', 'occupancy'];
+
+// Fields of each hazard type, as [min, max]
+const HAZARD_RADIUS = [10, 300];
+const HAZARD_FIELDS = {
+    bumper: { radius: HAZARD_RADIUS, strength: [1, 40] },
+    boost: { radius: HAZARD_RADIUS, direction: [-360, 360], strength: [1, 30] },
+    conveyor: { radius: HAZARD_RADIUS, direction: [-360, 360], speed: [10, 1000] },
+    ice: { radius: HAZARD_RADIUS, friction: [0.9, 0.995] }
+};
+
+/**
+ * Arena files - JSON descriptions of an arena. Every field but `shape` is
+ * optional; positions are in pixels relative to the arena center.
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "Hex Pit",
+ *     "shape": { "type": "polygon", "sides": 6 },
+ *     "size": { "width": 900, "height": 600 },
+ *     "spawnPoints": [{ "x": -300, "y": 0 }, ...],
+ *     "shrink": { "startTime": 8000, "duration": 12000, "minSize": 0.35 },
+ *     "colors": { "background": "#252535", "backgroundEdge": "#12121a", "border": "#ff4444" },
+ *     "obstacles": [{ "type": "circle", "x": 0, "y": 0, "radius": 40 }],
+ *     "hazards": [{ "type": "ice", "x": 0, "y": 0, "radius": 90 }]
+ *   }
+ *
+ * With "tiles": { "size": 75, "mode": "random" } the floor crumbles away in
+ * tiles instead of shrinking (see TileFloor.js).
+ */
+export class ArenaLoader {
+    /**
+     * Values used for anything an arena file leaves out
+     */
+    static getDefaults() {
+        return {
+            version: ARENA_FORMAT_VERSION,
+            name: 'Custom Arena',
+            size: {
+                width: CONFIG.CANVAS_WIDTH - CONFIG.ARENA.PADDING * 2,
+                height: CONFIG.CANVAS_HEIGHT - CONFIG.ARENA.PADDING * 2
+            },
+            spawnPoints: null, // Generated from the shape
+            shrink: {
+                startTime: CONFIG.ARENA.SHRINK.START_TIME,
+                duration: CONFIG.ARENA.SHRINK.DURATION,
+                minSize: CONFIG.ARENA.SHRINK.MIN_SIZE
+            },
+            colors: {
+                background: '#252535',
+                backgroundEdge: '#12121a',
+                border: CONFIG.ARENA.BORDER_COLOR
+            },
+            obstacles: [],
+            hazards: [],
+            tiles: null // Solid floor that shrinks
+        };
+    }
+    
+    /**
+     * Values used for anything a `tiles` entry leaves out
+     */
+    static getTileDefaults() {
+        return {
+            size: CONFIG.ARENA.TILES.SIZE,
+            mode: 'schedule',
+            startTime: CONFIG.ARENA.TILES.START_TIME,
+            interval: CONFIG.ARENA.TILES.INTERVAL,
+            crackTime: CONFIG.ARENA.TILES.CRACK_TIME,
+            wear: CONFIG.ARENA.TILES.WEAR,
+            minFloor: CONFIG.ARENA.TILES.MIN_FLOOR
+        };
+    }
+    
+    /**
+     * Parse the text of an arena file into a complete definition
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Arena file is not valid JSON: ${error.message}`);
+        }
+        return ArenaLoader.normalize(data);
+    }
+    
+    /**
+     * Fetch and parse an arena file
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load arena ${url}: ${response.status} ${response.statusText}`);
+        }
+        return ArenaLoader.parse(await response.text());
+    }
+    
+    /**
+     * Arena definition as file text
+     */
+    static serialize(definition) {
+        return JSON.stringify(definition, null, 2);
+    }
+    
+    /**
+     * Validate an arena and fill in defaults, returning a fresh copy
+     */
+    static normalize(data) {
+        ArenaLoader.validate(data);
+        
+        const defaults = ArenaLoader.getDefaults();
+        const copy = JSON.parse(JSON.stringify(data));
+        return {
+            version: ARENA_FORMAT_VERSION,
+            name: copy.name ?? defaults.name,
+            shape: copy.shape,
+            size: { ...defaults.size, ...copy.size },
+            spawnPoints: copy.spawnPoints ?? defaults.spawnPoints,
+            shrink: { ...defaults.shrink, ...copy.shrink },
+            colors: { ...defaults.colors, ...copy.colors },
+            obstacles: copy.obstacles ?? defaults.obstacles,
+            hazards: copy.hazards ?? defaults.hazards,
+            tiles: copy.tiles ? { ...ArenaLoader.getTileDefaults(), ...copy.tiles } : defaults.tiles
+        };
+    }
+    
+    /**
+     * Check a parsed arena, throwing one error that lists every problem found
+     */
+    static validate(data) {
+        const errors = [];
+        
+        if (!isObject(data)) {
+            throw new Error('Arena must be a JSON object');
+        }
+        
+        const defaults = ArenaLoader.getDefaults();
+        for (const key of Object.keys(data)) {
+            if (key !== 'shape' && !(key in defaults)) {
+                errors.push(`${key} is not an arena field (check the spelling)`);
+            }
+        }
+        if (data.version !== undefined && data.version !== ARENA_FORMAT_VERSION) {
+            errors.push(`version must be ${ARENA_FORMAT_VERSION} (got ${JSON.stringify(data.version)})`);
+        }
+        if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim() === '')) {
+            errors.push('name must be a non-empty string');
+        }
+        
+        // Size the shape is fitted into
+        let size = defaults.size;
+        if (data.size !== undefined) {
+            const valid = checkFields(errors, data.size, 'size', {
+                width: [200, CONFIG.CANVAS_WIDTH, true],
+                height: [200, CONFIG.CANVAS_HEIGHT, true]
+            }, '{ "width": 900, "height": 600 }');
+            if (valid) size = { ...size, ...data.size };
+        }
+        
+        const shape = ArenaLoader.validateShape(errors, data.shape, size);
+        const obstacles = ArenaLoader.validateObstacles(errors, data.obstacles);
+        
+        if (data.spawnPoints !== undefined && data.spawnPoints !== null) {
+            if (!Array.isArray(data.spawnPoints) || data.spawnPoints.length < 4) {
+                errors.push('spawnPoints must be a list of at least 4 points (one per player)');
+            } else {
+                data.spawnPoints.forEach((point, index) => {
+                    const path = `spawnPoints[${index}]`;
+                    if (!checkBarePoint(errors, point, path)) return;
+                    if (shape && shape.getDistance(point.x, point.y) < CONFIG.PLAYER.RADIUS) {
+                        errors.push(`${path} (${point.x}, ${point.y}) must be inside the arena, at least ${CONFIG.PLAYER.RADIUS}px from the edge`);
+                    }
+                    const blocked = obstacles.findIndex(obstacle => obstacle && overlapsAtStart(obstacle, point, CONFIG.PLAYER.RADIUS));
+                    if (blocked !== -1) {
+                        errors.push(`${path} (${point.x}, ${point.y}) overlaps obstacles[${blocked}]`);
+                    }
+                });
+            }
+        }
+        
+        if (data.shrink !== undefined) {
+            checkFields(errors, data.shrink, 'shrink', {
+                startTime: [0, Infinity],
+                duration: [1, Infinity],
+                minSize: [0.1, 1]
+            }, '{ "startTime": 8000, "duration": 12000, "minSize": 0.35 }');
+        }
+        
+        if (data.colors !== undefined) {
+            if (!isObject(data.colors)) {
+                errors.push('colors must be an object');
+            } else {
+                for (const key of Object.keys(data.colors)) {
+                    if (!(key in defaults.colors)) {
+                        errors.push(`colors.${key} is not a known color (use ${Object.keys(defaults.colors).join(', ')})`);
+                    } else if (typeof data.colors[key] !== 'string' || !COLOR_PATTERN.test(data.colors[key])) {
+                        errors.push(`colors.${key} must be a hex color like "#ff4444"`);
+                    }
+                }
+            }
+        }
+        
+        ArenaLoader.validateHazards(errors, data.hazards);
+        
+        if (data.tiles !== undefined && data.tiles !== null) {
+            ArenaLoader.validateTiles(errors, data.tiles);
+        }
+        
+        if (errors.length > 0) {
+            throw new Error(`Invalid arena${typeof data.name === 'string' ? ` "${data.name}"` : ''}:\n- ${errors.join('\n- ')}`);
+        }
+    }
+    
+    /**
+     * Check the shape definition; returns the built shape when valid
+     */
+    static validateShape(errors, shape, size) {
+        if (!isObject(shape)) {
+            errors.push('shape is required, e.g. { "type": "circle" }');
+            return null;
+        }
+        
+        const before = errors.length;
+        const fields = SHAPE_FIELDS[shape.type];
+        if (!fields) {
+            errors.push(`shape.type must be one of ${Object.keys(SHAPE_FIELDS).join(', ')} (got ${JSON.stringify(shape.type)})`);
+        } else {
+            for (const key of Object.keys(shape)) {
+                if (key !== 'type' && !fields.includes(key)) {
+                    const known = fields.length > 0 ? `use ${fields.join(', ')}` : 'it only has a type';
+                    errors.push(`shape.${key} is not a field of a ${shape.type} shape (${known})`);
+                }
+            }
+        }
+        if (shape.cornerRadius !== undefined) checkNumber(errors, shape.cornerRadius, 'shape.cornerRadius', 0, Infinity);
+        if (shape.radius !== undefined) checkNumber(errors, shape.radius, 'shape.radius', 100, Infinity);
+        if (shape.rotation !== undefined) checkNumber(errors, shape.rotation, 'shape.rotation', -360, 360);
+        if (shape.sides !== undefined) checkNumber(errors, shape.sides, 'shape.sides', 3, 12, true);
+        if (shape.points !== undefined) {
+            if (!Array.isArray(shape.points)) {
+                errors.push('shape.points must be a list of { "x", "y" } points');
+            } else {
+                shape.points.forEach((point, index) => checkBarePoint(errors, point, `shape.points[${index}]`));
+            }
+        }
+        if (errors.length > before) return null;
+        
+        let built;
+        try {
+            built = createArenaShape(shape, size.width / 2, size.height / 2);
+        } catch (error) {
+            errors.push(`shape: ${error.message}`);
+            return null;
+        }
+        
+        if (built.halfWidth * 2 > CONFIG.CANVAS_WIDTH || built.halfHeight * 2 > CONFIG.CANVAS_HEIGHT) {
+            errors.push(`shape is ${Math.round(built.halfWidth * 2)}x${Math.round(built.halfHeight * 2)}px, larger than the ${CONFIG.CANVAS_WIDTH}x${CONFIG.CANVAS_HEIGHT} canvas`);
+            return null;
+        }
+        return built;
+    }
+    
+    /**
+     * Check the obstacle list; returns the built obstacles (null where invalid)
+     */
+    static validateObstacles(errors, obstacles) {
+        if (obstacles === undefined) return [];
+        if (!Array.isArray(obstacles)) {
+            errors.push('obstacles must be a list');
+            return [];
+        }
+        
+        return obstacles.map((item, index) => {
+            const path = `obstacles[${index}]`;
+            if (!isObject(item) || !OBSTACLE_SIZES[item.type]) {
+                errors.push(`${path} must be an object with a "type" of ${Object.keys(OBSTACLE_SIZES).join(', ')}`);
+                return null;
+            }
+            
+            const before = errors.length;
+            checkPoint(errors, item, path);
+            const fields = { ...OBSTACLE_SIZES[item.type], ...OBSTACLE_MOTION };
+            for (const key of Object.keys(item)) {
+                if (fields[key]) {
+                    checkNumber(errors, item[key], `${path}.${key}`, ...fields[key]);
+                } else if (!['type', 'x', 'y', 'path'].includes(key)) {
+                    errors.push(`${path}.${key} is not a field of a ${item.type} obstacle (use ${Object.keys(fields).join(', ')}, path)`);
+                }
+            }
+            if (item.path !== undefined) {
+                if (!Array.isArray(item.path) || item.path.length === 0) {
+                    errors.push(`${path}.path must be a list of { "x", "y" } points to move through`);
+                } else {
+                    item.path.forEach((point, i) => checkBarePoint(errors, point, `${path}.path[${i}]`));
+                }
+            }
+            return errors.length > before ? null : createObstacle(item);
+        });
+    }
+    
+    /**
+     * Check the crumbling floor settings
+     */
+    static validateTiles(errors, tiles) {
+        const example = '{ "size": 75, "mode": "random" }';
+        if (!isObject(tiles)) {
+            errors.push(`tiles must be an object like ${example}`);
+            return;
+        }
+        
+        const { mode, ...numbers } = tiles;
+        if (mode !== undefined && !TILE_MODES.includes(mode)) {
+            errors.push(`tiles.mode must be one of ${TILE_MODES.join(', ')} (got ${JSON.stringify(mode)})`);
+        }
+        checkFields(errors, numbers, 'tiles', {
+            size: [30, 300],
+            startTime: [0, Infinity],
+            interval: [50, Infinity],
+            crackTime: [0, 10000],
+            wear: [100, Infinity],
+            minFloor: [0, 1]
+        }, example);
+    }
+    
+    /**
+     * Check the hazard list
+     */
+    static validateHazards(errors, hazards) {
+        if (hazards === undefined) return;
+        if (!Array.isArray(hazards)) {
+            errors.push('hazards must be a list');
+            return;
+        }
+        
+        hazards.forEach((item, index) => {
+            const path = `hazards[${index}]`;
+            if (!isObject(item) || !HAZARD_FIELDS[item.type]) {
+                errors.push(`${path} must be an object with a "type" of ${Object.keys(HAZARD_FIELDS).join(', ')}`);
+                return;
+            }
+            
+            checkPoint(errors, item, path);
+            const fields = HAZARD_FIELDS[item.type];
+            for (const key of Object.keys(item)) {
+                if (fields[key]) {
+                    checkNumber(errors, item[key], `${path}.${key}`, ...fields[key]);
+                } else if (!['type', 'x', 'y'].includes(key)) {
+                    errors.push(`${path}.${key} is not a field of ${item.type} hazards (use ${Object.keys(fields).join(', ')})`);
+                }
+            }
+        });
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Record an error unless value is a finite number in [min, max]
+ */
+function checkNumber(errors, value, path, min, max, integer = false) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+        errors.push(`${path} must be ${integer ? 'a whole number' : 'a number'} (got ${JSON.stringify(value)})`);
+        return false;
+    }
+    if (value < min || value > max) {
+        errors.push(`${path} must be ${max === Infinity ? `at least ${min}` : `between ${min} and ${max}`} (got ${value})`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Check an object of optional numeric fields, each with [min, max, integer];
+ * returns whether everything was valid
+ */
+function checkFields(errors, value, path, fields, example) {
+    if (!isObject(value)) {
+        errors.push(`${path} must be an object like ${example}`);
+        return false;
+    }
+    
+    let valid = true;
+    for (const key of Object.keys(value)) {
+        if (!fields[key]) {
+            errors.push(`${path}.${key} is not a known field (use ${Object.keys(fields).join(', ')})`);
+            valid = false;
+        } else if (!checkNumber(errors, value[key], `${path}.${key}`, ...fields[key])) {
+            valid = false;
+        }
+    }
+    return valid;
+}
+
+/**
+ * Check if a circle at a point touches an obstacle where the round starts it
+ */
+function overlapsAtStart(obstacle, point, radius) {
+    const pose = obstacle.getPose(0);
+    const dx = point.x - pose.x;
+    const dy = point.y - pose.y;
+    const cos = Math.cos(pose.angle);
+    const sin = Math.sin(pose.angle);
+    return obstacle.getContact(dx * cos + dy * sin, -dx * sin + dy * cos, radius) !== null;
+}
+
+/**
+ * Record an error unless point has numeric x and y
+ */
+function checkPoint(errors, point, path) {
+    if (!isObject(point) || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+        errors.push(`${path} must have numeric "x" and "y"`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Like checkPoint, for points that are only { x, y }; extra fields are
+ * recorded as errors but don't make the position invalid
+ */
+function checkBarePoint(errors, point, path) {
+    if (!checkPoint(errors, point, path)) return false;
+    for (const key of Object.keys(point)) {
+        if (key !== 'x' && key !== 'y') {
+            errors.push(`${path}.${key} is not a field of a point (use x, y)`);
+        }
+    }
+    return true;
+}
@@ -0,0 +1,310 @@
+/**
+ * Arena shapes - the outline of the play area, centered on the origin.
+ * Every shape answers the same questions at any scale, so shrinking,
+ * elimination, edge warnings, spawns and rendering work the same for all:
+ *
+ *   getDistance(x, y, scale)             distance to the edge (negative outside)
+ *   getRayDistance(x, y, dx, dy, scale)  distance from an inside point to the edge
+ *   tracePath(ctx, cx, cy, scale, inset) outline path, optionally shrunk inward
+ *   getCorners()                         vertices to mark, empty for smooth shapes
+ *
+ * `halfWidth` and `halfHeight` give the bounding box at scale 1.
+ */
+export class ArenaShape {
+    constructor(halfWidth, halfHeight) {
+        this.halfWidth = halfWidth;
+        this.halfHeight = halfHeight;
+    }
+    
+    /**
+     * Distance from a point to the edge, positive inside
+     */
+    getDistance(x, y, scale = 1) {
+        throw new Error('getDistance not implemented');
+    }
+    
+    /**
+     * Distance from an inside point along a unit direction to the edge.
+     * Bisection on getDistance - shapes override it with an exact answer.
+     */
+    getRayDistance(x, y, dirX, dirY, scale = 1) {
+        let inside = 0;
+        let outside = (this.halfWidth + this.halfHeight) * 2 * scale;
+        
+        for (let i = 0; i < 40; i++) {
+            const t = (inside + outside) / 2;
+            if (this.getDistance(x + dirX * t, y + dirY * t, scale) >= 0) {
+                inside = t;
+            } else {
+                outside = t;
+            }
+        }
+        return inside;
+    }
+    
+    /**
+     * Add the outline, moved `inset` pixels inward, to the current path
+     */
+    tracePath(ctx, centerX, centerY, scale = 1, inset = 0) {
+        throw new Error('tracePath not implemented');
+    }
+    
+    /**
+     * Vertices (at scale 1) worth marking, in outline order
+     */
+    getCorners() {
+        return [];
+    }
+}
+
+/**
+ * Axis-aligned rectangle - the classic arena
+ */
+export class RectShape extends ArenaShape {
+    getDistance(x, y, scale = 1) {
+        return Math.min(
+            this.halfWidth * scale - Math.abs(x),
+            this.halfHeight * scale - Math.abs(y)
+        );
+    }
+    
+    getRayDistance(x, y, dirX, dirY, scale = 1) {
+        const tx = dirX === 0 ? Infinity : (this.halfWidth * scale - Math.sign(dirX) * x) / Math.abs(dirX);
+        const ty = dirY === 0 ? Infinity : (this.halfHeight * scale - Math.sign(dirY) * y) / Math.abs(dirY);
+        return Math.max(0, Math.min(tx, ty));
+    }
+    
+    tracePath(ctx, centerX, centerY, scale = 1, inset = 0) {
+        const halfWidth = Math.max(0, this.halfWidth * scale - inset);
+        const halfHeight = Math.max(0, this.halfHeight * scale - inset);
+        ctx.rect(centerX - halfWidth, centerY - halfHeight, halfWidth * 2, halfHeight * 2);
+    }
+    
+    getCorners() {
+        const { halfWidth: w, halfHeight: h } = this;
+        return [{ x: -w, y: -h }, { x: w, y: -h }, { x: w, y: h }, { x: -w, y: h }];
+    }
+}
+
+/**
+ * Rectangle with rounded corners
+ */
+export class RoundedRectShape extends ArenaShape {
+    constructor(halfWidth, halfHeight, cornerRadius) {
+        super(halfWidth, halfHeight);
+        this.cornerRadius = Math.max(0, Math.min(cornerRadius, halfWidth, halfHeight));
+    }
+    
+    getDistance(x, y, scale = 1) {
+        const radius = this.cornerRadius * scale;
+        const qx = Math.abs(x) - (this.halfWidth * scale - radius);
+        const qy = Math.abs(y) - (this.halfHeight * scale - radius);
+        const outside = Math.hypot(Math.max(qx, 0), Math.max(qy, 0));
+        const inside = Math.min(Math.max(qx, qy), 0);
+        return radius - outside - inside;
+    }
+    
+    tracePath(ctx, centerX, centerY, scale = 1, inset = 0) {
+        const w = Math.max(0, this.halfWidth * scale - inset);
+        const h = Math.max(0, this.halfHeight * scale - inset);
+        const r = Math.min(Math.max(0, this.cornerRadius * scale - inset), w, h);
+        
+        ctx.moveTo(centerX - w + r, centerY - h);
+        ctx.lineTo(centerX + w - r, centerY - h);
+        ctx.arc(centerX + w - r, centerY - h + r, r, -Math.PI / 2, 0);
+        ctx.lineTo(centerX + w, centerY + h - r);
+        ctx.arc(centerX + w - r, centerY + h - r, r, 0, Math.PI / 2);
+        ctx.lineTo(centerX - w + r, centerY + h);
+        ctx.arc(centerX - w + r, centerY + h - r, r, Math.PI / 2, Math.PI);
+        ctx.lineTo(centerX - w, centerY - h + r);
+        ctx.arc(centerX - w + r, centerY - h + r, r, Math.PI, Math.PI * 1.5);
+        ctx.closePath();
+    }
+}
+
+/**
+ * Circle
+ */
+export class CircleShape extends ArenaShape {
+    constructor(radius) {
+        super(radius, radius);
+        this.radius = radius;
+    }
+    
+    getDistance(x, y, scale = 1) {
+        return this.radius * scale - Math.sqrt(x * x + y * y);
+    }
+    
+    getRayDistance(x, y, dirX, dirY, scale = 1) {
+        const radius = this.radius * scale;
+        const along = x * dirX + y * dirY;
+        const discriminant = along * along - (x * x + y * y) + radius * radius;
+        return discriminant > 0 ? Math.max(0, -along + Math.sqrt(discriminant)) : 0;
+    }
+    
+    tracePath(ctx, centerX, centerY, scale = 1, inset = 0) {
+        const radius = Math.max(0, this.radius * scale - inset);
+        ctx.moveTo(centerX + radius, centerY);
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+    }
+}
+
+/**
+ * Convex polygon around the origin, given by its vertices in pixels
+ */
+export class PolygonShape extends ArenaShape {
+    constructor(points) {
+        if (!Array.isArray(points) || points.length < 3) {
+            throw new Error('A polygon arena needs at least 3 points');
+        }
+        
+        let vertices = points.map(p => ({ x: p.x, y: p.y }));
+        if (vertices.some(v => !Number.isFinite(v.x) || !Number.isFinite(v.y))) {
+            throw new Error('Polygon points must have numeric x and y');
+        }
+        
+        // Work clockwise on screen (y down) so edge normals point outward
+        if (PolygonShape.getSignedArea(vertices) < 0) {
+            vertices = vertices.reverse();
+        }
+        
+        super(
+            Math.max(...vertices.map(v => Math.abs(v.x))),
+            Math.max(...vertices.map(v => Math.abs(v.y)))
+        );
+        this.vertices = vertices;
+        
+        // Outward unit normal and distance from the origin for each edge
+        this.edges = vertices.map((a, i) => {
+            const b = vertices[(i + 1) % vertices.length];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) {
+                throw new Error('Polygon points must not repeat');
+            }
+            const nx = (b.y - a.y) / length;
+            const ny = -(b.x - a.x) / length;
+            return { nx, ny, offset: nx * a.x + ny * a.y };
+        });
+        
+        // Convex: every turn goes the same way and they add up to one full turn
+        let turning = 0;
+        for (let i = 0; i < this.edges.length; i++) {
+            const a = this.edges[i];
+            const b = this.edges[(i + 1) % this.edges.length];
+            const cross = a.nx * b.ny - a.ny * b.nx;
+            if (cross < 0) {
+                throw new Error('Polygon arenas must be convex');
+            }
+            turning += Math.atan2(cross, a.nx * b.nx + a.ny * b.ny);
+        }
+        if (Math.abs(turning - Math.PI * 2) > 1e-6) {
+            throw new Error('Polygon arenas must be convex');
+        }
+        if (this.edges.some(edge => edge.offset <= 0)) {
+            throw new Error('The arena center must lie inside the polygon');
+        }
+    }
+    
+    /**
+     * Regular polygon (hexagon, octagon...) as large as fits the given box
+     * @param {number} sides
+     * @param {number} rotation - Degrees; 0 puts a vertex on the right
+     */
+    static regular(sides, rotation, halfWidth, halfHeight) {
+        const angles = [];
+        for (let i = 0; i < sides; i++) {
+            angles.push((rotation * Math.PI) / 180 + (i / sides) * Math.PI * 2);
+        }
+        const reachX = Math.max(...angles.map(a => Math.abs(Math.cos(a))));
+        const reachY = Math.max(...angles.map(a => Math.abs(Math.sin(a))));
+        const radius = Math.min(halfWidth / reachX, halfHeight / reachY);
+        
+        return new PolygonShape(angles.map(a => ({
+            x: Math.cos(a) * radius,
+            y: Math.sin(a) * radius
+        })));
+    }
+    
+    /**
+     * Shoelace area, positive for clockwise points on screen
+     */
+    static getSignedArea(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    }
+    
+    getDistance(x, y, scale = 1) {
+        let distance = Infinity;
+        for (const edge of this.edges) {
+            distance = Math.min(distance, edge.offset * scale - (edge.nx * x + edge.ny * y));
+        }
+        return distance;
+    }
+    
+    getRayDistance(x, y, dirX, dirY, scale = 1) {
+        let distance = Infinity;
+        for (const edge of this.edges) {
+            const facing = edge.nx * dirX + edge.ny * dirY;
+            if (facing <= 0) continue;
+            distance = Math.min(distance, (edge.offset * scale - (edge.nx * x + edge.ny * y)) / facing);
+        }
+        return Math.max(0, distance);
+    }
+    
+    tracePath(ctx, centerX, centerY, scale = 1, inset = 0) {
+        this.vertices.forEach((vertex, i) => {
+            // Move each vertex inward along the bisector of its two edges
+            const before = this.edges[(i + this.edges.length - 1) % this.edges.length];
+            const after = this.edges[i];
+            const shift = inset / (1 + before.nx * after.nx + before.ny * after.ny);
+            const x = centerX + vertex.x * scale - (before.nx + after.nx) * shift;
+            const y = centerY + vertex.y * scale - (before.ny + after.ny) * shift;
+            
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.closePath();
+    }
+    
+    getCorners() {
+        return this.vertices;
+    }
+}
+
+/**
+ * Build a shape from a plain definition (the `shape` of an arena file):
+ *   { type: 'rectangle' }
+ *   { type: 'roundedRect', cornerRadius: 140 }
+ *   { type: 'circle', radius?: 300 }
+ *   { type: 'polygon', sides: 6, rotation?: 0 }
+ *   { type: 'polygon', points: [{ x, y }, ...] }
+ * Sizes default to the largest that fits the given half extents.
+ */
+export function createArenaShape(definition, halfWidth, halfHeight) {
+    switch (definition.type) {
+        case 'rectangle':
+            return new RectShape(halfWidth, halfHeight);
+        case 'roundedRect':
+            return new RoundedRectShape(halfWidth, halfHeight, definition.cornerRadius ?? 100);
+        case 'circle':
+            return new CircleShape(definition.radius ?? Math.min(halfWidth, halfHeight));
+        case 'polygon':
+            if (definition.points) {
+                return new PolygonShape(definition.points);
+            }
+            if (!Number.isInteger(definition.sides) || definition.sides < 3) {
+                throw new Error('A regular polygon arena needs a whole number of sides (3 or more)');
+            }
+            return PolygonShape.regular(definition.sides, definition.rotation ?? 0, halfWidth, halfHeight);
+        default:
+            throw new Error(`Unknown arena shape: ${definition.type}`);
+    }
+}
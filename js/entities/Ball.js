@@ -0,0 +1,123 @@
+import { CONFIG } from '../config.js';
+import { Vector2 } from '../utils/Vector2.js';
+import { StateSnapshot } from '../utils/StateSnapshot.js';
+
+/**
+ * The soccer ball - a dynamic body that isn't a player. It has the fields
+ * and methods Physics reads from a body (position, velocity, radius, isAlive,
+ * isDashing, getMass, getKnockbackMultiplier), so players knock it about and
+ * it bounces off obstacles and walls like they do.
+ */
+export class Ball {
+    constructor(x, y) {
+        this.position = new Vector2(x, y);
+        this.velocity = new Vector2();
+        this.radius = CONFIG.SOCCER.BALL_RADIUS;
+        this.isAlive = true;
+        this.isDashing = false;
+        
+        // Id of the player who touched the ball last (credited with goals)
+        this.lastTouchId = null;
+        
+        // Rolling angle, for drawing
+        this.spin = 0;
+    }
+    
+    /**
+     * Put the ball at rest on a spot, nobody having touched it
+     */
+    reset(x, y) {
+        this.position.set(x, y);
+        this.velocity = new Vector2();
+        this.lastTouchId = null;
+    }
+    
+    /**
+     * Get mass for collisions
+     */
+    getMass() {
+        return CONFIG.SOCCER.BALL_MASS;
+    }
+    
+    /**
+     * The ball takes knockback as it comes
+     */
+    getKnockbackMultiplier() {
+        return 1;
+    }
+    
+    /**
+     * Roll on, slowing down
+     */
+    update(frictionMultiplier = 1) {
+        const friction = Math.min(0.995, CONFIG.SOCCER.BALL_FRICTION * frictionMultiplier);
+        this.velocity.multiply(friction);
+        this.velocity.limit(CONFIG.SOCCER.BALL_MAX_SPEED);
+        this.position.add(this.velocity);
+        this.spin += this.velocity.magnitude() / this.radius;
+    }
+    
+    /**
+     * Snapshot the ball
+     */
+    getState() {
+        return StateSnapshot.capture(this);
+    }
+    
+    /**
+     * Restore a snapshot taken with getState
+     */
+    setState(state) {
+        StateSnapshot.restore(this, state);
+    }
+    
+    /**
+     * Draw a ball with a shadow and patches that turn as it rolls
+     */
+    render(ctx) {
+        const { x, y } = this.position;
+        const radius = this.radius;
+        
+        ctx.save();
+        
+        // Shadow
+        ctx.beginPath();
+        ctx.ellipse(x + 3, y + radius * 0.8, radius * 0.9, radius * 0.35, 0, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fill();
+        
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = '#f5f6fa';
+        ctx.shadowColor = '#ffffff';
+        ctx.shadowBlur = 10;
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        
+        // Patches, turned along the direction of travel
+        ctx.clip();
+        const angle = Math.atan2(this.velocity.y, this.velocity.x);
+        const roll = (this.spin % (Math.PI * 2)) / (Math.PI * 2);
+        ctx.fillStyle = '#2f3640';
+        for (let i = 0; i < 3; i++) {
+            const offset = ((roll + i / 3) % 1) * 2 - 1; // -1..1 across the ball
+            ctx.beginPath();
+            ctx.arc(
+                x + Math.cos(angle) * offset * radius * 1.2 + Math.sin(angle) * (i - 1) * radius * 0.5,
+                y + Math.sin(angle) * offset * radius * 1.2 - Math.cos(angle) * (i - 1) * radius * 0.5,
+                radius * 0.32,
+                0,
+                Math.PI * 2
+            );
+            ctx.fill();
+        }
+        
+        ctx.restore();
+        
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.strokeStyle = '#2f3640';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+}
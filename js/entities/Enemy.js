@@ -0,0 +1,723 @@
+import { CONFIG } from '../config.js';
+import { Vector2 } from '../utils/Vector2.js';
+import { StateSnapshot } from '../utils/StateSnapshot.js';
+
+// Fastest an enemy flies when knocked about (a player's dash speed)
+const KNOCKBACK_SPEED = CONFIG.PLAYER.MAX_SPEED * CONFIG.DASH.SPEED_MULTIPLIER;
+
+/**
+ * Co-op enemies - Player-like bodies (position, velocity, radius,
+ * isAlive, isDashing, getMass, getKnockbackMultiplier, isInvulnerable,
+ * onHit) steered by simple AI instead of input, so collisions, pushes and
+ * blasts treat them like players. Like players they build up damage percent
+ * and fly further the more they have. Each type steers its own way:
+ *
+ *   steer(target, deltaTime, arena)   move on the nearest player (null if
+ *                                     none); may return an action for the
+ *                                     simulation to carry out
+ *   renderLook(ctx)                   what sets the type apart, around the origin
+ *
+ * Their own steering tops out at the type's speed, but knocks send them
+ * flying as fast as a dash.
+ */
+export class Enemy {
+    /**
+     * @param {number} id - Unique within the run
+     * @param {string} type - Key of CONFIG.SURVIVAL.ENEMIES, or 'BOSS'
+     * @param {number} strength - Speed and push multiplier from the wave
+     * @param {number} scale - Size multiplier (split halves are smaller)
+     */
+    constructor(id, type, x, y, strength = 1, scale = 1) {
+        this.id = id;
+        this.type = type;
+        this.position = new Vector2(x, y);
+        this.velocity = new Vector2();
+        this.strength = strength;
+        this.scale = scale;
+        this.radius = this.getStats().radius * scale;
+        this.color = this.getStats().color;
+        this.team = null;
+        this.damage = 0;
+        
+        this.isAlive = true;
+        this.isDashing = false;
+        this.launchTime = 0; // ms left of being blasted (kept for pushes, like a player's)
+        this.spawnTime = this.getSpawnTime(); // ms left of appearing
+        this.facing = new Vector2(1, 0); // Unit vector toward what it chases
+        
+        // Visual state
+        this.hitFlash = 0;
+        this.pulsePhase = 0;
+    }
+    
+    /**
+     * Stats of the enemy's type
+     */
+    getStats() {
+        return CONFIG.SURVIVAL.ENEMIES[this.type];
+    }
+    
+    /**
+     * ms the enemy takes to appear
+     */
+    getSpawnTime() {
+        return CONFIG.SURVIVAL.SPAWN_TIME;
+    }
+    
+    /**
+     * Get mass for collisions
+     */
+    getMass() {
+        return this.getStats().mass * this.scale;
+    }
+    
+    /**
+     * Scale for knockback taken at the current damage percent
+     */
+    getKnockbackMultiplier() {
+        return 1 + this.damage * CONFIG.DAMAGE.KNOCKBACK_PER_PERCENT;
+    }
+    
+    /**
+     * Add damage percent from a hit
+     */
+    takeDamage(amount) {
+        this.damage = Math.min(CONFIG.DAMAGE.MAX, this.damage + amount);
+    }
+    
+    /**
+     * Top speed of its own steering
+     */
+    getMaxSpeed() {
+        return this.getStats().maxSpeed * this.strength;
+    }
+    
+    /**
+     * Harmless and untouchable while appearing
+     */
+    isInvulnerable() {
+        return this.isAlive && this.spawnTime > 0;
+    }
+    
+    /**
+     * Whether it has a charge ready (bots count that against picking it)
+     */
+    canDash() {
+        return false;
+    }
+    
+    /**
+     * Enemies carry no shield
+     */
+    absorbHit() {
+        return false;
+    }
+    
+    /**
+     * Whether a hard hit splits it in two
+     */
+    canSplit() {
+        return false;
+    }
+    
+    /**
+     * Flash on impact
+     */
+    onHit(intensity = 1) {
+        this.hitFlash = 1;
+    }
+    
+    /**
+     * ms a player it hits may fly faster than the top speed (none)
+     */
+    getHitLaunchTime() {
+        return 0;
+    }
+    
+    /**
+     * Push of a force field it puts out on a point (none)
+     */
+    getForceField(x, y) {
+        return { x: 0, y: 0 };
+    }
+    
+    /**
+     * Appear, then chase the target and slide to a halt like a player
+     * @param {Player|null} target - Player to go after
+     * @param {Arena} arena - For steering that minds the edge
+     * @returns {Object|null} Action from its steering, if any
+     */
+    update(deltaTime, target, frictionMultiplier = 1, arena = null) {
+        if (!this.isAlive) return null;
+        
+        this.pulsePhase += deltaTime * 0.005;
+        this.hitFlash = Math.max(0, this.hitFlash - deltaTime / 200);
+        
+        if (this.spawnTime > 0) {
+            this.spawnTime -= deltaTime;
+            return null;
+        }
+        if (this.launchTime > 0) {
+            this.launchTime -= deltaTime;
+        }
+        
+        const action = this.steer(target, deltaTime, arena);
+        
+        const friction = this.getFriction() * frictionMultiplier;
+        this.velocity.multiply(Math.min(0.995, Math.max(0.85, friction)));
+        this.velocity.limit(KNOCKBACK_SPEED);
+        this.position.add(this.velocity);
+        return action ?? null;
+    }
+    
+    /**
+     * Friction before modifiers, less while charging like a dash
+     */
+    getFriction() {
+        return this.isDashing ? 0.98 : CONFIG.PLAYER.FRICTION;
+    }
+    
+    /**
+     * Walk straight at the target
+     */
+    steer(target, deltaTime) {
+        if (!target) return;
+        
+        this.face(target);
+        this.accelerate(this.facing, this.getStats().acceleration * this.strength);
+    }
+    
+    /**
+     * Turn toward a player
+     */
+    face(target) {
+        const toTarget = Vector2.subtract(target.position, this.position);
+        if (toTarget.magnitude() > 0) {
+            this.facing = toTarget.normalize();
+        }
+    }
+    
+    /**
+     * Speed up in a direction, unless already going at the top speed
+     */
+    accelerate(direction, amount) {
+        if (this.velocity.magnitude() < this.getMaxSpeed()) {
+            this.velocity.add(direction.clone().multiply(amount));
+        }
+    }
+    
+    /**
+     * Snapshot the enemy
+     */
+    getState() {
+        return StateSnapshot.capture(this);
+    }
+    
+    /**
+     * Restore a snapshot taken with getState
+     */
+    setState(state) {
+        StateSnapshot.restore(this, state);
+    }
+    
+    /**
+     * Draw the body with angry eyes on whoever it chases; while appearing,
+     * a ring closes in on the spot and the body fades in
+     */
+    render(ctx) {
+        if (!this.isAlive) return;
+        
+        const { x, y } = this.position;
+        const r = this.radius;
+        
+        ctx.save();
+        
+        if (this.spawnTime > 0) {
+            const progress = 1 - this.spawnTime / this.getSpawnTime();
+            ctx.beginPath();
+            ctx.arc(x, y, r * (1 + (1 - progress) * 2), 0, Math.PI * 2);
+            ctx.strokeStyle = this.color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 6]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 0.2 + progress * 0.5;
+        }
+        
+        // Shadow
+        ctx.beginPath();
+        ctx.ellipse(x + 5, y + 5 + r * 0.5, r * 0.9, r * 0.4, 0, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fill();
+        
+        ctx.translate(x, y);
+        this.renderLook(ctx);
+        
+        ctx.beginPath();
+        ctx.arc(0, 0, r, 0, Math.PI * 2);
+        ctx.fillStyle = this.color;
+        ctx.fill();
+        if (this.hitFlash > 0) {
+            ctx.fillStyle = `rgba(255, 255, 255, ${this.hitFlash * 0.7})`;
+            ctx.fill();
+        }
+        ctx.strokeStyle = '#2f3640';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        
+        // Eyes under slanted brows, looking where it's going
+        const look = { x: this.facing.x * r * 0.3, y: this.facing.y * r * 0.3 };
+        for (const side of [-1, 1]) {
+            const eyeX = look.x + side * r * 0.32;
+            const eyeY = look.y - r * 0.1;
+            ctx.beginPath();
+            ctx.arc(eyeX, eyeY, r * 0.18, 0, Math.PI * 2);
+            ctx.fillStyle = '#ffffff';
+            ctx.fill();
+            ctx.beginPath();
+            ctx.arc(eyeX + this.facing.x * r * 0.07, eyeY + this.facing.y * r * 0.07, r * 0.08, 0, Math.PI * 2);
+            ctx.fillStyle = '#2f3640';
+            ctx.fill();
+            
+            ctx.beginPath();
+            ctx.moveTo(eyeX - side * r * 0.22, eyeY - r * 0.3);
+            ctx.lineTo(eyeX + side * r * 0.18, eyeY - r * 0.16);
+            ctx.strokeStyle = '#2f3640';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw what sets the type apart, behind the body at the origin
+     */
+    renderLook(ctx) {}
+}
+
+/**
+ * Charger - closes in, stops to wind up aiming at its target, then charges
+ * in a straight line like a dash
+ */
+export class Charger extends Enemy {
+    constructor(id, type, x, y, strength, scale) {
+        super(id, type, x, y, strength, scale);
+        this.windUp = 0; // ms left of winding up a charge
+        this.chargeTime = 0; // ms left of the charge
+        this.chargeCooldown = 0;
+    }
+    
+    canDash() {
+        return this.chargeCooldown <= 0 && this.windUp <= 0 && !this.isDashing;
+    }
+    
+    steer(target, deltaTime) {
+        const stats = this.getStats();
+        this.chargeCooldown = Math.max(0, this.chargeCooldown - deltaTime);
+        
+        // Standing still, aiming; then off it goes
+        if (this.windUp > 0) {
+            if (target) this.face(target);
+            this.windUp -= deltaTime;
+            if (this.windUp <= 0) {
+                this.isDashing = true;
+                this.chargeTime = stats.chargeTime;
+                this.velocity = this.facing.clone().multiply(stats.chargeSpeed * this.strength);
+            }
+            return;
+        }
+        
+        if (this.isDashing) {
+            this.chargeTime -= deltaTime;
+            if (this.chargeTime <= 0) {
+                this.isDashing = false;
+                this.chargeCooldown = stats.chargeCooldown;
+            }
+            return;
+        }
+        
+        super.steer(target, deltaTime);
+        if (target && this.canDash() && this.position.distanceTo(target.position) < stats.chargeRange) {
+            this.windUp = stats.windUp;
+        }
+    }
+    
+    /**
+     * A horn pointing ahead, and a red glow while winding up
+     */
+    renderLook(ctx) {
+        const r = this.radius;
+        
+        if (this.windUp > 0) {
+            ctx.beginPath();
+            ctx.arc(0, 0, r * (1.3 + Math.sin(this.pulsePhase * 12) * 0.1), 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255, 71, 87, 0.35)';
+            ctx.fill();
+        }
+        
+        ctx.save();
+        ctx.rotate(Math.atan2(this.facing.y, this.facing.x));
+        ctx.beginPath();
+        ctx.moveTo(r * 0.8, -r * 0.3);
+        ctx.lineTo(r * 1.5, 0);
+        ctx.lineTo(r * 0.8, r * 0.3);
+        ctx.closePath();
+        ctx.fillStyle = '#f5f6fa';
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+/**
+ * Heavy - barely moves, but hardly anything moves it either
+ */
+export class Heavy extends Enemy {
+    /**
+     * A thick armored rim
+     */
+    renderLook(ctx) {
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius + 4, 0, Math.PI * 2);
+        ctx.fillStyle = '#4b6584';
+        ctx.fill();
+    }
+}
+
+/**
+ * Splitter - a hard hit splits it into two smaller halves (which don't
+ * split again)
+ */
+export class Splitter extends Enemy {
+    canSplit() {
+        return this.scale === 1;
+    }
+    
+    /**
+     * A pulsing rim while it can still split
+     */
+    renderLook(ctx) {
+        if (!this.canSplit()) return;
+        
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius + 3, 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(165, 94, 234, ${0.4 + Math.sin(this.pulsePhase * 4) * 0.2})`;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    }
+}
+
+/**
+ * Boss - one oversized, heavy body run by a script of attacks (see
+ * CONFIG.BOSS). It chases the nearest player and, whenever its cooldown is
+ * up, winds up the script's next attack where everyone can see it coming: a
+ * charge across the arena, a spin whose force field flings players away
+ * like the centrifuge, or a slam that blasts everyone near and squeezes the
+ * arena for a while. Hits fill its stagger meter instead of damage percent;
+ * when full it's stunned and takes far more knockback. Every stagger it
+ * gets up from makes it faster and quicker to attack.
+ *
+ * States: chase, windUp, charge, spin, recover, staggered. Its steering
+ * returns what the simulation has to act on:
+ *   { type: 'telegraph', attack }   an attack is being wound up
+ *   { type: 'attack', attack }      the attack goes off
+ *   { type: 'stagger' }             the meter filled up
+ */
+export class Boss extends Enemy {
+    constructor(id, type, x, y, strength, scale) {
+        super(id, type, x, y, strength, scale);
+        this.state = 'chase';
+        this.stateTime = 0; // ms left in the state (all but chase)
+        this.stateDuration = 0; // ms the state lasts in all
+        this.attack = null; // Key of CONFIG.BOSS.ATTACKS being wound up or under way
+        this.scriptStep = 0; // Next attack of the script
+        this.attackCooldown = CONFIG.BOSS.ATTACK_COOLDOWN;
+        this.stagger = 0; // Meter, staggered at CONFIG.BOSS.STAGGER_MAX
+        this.rage = 0; // Staggers it got up from
+        
+        // Visual state
+        this.spinAngle = 0;
+    }
+    
+    getStats() {
+        return CONFIG.BOSS.BODY;
+    }
+    
+    getSpawnTime() {
+        return CONFIG.BOSS.ENTRANCE_TIME;
+    }
+    
+    getMaxSpeed() {
+        return super.getMaxSpeed() * this.getRageMultiplier();
+    }
+    
+    /**
+     * Speed and attack pace multiplier from the staggers it got up from
+     */
+    getRageMultiplier() {
+        return 1 + this.rage * CONFIG.BOSS.RAGE_PER_STAGGER;
+    }
+    
+    /**
+     * Barely moved by hits, unless staggered
+     */
+    getKnockbackMultiplier() {
+        return this.isStaggered() ? CONFIG.BOSS.STAGGER_KNOCKBACK : CONFIG.BOSS.KNOCKBACK;
+    }
+    
+    /**
+     * Reeling while staggered, it slides further
+     */
+    getFriction() {
+        return this.isStaggered() ? CONFIG.BOSS.STAGGER_FRICTION : super.getFriction();
+    }
+    
+    /**
+     * Hits fill the stagger meter (not while already staggered)
+     */
+    takeDamage(amount) {
+        if (this.isStaggered()) return;
+        this.stagger = Math.min(CONFIG.BOSS.STAGGER_MAX, this.stagger + amount);
+    }
+    
+    /**
+     * Check if stunned, the chance to knock it off
+     */
+    isStaggered() {
+        return this.state === 'staggered';
+    }
+    
+    /**
+     * Its charge and spin send players flying
+     */
+    getHitLaunchTime() {
+        return this.isDashing ? CONFIG.BOSS.HIT_LAUNCH_TIME : 0;
+    }
+    
+    /**
+     * While spinning: outward from the boss, harder further out like the
+     * centrifuge and swirling along the spin, within the field's radius
+     */
+    getForceField(x, y) {
+        if (this.state !== 'spin') return { x: 0, y: 0 };
+        
+        const { radius, force, swirl } = CONFIG.BOSS.ATTACKS.SPIN;
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist < 1 || dist > radius) return { x: 0, y: 0 };
+        
+        const magnitude = force * Math.min(1, dist / 100) * this.strength / dist;
+        return {
+            x: (dx - dy * swirl) * magnitude,
+            y: (dy + dx * swirl) * magnitude
+        };
+    }
+    
+    /**
+     * Switch state for a number of ms
+     */
+    enterState(state, duration = 0) {
+        this.state = state;
+        this.stateTime = duration;
+        this.stateDuration = duration;
+    }
+    
+    steer(target, deltaTime, arena) {
+        const boss = CONFIG.BOSS;
+        this.stateTime -= deltaTime;
+        this.spinAngle += deltaTime * (this.state === 'spin' ? 0.02 : 0.002);
+        
+        if (this.isStaggered()) {
+            if (this.stateTime <= 0) {
+                this.stagger = 0;
+                this.rage++;
+                this.enterState('recover', boss.RECOVER_TIME);
+            }
+            return null;
+        }
+        
+        // A full meter cuts any attack short
+        if (this.stagger >= boss.STAGGER_MAX) {
+            this.isDashing = false;
+            this.attack = null;
+            this.enterState('staggered', boss.STAGGER_TIME);
+            return { type: 'stagger' };
+        }
+        this.stagger = Math.max(0, this.stagger - boss.STAGGER_DECAY * deltaTime / 1000);
+        
+        switch (this.state) {
+            case 'windUp':
+                if (this.attack === 'CHARGE' && target) this.face(target);
+                return this.stateTime <= 0 ? this.unleash() : null;
+            case 'charge':
+                if (this.stateTime <= 0 || this.isEdgeAhead(arena)) {
+                    this.velocity.multiply(0.3);
+                    this.endAttack();
+                }
+                return null;
+            case 'spin':
+                super.steer(target, deltaTime);
+                if (this.stateTime <= 0) this.endAttack();
+                return null;
+            case 'recover':
+                if (this.stateTime <= 0) this.enterState('chase');
+                return null;
+            default:
+                super.steer(target, deltaTime);
+                this.attackCooldown -= deltaTime;
+                return target && this.attackCooldown <= 0 ? this.windUp(arena) : null;
+        }
+    }
+    
+    /**
+     * Start winding up the script's next attack, skipping slams where the
+     * squeezed arena wouldn't hold the boss
+     */
+    windUp(arena) {
+        const script = CONFIG.BOSS.SCRIPT;
+        let attack;
+        do {
+            attack = script[this.scriptStep % script.length];
+            this.scriptStep++;
+        } while (attack === 'SLAM' && arena && !this.canSlam(arena));
+        
+        this.attack = attack;
+        this.enterState('windUp', CONFIG.BOSS.ATTACKS[attack].windUp / this.getRageMultiplier());
+        return { type: 'telegraph', attack };
+    }
+    
+    /**
+     * The wind-up is over: set off the attack (a slam lands at once)
+     */
+    unleash() {
+        const attack = this.attack;
+        const stats = CONFIG.BOSS.ATTACKS[attack];
+        this.attackCooldown = CONFIG.BOSS.ATTACK_COOLDOWN / this.getRageMultiplier();
+        
+        if (attack === 'CHARGE') {
+            this.isDashing = true;
+            this.velocity = this.facing.clone().multiply(stats.speed * this.strength);
+            this.enterState('charge', stats.time);
+        } else if (attack === 'SPIN') {
+            this.isDashing = true;
+            this.enterState('spin', stats.time);
+        } else {
+            this.endAttack();
+        }
+        return { type: 'attack', attack };
+    }
+    
+    /**
+     * Stand for a moment after an attack
+     */
+    endAttack() {
+        this.isDashing = false;
+        this.attack = null;
+        this.enterState('recover', CONFIG.BOSS.RECOVER_TIME);
+    }
+    
+    /**
+     * Whether a charge is about to take it over the edge
+     */
+    isEdgeAhead(arena) {
+        if (!arena) return false;
+        
+        const reach = this.radius + CONFIG.BOSS.ATTACKS.CHARGE.brakeDistance;
+        return arena.isOutOfBounds(this.position.x + this.facing.x * reach, this.position.y + this.facing.y * reach);
+    }
+    
+    /**
+     * Whether it would still stand on the arena once its slam squeezes it
+     */
+    canSlam(arena) {
+        const { arenaScale } = CONFIG.BOSS.ATTACKS.SLAM;
+        const x = arena.centerX + (this.position.x - arena.centerX) / arenaScale;
+        const y = arena.centerY + (this.position.y - arena.centerY) / arenaScale;
+        return !arena.isOutOfBounds(x, y, this.radius / arenaScale);
+    }
+    
+    /**
+     * Draw the boss, with stars circling over it while staggered
+     */
+    render(ctx) {
+        super.render(ctx);
+        if (!this.isAlive || !this.isStaggered()) return;
+        
+        ctx.save();
+        ctx.font = '18px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i < 3; i++) {
+            const angle = this.spinAngle * 3 + (i / 3) * Math.PI * 2;
+            ctx.fillText('⭐', this.position.x + Math.cos(angle) * this.radius * 0.7,
+                this.position.y - this.radius - 10 + Math.sin(angle) * 8);
+        }
+        ctx.restore();
+    }
+    
+    /**
+     * Spikes around the rim (whirling in a spin), and the telegraph of the
+     * attack being wound up: the charge's lane, the spin's reach or the
+     * slam's blast
+     */
+    renderLook(ctx) {
+        const r = this.radius;
+        
+        if (this.state === 'windUp') {
+            const progress = 1 - this.stateTime / this.stateDuration;
+            const alpha = 0.15 + progress * 0.25 + Math.sin(this.pulsePhase * 12) * 0.05;
+            
+            ctx.save();
+            if (this.attack === 'CHARGE') {
+                ctx.rotate(Math.atan2(this.facing.y, this.facing.x));
+                ctx.fillStyle = `rgba(255, 71, 87, ${alpha})`;
+                ctx.fillRect(0, -r, r * 6, r * 2);
+            } else {
+                const radius = CONFIG.BOSS.ATTACKS[this.attack].radius;
+                ctx.beginPath();
+                ctx.arc(0, 0, radius, 0, Math.PI * 2);
+                ctx.fillStyle = `rgba(255, 71, 87, ${alpha * 0.5})`;
+                ctx.fill();
+                ctx.beginPath();
+                ctx.arc(0, 0, radius * (this.attack === 'SLAM' ? progress : 1), 0, Math.PI * 2);
+                ctx.strokeStyle = `rgba(255, 71, 87, ${alpha + 0.3})`;
+                ctx.lineWidth = 3;
+                ctx.setLineDash([10, 8]);
+                ctx.stroke();
+            }
+            ctx.restore();
+        }
+        
+        ctx.save();
+        ctx.rotate(this.spinAngle);
+        ctx.beginPath();
+        for (let i = 0; i < 10; i++) {
+            const angle = (i / 10) * Math.PI * 2;
+            ctx.moveTo(Math.cos(angle - 0.18) * r * 0.95, Math.sin(angle - 0.18) * r * 0.95);
+            ctx.lineTo(Math.cos(angle) * r * 1.25, Math.sin(angle) * r * 1.25);
+            ctx.lineTo(Math.cos(angle + 0.18) * r * 0.95, Math.sin(angle + 0.18) * r * 0.95);
+        }
+        ctx.fillStyle = this.isStaggered() ? '#a4b0be' : '#2f3640';
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+/**
+ * Enemy of a type (key of CONFIG.SURVIVAL.ENEMIES, or 'BOSS')
+ */
+export function createEnemy(id, type, x, y, strength = 1, scale = 1) {
+    switch (type) {
+        case 'CHARGER':
+            return new Charger(id, type, x, y, strength, scale);
+        case 'HEAVY':
+            return new Heavy(id, type, x, y, strength, scale);
+        case 'SPLITTER':
+            return new Splitter(id, type, x, y, strength, scale);
+        case 'BOSS':
+            return new Boss(id, type, x, y, strength, scale);
+        default:
+            throw new Error(`Unknown enemy type: ${type}`);
+    }
+}
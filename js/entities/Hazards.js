@@ -0,0 +1,263 @@
+import { CONFIG } from '../config.js';
+
+// ms a bumped or boosted player may go faster than the normal top speed
+const LAUNCH_TIME = 250;
+
+/**
+ * Hazards - floor regions that act on players, localized versions of the
+ * round modifiers. Each is a disc described in its own frame (centered on
+ * the origin, its direction along +x) and placed by the arena, which scales
+ * and turns it with the floor:
+ *
+ *   affect(player, touch, deltaTime)   apply the effect; true when worth showing
+ *   render(ctx, time, flash)           draw in the local frame
+ *
+ * `touch` says how the player meets the hazard this tick: the unit normal
+ * pushing the player's circle out and how far (`nx`, `ny`, `depth`), the
+ * hazard's direction (`dirX`, `dirY`), whether the player's center is over
+ * it (`covered`) and whether it just got there (`entered`).
+ */
+export class Hazard {
+    /**
+     * @param {Object} definition - Arena file entry: x, y and radius
+     */
+    constructor(definition, defaultRadius) {
+        this.type = definition.type;
+        this.x = definition.x;
+        this.y = definition.y;
+        this.radius = definition.radius ?? defaultRadius;
+        this.direction = ((definition.direction ?? 0) * Math.PI) / 180;
+    }
+    
+    /**
+     * Act on a player touching the hazard
+     */
+    affect(player, touch, deltaTime) {
+        return false;
+    }
+    
+    /**
+     * Draw the hazard around the origin
+     */
+    render(ctx, time, flash) {
+        throw new Error('render not implemented');
+    }
+}
+
+/**
+ * Pinball bumper - kicks away anyone who touches it
+ */
+export class Bumper extends Hazard {
+    constructor(definition) {
+        super(definition, 35);
+        this.strength = definition.strength ?? 14; // Pixels per tick away from the bumper
+    }
+    
+    affect(player, touch) {
+        player.position.x += touch.nx * touch.depth;
+        player.position.y += touch.ny * touch.depth;
+        
+        const outward = player.velocity.x * touch.nx + player.velocity.y * touch.ny;
+        if (outward < this.strength) {
+            player.velocity.x += touch.nx * (this.strength - outward);
+            player.velocity.y += touch.ny * (this.strength - outward);
+        }
+        player.launchTime = LAUNCH_TIME;
+        return true;
+    }
+    
+    render(ctx, time, flash) {
+        const r = this.radius * (1 + flash * 0.12);
+        const gradient = ctx.createRadialGradient(0, 0, r * 0.2, 0, 0, r);
+        gradient.addColorStop(0, flash > 0 ? '#ffffff' : '#ffb3ec');
+        gradient.addColorStop(0.6, '#ff6bd6');
+        gradient.addColorStop(1, '#8a1f73');
+        
+        ctx.beginPath();
+        ctx.arc(0, 0, r, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.shadowColor = '#ff6bd6';
+        ctx.shadowBlur = 10 + flash * 20;
+        ctx.fill();
+        
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(0, 0, r * 0.6, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
+
+/**
+ * Boost pad - stepping on it refills the dash, and a pad with a direction
+ * also fires the player that way
+ */
+export class BoostPad extends Hazard {
+    constructor(definition) {
+        super(definition, 40);
+        this.launches = definition.direction !== undefined;
+        this.strength = definition.strength ?? 10; // Pixels per tick added
+    }
+    
+    affect(player, touch) {
+        if (!touch.entered) return false;
+        
+        player.dashCooldown = 0;
+        if (this.launches) {
+            player.velocity.x += touch.dirX * this.strength;
+            player.velocity.y += touch.dirY * this.strength;
+            player.launchTime = LAUNCH_TIME;
+        }
+        return true;
+    }
+    
+    render(ctx, time, flash) {
+        const pulse = 0.5 + Math.sin(time * 0.006) * 0.2;
+        
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+        ctx.fillStyle = `rgba(255, 230, 109, ${0.15 + pulse * 0.15 + flash * 0.4})`;
+        ctx.fill();
+        ctx.strokeStyle = `rgba(255, 230, 109, ${0.6 + pulse * 0.4})`;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        
+        ctx.fillStyle = `rgba(255, 230, 109, ${0.5 + pulse * 0.5})`;
+        if (this.launches) {
+            // Chevrons pointing the way the pad fires
+            const size = this.radius * 0.3;
+            for (let i = -1; i <= 1; i++) {
+                const x = i * size * 0.9;
+                ctx.beginPath();
+                ctx.moveTo(x - size * 0.5, -size);
+                ctx.lineTo(x + size * 0.5, 0);
+                ctx.lineTo(x - size * 0.5, size);
+                ctx.lineTo(x - size * 0.1, 0);
+                ctx.closePath();
+                ctx.fill();
+            }
+        } else {
+            // Lightning bolt
+            const s = this.radius * 0.5;
+            ctx.beginPath();
+            ctx.moveTo(s * 0.2, -s);
+            ctx.lineTo(-s * 0.5, s * 0.1);
+            ctx.lineTo(-s * 0.05, s * 0.1);
+            ctx.lineTo(-s * 0.2, s);
+            ctx.lineTo(s * 0.5, -s * 0.1);
+            ctx.lineTo(s * 0.05, -s * 0.1);
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+}
+
+/**
+ * Conveyor belt - carries whoever stands on it in its direction
+ */
+export class Conveyor extends Hazard {
+    constructor(definition) {
+        super(definition, 70);
+        this.speed = (definition.speed ?? 150) / 1000; // Pixels per ms
+    }
+    
+    affect(player, touch, deltaTime) {
+        if (!touch.covered) return false;
+        
+        player.position.x += touch.dirX * this.speed * deltaTime;
+        player.position.y += touch.dirY * this.speed * deltaTime;
+        return false;
+    }
+    
+    render(ctx, time) {
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(120, 140, 165, 0.25)';
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(160, 180, 205, 0.7)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.clip();
+        
+        // Stripes scrolling along the belt
+        const spacing = 24;
+        const offset = (time * this.speed) % spacing;
+        ctx.strokeStyle = 'rgba(160, 180, 205, 0.5)';
+        ctx.lineWidth = 4;
+        for (let x = -this.radius - spacing + offset; x < this.radius + spacing; x += spacing) {
+            ctx.beginPath();
+            ctx.moveTo(x - 8, -this.radius);
+            ctx.lineTo(x + 4, 0);
+            ctx.lineTo(x - 8, this.radius);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
+
+/**
+ * Ice patch - players slide on it like in the Ice Arena round, but only here
+ */
+export class IcePatch extends Hazard {
+    constructor(definition) {
+        super(definition, 90);
+        this.friction = definition.friction ?? 0.985; // Speed kept per tick, in place of CONFIG.PLAYER.FRICTION
+    }
+    
+    affect(player, touch) {
+        if (!touch.covered) return false;
+        
+        player.surfaceFriction = this.friction / CONFIG.PLAYER.FRICTION;
+        return false;
+    }
+    
+    render(ctx, time) {
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, this.radius);
+        gradient.addColorStop(0, 'rgba(210, 245, 255, 0.35)');
+        gradient.addColorStop(1, 'rgba(150, 210, 240, 0.15)');
+        
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(210, 245, 255, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        
+        // Glints
+        const glint = 0.3 + Math.sin(time * 0.002) * 0.2;
+        ctx.strokeStyle = `rgba(255, 255, 255, ${glint})`;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(-this.radius * 0.5, -this.radius * 0.2);
+        ctx.lineTo(-this.radius * 0.15, -this.radius * 0.55);
+        ctx.moveTo(-this.radius * 0.3, this.radius * 0.1);
+        ctx.lineTo(this.radius * 0.1, -this.radius * 0.3);
+        ctx.stroke();
+    }
+}
+
+/**
+ * Build a hazard from its arena file entry:
+ *   { type: 'bumper', x, y, radius?, strength? }
+ *   { type: 'boost', x, y, radius?, direction?, strength? }
+ *   { type: 'conveyor', x, y, radius?, direction?, speed? }
+ *   { type: 'ice', x, y, radius?, friction? }
+ * Directions are in degrees, 0 pointing right.
+ */
+export function createHazard(definition) {
+    switch (definition.type) {
+        case 'bumper':
+            return new Bumper(definition);
+        case 'boost':
+            return new BoostPad(definition);
+        case 'conveyor':
+            return new Conveyor(definition);
+        case 'ice':
+            return new IcePatch(definition);
+        default:
+            throw new Error(`Unknown hazard type: ${definition.type}`);
+    }
+}
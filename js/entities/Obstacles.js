@@ -0,0 +1,201 @@
+/**
+ * Obstacles - solid bodies on the arena floor that players bounce off.
+ * Each is described in its own frame (centered on the origin, unrotated)
+ * and placed by a pose, so moving and spinning obstacles need no extra code:
+ *
+ *   getPose(time)               position (arena-relative) and angle at a round time
+ *   getContact(x, y, radius)    how a circle at a local point overlaps the body
+ *   tracePath(ctx)              outline path in the local frame
+ *
+ * Obstacles are kinematic: they follow their path whatever hits them.
+ */
+export class Obstacle {
+    /**
+     * @param {Object} definition - Arena file entry: x, y and optionally
+     *   rotation (degrees), spin (degrees per second), and a path of points
+     *   visited in a loop at `speed` pixels per second
+     */
+    constructor(definition) {
+        this.type = definition.type;
+        this.rotation = ((definition.rotation ?? 0) * Math.PI) / 180;
+        this.spin = ((definition.spin ?? 0) * Math.PI) / 180 / 1000; // Radians per ms
+        this.speed = (definition.speed ?? 100) / 1000; // Pixels per ms
+        
+        // Closed route: start point, then the path, then back to the start
+        this.route = [{ x: definition.x, y: definition.y }, ...(definition.path ?? [])];
+        this.routeLength = 0;
+        this.route.forEach((point, i) => {
+            const next = this.route[(i + 1) % this.route.length];
+            this.routeLength += Math.hypot(next.x - point.x, next.y - point.y);
+        });
+    }
+    
+    /**
+     * Position relative to the arena center (scale 1) and angle in radians
+     */
+    getPose(time) {
+        const angle = this.rotation + this.spin * time;
+        if (this.routeLength === 0) {
+            return { x: this.route[0].x, y: this.route[0].y, angle };
+        }
+        
+        let travelled = (this.speed * time) % this.routeLength;
+        for (let i = 0; i < this.route.length; i++) {
+            const from = this.route[i];
+            const to = this.route[(i + 1) % this.route.length];
+            const length = Math.hypot(to.x - from.x, to.y - from.y);
+            if (travelled <= length && length > 0) {
+                const t = travelled / length;
+                return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t, angle };
+            }
+            travelled -= length;
+        }
+        return { x: this.route[0].x, y: this.route[0].y, angle };
+    }
+    
+    /**
+     * Overlap of a circle with the body, in the local frame: the unit normal
+     * pushing the circle out and how far, or null when they do not touch
+     */
+    getContact(x, y, radius) {
+        throw new Error('getContact not implemented');
+    }
+    
+    /**
+     * Add the outline in the local frame to the current path
+     */
+    tracePath(ctx) {
+        throw new Error('tracePath not implemented');
+    }
+    
+    /**
+     * Radius of a circle around the origin that holds the whole body
+     */
+    getReach() {
+        return 0;
+    }
+}
+
+/**
+ * Round pillar
+ */
+export class CircleObstacle extends Obstacle {
+    constructor(definition) {
+        super(definition);
+        this.radius = definition.radius ?? 40;
+    }
+    
+    getContact(x, y, radius) {
+        return getRoundContact(x, y, this.radius + radius);
+    }
+    
+    tracePath(ctx) {
+        ctx.moveTo(this.radius, 0);
+        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+    }
+    
+    getReach() {
+        return this.radius;
+    }
+}
+
+/**
+ * Rectangular block or wall
+ */
+export class BoxObstacle extends Obstacle {
+    constructor(definition) {
+        super(definition);
+        this.halfWidth = (definition.width ?? 80) / 2;
+        this.halfHeight = (definition.height ?? 80) / 2;
+    }
+    
+    getContact(x, y, radius) {
+        const closestX = Math.max(-this.halfWidth, Math.min(this.halfWidth, x));
+        const closestY = Math.max(-this.halfHeight, Math.min(this.halfHeight, y));
+        const dx = x - closestX;
+        const dy = y - closestY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        if (distance > 0) {
+            if (distance >= radius) return null;
+            return { nx: dx / distance, ny: dy / distance, depth: radius - distance };
+        }
+        
+        // Center inside the box: out through the nearest side
+        const toSideX = this.halfWidth - Math.abs(x);
+        const toSideY = this.halfHeight - Math.abs(y);
+        if (toSideX < toSideY) {
+            return { nx: x < 0 ? -1 : 1, ny: 0, depth: toSideX + radius };
+        }
+        return { nx: 0, ny: y < 0 ? -1 : 1, depth: toSideY + radius };
+    }
+    
+    tracePath(ctx) {
+        ctx.rect(-this.halfWidth, -this.halfHeight, this.halfWidth * 2, this.halfHeight * 2);
+    }
+    
+    getReach() {
+        return Math.hypot(this.halfWidth, this.halfHeight);
+    }
+}
+
+/**
+ * Stadium shape - a segment along the local x axis with round ends
+ */
+export class CapsuleObstacle extends Obstacle {
+    constructor(definition) {
+        super(definition);
+        this.halfLength = (definition.length ?? 120) / 2;
+        this.radius = definition.radius ?? 20;
+    }
+    
+    getContact(x, y, radius) {
+        const closestX = Math.max(-this.halfLength, Math.min(this.halfLength, x));
+        return getRoundContact(x - closestX, y, this.radius + radius);
+    }
+    
+    tracePath(ctx) {
+        ctx.moveTo(-this.halfLength, -this.radius);
+        ctx.lineTo(this.halfLength, -this.radius);
+        ctx.arc(this.halfLength, 0, this.radius, -Math.PI / 2, Math.PI / 2);
+        ctx.lineTo(-this.halfLength, this.radius);
+        ctx.arc(-this.halfLength, 0, this.radius, Math.PI / 2, Math.PI * 1.5);
+        ctx.closePath();
+    }
+    
+    getReach() {
+        return this.halfLength + this.radius;
+    }
+}
+
+/**
+ * Contact with a disc of the given reach around the origin
+ */
+function getRoundContact(x, y, reach) {
+    const distance = Math.sqrt(x * x + y * y);
+    if (distance >= reach) return null;
+    if (distance === 0) {
+        return { nx: 0, ny: -1, depth: reach };
+    }
+    return { nx: x / distance, ny: y / distance, depth: reach - distance };
+}
+
+/**
+ * Build an obstacle from its arena file entry:
+ *   { type: 'circle', x, y, radius }
+ *   { type: 'box', x, y, width, height, rotation? }
+ *   { type: 'capsule', x, y, length, radius, rotation? }
+ * Any of them may add spin, and path + speed to move.
+ */
+export function createObstacle(definition) {
+    switch (definition.type) {
+        case 'circle':
+            return new CircleObstacle(definition);
+        case 'box':
+            return new BoxObstacle(definition);
+        case 'capsule':
+            return new CapsuleObstacle(definition);
+        default:
+            throw new Error(`Unknown obstacle type: ${definition.type}`);
+    }
+}
@@ -1,28 +1,45 @@
 import { CONFIG } from '../config.js';
 import { Vector2 } from '../utils/Vector2.js';
+import { Random } from '../utils/Random.js';
+import { StateSnapshot } from '../utils/StateSnapshot.js';
+
+// ms the fading ghost of an eliminated player shows
+const GHOST_TIME = 500;
 
 /**
  * Player entity with physics-based movement and visual effects
  */
 export class Player {
-    constructor(id, x, y, color) {
+    /**
+     * @param {Random} random - Cosmetic random stream for visual variation
+     */
+    constructor(id, x, y, color, random = new Random()) {
         this.id = id;
         this.position = new Vector2(x, y);
         this.velocity = new Vector2();
         this.color = color;
-        this.radius = CONFIG.PLAYER.RADIUS;
-        this.mass = CONFIG.PLAYER.MASS;
+        
+        // Character (key of CONFIG.CHARACTERS) - sets radius, mass, movement and dash
+        this.setCharacter('BLOB');
         
         // State
         this.isAlive = true;
         this.isDashing = false;
         this.dashTimeRemaining = 0;
+        this.dashPower = 1; // Speed and duration multiplier of the current dash (charge dashes)
         this.dashCooldown = 0;
+        this.extraDashes = 0; // Dashes left before the cooldown has run out (Double Dash)
+        this.dashHitLanded = false; // Follow-through already paid out this dash
         this.dashDirection = new Vector2();
         
+        // Action button: brace while held, then charge a ground pound released on letting go;
+        // grab button: grab an opponent next to us, then throw them
+        this.resetAbilities();
+        
         // Visual effects state
         this.hitFlash = 0;
-        this.pulsePhase = Math.random() * Math.PI * 2;
+        this.parryFlash = 0;
+        this.randomizePulsePhase(random);
         this.trailPositions = [];
         this.maxTrailLength = 10;
         this.lastMoveDirection = new Vector2(1, 0);
@@ -40,6 +57,40 @@ export class Player {
         // Stats
         this.wins = 0;
         
+        // Team index in team matches (null in free-for-all)
+        this.team = null;
+        
+        // Lives per round in stock matches (1 = classic single elimination)
+        this.maxStocks = 1;
+        this.stocks = 1;
+        this.respawnTimer = 0; // ms until respawning after losing a stock
+        this.invulnerableTime = 0; // ms of spawn protection left
+        
+        // Damage percent - knockback taken grows with it
+        this.damageEnabled = true;
+        this.damage = 0;
+        this.damageCooldown = 0; // ms until hits count again
+        
+        // Points this round in score modes (King of the Hill)
+        this.score = 0;
+        
+        // Hot Potato - ms left on the fuse of the bomb we carry (0 when not
+        // carrying it) and ms before we can bump it on to someone else
+        this.bombFuse = 0;
+        this.bombPassCooldown = 0;
+        
+        // Charge dash mode - hold the dash button to charge, let go to dash
+        this.chargeDash = false;
+        
+        // Floor hazards
+        this.launchTime = 0; // ms left of going faster than the top speed after a bumper or boost
+        this.surfaceFriction = 1; // Friction multiplier of the floor underfoot (ice patches)
+        this.hazardsUnder = []; // Indices of the hazards covering the player last tick
+        
+        // Power-ups
+        this.activePowerUps = {}; // ms left per running power-up type
+        this.shieldGuard = 0; // ms a broken shield still keeps hits off
+        
         // Spawn position for respawning (stored as copy to avoid reference issues)
         this.spawnPosition = new Vector2(x, y);
         this.originalSpawnPosition = new Vector2(x, y);
@@ -73,6 +124,32 @@ export class Player {
         return `rgb(${R}, ${G}, ${B})`;
     }
     
+    /**
+     * Switch to a character from CONFIG.CHARACTERS
+     */
+    setCharacter(key) {
+        if (!CONFIG.CHARACTERS[key]) {
+            throw new Error(`Unknown character: ${key}`);
+        }
+        this.character = key;
+        this.radius = CONFIG.CHARACTERS[key].radius;
+        this.mass = CONFIG.CHARACTERS[key].mass;
+    }
+    
+    /**
+     * Stat block of the player's character
+     */
+    getStats() {
+        return CONFIG.CHARACTERS[this.character];
+    }
+    
+    /**
+     * Pick a starting phase so players don't pulse in sync
+     */
+    randomizePulsePhase(random) {
+        this.pulsePhase = random.next() * Math.PI * 2;
+    }
+    
     /**
      * Reset player for new round
      */
@@ -83,8 +160,14 @@ export class Player {
         this.isDashing = false;
         this.dashTimeRemaining = 0;
         this.dashCooldown = 0;
+        this.extraDashes = 0;
+        this.dashPower = 1;
+        this.dashDirection = new Vector2();
+        this.resetAbilities();
         this.hitFlash = 0;
+        this.parryFlash = 0;
         this.trailPositions = [];
+        this.lastMoveDirection = new Vector2(1, 0); // Aims a charge dash let go without steering
         this.squashStretch = { x: 1, y: 1 };
         this.targetSquash = { x: 1, y: 1 };
         this.nearEdge = false;
@@ -92,7 +175,130 @@ export class Player {
         this.idleTime = 0;
         this.isIdle = false;
         this.idleWarningShown = false;
-        this.eliminationTime = null; // Reset ghost effect
+        this.ghostTime = 0; // ms left of the ghost shown after elimination
+        this.stocks = this.maxStocks;
+        this.respawnTimer = 0;
+        this.invulnerableTime = 0;
+        this.damage = 0;
+        this.damageCooldown = 0;
+        this.score = 0;
+        this.dropBomb();
+        this.resetHazardState();
+        this.clearPowerUps();
+    }
+    
+    /**
+     * Brace, ground pound and grab ready, nothing held
+     */
+    resetAbilities() {
+        this.dashButtonHeld = false; // Dash button state last step, to see charge dash presses and releases
+        this.dashCharge = 0; // ms the charge dash has charged
+        this.actionHeld = false; // Action button state last step, to see presses and releases
+        this.braceTime = 0; // ms left of the current brace
+        this.braceCooldown = 0;
+        this.poundCharge = 0; // ms the ground pound has charged
+        this.poundCooldown = 0;
+        this.parryTime = 0; // ms left in which a dash hit is parried
+        this.grabButtonHeld = false; // Grab button state last step, to see presses
+        this.grabCooldown = 0;
+        this.holdingId = null; // Id of the player we hold
+        this.holdTime = 0; // ms the current hold has lasted
+        this.holdDirection = null; // Side the held player is carried on ({ x, y } unit vector)
+        this.tether = null; // Where the held player is ({ x, y }), for drawing
+        this.heldById = null; // Id of the player holding us
+        this.escapePresses = 0; // Presses mashed so far to break free
+    }
+    
+    /**
+     * Forget the floor hazards the player was on
+     */
+    resetHazardState() {
+        this.launchTime = 0;
+        this.surfaceFriction = 1;
+        this.hazardsUnder = [];
+    }
+    
+    /**
+     * Drop every running power-up
+     */
+    clearPowerUps() {
+        this.activePowerUps = {};
+        this.shieldGuard = 0;
+        this.mass = this.getStats().mass;
+    }
+    
+    /**
+     * Take effect of a picked-up power-up (the shockwave is the simulation's,
+     * as it acts on the others)
+     */
+    applyPowerUp(type) {
+        const settings = CONFIG.POWERUPS.TYPES[type];
+        
+        if (type === 'DASH_RESET') {
+            this.dashCooldown = 0;
+        } else if (type === 'MASS') {
+            this.mass = this.getStats().mass * settings.mass;
+        }
+        if (settings.duration) {
+            this.activePowerUps[type] = settings.duration;
+        }
+    }
+    
+    /**
+     * Check if a power-up is running
+     */
+    hasPowerUp(type) {
+        return this.activePowerUps[type] > 0;
+    }
+    
+    /**
+     * End a running power-up early or on time
+     */
+    endPowerUp(type) {
+        delete this.activePowerUps[type];
+        if (type === 'MASS') {
+            this.mass = this.getStats().mass;
+        }
+    }
+    
+    /**
+     * Count down running power-ups
+     * @returns {string[]} Types that ran out this step
+     */
+    updatePowerUps(deltaTime) {
+        if (this.shieldGuard > 0) {
+            this.shieldGuard -= deltaTime;
+        }
+        
+        const expired = [];
+        for (const type of Object.keys(this.activePowerUps)) {
+            this.activePowerUps[type] -= deltaTime;
+            if (this.activePowerUps[type] <= 0) {
+                this.endPowerUp(type);
+                expired.push(type);
+            }
+        }
+        return expired;
+    }
+    
+    /**
+     * Let a running shield take a hit; it breaks, and for a moment the
+     * player takes neither damage nor knockback
+     * @returns {boolean} Whether the hit was absorbed
+     */
+    absorbHit() {
+        if (!this.hasPowerUp('SHIELD')) return false;
+        
+        this.endPowerUp('SHIELD');
+        this.shieldGuard = CONFIG.POWERUPS.TYPES.SHIELD.guard;
+        return true;
+    }
+    
+    /**
+     * Speed multiplier from a speed burst
+     */
+    getPowerUpSpeed() {
+        return this.hasPowerUp('SPEED') ? CONFIG.POWERUPS.TYPES.SPEED.speedMultiplier : 1;
     }
     
     /**
@@ -108,13 +314,37 @@ export class Player {
     handleInput(input, deltaTime, speedMultiplier = 1) {
         if (!this.isAlive) return { dashStarted: false };
         
-        const { movement, dash } = input;
+        const { movement, dash, dashHeld = false, action = false, grab = false } = input;
+        speedMultiplier *= this.getPowerUpSpeed();
         
         // Update dash cooldown
         if (this.dashCooldown > 0) {
             this.dashCooldown -= deltaTime;
         }
         
+        if (this.parryTime > 0) {
+            this.parryTime -= deltaTime;
+        }
+        
+        // Charge dashes go by the held button; tap dashes by the press
+        const dashPressed = this.chargeDash ? dashHeld && !this.dashButtonHeld : dash;
+        const dashReleased = !dashHeld && this.dashButtonHeld;
+        this.dashButtonHeld = dashHeld;
+        
+        const grabPressed = grab && !this.grabButtonHeld;
+        this.grabButtonHeld = grab;
+        if (this.grabCooldown > 0) {
+            this.grabCooldown -= deltaTime;
+        }
+        
+        // Held players can only mash to break free
+        if (this.isHeld()) {
+            if (dashPressed || grabPressed) this.escapePresses++;
+            return { dashStarted: false, braceStarted: false, groundPound: false, grabPressed: false };
+        }
+        
+        const { braceStarted, groundPound } = this.handleAction(action, deltaTime);
+        
         // Update dash state
         if (this.isDashing) {
             this.dashTimeRemaining -= deltaTime;
@@ -125,36 +355,212 @@ export class Player {
             }
         }
         
-        // Try to dash
-        if (dash && this.canDash() && movement.magnitude() > 0) {
-            this.startDash(movement, speedMultiplier);
-            return { dashStarted: true, direction: movement.clone() };
+        // Try to dash (a charge dash goes off on letting go, the way we last moved if not steering)
+        const dashPower = this.chargeDash ? this.updateDashCharge(dashHeld, dashReleased, deltaTime) : (dash ? 1 : 0);
+        const dashDirection = this.chargeDash && movement.magnitude() === 0 ? this.lastMoveDirection : movement;
+        if (dashPower > 0 && this.canDash() && dashDirection.magnitude() > 0) {
+            this.startDash(dashDirection, speedMultiplier, dashPower);
+            return { dashStarted: true, direction: dashDirection.clone(), braceStarted, groundPound, grabPressed };
         }
         
-        // Apply movement acceleration (reduced during dash)
+        // Apply movement acceleration (reduced during dash, slowed while braced, charging or holding someone)
         if (!this.isDashing && movement.magnitude() > 0) {
-            const acceleration = movement.clone().multiply(CONFIG.PLAYER.ACCELERATION * speedMultiplier);
+            let heldBack = this.isBracing() || this.poundCharge > 0 ? CONFIG.BRACE.MOVE_MULTIPLIER : 1;
+            if (this.dashCharge > 0) heldBack *= CONFIG.DASH_CHARGE.MOVE_MULTIPLIER;
+            if (this.isHolding()) heldBack *= CONFIG.GRAB.MOVE_MULTIPLIER;
+            const acceleration = movement.clone().multiply(this.getStats().acceleration * speedMultiplier * heldBack);
             this.velocity.add(acceleration);
             this.lastMoveDirection = movement.clone().normalize();
         }
         
-        return { dashStarted: false };
+        return { dashStarted: false, braceStarted, groundPound, grabPressed };
+    }
+    
+    /**
+     * Charge dash: holding the dash button charges it (once a dash is ready),
+     * letting go spends the charge
+     * @returns {number} Power of the dash to start (speed and duration multiplier), 0 for none
+     */
+    updateDashCharge(held, released, deltaTime) {
+        const { CHARGE_TIME, MIN_POWER, MAX_POWER } = CONFIG.DASH_CHARGE;
+        
+        if (held && this.canDash()) {
+            this.dashCharge = Math.min(this.dashCharge + deltaTime, CHARGE_TIME);
+        }
+        if (!released || this.dashCharge <= 0) return 0;
+        
+        const power = MIN_POWER + (MAX_POWER - MIN_POWER) * (this.dashCharge / CHARGE_TIME);
+        this.dashCharge = 0;
+        return power;
     }
     
     /**
-     * Check if player can dash
+     * Action button: pressing braces (when ready), holding charges the ground
+     * pound (when ready), letting go ends the brace and releases a full charge
+     * @returns {{braceStarted: boolean, groundPound: boolean}}
+     */
+    handleAction(action, deltaTime) {
+        const pressed = action && !this.actionHeld;
+        const released = !action && this.actionHeld;
+        this.actionHeld = action;
+        
+        if (this.braceCooldown > 0) {
+            this.braceCooldown -= deltaTime;
+        }
+        if (this.poundCooldown > 0) {
+            this.poundCooldown -= deltaTime;
+        }
+        if (this.braceTime > 0) {
+            this.braceTime -= deltaTime;
+            if (this.braceTime <= 0) this.endBrace();
+        }
+        
+        let braceStarted = false;
+        if (pressed && this.braceCooldown <= 0 && !this.isDashing) {
+            this.braceTime = CONFIG.BRACE.DURATION;
+            this.parryTime = CONFIG.PARRY.WINDOW;
+            this.targetSquash = { x: 1.2, y: 0.8 };
+            braceStarted = true;
+        }
+        
+        if (action && this.poundCooldown <= 0 && !this.isDashing) {
+            this.poundCharge = Math.min(this.poundCharge + deltaTime, CONFIG.GROUND_POUND.CHARGE_TIME);
+        }
+        
+        let groundPound = false;
+        if (released) {
+            if (this.isBracing()) this.endBrace();
+            if (this.isPoundCharged()) {
+                this.poundCooldown = this.getPoundCooldownTime();
+                this.targetSquash = { x: 1.5, y: 0.5 };
+                groundPound = true;
+            }
+            this.poundCharge = 0;
+        }
+        
+        return { braceStarted, groundPound };
+    }
+    
+    /**
+     * Stop bracing and start the brace cooldown
+     */
+    endBrace() {
+        this.braceTime = 0;
+        this.braceCooldown = CONFIG.BRACE.COOLDOWN;
+    }
+    
+    /**
+     * Check if the player is braced
+     */
+    isBracing() {
+        return this.braceTime > 0;
+    }
+    
+    /**
+     * Check if a ground pound would go off on letting go
+     */
+    isPoundCharged() {
+        return this.poundCharge >= CONFIG.GROUND_POUND.CHARGE_TIME;
+    }
+    
+    /**
+     * Mass used in collisions - much higher while braced
+     */
+    getMass() {
+        return this.isBracing() ? this.mass * CONFIG.BRACE.MASS_MULTIPLIER : this.mass;
+    }
+    
+    /**
+     * Check if player can dash (not while braced or holding someone; a spare
+     * dash works during the cooldown)
      */
     canDash() {
-        return !this.isDashing && this.dashCooldown <= 0;
+        return !this.isDashing && (this.dashCooldown <= 0 || this.extraDashes > 0) && !this.isBracing() && !this.isHolding();
+    }
+    
+    /**
+     * Check if the player is holding someone
+     */
+    isHolding() {
+        return this.holdingId !== null;
+    }
+    
+    /**
+     * Check if someone is holding the player
+     */
+    isHeld() {
+        return this.heldById !== null;
+    }
+    
+    /**
+     * Check if a grab press would grab (not mid-dash, nor while holding or held)
+     */
+    canGrab() {
+        return !this.isDashing && this.grabCooldown <= 0 && !this.isHolding() && !this.isHeld();
+    }
+    
+    /**
+     * Start holding another player on the given side
+     * @param {Vector2} direction - Unit vector toward the held player
+     */
+    holdPlayer(id, direction) {
+        this.holdingId = id;
+        this.holdTime = 0;
+        this.holdDirection = { x: direction.x, y: direction.y };
+        this.targetSquash = { x: 1.2, y: 0.8 };
+    }
+    
+    /**
+     * Let go of the held player and start the grab cooldown
+     */
+    endHold() {
+        this.holdingId = null;
+        this.holdDirection = null;
+        this.tether = null;
+        this.grabCooldown = CONFIG.GRAB.COOLDOWN;
+    }
+    
+    /**
+     * Get grabbed: stop dashing, bracing and charging until let go
+     */
+    becomeHeld(id) {
+        this.heldById = id;
+        this.escapePresses = 0;
+        this.isDashing = false;
+        this.poundCharge = 0;
+        this.dashCharge = 0;
+        if (this.isBracing()) this.endBrace();
+        this.onHit(1);
+    }
+    
+    /**
+     * No longer held; the presses still being mashed must not grab right back
+     */
+    release() {
+        this.heldById = null;
+        this.escapePresses = 0;
+        this.grabCooldown = CONFIG.GRAB.COOLDOWN;
     }
     
     /**
      * Start a dash in the given direction
+     * @param {number} power - Speed and duration multiplier (charge dashes)
      */
-    startDash(direction, speedMultiplier = 1) {
+    startDash(direction, speedMultiplier = 1, power = 1) {
+        const stats = this.getStats();
+        
+        if (this.dashCooldown > 0) {
+            this.extraDashes--;
+        } else {
+            this.dashCooldown = stats.dashCooldown;
+            this.extraDashes = (stats.dashCharges ?? 1) - 1;
+        }
+        
         this.isDashing = true;
-        this.dashTimeRemaining = CONFIG.DASH.DURATION;
-        this.dashCooldown = CONFIG.DASH.COOLDOWN;
+        this.dashPower = power;
+        this.dashTimeRemaining = stats.dashDuration * power;
+        this.parryTime = CONFIG.PARRY.WINDOW;
+        this.dashHitLanded = false;
         this.dashDirection = direction.clone().normalize();
         this.lastMoveDirection = this.dashDirection.clone();
         
@@ -163,7 +569,29 @@ export class Player {
         
         // Set velocity to dash speed in direction
         this.velocity = this.dashDirection.clone()
-            .multiply(CONFIG.PLAYER.MAX_SPEED * CONFIG.DASH.SPEED_MULTIPLIER * speedMultiplier);
+            .multiply(stats.maxSpeed * stats.dashSpeed * speedMultiplier * power);
+    }
+    
+    /**
+     * A dash of ours hit an opponent hard - Follow-through takes part of the
+     * cooldown off, once per dash
+     */
+    landDashHit() {
+        const refund = this.getStats().dashHitRefund;
+        if (!refund || this.dashHitLanded) return;
+        
+        this.dashHitLanded = true;
+        this.dashCooldown *= 1 - refund;
+    }
+    
+    /**
+     * Parried a hit: close the window and flash
+     */
+    onParry() {
+        this.parryTime = 0;
+        this.parryFlash = 1;
+        this.isDashing = false;
+        this.targetSquash = { x: 0.7, y: 1.3 };
     }
     
     /**
@@ -175,12 +603,69 @@ export class Player {
         this.targetSquash = { x: 1.4, y: 0.6 };
     }
     
+    /**
+     * Add damage percent from a hit; returns the amount taken (none right
+     * after another hit, so sustained contact doesn't keep adding up)
+     */
+    takeDamage(amount) {
+        if (!this.damageEnabled || this.damageCooldown > 0 || this.shieldGuard > 0 || amount <= 0) return 0;
+        
+        const taken = Math.min(amount, CONFIG.DAMAGE.MAX - this.damage);
+        this.damage += taken;
+        this.damageCooldown = CONFIG.DAMAGE.HIT_COOLDOWN;
+        return taken;
+    }
+    
+    /**
+     * Scale for knockback taken at the current damage percent (less while
+     * braced, or dashing with Juggernaut)
+     */
+    getKnockbackMultiplier() {
+        if (this.shieldGuard > 0) return 0;
+        const brace = this.isBracing() ? CONFIG.BRACE.KNOCKBACK_MULTIPLIER : 1;
+        const armor = this.isDashing ? this.getStats().dashArmor ?? 1 : 1;
+        return (1 + this.damage * CONFIG.DAMAGE.KNOCKBACK_PER_PERCENT) * brace * armor;
+    }
+    
+    /**
+     * Damage readout color: white when fresh, through yellow to red
+     */
+    getDamageColor() {
+        const t = Math.min(1, this.damage / 150);
+        const green = Math.round(255 - 190 * t);
+        const blue = Math.round(255 * Math.max(0, 1 - t * 2));
+        return `rgb(255, ${green}, ${blue})`;
+    }
+    
     /**
      * Get dash cooldown progress (0-1)
      */
     getDashCooldownProgress() {
         if (this.dashCooldown <= 0) return 1;
-        return 1 - (this.dashCooldown / CONFIG.DASH.COOLDOWN);
+        return 1 - (this.dashCooldown / this.getStats().dashCooldown);
+    }
+    
+    /**
+     * Brace cooldown progress (0-1)
+     */
+    getBraceCooldownProgress() {
+        if (this.braceCooldown <= 0) return 1;
+        return 1 - (this.braceCooldown / CONFIG.BRACE.COOLDOWN);
+    }
+    
+    /**
+     * Ground pound cooldown progress (0-1)
+     */
+    getPoundCooldownProgress() {
+        if (this.poundCooldown <= 0) return 1;
+        return 1 - (this.poundCooldown / this.getPoundCooldownTime());
+    }
+    
+    /**
+     * Ground pound cooldown in ms (shorter with Quick Pound)
+     */
+    getPoundCooldownTime() {
+        return CONFIG.GROUND_POUND.COOLDOWN * (this.getStats().poundCooldownMultiplier ?? 1);
     }
     
     /**
@@ -189,6 +674,17 @@ export class Player {
     update(deltaTime, arena, frictionMultiplier = 1) {
         if (!this.isAlive) return;
         
+        // Count down spawn protection
+        if (this.invulnerableTime > 0) {
+            this.invulnerableTime -= deltaTime;
+        }
+        if (this.damageCooldown > 0) {
+            this.damageCooldown -= deltaTime;
+        }
+        if (this.launchTime > 0) {
+            this.launchTime -= deltaTime;
+        }
+        
         // Update trail
         if (this.velocity.magnitude() > 1) {
             this.trailPositions.unshift({ x: this.position.x, y: this.position.y });
@@ -209,18 +705,21 @@ export class Player {
             this.idleWarningShown = false;
         }
         
-        // Apply friction (less during dash) with modifier support
+        // Apply friction (less during dash) with modifier and floor support
         const baseFriction = this.isDashing ? 0.98 : CONFIG.PLAYER.FRICTION;
-        const friction = baseFriction * frictionMultiplier;
+        const friction = baseFriction * frictionMultiplier * this.surfaceFriction;
         // Clamp friction to reasonable range
         const clampedFriction = Math.min(0.995, Math.max(0.85, friction));
         this.velocity.multiply(clampedFriction);
         
-        // Limit speed (except during dash)
-        const maxSpeed = this.isDashing 
-            ? CONFIG.PLAYER.MAX_SPEED * CONFIG.DASH.SPEED_MULTIPLIER 
-            : CONFIG.PLAYER.MAX_SPEED;
-        this.velocity.limit(maxSpeed);
+        // Limit speed (except during dash or a launch, a charged dash going further
+        // still; higher during a speed burst)
+        const stats = this.getStats();
+        const dashLimit = stats.maxSpeed * stats.dashSpeed;
+        const maxSpeed = this.isDashing ? dashLimit * Math.max(1, this.dashPower)
+            : this.launchTime > 0 ? dashLimit
+            : stats.maxSpeed;
+        this.velocity.limit(maxSpeed * this.getPowerUpSpeed());
         
         // Update position
         this.position.add(this.velocity);
@@ -233,10 +732,13 @@ export class Player {
      * Update visual effect states
      */
     updateVisualEffects(deltaTime, arena) {
-        // Decay hit flash
+        // Decay hit and parry flashes
         if (this.hitFlash > 0) {
             this.hitFlash -= 0.1;
         }
+        if (this.parryFlash > 0) {
+            this.parryFlash -= 0.04;
+        }
         
         // Update pulse phase
         this.pulsePhase += deltaTime * 0.005;
@@ -247,14 +749,15 @@ export class Player {
         this.targetSquash.x += (1 - this.targetSquash.x) * 0.1;
         this.targetSquash.y += (1 - this.targetSquash.y) * 0.1;
         
-        // Check edge proximity
+        // Check edge proximity (holes in the floor count, and so does a cracking tile underfoot)
         if (arena) {
             const distToEdge = arena.getDistanceToBoundary(this.position.x, this.position.y);
+            const crumbling = arena.getCrackProgress(this.position.x, this.position.y);
             const warningDistance = 60;
             
-            if (distToEdge < warningDistance) {
+            if (distToEdge < warningDistance || crumbling > 0) {
                 this.nearEdge = true;
-                this.edgeWarningIntensity = 1 - (distToEdge / warningDistance);
+                this.edgeWarningIntensity = Math.max(1 - (distToEdge / warningDistance), crumbling);
             } else {
                 this.nearEdge = false;
                 this.edgeWarningIntensity = 0;
@@ -268,25 +771,123 @@ export class Player {
     eliminate() {
         this.isAlive = false;
         this.velocity = new Vector2();
-        // Store elimination time for ghost effect
-        this.eliminationTime = Date.now();
+        // Leave a fading ghost behind
+        this.ghostTime = GHOST_TIME;
+        
+        // Lose a stock; with some left, come back after a delay
+        this.stocks = Math.max(0, this.stocks - 1);
+        this.respawnTimer = this.stocks > 0 ? CONFIG.STOCKS.RESPAWN_DELAY : 0;
+    }
+    
+    /**
+     * Return to the arena at a point, briefly invulnerable
+     */
+    respawn(x, y) {
+        this.position.set(x, y);
+        this.velocity = new Vector2();
+        this.isAlive = true;
+        this.isDashing = false;
+        this.dashTimeRemaining = 0;
+        this.dashCooldown = 0;
+        this.extraDashes = 0;
+        this.resetAbilities();
+        this.trailPositions = [];
+        this.idleTime = 0;
+        this.isIdle = false;
+        this.idleWarningShown = false;
+        this.ghostTime = 0;
+        this.respawnTimer = 0;
+        this.invulnerableTime = CONFIG.STOCKS.INVULNERABILITY;
+        this.damage = 0;
+        this.damageCooldown = 0;
+        this.resetHazardState();
+        this.clearPowerUps();
+        this.targetSquash = { x: 1.4, y: 0.6 };
+    }
+    
+    /**
+     * Back into the round after being knocked out for good (survival, once
+     * a wave is cleared), with one stock and after the usual delay
+     */
+    rejoin() {
+        this.stocks = 1;
+        this.respawnTimer = CONFIG.STOCKS.RESPAWN_DELAY;
+    }
+    
+    /**
+     * Stand the player on a spot at rest, ending any dash, charge or hold
+     * (soccer kickoffs)
+     */
+    placeAt(x, y) {
+        this.position.set(x, y);
+        this.velocity = new Vector2();
+        this.isDashing = false;
+        this.dashTimeRemaining = 0;
+        this.resetAbilities();
+        this.trailPositions = [];
+        this.idleTime = 0;
+        this.isIdle = false;
+    }
+    
+    /**
+     * Check if the player carries the Hot Potato bomb
+     */
+    hasBomb() {
+        return this.bombFuse > 0;
+    }
+    
+    /**
+     * Take the bomb with some fuse left; it can't be bumped straight back
+     */
+    takeBomb(fuse) {
+        this.bombFuse = fuse;
+        this.bombPassCooldown = CONFIG.BOMB.PASS_COOLDOWN;
+    }
+    
+    /**
+     * Let go of the bomb
+     * @returns {number} ms that were left on its fuse
+     */
+    dropBomb() {
+        const fuse = this.bombFuse;
+        this.bombFuse = 0;
+        this.bombPassCooldown = 0;
+        return fuse;
+    }
+    
+    /**
+     * Check if the player is still in the round (alive or waiting to respawn)
+     */
+    isInRound() {
+        return this.isAlive || this.stocks > 0;
+    }
+    
+    /**
+     * Check if spawn protection is active
+     */
+    isInvulnerable() {
+        return this.isAlive && this.invulnerableTime > 0;
+    }
+    
+    /**
+     * Fade the ghost out (every tick, the round over or not)
+     */
+    updateGhost(deltaTime) {
+        this.ghostTime = Math.max(0, this.ghostTime - deltaTime);
     }
     
     /**
      * Check if player should show ghost (brief fade after death)
      */
     isShowingGhost() {
-        if (this.isAlive || !this.eliminationTime) return false;
-        return Date.now() - this.eliminationTime < 500; // 500ms ghost
+        return !this.isAlive && this.ghostTime > 0;
     }
     
     /**
      * Get ghost alpha (fade out effect)
      */
     getGhostAlpha() {
-        if (!this.eliminationTime) return 0;
-        const elapsed = Date.now() - this.eliminationTime;
-        return Math.max(0, 1 - (elapsed / 500));
+        return this.ghostTime / GHOST_TIME;
     }
     
     /**
@@ -303,6 +904,20 @@ export class Player {
         return this.wins >= CONFIG.ROUNDS.WINS_NEEDED;
     }
     
+    /**
+     * Snapshot all simulated and visual state
+     */
+    getState() {
+        return StateSnapshot.capture(this);
+    }
+    
+    /**
+     * Restore a snapshot taken with getState
+     */
+    setState(state) {
+        StateSnapshot.restore(this, state);
+    }
+    
     /**
      * Get angle of movement
      */
@@ -320,9 +935,11 @@ export class Player {
         
         const { x, y } = this.position;
         
-        // Apply ghost alpha if eliminated
+        // Apply ghost alpha if eliminated, blink while spawn protected
         if (showGhost) {
             ctx.globalAlpha = this.getGhostAlpha() * 0.6;
+        } else if (this.isInvulnerable()) {
+            ctx.globalAlpha = 0.55 + Math.sin(this.pulsePhase * 6) * 0.25;
         }
         
         // Draw trail (only if alive)
@@ -349,6 +966,35 @@ export class Player {
             if (this.isDashing) {
                 this.renderDashEffect(ctx);
             }
+            
+            // Draw spawn protection bubble
+            if (this.isInvulnerable()) {
+                this.renderSpawnShield(ctx);
+            }
+            
+            // Draw running power-ups
+            this.renderPowerUpEffects(ctx);
+            
+            // Draw brace stance and ground pound charge
+            if (this.isBracing()) {
+                this.renderBrace(ctx);
+            }
+            if (this.poundCharge > 0) {
+                this.renderPoundCharge(ctx);
+            }
+            if (this.dashCharge > 0) {
+                this.renderDashCharge(ctx);
+            }
+            
+            // Draw the hold on a grabbed player
+            if (this.tether) {
+                this.renderTether(ctx);
+            }
+            
+            // Draw the burst of a parry
+            if (this.parryFlash > 0) {
+                this.renderParryFlash(ctx);
+            }
         }
         
         // Save context for squash/stretch
@@ -398,6 +1044,9 @@ export class Player {
         ctx.lineWidth = 3;
         ctx.stroke();
         
+        // Character features (armor, fins, lance)
+        this.renderCharacterLook(ctx);
+        
         // Draw inner highlight
         ctx.beginPath();
         ctx.arc(-this.radius * 0.3, -this.radius * 0.3, this.radius * 0.3, 0, Math.PI * 2);
@@ -406,6 +1055,11 @@ export class Player {
         
         ctx.restore();
         
+        // Team ring so sides read at a glance
+        if (this.team !== null) {
+            this.renderTeamRing(ctx);
+        }
+        
         // Draw player number (not affected by squash)
         ctx.fillStyle = '#ffffff';
         ctx.font = 'bold 18px Arial';
@@ -413,15 +1067,155 @@ export class Player {
         ctx.textBaseline = 'middle';
         ctx.fillText(this.id + 1, x, y);
         
-        // Draw dash cooldown indicator (only if alive)
+        // Draw dash cooldown indicator and damage percent (only if alive)
         if (this.isAlive) {
             this.renderCooldownIndicator(ctx);
+            this.renderAbilityIndicators(ctx);
+            if (this.damage > 0) {
+                this.renderDamageLabel(ctx);
+            }
+            if (this.isHeld()) {
+                this.renderStruggle(ctx);
+            }
+            if (this.hasBomb()) {
+                this.renderBomb(ctx);
+            }
         }
         
         // Reset alpha if we were showing ghost
         ctx.globalAlpha = 1;
     }
     
+    /**
+     * Render a golden ring bursting out from a parry
+     */
+    renderParryFlash(ctx) {
+        const t = 1 - this.parryFlash;
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(this.position.x, this.position.y, this.radius * (1.2 + t * 1.5), 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(255, 215, 0, ${this.parryFlash})`;
+        ctx.lineWidth = 6 * this.parryFlash;
+        ctx.shadowColor = '#ffd700';
+        ctx.shadowBlur = 20;
+        ctx.stroke();
+        
+        ctx.beginPath();
+        ctx.arc(this.position.x, this.position.y, this.radius, 0, Math.PI * 2);
+        ctx.fillStyle = `rgba(255, 240, 150, ${this.parryFlash * 0.6})`;
+        ctx.fill();
+        ctx.restore();
+    }
+    
+    /**
+     * Render arms reaching from the player to the one it holds
+     */
+    renderTether(ctx) {
+        const { x, y } = this.position;
+        const angle = Math.atan2(this.tether.y - y, this.tether.x - x);
+        const wobble = Math.sin(this.pulsePhase * 20) * 2;
+        
+        ctx.save();
+        ctx.strokeStyle = this.secondaryColor;
+        ctx.lineWidth = 6;
+        ctx.lineCap = 'round';
+        for (const side of [-1, 1]) {
+            const offsetX = Math.cos(angle + side * Math.PI / 2) * (this.radius * 0.5 + wobble);
+            const offsetY = Math.sin(angle + side * Math.PI / 2) * (this.radius * 0.5 + wobble);
+            ctx.beginPath();
+            ctx.moveTo(x + offsetX, y + offsetY);
+            ctx.lineTo(this.tether.x + offsetX * 0.6, this.tether.y + offsetY * 0.6);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    
+    /**
+     * Render the mash prompt and how close a held player is to breaking free
+     */
+    renderStruggle(ctx) {
+        const { x, y } = this.position;
+        const progress = Math.min(1, this.escapePresses / CONFIG.GRAB.ESCAPE_PRESSES);
+        
+        ctx.beginPath();
+        ctx.arc(x, y, this.radius + 8, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+        ctx.strokeStyle = '#c77dff';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+        
+        const shake = Math.sin(this.pulsePhase * 40) * 2;
+        ctx.font = 'bold 13px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#c77dff';
+        ctx.fillText('MASH!', x + shake, y - this.radius - (this.damage > 0 ? 32 : 15));
+    }
+    
+    /**
+     * Render a ring in the team color around the player
+     */
+    renderTeamRing(ctx) {
+        ctx.beginPath();
+        ctx.arc(this.position.x, this.position.y, this.radius + 5, 0, Math.PI * 2);
+        ctx.strokeStyle = CONFIG.TEAMS.COLORS[this.team];
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    }
+    
+    /**
+     * Render what sets the character apart, around the body at the origin:
+     * armor plates and rivets, swept-back fins, or a lance pointing ahead
+     */
+    renderCharacterLook(ctx) {
+        const look = this.getStats().look;
+        const r = this.radius;
+        const heading = Math.atan2(this.lastMoveDirection.y, this.lastMoveDirection.x);
+        
+        if (look === 'armored') {
+            ctx.beginPath();
+            ctx.arc(0, 0, r * 0.78, 0, Math.PI * 2);
+            ctx.strokeStyle = this.darkColor;
+            ctx.lineWidth = 5;
+            ctx.stroke();
+            
+            ctx.fillStyle = '#dddddd';
+            for (let i = 0; i < 6; i++) {
+                const angle = (i / 6) * Math.PI * 2;
+                ctx.beginPath();
+                ctx.arc(Math.cos(angle) * r * 0.78, Math.sin(angle) * r * 0.78, 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        } else if (look === 'sleek') {
+            ctx.save();
+            ctx.rotate(heading);
+            ctx.fillStyle = this.secondaryColor;
+            for (const side of [-1, 1]) {
+                ctx.beginPath();
+                ctx.moveTo(-r * 0.4, side * r * 0.75);
+                ctx.lineTo(-r * 1.5, side * r * 0.9);
+                ctx.lineTo(-r * 0.9, side * r * 0.3);
+                ctx.closePath();
+                ctx.fill();
+            }
+            ctx.restore();
+        } else if (look === 'spiked') {
+            ctx.save();
+            ctx.rotate(heading);
+            ctx.beginPath();
+            ctx.moveTo(r * 0.85, -r * 0.3);
+            ctx.lineTo(r * 1.6, 0);
+            ctx.lineTo(r * 0.85, r * 0.3);
+            ctx.closePath();
+            ctx.fillStyle = '#ffffff';
+            ctx.fill();
+            ctx.strokeStyle = this.darkColor;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+    
     /**
      * Render motion trail
      */
@@ -471,6 +1265,132 @@ export class Player {
         ctx.stroke();
     }
     
+    /**
+     * Render the bubble shown during spawn protection
+     */
+    renderSpawnShield(ctx) {
+        const { x, y } = this.position;
+        const fade = Math.min(1, this.invulnerableTime / 500);
+        
+        ctx.beginPath();
+        ctx.arc(x, y, this.radius * 1.5, 0, Math.PI * 2);
+        ctx.fillStyle = `rgba(255, 255, 255, ${0.08 * fade})`;
+        ctx.fill();
+        ctx.strokeStyle = `rgba(255, 255, 255, ${0.6 * fade})`;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 6]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    /**
+     * Render auras for running power-ups; they blink in their last second
+     */
+    renderPowerUpEffects(ctx) {
+        const { x, y } = this.position;
+        const types = CONFIG.POWERUPS.TYPES;
+        
+        for (const type of Object.keys(this.activePowerUps)) {
+            const left = this.activePowerUps[type];
+            if (left < 1000 && Math.floor(left / 120) % 2 === 0) continue;
+            
+            ctx.beginPath();
+            if (type === 'SHIELD') {
+                // Bubble that takes the next hit
+                ctx.arc(x, y, this.radius * 1.45, 0, Math.PI * 2);
+                ctx.fillStyle = types.SHIELD.color + '26';
+                ctx.fill();
+                ctx.strokeStyle = types.SHIELD.color;
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            } else if (type === 'MASS') {
+                // Heavy rim
+                ctx.arc(x, y, this.radius + 3, 0, Math.PI * 2);
+                ctx.strokeStyle = types.MASS.color;
+                ctx.lineWidth = 6;
+                ctx.stroke();
+            } else if (type === 'SPEED') {
+                // Crackling glow
+                ctx.arc(x, y, this.radius * (1.25 + Math.sin(this.pulsePhase * 12) * 0.08), 0, Math.PI * 2);
+                ctx.strokeStyle = types.SPEED.color + 'aa';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([4, 6]);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+        }
+    }
+    
+    /**
+     * Render the brace stance: a heavy ring planted on the floor
+     */
+    renderBrace(ctx) {
+        const { x, y } = this.position;
+        const fade = Math.min(1, this.braceTime / 150);
+        
+        ctx.beginPath();
+        ctx.arc(x, y, this.radius + 6, 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(164, 176, 190, ${0.9 * fade})`;
+        ctx.lineWidth = 5;
+        ctx.stroke();
+        
+        // Studs around the ring
+        ctx.fillStyle = `rgba(220, 225, 235, ${fade})`;
+        for (let i = 0; i < 6; i++) {
+            const angle = (i / 6) * Math.PI * 2;
+            ctx.beginPath();
+            ctx.arc(x + Math.cos(angle) * (this.radius + 6), y + Math.sin(angle) * (this.radius + 6), 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    
+    /**
+     * Render the ground pound charge as a ring filling up, pulsing once full
+     */
+    renderPoundCharge(ctx) {
+        const { x, y } = this.position;
+        const progress = this.poundCharge / CONFIG.GROUND_POUND.CHARGE_TIME;
+        const radius = this.radius + 12;
+        
+        ctx.beginPath();
+        ctx.arc(x, y, radius, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+        ctx.strokeStyle = '#ff9f43';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        
+        if (this.isPoundCharged()) {
+            const pulse = 0.3 + Math.sin(this.pulsePhase * 12) * 0.2;
+            ctx.beginPath();
+            ctx.arc(x, y, radius + 4, 0, Math.PI * 2);
+            ctx.strokeStyle = `rgba(255, 159, 67, ${pulse})`;
+            ctx.lineWidth = 6;
+            ctx.stroke();
+        }
+    }
+    
+    /**
+     * Render the charge dash charging as a ring growing out, aimed the way it will go
+     */
+    renderDashCharge(ctx) {
+        const { x, y } = this.position;
+        const progress = this.dashCharge / CONFIG.DASH_CHARGE.CHARGE_TIME;
+        const radius = this.radius + 4 + progress * 14;
+        
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(78, 205, 196, ${0.3 + progress * 0.6})`;
+        ctx.lineWidth = 2 + progress * 3;
+        ctx.stroke();
+        
+        // Pointer on the ring toward the dash direction
+        const angle = Math.atan2(this.lastMoveDirection.y, this.lastMoveDirection.x);
+        ctx.beginPath();
+        ctx.arc(x, y, radius, angle - 0.3, angle + 0.3);
+        ctx.strokeStyle = progress >= 1 ? '#ffffff' : '#4ecdc4';
+        ctx.lineWidth = 5 + progress * 3;
+        ctx.stroke();
+    }
+    
     /**
      * Render idle warning effect
      */
@@ -497,7 +1417,7 @@ export class Player {
             ctx.font = 'bold 12px Arial';
             ctx.textAlign = 'center';
             ctx.fillStyle = `rgba(255, 200, 0, ${0.7 + Math.sin(this.pulsePhase * 10) * 0.3})`;
-            ctx.fillText('MOVE!', x, y - this.radius - 15);
+            ctx.fillText('MOVE!', x, y - this.radius - (this.damage > 0 ? 32 : 15));
         }
     }
     
@@ -509,7 +1429,7 @@ export class Player {
         
         // Speed lines
         const numLines = 8;
-        const progress = 1 - (this.dashTimeRemaining / CONFIG.DASH.DURATION);
+        const progress = 1 - (this.dashTimeRemaining / (this.getStats().dashDuration * this.dashPower));
         
         ctx.save();
         ctx.translate(x, y);
@@ -537,6 +1457,106 @@ export class Player {
         ctx.fill();
     }
     
+    /**
+     * Render the damage percent above the player
+     */
+    renderDamageLabel(ctx) {
+        const { x, y } = this.position;
+        const label = `${Math.floor(this.damage)}%`;
+        
+        ctx.font = 'bold 13px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.strokeText(label, x, y - this.radius - 14);
+        ctx.fillStyle = this.getDamageColor();
+        ctx.fillText(label, x, y - this.radius - 14);
+    }
+    
+    /**
+     * Render the bomb above the player with its fuse burning down and the
+     * seconds left on it; it blinks faster near the end
+     */
+    renderBomb(ctx) {
+        const x = this.position.x;
+        const y = this.position.y - this.radius - 36;
+        const urgent = this.bombFuse < 3000;
+        const blink = Math.sin(this.pulsePhase * (urgent ? 14 : 5)) > 0;
+        
+        ctx.save();
+        
+        // Danger ring around the carrier
+        ctx.beginPath();
+        ctx.arc(this.position.x, this.position.y, this.radius + 8, 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(255, 71, 87, ${blink ? 0.9 : 0.35})`;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        
+        // Fuse, shorter the less time is left, with a spark at its end
+        const length = 4 + 12 * Math.min(1, this.bombFuse / CONFIG.BOMB.FUSE_MAX);
+        const endX = x + 6 + length * 0.5;
+        const endY = y - 8 - length * 0.85;
+        ctx.beginPath();
+        ctx.moveTo(x + 6, y - 8);
+        ctx.lineTo(endX, endY);
+        ctx.strokeStyle = '#d1a054';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        
+        ctx.beginPath();
+        ctx.arc(endX, endY, 3 + Math.sin(this.pulsePhase * 20), 0, Math.PI * 2);
+        ctx.fillStyle = '#ffd32a';
+        ctx.shadowColor = '#ff9f43';
+        ctx.shadowBlur = 10;
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        
+        // Bomb
+        ctx.beginPath();
+        ctx.arc(x, y, 12, 0, Math.PI * 2);
+        ctx.fillStyle = '#2f3640';
+        ctx.fill();
+        ctx.strokeStyle = urgent && blink ? '#ff4757' : '#ffffff';
+        ctx.stroke();
+        
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(Math.ceil(this.bombFuse / 1000), x, y + 1);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render brace and ground pound cooldowns side by side under the dash
+     * indicator: a dot when ready, a small bar while recharging
+     */
+    renderAbilityIndicators(ctx) {
+        const y = this.position.y + this.radius + 19;
+        const abilities = [
+            { progress: this.getBraceCooldownProgress(), color: '164, 176, 190', x: this.position.x - 8 },
+            { progress: this.getPoundCooldownProgress(), color: '255, 159, 67', x: this.position.x + 8 }
+        ];
+        
+        for (const { progress, color, x } of abilities) {
+            if (progress >= 1) {
+                const pulseAlpha = 0.3 + Math.sin(this.pulsePhase * 3) * 0.2;
+                ctx.beginPath();
+                ctx.arc(x, y + 1.5, 3, 0, Math.PI * 2);
+                ctx.fillStyle = `rgba(${color}, ${pulseAlpha})`;
+                ctx.fill();
+                continue;
+            }
+            
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(x - 6, y, 12, 3);
+            ctx.fillStyle = `rgb(${color})`;
+            ctx.fillRect(x - 6, y, 12 * progress, 3);
+        }
+    }
+    
     /**
      * Render cooldown indicator below player
      */
@@ -574,5 +1594,13 @@ export class Player {
             ctx.roundRect(x, y, barWidth * progress, barHeight, 2);
             ctx.fill();
         }
+        
+        // Spare dash still available (Double Dash)
+        if (this.extraDashes > 0) {
+            ctx.beginPath();
+            ctx.arc(x + barWidth + 6, y + barHeight / 2, 3, 0, Math.PI * 2);
+            ctx.fillStyle = '#4ecdc4';
+            ctx.fill();
+        }
     }
 }
@@ -0,0 +1,123 @@
+import { CONFIG } from '../config.js';
+import { StateSnapshot } from '../utils/StateSnapshot.js';
+
+// Pickups blink for this many ms before they vanish
+const FADE_TIME = 2000;
+
+/**
+ * Power-ups lying on the arena floor. One appears every so often at a
+ * random spot inside the current bounds, away from players; the first
+ * player to touch it picks it up. Types and timings are in CONFIG.POWERUPS.
+ *
+ * Items are plain data ({ type, x, y, age }) so they snapshot for rollback.
+ */
+export class PowerUps {
+    constructor() {
+        this.types = Object.keys(CONFIG.POWERUPS.TYPES);
+        this.reset();
+    }
+    
+    /**
+     * Clear the floor for a new round
+     */
+    reset() {
+        this.items = [];
+        this.spawnTimer = CONFIG.POWERUPS.FIRST_SPAWN; // ms until the next spawn
+    }
+    
+    /**
+     * Age the items, drop those that expired or the arena left behind, and
+     * spawn new ones when due
+     * @param {Random} random - Gameplay random stream
+     */
+    update(deltaTime, arena, players, random) {
+        const settings = CONFIG.POWERUPS;
+        
+        for (const item of this.items) {
+            item.age += deltaTime;
+        }
+        this.items = this.items.filter(item =>
+            item.age < settings.LIFETIME && !arena.isOutOfBounds(item.x, item.y, 0)
+        );
+        
+        this.spawnTimer -= deltaTime;
+        if (this.spawnTimer > 0) return;
+        this.spawnTimer += settings.SPAWN_INTERVAL;
+        
+        if (this.items.length >= settings.MAX_ON_FLOOR) return;
+        
+        const point = arena.getRandomPoint(random, settings.EDGE_MARGIN);
+        if (!point) return;
+        const crowded = players.some(player =>
+            player.isAlive && Math.hypot(player.position.x - point.x, player.position.y - point.y) < settings.PLAYER_CLEARANCE
+        );
+        if (crowded) return;
+        
+        this.items.push({ type: random.pick(this.types), x: point.x, y: point.y, age: 0 });
+    }
+    
+    /**
+     * Take the first item a player touches off the floor
+     * @returns {Object|null} The item picked up
+     */
+    collect(player) {
+        const reach = player.radius + CONFIG.POWERUPS.RADIUS;
+        const index = this.items.findIndex(item =>
+            Math.hypot(player.position.x - item.x, player.position.y - item.y) < reach
+        );
+        if (index < 0) return null;
+        return this.items.splice(index, 1)[0];
+    }
+    
+    /**
+     * Snapshot the items and spawn timer
+     */
+    getState() {
+        return StateSnapshot.capture(this, ['types']);
+    }
+    
+    /**
+     * Restore a snapshot taken with getState
+     */
+    setState(state) {
+        StateSnapshot.restore(this, state);
+    }
+    
+    /**
+     * Draw the items: a glowing orb with the type's icon, bobbing, blinking
+     * out at the end of its life
+     */
+    render(ctx) {
+        const radius = CONFIG.POWERUPS.RADIUS;
+        
+        for (const item of this.items) {
+            const type = CONFIG.POWERUPS.TYPES[item.type];
+            const left = CONFIG.POWERUPS.LIFETIME - item.age;
+            if (left < FADE_TIME && Math.floor(left / 150) % 2 === 0) continue;
+            
+            const appear = Math.min(1, item.age / 250);
+            const y = item.y + Math.sin(item.age * 0.005) * 3;
+            
+            ctx.save();
+            ctx.translate(item.x, y);
+            ctx.scale(appear, appear);
+            
+            ctx.beginPath();
+            ctx.arc(0, 0, radius, 0, Math.PI * 2);
+            ctx.fillStyle = type.color + '55';
+            ctx.shadowColor = type.color;
+            ctx.shadowBlur = 15;
+            ctx.fill();
+            ctx.shadowBlur = 0;
+            ctx.strokeStyle = type.color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            
+            ctx.font = `${radius}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(type.icon, 0, 1);
+            ctx.restore();
+        }
+    }
+}
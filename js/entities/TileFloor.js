@@ -0,0 +1,269 @@
+import { StateSnapshot } from '../utils/StateSnapshot.js';
+
+// What changes during a round - the rest is fixed by the definition
+const STATE_KEYS = ['cracks', 'wear', 'order', 'timer', 'standing'];
+
+// ms a fallen tile takes to drop out of sight
+const FALL_TIME = 400;
+
+/**
+ * Crumbling floor - the arena as a grid of square tiles that crack and then
+ * fall away, leaving holes. Arenas with `tiles` use it instead of the
+ * uniform shrink. Which tile goes next depends on the mode:
+ *
+ *   schedule    from the outside in, one every `interval` ms
+ *   random      in an order drawn from the match seed, one every `interval` ms
+ *   occupancy   whichever tiles players have stood on for `wear` ms in total
+ *
+ * Positions are relative to the arena center at scale 1.
+ */
+export class TileFloor {
+    /**
+     * @param {Object} definition - `tiles` of a normalized arena definition
+     * @param {ArenaShape} shape - Outline the tiles cover
+     */
+    constructor(definition, shape) {
+        this.size = definition.size;
+        this.mode = definition.mode;
+        this.startTime = definition.startTime;
+        this.interval = definition.interval;
+        this.crackTime = definition.crackTime;
+        this.wearLimit = definition.wear;
+        
+        // Grid over the shape's bounding box; cells the floor doesn't reach have no tile
+        this.columns = Math.ceil((shape.halfWidth * 2) / this.size);
+        this.rows = Math.ceil((shape.halfHeight * 2) / this.size);
+        this.left = -(this.columns * this.size) / 2;
+        this.top = -(this.rows * this.size) / 2;
+        this.grid = []; // Tile index per cell, -1 where there is none
+        this.tiles = []; // Tile centers
+        
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const x = this.left + (column + 0.5) * this.size;
+                const y = this.top + (row + 0.5) * this.size;
+                if (shape.getDistance(x, y) > -this.size / 2) {
+                    this.grid.push(this.tiles.length);
+                    this.tiles.push({ x, y });
+                } else {
+                    this.grid.push(-1);
+                }
+            }
+        }
+        
+        // Tiles that never fall, so a round can't run out of floor
+        this.keep = Math.ceil(this.tiles.length * definition.minFloor);
+        
+        // Outside in: farthest from the center first
+        const distance = i => Math.hypot(this.tiles[i].x, this.tiles[i].y);
+        this.scheduleOrder = this.tiles.map((tile, i) => i).sort((a, b) => distance(b) - distance(a) || a - b);
+        
+        this.reset();
+    }
+    
+    /**
+     * Every tile back in place for a new round
+     */
+    reset() {
+        this.cracks = this.tiles.map(() => -1); // ms since each tile cracked, -1 while whole
+        this.wear = this.tiles.map(() => 0); // ms stood on (occupancy)
+        this.order = [...this.scheduleOrder]; // Tiles still to crack, next first
+        this.timer = 0; // ms until the next tile cracks
+        this.standing = this.tiles.length; // Tiles not cracked yet
+    }
+    
+    /**
+     * Crack the tiles in a random order this round (random mode)
+     * @param {Random} random - Gameplay random stream
+     */
+    shuffle(random) {
+        for (let i = this.order.length - 1; i > 0; i--) {
+            const j = random.int(i + 1);
+            [this.order[i], this.order[j]] = [this.order[j], this.order[i]];
+        }
+    }
+    
+    /**
+     * Advance cracking tiles and, past the start time, crack new ones
+     * @param {number} pace - Speed-up from modifiers and sudden death
+     */
+    update(deltaTime, roundTime, pace = 1) {
+        this.cracks = this.cracks.map(time => time < 0 ? time : Math.min(time + deltaTime, this.crackTime + FALL_TIME));
+        if (roundTime < this.startTime || this.mode === 'occupancy') return;
+        
+        this.timer -= deltaTime * pace;
+        while (this.timer <= 0 && this.standing > this.keep && this.order.length > 0) {
+            const index = this.order.shift();
+            if (this.cracks[index] < 0) {
+                this.crack(index);
+                this.timer += this.interval;
+            }
+        }
+    }
+    
+    /**
+     * Wear down the tile under a player (occupancy mode)
+     */
+    wearAt(x, y, amount) {
+        const index = this.getTileAt(x, y);
+        if (this.mode !== 'occupancy' || index < 0 || this.cracks[index] >= 0) return;
+        
+        this.wear[index] += amount;
+        if (this.wear[index] >= this.wearLimit && this.standing > this.keep) {
+            this.crack(index);
+        }
+    }
+    
+    /**
+     * Start a tile cracking
+     */
+    crack(index) {
+        this.cracks[index] = 0;
+        this.standing--;
+    }
+    
+    /**
+     * Index of the tile at a point, or -1
+     */
+    getTileAt(x, y) {
+        const column = Math.floor((x - this.left) / this.size);
+        const row = Math.floor((y - this.top) / this.size);
+        if (column < 0 || column >= this.columns || row < 0 || row >= this.rows) return -1;
+        return this.grid[row * this.columns + column];
+    }
+    
+    /**
+     * Check if a tile has started to crack (or already fell)
+     */
+    isCracked(index) {
+        return this.cracks[index] >= 0;
+    }
+    
+    /**
+     * Check if a tile has fallen
+     */
+    isFallen(index) {
+        return this.cracks[index] >= this.crackTime;
+    }
+    
+    /**
+     * Check if a point is over a hole
+     */
+    isHole(x, y) {
+        const index = this.getTileAt(x, y);
+        return index >= 0 && this.isFallen(index);
+    }
+    
+    /**
+     * How far along the tile at a point is to falling (0-1), 0 when whole
+     */
+    getCrackProgress(x, y) {
+        const index = this.getTileAt(x, y);
+        if (index < 0 || this.cracks[index] < 0) return 0;
+        return Math.min(1, this.cracks[index] / this.crackTime);
+    }
+    
+    /**
+     * Distance from a point to the nearest hole, negative inside one
+     * (Infinity while there are none)
+     */
+    getHoleDistance(x, y) {
+        const half = this.size / 2;
+        let distance = Infinity;
+        
+        this.tiles.forEach((tile, i) => {
+            if (!this.isFallen(i)) return;
+            const dx = Math.abs(x - tile.x) - half;
+            const dy = Math.abs(y - tile.y) - half;
+            const outside = Math.hypot(Math.max(dx, 0), Math.max(dy, 0));
+            const inside = Math.min(Math.max(dx, dy), 0);
+            distance = Math.min(distance, outside + inside);
+        });
+        return distance;
+    }
+    
+    /**
+     * Snapshot the tiles' progress
+     */
+    getState() {
+        const state = {};
+        for (const key of STATE_KEYS) {
+            state[key] = StateSnapshot.cloneValue(this[key]);
+        }
+        return state;
+    }
+    
+    /**
+     * Restore a snapshot taken with getState
+     */
+    setState(state) {
+        StateSnapshot.restore(this, state);
+    }
+    
+    /**
+     * Draw seams, cracks and holes in the local frame (the caller clips to
+     * the arena outline)
+     * @param {string} voidColor - What shows through the holes
+     */
+    render(ctx, time, voidColor) {
+        const size = this.size;
+        const half = size / 2;
+        
+        this.tiles.forEach((tile, i) => {
+            const crack = this.cracks[i];
+            
+            if (crack < 0) {
+                // Seams between whole tiles
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(tile.x - half, tile.y - half, size, size);
+                return;
+            }
+            
+            if (crack >= this.crackTime) {
+                // Hole, with the tile dropping out of sight for a moment
+                ctx.fillStyle = voidColor;
+                ctx.fillRect(tile.x - half, tile.y - half, size, size);
+                
+                const fall = (crack - this.crackTime) / FALL_TIME;
+                if (fall < 1) {
+                    const shrink = half * (1 - fall * 0.6);
+                    ctx.fillStyle = `rgba(60, 50, 70, ${1 - fall})`;
+                    ctx.fillRect(tile.x - shrink, tile.y - shrink, shrink * 2, shrink * 2);
+                }
+                
+                ctx.strokeStyle = 'rgba(255, 68, 68, 0.35)';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(tile.x - half, tile.y - half, size, size);
+                return;
+            }
+            
+            // Cracking: reddening, shaking harder and splitting as it goes
+            const progress = crack / this.crackTime;
+            const shake = Math.sin(time * 0.08 + i) * progress * 2;
+            ctx.save();
+            ctx.translate(tile.x + shake, tile.y);
+            
+            ctx.fillStyle = `rgba(255, 68, 68, ${0.08 + progress * 0.2})`;
+            ctx.fillRect(-half, -half, size, size);
+            
+            ctx.strokeStyle = `rgba(20, 10, 20, ${0.4 + progress * 0.5})`;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.lineTo(-half * 0.7, -half * 0.4);
+            ctx.moveTo(0, 0);
+            ctx.lineTo(half * 0.5, -half * 0.8);
+            ctx.moveTo(0, 0);
+            ctx.lineTo(half * 0.3 * (1 + progress), half * 0.8);
+            if (progress > 0.5) {
+                ctx.moveTo(-half * 0.35, -half * 0.2);
+                ctx.lineTo(-half * 0.5, half * 0.5);
+                ctx.moveTo(half * 0.25, -half * 0.4);
+                ctx.lineTo(half * 0.8, -half * 0.1);
+            }
+            ctx.stroke();
+            ctx.restore();
+        });
+    }
+}
@@ -11,8 +11,15 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
     }
     
+    // Optional ?seed=123 replays the same random sequence every match
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    const seed = seedParam !== null && /^\d+$/.test(seedParam) ? Number(seedParam) : null;
+    
+    // Optional ?arena=path/to/arena.json plays on an arena file
+    const arenaUrl = new URLSearchParams(window.location.search).get('arena');
+    
     // Initialize game
-    const game = new Game(canvas);
+    const game = new Game(canvas, { seed, arenaUrl });
     
     // Expose game instance for debugging
     window.game = game;
@@ -0,0 +1,162 @@
+import { InputCodec } from '../core/InputCodec.js';
+
+/**
+ * WebSocket connection to the relay server (server/relay.mjs).
+ * Only moves messages; the rollback session decides what they mean.
+ */
+export class NetClient {
+    constructor() {
+        this.socket = null;
+        this.room = null;
+        this.slot = null; // Our slot in the room (0-3)
+        this.hostSlot = null;
+        this.slots = []; // Slots currently in the room
+        
+        // Callbacks
+        this.onWelcome = null;
+        this.onPeers = null;
+        this.onStart = null;
+        this.onInput = null;
+        this.onPeerLeft = null;
+        this.onError = null;
+        this.onClose = null;
+    }
+    
+    /**
+     * Open a connection and join a room
+     */
+    connect(url, room) {
+        this.disconnect();
+        
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            if (this.onError) this.onError(`Invalid server address: ${url}`);
+            return;
+        }
+        
+        this.socket = socket;
+        this.room = room;
+        
+        socket.addEventListener('open', () => {
+            this.send({ type: 'join', room });
+        });
+        socket.addEventListener('message', (event) => {
+            this.handleMessage(event.data);
+        });
+        socket.addEventListener('error', () => {
+            if (socket === this.socket && this.onError) this.onError(`Could not reach ${url}`);
+        });
+        socket.addEventListener('close', () => {
+            if (socket !== this.socket) return;
+            this.reset();
+            if (this.onClose) this.onClose();
+        });
+    }
+    
+    /**
+     * Leave the room and close the connection
+     */
+    disconnect() {
+        if (!this.socket) return;
+        
+        const socket = this.socket;
+        this.reset();
+        socket.close();
+    }
+    
+    /**
+     * Forget the connection and room state
+     */
+    reset() {
+        this.socket = null;
+        this.room = null;
+        this.slot = null;
+        this.hostSlot = null;
+        this.slots = [];
+    }
+    
+    /**
+     * Check if we have joined a room
+     */
+    isConnected() {
+        return this.socket !== null && this.slot !== null;
+    }
+    
+    /**
+     * Check if we may start matches for the room
+     */
+    isHost() {
+        return this.isConnected() && this.slot === this.hostSlot;
+    }
+    
+    /**
+     * Send a JSON message if the socket is open
+     */
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+    
+    /**
+     * Ask the server to start a match for everyone in the room (host only)
+     */
+    requestStart(seed, settings = {}) {
+        this.send({ type: 'start', seed, settings });
+    }
+    
+    /**
+     * Share our input for a tick of the given match
+     */
+    sendInput(match, tick, input) {
+        this.send({ type: 'input', match, tick, input });
+    }
+    
+    /**
+     * Dispatch a message from the server
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            message = null;
+        }
+        if (!message || typeof message !== 'object') {
+            console.warn('Ignoring malformed server message');
+            return;
+        }
+        
+        switch (message.type) {
+            case 'welcome':
+                this.slot = message.slot;
+                this.room = message.room;
+                if (this.onWelcome) this.onWelcome(message.slot, message.room);
+                break;
+            case 'peers':
+                this.slots = message.slots;
+                this.hostSlot = message.host;
+                if (this.onPeers) this.onPeers(message.slots, message.host);
+                break;
+            case 'start':
+                if (this.onStart) this.onStart(message.seed, message.slots, message.settings ?? {});
+                break;
+            case 'input':
+                // Another peer's input goes straight into our simulation
+                if (!Number.isInteger(message.tick) || message.tick < 0 || !InputCodec.isValid(message.input)) {
+                    console.warn('Ignoring malformed input message');
+                    return;
+                }
+                if (this.onInput) this.onInput(message.slot, message.match, message.tick, message.input);
+                break;
+            case 'left':
+                if (this.onPeerLeft) this.onPeerLeft(message.slot);
+                break;
+            case 'error':
+                if (this.onError) this.onError(message.message);
+                break;
+        }
+    }
+}
@@ -0,0 +1,278 @@
+import { CONFIG } from '../config.js';
+import { InputCodec, INPUT_BUTTONS } from '../core/InputCodec.js';
+
+const EMPTY_INPUT = [0, 0, 0];
+
+// Buttons held down over many ticks; predictions keep them as last received,
+// since the player sees presses and releases by comparing ticks
+const HELD_BUTTONS = INPUT_BUTTONS.ACTION | INPUT_BUTTONS.GRAB | INPUT_BUTTONS.DASH_HELD;
+
+/**
+ * Rollback netcode around a Simulation. Local input is scheduled a few
+ * ticks ahead (input delay); missing remote input is predicted from the
+ * last one received. When a real input disagrees with the prediction the
+ * simulation is rewound to a snapshot and re-simulated up to the present.
+ *
+ * Every peer runs the same session with the same seed, so once all inputs
+ * for a tick are known every peer holds the exact same state.
+ */
+export class RollbackSession {
+    /**
+     * @param {Simulation} simulation - Simulation with the match already started
+     * @param {number} localIndex - Player index controlled by this peer
+     * @param {Object} options - `inputDelay` and `maxRollback` in ticks
+     */
+    constructor(simulation, localIndex, options = {}) {
+        this.simulation = simulation;
+        this.localIndex = localIndex;
+        this.playerCount = simulation.playerCount;
+        this.inputDelay = options.inputDelay ?? CONFIG.NETWORK.INPUT_DELAY;
+        this.maxRollback = options.maxRollback ?? CONFIG.NETWORK.MAX_ROLLBACK;
+        
+        const startTick = simulation.tick;
+        
+        // Known inputs per player (tick -> encoded input); the first
+        // `inputDelay` ticks can never receive input and are empty for everyone
+        this.confirmed = [];
+        this.lastConfirmedTick = [];
+        this.lastInput = [];
+        this.disconnected = [];
+        for (let i = 0; i < this.playerCount; i++) {
+            this.confirmed.push(new Map());
+            for (let t = startTick; t < startTick + this.inputDelay; t++) {
+                this.confirmed[i].set(t, EMPTY_INPUT);
+            }
+            this.lastConfirmedTick.push(startTick + this.inputDelay - 1);
+            this.lastInput.push(EMPTY_INPUT);
+            this.disconnected.push(false);
+        }
+        
+        // Inputs each simulated tick actually used, and the state before it
+        this.usedInputs = new Map();
+        this.snapshots = new Map();
+        
+        // Earliest tick that must be re-simulated, or null
+        this.rollbackTick = null;
+        
+        // Ticks whose inputs are final on every peer
+        this.finalizedTick = startTick - 1;
+        
+        // Events already announced, so re-simulation doesn't repeat them
+        this.announcedEvents = new Map();
+        this.simulation.eventFilter = (event, args) => this.filterEvent(event, args);
+        
+        // Stats
+        this.rollbackCount = 0;
+        this.stalled = false;
+        
+        // Callbacks
+        this.onLocalInput = null; // (tick, input) - send to peers
+        this.onInputsFinalized = null; // (tick, inputs) - e.g. replay recording
+        this.onRollback = null;
+    }
+    
+    /**
+     * Stop filtering the simulation's events
+     */
+    dispose() {
+        this.simulation.eventFilter = null;
+    }
+    
+    /**
+     * Advance one tick with this peer's input. Returns false (and does not
+     * consume the input) while stalled waiting for a peer that fell behind.
+     */
+    update(deltaTime, localInput) {
+        this.applyRollback(deltaTime);
+        
+        this.stalled = !this.canAdvance();
+        if (this.stalled) return false;
+        
+        const inputTick = this.simulation.tick + this.inputDelay;
+        this.confirmInput(this.localIndex, inputTick, localInput);
+        if (this.onLocalInput) {
+            this.onLocalInput(inputTick, localInput);
+        }
+        
+        this.step(deltaTime);
+        this.finalize();
+        return true;
+    }
+    
+    /**
+     * True when every simulated tick has final inputs (nothing left to roll back)
+     */
+    isSettled() {
+        return this.finalizedTick >= this.simulation.tick - 1;
+    }
+    
+    /**
+     * Store an input received from a remote peer
+     */
+    addRemoteInput(index, tick, input) {
+        if (index === this.localIndex || index < 0 || index >= this.playerCount) return;
+        if (this.disconnected[index] || tick <= this.lastConfirmedTick[index]) return;
+        
+        this.confirmInput(index, tick, input);
+        
+        // Already simulated with a different guess - rewind
+        const used = this.usedInputs.get(tick);
+        if (used && !InputCodec.equals(used[index], input)) {
+            this.requestRollback(tick);
+        }
+    }
+    
+    /**
+     * A peer left: its player receives empty input from now on. Every peer
+     * got the same inputs from it before the leave notice, so all agree.
+     */
+    removePlayer(index) {
+        if (index === this.localIndex || this.disconnected[index]) return;
+        
+        this.disconnected[index] = true;
+        for (let t = this.lastConfirmedTick[index] + 1; t < this.simulation.tick; t++) {
+            const used = this.usedInputs.get(t);
+            if (used && !InputCodec.equals(used[index], EMPTY_INPUT)) {
+                this.requestRollback(t);
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Record a known input and keep the newest one for prediction
+     */
+    confirmInput(index, tick, input) {
+        this.confirmed[index].set(tick, input);
+        this.lastConfirmedTick[index] = tick;
+        this.lastInput[index] = input;
+    }
+    
+    /**
+     * Mark a tick for re-simulation on the next update
+     */
+    requestRollback(tick) {
+        if (this.rollbackTick === null || tick < this.rollbackTick) {
+            this.rollbackTick = tick;
+        }
+    }
+    
+    /**
+     * Confirmed input for a tick, or a prediction: keep moving the same way
+     * and holding the same buttons, but never repeat a button press
+     */
+    getInput(index, tick) {
+        const known = this.confirmed[index].get(tick);
+        if (known) return known;
+        
+        if (this.disconnected[index]) return EMPTY_INPUT;
+        
+        const last = this.lastInput[index];
+        return [last[0], last[1], last[2] & HELD_BUTTONS];
+    }
+    
+    /**
+     * True while no remote peer is more than maxRollback ticks behind
+     */
+    canAdvance() {
+        const tick = this.simulation.tick;
+        for (let i = 0; i < this.playerCount; i++) {
+            if (this.disconnected[i]) continue;
+            if (tick - this.lastConfirmedTick[i] > this.maxRollback) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Snapshot, then simulate the current tick with the best known inputs
+     */
+    step(deltaTime) {
+        const tick = this.simulation.tick;
+        this.snapshots.set(tick, this.simulation.saveState());
+        
+        const inputs = [];
+        for (let i = 0; i < this.playerCount; i++) {
+            inputs.push(this.getInput(i, tick));
+        }
+        this.usedInputs.set(tick, inputs);
+        
+        this.simulation.fixedUpdate(deltaTime, inputs.map(input => InputCodec.decode(input)));
+    }
+    
+    /**
+     * Rewind to the earliest mispredicted tick and catch back up
+     */
+    applyRollback(deltaTime) {
+        if (this.rollbackTick === null) return;
+        
+        const targetTick = this.simulation.tick;
+        const snapshot = this.snapshots.get(this.rollbackTick);
+        this.rollbackTick = null;
+        
+        if (!snapshot) {
+            console.error('Rollback snapshot missing - peers may have desynced');
+            return;
+        }
+        
+        this.simulation.loadState(snapshot);
+        while (this.simulation.tick < targetTick) {
+            this.step(deltaTime);
+        }
+        
+        this.rollbackCount++;
+        if (this.onRollback) {
+            this.onRollback();
+        }
+    }
+    
+    /**
+     * Release ticks every peer has final inputs for and drop their history
+     */
+    finalize() {
+        let confirmedTick = this.simulation.tick - 1;
+        for (let i = 0; i < this.playerCount; i++) {
+            if (!this.disconnected[i]) {
+                confirmedTick = Math.min(confirmedTick, this.lastConfirmedTick[i]);
+            }
+        }
+        
+        while (this.finalizedTick < confirmedTick) {
+            const tick = ++this.finalizedTick;
+            
+            if (this.onInputsFinalized) {
+                const inputs = [];
+                for (let i = 0; i < this.playerCount; i++) {
+                    inputs.push(this.getInput(i, tick));
+                }
+                this.onInputsFinalized(tick, inputs);
+            }
+            
+            this.snapshots.delete(tick);
+            this.usedInputs.delete(tick);
+            this.announcedEvents.delete(tick);
+            for (const inputs of this.confirmed) {
+                inputs.delete(tick);
+            }
+        }
+    }
+    
+    /**
+     * Let an event through only the first time it happens on a given tick
+     */
+    filterEvent(event, args) {
+        const tick = this.simulation.tick;
+        const key = event + ':' + args.map(arg => (arg && typeof arg === 'object') ? arg.id : arg).join(',');
+        
+        let announced = this.announcedEvents.get(tick);
+        if (!announced) {
+            announced = new Set();
+            this.announcedEvents.set(tick, announced);
+        }
+        
+        if (announced.has(key)) return false;
+        announced.add(key);
+        return true;
+    }
+}
@@ -0,0 +1,945 @@
+import { CONFIG } from '../config.js';
+import { Arena } from '../entities/Arena.js';
+import { ArenaLoader } from '../entities/ArenaLoader.js';
+import { createArenaShape } from '../entities/ArenaShapes.js';
+import { createObstacle } from '../entities/Obstacles.js';
+import { createHazard } from '../entities/Hazards.js';
+
+// Placement tools: which list a click adds to and the item it creates
+const ITEM_TOOLS = {
+    pillar: { list: 'obstacles', label: '⬤ Pillar', create: (x, y) => ({ type: 'circle', x, y, radius: 40 }) },
+    box: { list: 'obstacles', label: '■ Box', create: (x, y) => ({ type: 'box', x, y, width: 90, height: 60 }) },
+    capsule: { list: 'obstacles', label: '⬭ Capsule', create: (x, y) => ({ type: 'capsule', x, y, length: 120, radius: 20 }) },
+    bumper: { list: 'hazards', label: '◎ Bumper', create: (x, y) => ({ type: 'bumper', x, y, radius: 35 }) },
+    boost: { list: 'hazards', label: '⚡ Boost', create: (x, y) => ({ type: 'boost', x, y, radius: 40 }) },
+    conveyor: { list: 'hazards', label: '⇶ Conveyor', create: (x, y) => ({ type: 'conveyor', x, y, radius: 70 }) },
+    ice: { list: 'hazards', label: '❄ Ice', create: (x, y) => ({ type: 'ice', x, y, radius: 90 }) }
+};
+
+// Positions snap to this many pixels
+const SNAP = 5;
+
+// How close (px) the pointer must be to grab a handle
+const HANDLE_REACH = 10;
+
+const HIGHLIGHT_COLOR = '#4ecdc4';
+const ERROR_COLOR = '#ff4444';
+
+/**
+ * In-browser arena editor. Edits an arena definition in the arena file format
+ * by dragging on the game canvas (outline, spawn points, obstacles, hazards)
+ * and with a toolbar below it (shape, shrink timing, colors, import/export).
+ * The preview is a real Arena, so what you see is what a match plays on.
+ */
+export class ArenaEditor {
+    constructor(canvas) {
+        // Callbacks
+        this.onPlayTest = null; // (definition) - a valid arena to play right away
+        this.onClose = null;
+        
+        this.canvas = canvas;
+        this.isOpen = false;
+        
+        // Definition being edited (may be invalid mid-edit) and its last valid form
+        this.draft = null;
+        this.valid = null;
+        this.errors = null;
+        
+        this.arena = new Arena(CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
+        this.tool = 'select';
+        this.selection = null; // { list, index } of the selected item
+        this.drag = null;
+        this.hover = null;
+        
+        this.createUI();
+        this.setupPointer();
+    }
+    
+    /**
+     * Create the toolbar elements
+     */
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'arena-editor';
+        this.container.innerHTML = `
+            <div class="editor-row">
+                <span class="editor-badge">✏ ARENA EDITOR</span>
+                <button class="editor-tool active" data-tool="select" title="Drag the outline, spawns and items">✋ Select</button>
+                <button class="editor-tool" data-tool="spawn" title="Click to add a spawn point">📍 Spawn</button>
+                ${Object.entries(ITEM_TOOLS).map(([tool, { label }]) => `<button class="editor-tool" data-tool="${tool}">${label}</button>`).join('')}
+                <button class="editor-btn" data-action="delete" title="Delete the selected item (Del)">🗑</button>
+            </div>
+            <div class="editor-row">
+                <label>Name <input type="text" class="editor-input editor-name" maxlength="40" spellcheck="false"></label>
+                <label>Shape
+                    <select class="editor-input editor-shape">
+                        <option value="rectangle">Rectangle</option>
+                        <option value="roundedRect">Rounded</option>
+                        <option value="circle">Circle</option>
+                        <option value="polygon">Regular polygon</option>
+                        <option value="points">Custom polygon</option>
+                    </select>
+                </label>
+                <label class="editor-corner">Corners <input type="number" class="editor-input editor-number" data-field="cornerRadius" min="0" max="300" step="10"></label>
+                <label class="editor-sides">Sides <input type="number" class="editor-input editor-number" data-field="sides" min="3" max="12" step="1"></label>
+                <label>Floor
+                    <select class="editor-input editor-floor" title="Solid floors shrink, tiled ones crumble away">
+                        <option value="">Solid</option>
+                        <option value="schedule">Tiles, outside in</option>
+                        <option value="random">Tiles, random</option>
+                        <option value="occupancy">Tiles, where stood</option>
+                    </select>
+                </label>
+                <label class="editor-tiles">Tile <input type="number" class="editor-input editor-number" data-field="tileSize" min="30" max="300" step="5">px</label>
+                <label class="editor-shrink">Shrink at <input type="number" class="editor-input editor-number" data-field="startTime" min="0" step="0.5">s</label>
+                <label class="editor-shrink">over <input type="number" class="editor-input editor-number" data-field="duration" min="0.5" step="0.5">s</label>
+                <label class="editor-shrink">to <input type="number" class="editor-input editor-number" data-field="minSize" min="10" max="100" step="5">%</label>
+                <label>Floor <input type="color" class="editor-color" data-color="background"></label>
+                <label>Edge <input type="color" class="editor-color" data-color="border"></label>
+            </div>
+            <div class="editor-row editor-obstacle hidden">
+                <span class="editor-badge">OBSTACLE</span>
+                <label>Angle <input type="number" class="editor-input editor-number" data-field="rotation" min="-360" max="360" step="15">°</label>
+                <label>Spin <input type="number" class="editor-input editor-number" data-field="spin" min="-720" max="720" step="15">°/s</label>
+                <label>Speed <input type="number" class="editor-input editor-number" data-field="speed" min="1" max="2000" step="10">px/s</label>
+                <button class="editor-tool" data-tool="path" title="Click to add points the obstacle moves through">🛤 Path</button>
+                <button class="editor-btn" data-action="clear-path" title="Stop the obstacle moving">↺ Clear path</button>
+            </div>
+            <div class="editor-row editor-hazard hidden">
+                <span class="editor-badge">HAZARD</span>
+                <label data-hazards="boost conveyor" title="Boost pads without a direction only refill the dash">Direction <input type="number" class="editor-input editor-number" data-field="direction" min="-360" max="360" step="15">°</label>
+                <label data-hazards="bumper boost">Strength <input type="number" class="editor-input editor-number" data-field="strength" min="1" max="40" step="1"></label>
+                <label data-hazards="conveyor">Speed <input type="number" class="editor-input editor-number" data-field="speed" min="10" max="1000" step="10">px/s</label>
+                <label data-hazards="ice">Friction <input type="number" class="editor-input editor-number" data-field="friction" min="0.9" max="0.995" step="0.005"></label>
+            </div>
+            <div class="editor-row">
+                <span class="editor-status"></span>
+                <button class="editor-btn" data-action="clear-spawns" title="Go back to automatic spawn points">↺ Auto spawns</button>
+                <button class="editor-btn editor-play" data-action="play" title="Play a match on this arena">▶ Play-test</button>
+                <button class="editor-btn" data-action="export" title="Download as an arena file">💾 Export</button>
+                <button class="editor-btn" data-action="import" title="Open an arena file">📂 Import</button>
+                <button class="editor-btn" data-action="close" title="Close the editor (Esc)">✕</button>
+                <input type="file" class="editor-file" accept=".json,application/json" hidden>
+            </div>
+        `;
+        
+        this.nameInput = this.container.querySelector('.editor-name');
+        this.shapeSelect = this.container.querySelector('.editor-shape');
+        this.floorSelect = this.container.querySelector('.editor-floor');
+        this.statusLabel = this.container.querySelector('.editor-status');
+        this.playButton = this.container.querySelector('.editor-play');
+        this.fileInput = this.container.querySelector('.editor-file');
+        this.numberInputs = [...this.container.querySelectorAll('.editor-number')];
+        this.colorInputs = [...this.container.querySelectorAll('.editor-color')];
+        this.obstacleRow = this.container.querySelector('.editor-obstacle');
+        this.hazardRow = this.container.querySelector('.editor-hazard');
+        
+        this.container.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.addEventListener('click', () => this.setTool(btn.dataset.tool));
+        });
+        this.container.querySelectorAll('.editor-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleAction(btn.dataset.action));
+        });
+        
+        this.nameInput.addEventListener('input', () => {
+            this.draft.name = this.nameInput.value;
+            this.change();
+        });
+        this.shapeSelect.addEventListener('change', () => this.setShapeType(this.shapeSelect.value));
+        this.floorSelect.addEventListener('change', () => this.setFloorMode(this.floorSelect.value));
+        this.numberInputs.forEach(input => {
+            input.addEventListener('change', () => this.setNumber(input.dataset.field, parseFloat(input.value)));
+        });
+        this.colorInputs.forEach(input => {
+            input.addEventListener('input', () => {
+                this.draft.colors[input.dataset.color] = input.value;
+                this.change();
+            });
+        });
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files[0]) {
+                this.importFile(this.fileInput.files[0]);
+            }
+            this.fileInput.value = '';
+        });
+        
+        window.addEventListener('keydown', (e) => {
+            if (!this.isOpen || isTextField(e.target)) return;
+            if (e.code === 'Escape') {
+                this.handleAction('close');
+            } else if (e.code === 'Delete' || e.code === 'Backspace') {
+                this.deleteSelection();
+            }
+        });
+        
+        const container = document.getElementById('game-container') || document.body;
+        container.appendChild(this.container);
+    }
+    
+    /**
+     * Route a toolbar button to its action
+     */
+    handleAction(action) {
+        switch (action) {
+            case 'delete':
+                this.deleteSelection();
+                break;
+            case 'clear-spawns':
+                this.draft.spawnPoints = null;
+                this.change();
+                break;
+            case 'clear-path': {
+                const obstacle = this.getSelectedObstacle();
+                if (obstacle) {
+                    delete obstacle.path;
+                    delete obstacle.speed;
+                    this.change();
+                    this.syncControls();
+                }
+                break;
+            }
+            case 'play':
+                if (this.valid && !this.errors && this.onPlayTest) this.onPlayTest(this.valid);
+                break;
+            case 'export':
+                this.exportFile();
+                break;
+            case 'import':
+                this.fileInput.click();
+                break;
+            case 'close':
+                this.close();
+                if (this.onClose) this.onClose();
+                break;
+        }
+    }
+    
+    /**
+     * Start editing a copy of an arena definition
+     */
+    open(definition) {
+        this.isOpen = true;
+        this.setDraft(definition);
+        this.setTool('select');
+        this.container.classList.add('visible');
+    }
+    
+    /**
+     * Hide the editor; the draft is kept until the next open
+     */
+    close() {
+        this.isOpen = false;
+        this.drag = null;
+        this.container.classList.remove('visible');
+    }
+    
+    /**
+     * Replace the draft and refresh the controls
+     */
+    setDraft(definition) {
+        this.draft = JSON.parse(JSON.stringify(definition));
+        this.change();
+        this.select(null);
+    }
+    
+    /**
+     * Select an obstacle or hazard ({ list, index }) or nothing
+     */
+    select(selection) {
+        this.selection = selection;
+        if (!this.getSelectedObstacle() && this.tool === 'path') {
+            this.setTool('select');
+        }
+        this.syncControls();
+    }
+    
+    /**
+     * The selected item when it is an obstacle
+     */
+    getSelectedObstacle() {
+        if (!this.selection || this.selection.list !== 'obstacles') return null;
+        return this.draft.obstacles[this.selection.index];
+    }
+    
+    /**
+     * The selected item when it is a hazard
+     */
+    getSelectedHazard() {
+        if (!this.selection || this.selection.list !== 'hazards') return null;
+        return this.draft.hazards[this.selection.index];
+    }
+    
+    /**
+     * Select the tool used by clicks on the canvas
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.container.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+    }
+    
+    /**
+     * Validate the draft after an edit and show it in the preview when valid
+     */
+    change() {
+        try {
+            this.valid = ArenaLoader.normalize(this.draft);
+            this.errors = null;
+            this.arena.load(this.valid);
+        } catch (error) {
+            this.errors = error.message;
+        }
+        
+        this.statusLabel.textContent = this.errors ? formatErrors(this.errors) : `${this.valid.name} - ready to play`;
+        this.statusLabel.classList.toggle('invalid', !!this.errors);
+        this.playButton.disabled = !!this.errors;
+    }
+    
+    /**
+     * Show the draft's values in the toolbar inputs
+     */
+    syncControls() {
+        const { shape, shrink, colors } = this.draft;
+        const shapeType = shape.type === 'polygon' && shape.points ? 'points' : shape.type;
+        
+        this.nameInput.value = this.draft.name;
+        this.shapeSelect.value = shapeType;
+        this.container.querySelector('.editor-corner').classList.toggle('hidden', shapeType !== 'roundedRect');
+        this.container.querySelector('.editor-sides').classList.toggle('hidden', shapeType !== 'polygon');
+        
+        // Tiled floors crumble instead of shrinking
+        const tiles = this.draft.tiles;
+        this.floorSelect.value = tiles ? tiles.mode ?? 'schedule' : '';
+        this.container.querySelector('.editor-tiles').classList.toggle('hidden', !tiles);
+        this.container.querySelectorAll('.editor-shrink').forEach(label => label.classList.toggle('hidden', !!tiles));
+        
+        const obstacle = this.getSelectedObstacle();
+        this.obstacleRow.classList.toggle('hidden', !obstacle);
+        
+        // Only the fields the selected hazard type has
+        const hazard = this.getSelectedHazard();
+        const effect = hazard && createHazard(hazard);
+        this.hazardRow.classList.toggle('hidden', !hazard);
+        this.hazardRow.querySelectorAll('label').forEach(label => {
+            label.classList.toggle('hidden', !hazard || !label.dataset.hazards.split(' ').includes(hazard.type));
+        });
+        
+        const values = {
+            rotation: obstacle?.rotation ?? 0,
+            spin: obstacle?.spin ?? 0,
+            speed: obstacle ? obstacle.speed ?? 100 : Math.round((effect?.speed ?? 0) * 1000),
+            direction: hazard?.direction ?? (hazard?.type === 'conveyor' ? 0 : ''),
+            strength: effect?.strength ?? '',
+            friction: effect?.friction ?? '',
+            cornerRadius: shape.cornerRadius ?? 100,
+            sides: shape.sides ?? 6,
+            tileSize: tiles?.size ?? CONFIG.ARENA.TILES.SIZE,
+            startTime: shrink.startTime / 1000,
+            duration: shrink.duration / 1000,
+            minSize: Math.round(shrink.minSize * 100)
+        };
+        this.numberInputs.forEach(input => {
+            input.value = values[input.dataset.field];
+        });
+        this.colorInputs.forEach(input => {
+            input.value = toFullHex(colors[input.dataset.color]);
+        });
+    }
+    
+    /**
+     * Switch the outline type, keeping roughly the same size
+     */
+    setShapeType(type) {
+        const { width, height } = this.draft.size;
+        const current = this.valid ? this.arena.shape : null;
+        
+        switch (type) {
+            case 'rectangle':
+                this.draft.shape = { type: 'rectangle' };
+                break;
+            case 'roundedRect':
+                this.draft.shape = { type: 'roundedRect', cornerRadius: 100 };
+                break;
+            case 'circle':
+                this.draft.shape = { type: 'circle', radius: Math.max(100, Math.round(Math.min(width, height) / 2)) };
+                break;
+            case 'polygon':
+                this.draft.shape = { type: 'polygon', sides: 6 };
+                break;
+            case 'points': {
+                // Start from the current corners, or an octagon for smooth shapes
+                let corners = current ? current.getCorners() : [];
+                if (corners.length < 3) {
+                    corners = createArenaShape({ type: 'polygon', sides: 8, rotation: 22.5 }, width / 2, height / 2).getCorners();
+                }
+                this.draft.shape = { type: 'polygon', points: corners.map(p => ({ x: Math.round(p.x), y: Math.round(p.y) })) };
+                break;
+            }
+        }
+        this.change();
+        this.syncControls();
+    }
+    
+    /**
+     * Switch between a solid floor and one that crumbles in tiles
+     * @param {string} mode - TileFloor mode, or '' for a solid floor
+     */
+    setFloorMode(mode) {
+        this.draft.tiles = mode ? { ...ArenaLoader.getTileDefaults(), ...this.draft.tiles, mode } : null;
+        this.change();
+        this.syncControls();
+    }
+    
+    /**
+     * Apply one of the numeric toolbar fields
+     */
+    setNumber(field, value) {
+        // A boost pad with no direction only refills the dash
+        const hazard = this.getSelectedHazard();
+        if (field === 'direction' && hazard && Number.isNaN(value)) {
+            delete hazard.direction;
+            this.change();
+            this.syncControls();
+            return;
+        }
+        if (!Number.isFinite(value)) {
+            this.syncControls();
+            return;
+        }
+        
+        switch (field) {
+            case 'cornerRadius':
+                this.draft.shape.cornerRadius = Math.max(0, Math.round(value));
+                break;
+            case 'sides':
+                this.draft.shape.sides = Math.max(3, Math.min(12, Math.round(value)));
+                break;
+            case 'startTime':
+                this.draft.shrink.startTime = Math.max(0, Math.round(value * 1000));
+                break;
+            case 'duration':
+                this.draft.shrink.duration = Math.max(1, Math.round(value * 1000));
+                break;
+            case 'minSize':
+                this.draft.shrink.minSize = Math.max(0.1, Math.min(1, value / 100));
+                break;
+            case 'tileSize':
+                if (this.draft.tiles) this.draft.tiles.size = clamp(Math.round(value), 30, 300);
+                break;
+            case 'rotation':
+            case 'spin':
+            case 'speed':
+            case 'direction':
+            case 'strength':
+            case 'friction': {
+                const item = this.getSelectedObstacle() || hazard;
+                if (item) item[field] = value;
+                break;
+            }
+        }
+        this.change();
+        this.syncControls();
+    }
+    
+    /**
+     * Remove the selected obstacle or hazard
+     */
+    deleteSelection() {
+        if (!this.selection) return;
+        this.draft[this.selection.list].splice(this.selection.index, 1);
+        this.change();
+        this.select(null);
+    }
+    
+    /**
+     * Download the arena as a file (only when valid)
+     */
+    exportFile() {
+        if (this.errors) return;
+        
+        const blob = new Blob([ArenaLoader.serialize(this.valid)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.valid.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'arena'}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Load an arena file into the editor
+     */
+    async importFile(file) {
+        try {
+            this.setDraft(ArenaLoader.parse(await file.text()));
+        } catch (error) {
+            console.error(`Could not import arena: ${error.message}`);
+            this.statusLabel.textContent = formatErrors(error.message);
+            this.statusLabel.classList.add('invalid');
+        }
+    }
+    
+    /**
+     * Mouse handling on the canvas
+     */
+    setupPointer() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (!this.isOpen) return;
+            const point = this.toArena(e);
+            if (e.button === 2) {
+                this.removeAt(point);
+            } else if (e.button === 0) {
+                this.pointerDown(point);
+            }
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (!this.isOpen) return;
+            const point = this.toArena(e);
+            if (this.drag) {
+                this.dragTo(point);
+            } else {
+                this.hover = this.hitTest(point);
+                this.canvas.style.cursor = this.hover ? 'move' : (this.tool === 'select' ? 'default' : 'crosshair');
+            }
+        });
+        window.addEventListener('mouseup', () => {
+            this.drag = null;
+        });
+        this.canvas.addEventListener('contextmenu', (e) => {
+            if (this.isOpen) e.preventDefault();
+        });
+    }
+    
+    /**
+     * Pointer position relative to the arena center, in canvas pixels
+     */
+    toArena(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = this.canvas.width / (this.canvas.clientWidth || rect.width);
+        const scaleY = this.canvas.height / (this.canvas.clientHeight || rect.height);
+        return {
+            x: (e.clientX - rect.left - this.canvas.clientLeft) * scaleX - this.arena.centerX,
+            y: (e.clientY - rect.top - this.canvas.clientTop) * scaleY - this.arena.centerY
+        };
+    }
+    
+    /**
+     * Grab whatever is under the pointer, or place with the current tool
+     */
+    pointerDown(point) {
+        const hit = this.hitTest(point);
+        if (hit) {
+            this.drag = { ...hit, offsetX: hit.x - point.x, offsetY: hit.y - point.y };
+            if (hit.list) {
+                this.select({ list: hit.list, index: hit.index });
+            } else if (hit.kind !== 'waypoint') {
+                this.select(null);
+            }
+            return;
+        }
+        
+        const x = snap(point.x);
+        const y = snap(point.y);
+        const obstacle = this.getSelectedObstacle();
+        if (this.tool === 'spawn') {
+            this.draft.spawnPoints = [...(this.draft.spawnPoints || []), { x, y }];
+            this.drag = { kind: 'spawn', index: this.draft.spawnPoints.length - 1, offsetX: 0, offsetY: 0 };
+        } else if (this.tool === 'path' && obstacle) {
+            obstacle.path = [...(obstacle.path || []), { x, y }];
+            this.drag = { kind: 'waypoint', index: obstacle.path.length - 1, offsetX: 0, offsetY: 0 };
+        } else if (ITEM_TOOLS[this.tool]) {
+            const { list, create } = ITEM_TOOLS[this.tool];
+            this.draft[list].push(create(x, y));
+            this.select({ list, index: this.draft[list].length - 1 });
+            this.drag = { kind: 'item', ...this.selection, offsetX: 0, offsetY: 0 };
+        } else {
+            this.select(null);
+        }
+        this.change();
+    }
+    
+    /**
+     * Right click: delete the spawn point or item under the pointer
+     */
+    removeAt(point) {
+        const hit = this.hitTest(point);
+        if (!hit) return;
+        
+        if (hit.kind === 'spawn') {
+            this.draft.spawnPoints.splice(hit.index, 1);
+            if (this.draft.spawnPoints.length === 0) this.draft.spawnPoints = null;
+        } else if (hit.kind === 'waypoint') {
+            const obstacle = this.getSelectedObstacle();
+            obstacle.path.splice(hit.index, 1);
+            if (obstacle.path.length === 0) delete obstacle.path;
+            this.change();
+            return;
+        } else if (hit.kind === 'item' || hit.kind === 'itemSize') {
+            this.draft[hit.list].splice(hit.index, 1);
+        } else if (hit.kind === 'vertex' && this.draft.shape.points.length > 3) {
+            this.draft.shape.points.splice(hit.index, 1);
+        } else {
+            return;
+        }
+        this.change();
+        this.select(null);
+    }
+    
+    /**
+     * Find the handle, spawn point or item at a point - handles first,
+     * then the topmost item
+     */
+    hitTest(point) {
+        const near = (x, y) => Math.hypot(point.x - x, point.y - y) <= HANDLE_REACH;
+        
+        for (const handle of this.getHandles()) {
+            if (near(handle.x, handle.y)) return handle;
+        }
+        
+        const spawns = this.draft.spawnPoints || [];
+        for (let i = spawns.length - 1; i >= 0; i--) {
+            if (Math.hypot(point.x - spawns[i].x, point.y - spawns[i].y) <= CONFIG.PLAYER.RADIUS) {
+                return { kind: 'spawn', index: i, x: spawns[i].x, y: spawns[i].y };
+            }
+        }
+        
+        for (const list of ['hazards', 'obstacles']) {
+            for (let i = this.draft[list].length - 1; i >= 0; i--) {
+                const item = this.draft[list][i];
+                if (itemContains(list, item, point)) {
+                    return { kind: 'item', list, index: i, x: item.x, y: item.y };
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Draggable handles: the outline size (or vertices) and the size of the
+     * selected item, relative to the arena center
+     */
+    getHandles() {
+        const handles = [];
+        const { shape, size } = this.draft;
+        
+        if (shape.type === 'circle') {
+            handles.push({ kind: 'radius', x: shape.radius ?? Math.min(size.width, size.height) / 2, y: 0 });
+        } else if (shape.type === 'polygon' && shape.points) {
+            shape.points.forEach((p, index) => handles.push({ kind: 'vertex', index, x: p.x, y: p.y }));
+        } else {
+            const w = size.width / 2;
+            const h = size.height / 2;
+            handles.push({ kind: 'size', axis: 'both', x: w, y: h });
+            handles.push({ kind: 'size', axis: 'x', x: w, y: 0 });
+            handles.push({ kind: 'size', axis: 'y', x: 0, y: h });
+        }
+        
+        if (this.selection) {
+            const item = this.draft[this.selection.list][this.selection.index];
+            handles.push({ kind: 'itemSize', ...this.selection, ...fromItemFrame(item, getSizeHandle(this.selection.list, item)) });
+            (item.path || []).forEach((p, index) => handles.push({ kind: 'waypoint', index, x: p.x, y: p.y }));
+        }
+        return handles;
+    }
+    
+    /**
+     * Move whatever is being dragged
+     */
+    dragTo(point) {
+        const drag = this.drag;
+        const x = snap(point.x + drag.offsetX);
+        const y = snap(point.y + drag.offsetY);
+        const maxX = CONFIG.CANVAS_WIDTH / 2;
+        const maxY = CONFIG.CANVAS_HEIGHT / 2;
+        
+        switch (drag.kind) {
+            case 'size': {
+                const size = this.draft.size;
+                if (drag.axis !== 'y') size.width = clamp(Math.abs(x) * 2, 200, CONFIG.CANVAS_WIDTH);
+                if (drag.axis !== 'x') size.height = clamp(Math.abs(y) * 2, 200, CONFIG.CANVAS_HEIGHT);
+                break;
+            }
+            case 'radius':
+                this.draft.shape.radius = clamp(Math.round(Math.hypot(x, y)), 100, maxY);
+                break;
+            case 'vertex': {
+                // Only accept moves that keep the polygon convex around the center
+                const points = this.draft.shape.points.map((p, i) => (i === drag.index ? { x: clamp(x, -maxX, maxX), y: clamp(y, -maxY, maxY) } : p));
+                try {
+                    createArenaShape({ type: 'polygon', points }, maxX, maxY);
+                } catch (error) {
+                    return;
+                }
+                this.draft.shape.points = points;
+                break;
+            }
+            case 'spawn':
+                this.draft.spawnPoints[drag.index] = { x, y };
+                break;
+            case 'item': {
+                const item = this.draft[drag.list][drag.index];
+                item.x = clamp(x, -maxX, maxX);
+                item.y = clamp(y, -maxY, maxY);
+                break;
+            }
+            case 'itemSize': {
+                const item = this.draft[drag.list][drag.index];
+                const local = toItemFrame(item, { x, y });
+                if (item.type === 'box') {
+                    item.width = clamp(Math.round(Math.abs(local.x) * 2), 20, 600);
+                    item.height = clamp(Math.round(Math.abs(local.y) * 2), 20, 600);
+                } else if (item.type === 'capsule') {
+                    item.length = clamp(Math.round((Math.abs(local.x) - createObstacle(item).radius) * 2), 0, 600);
+                } else {
+                    item.radius = clamp(Math.round(Math.hypot(local.x, local.y)), 10, 300);
+                }
+                break;
+            }
+            case 'waypoint':
+                this.getSelectedObstacle().path[drag.index] = { x, y };
+                break;
+        }
+        this.change();
+    }
+    
+    /**
+     * Animate the preview arena
+     */
+    update(deltaTime) {
+        this.arena.update(deltaTime, false);
+    }
+    
+    /**
+     * Draw the preview arena with the editing overlay on top
+     */
+    render(ctx) {
+        const arena = this.arena;
+        arena.render(ctx);
+        
+        // Where the outline ends up once the shrink is over (tiled floors don't shrink)
+        if (!arena.floor) {
+            ctx.save();
+            ctx.setLineDash([8, 8]);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            arena.shape.tracePath(ctx, arena.centerX, arena.centerY, arena.minSizePercent);
+            ctx.stroke();
+            ctx.restore();
+        }
+        
+        ctx.save();
+        ctx.translate(arena.centerX, arena.centerY);
+        
+        // Obstacles solid, hazards dashed
+        for (const list of ['hazards', 'obstacles']) {
+            this.draft[list].forEach((item, index) => {
+                const selected = this.selection && this.selection.list === list && this.selection.index === index;
+                this.renderItem(ctx, item, list === 'hazards', selected);
+            });
+        }
+        
+        this.renderSpawnPoints(ctx);
+        
+        // Handles
+        for (const handle of this.getHandles()) {
+            const hovered = this.hover && this.hover.kind === handle.kind && this.hover.index === handle.index && this.hover.axis === handle.axis;
+            ctx.fillStyle = hovered ? '#ffffff' : HIGHLIGHT_COLOR;
+            ctx.strokeStyle = '#0d0d1a';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.rect(handle.x - 6, handle.y - 6, 12, 12);
+            ctx.fill();
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+        
+        // Hint for the current tool
+        ctx.save();
+        ctx.font = 'bold 13px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillText(this.getHint(), ctx.canvas.width / 2, 22);
+        ctx.restore();
+    }
+    
+    /**
+     * Outline of an obstacle where the round starts (and the loop it moves
+     * along), or outline and label of a hazard
+     */
+    renderItem(ctx, item, isHazard, selected) {
+        if (item.path) {
+            ctx.beginPath();
+            ctx.moveTo(item.x, item.y);
+            item.path.forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.closePath();
+            ctx.setLineDash([3, 6]);
+            ctx.strokeStyle = selected ? HIGHLIGHT_COLOR : 'rgba(255, 255, 255, 0.3)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
+        ctx.save();
+        ctx.translate(item.x, item.y);
+        ctx.beginPath();
+        if (isHazard) {
+            ctx.arc(0, 0, createHazard(item).radius, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(78, 205, 196, 0.08)';
+            ctx.fill();
+            ctx.setLineDash([6, 4]);
+        } else {
+            ctx.rotate(((item.rotation ?? 0) * Math.PI) / 180);
+            createObstacle(item).tracePath(ctx);
+        }
+        ctx.strokeStyle = selected ? HIGHLIGHT_COLOR : 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = selected ? 3 : 1;
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.restore();
+        
+        if (isHazard) {
+            ctx.font = '11px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.fillText(item.type, item.x, item.y + 4);
+        }
+    }
+    
+    /**
+     * Spawn points in player colors - placed ones solid, automatic ones faded.
+     * Points too close to the edge are drawn in red.
+     */
+    renderSpawnPoints(ctx) {
+        const placed = this.draft.spawnPoints;
+        const points = placed || this.arena.getSpawnPositions(4).map(p => ({
+            x: p.x - this.arena.centerX,
+            y: p.y - this.arena.centerY
+        }));
+        const radius = CONFIG.PLAYER.RADIUS;
+        
+        ctx.globalAlpha = placed ? 1 : 0.4;
+        points.forEach((point, i) => {
+            const color = CONFIG.PLAYER.COLORS[i % CONFIG.PLAYER.COLORS.length];
+            const outside = this.arena.shape.getDistance(point.x, point.y) < radius;
+            
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+            ctx.setLineDash(placed ? [] : [4, 4]);
+            ctx.strokeStyle = outside ? ERROR_COLOR : color;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+            ctx.setLineDash([]);
+            
+            ctx.font = 'bold 12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = color;
+            ctx.fillText(i < 4 ? `P${i + 1}` : `${i + 1}`, point.x, point.y + 4);
+        });
+        ctx.globalAlpha = 1;
+        
+        if (!placed) {
+            ctx.font = '11px Arial';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.fillText('auto spawns', 0, -this.arena.shape.halfHeight + 40);
+        }
+    }
+    
+    /**
+     * One-line help for the current tool
+     */
+    getHint() {
+        if (this.tool === 'spawn') return 'Click to add a spawn point (at least 4) · right-click to remove';
+        if (this.tool === 'path') return 'Click to add a point the obstacle moves through · drag to adjust · right-click to remove';
+        if (ITEM_TOOLS[this.tool]) return `Click to place a ${this.tool} · drag the square handle to resize · right-click to remove`;
+        if (this.draft.shape.type === 'polygon' && this.draft.shape.points) {
+            return 'Drag the corners to shape the arena · right-click a corner to remove it';
+        }
+        return 'Drag the square handles to size the arena · drag spawns and items to move them';
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function snap(value) {
+    return Math.round(value / SNAP) * SNAP;
+}
+
+/**
+ * Point relative to an item, in its rotated frame
+ */
+function toItemFrame(item, point) {
+    const angle = ((item.rotation ?? 0) * Math.PI) / 180;
+    const dx = point.x - item.x;
+    const dy = point.y - item.y;
+    return {
+        x: dx * Math.cos(angle) + dy * Math.sin(angle),
+        y: -dx * Math.sin(angle) + dy * Math.cos(angle)
+    };
+}
+
+/**
+ * Point in an item's rotated frame back relative to the arena center
+ */
+function fromItemFrame(item, local) {
+    const angle = ((item.rotation ?? 0) * Math.PI) / 180;
+    return {
+        x: item.x + local.x * Math.cos(angle) - local.y * Math.sin(angle),
+        y: item.y + local.x * Math.sin(angle) + local.y * Math.cos(angle)
+    };
+}
+
+/**
+ * Where the resize handle of an item sits, in its own frame
+ */
+function getSizeHandle(list, item) {
+    if (list === 'hazards') {
+        return { x: createHazard(item).radius, y: 0 };
+    }
+    if (item.type === 'box' || item.type === 'capsule') {
+        const obstacle = createObstacle(item);
+        if (item.type === 'box') return { x: obstacle.halfWidth, y: obstacle.halfHeight };
+        return { x: obstacle.halfLength + obstacle.radius, y: 0 };
+    }
+    return { x: item.radius ?? createObstacle(item).radius, y: 0 };
+}
+
+/**
+ * Check if a point (relative to the arena center) is on an item
+ */
+function itemContains(list, item, point) {
+    if (list === 'hazards') {
+        return Math.hypot(point.x - item.x, point.y - item.y) <= createHazard(item).radius;
+    }
+    const local = toItemFrame(item, point);
+    return createObstacle(item).getContact(local.x, local.y, 0) !== null;
+}
+
+/**
+ * Validation problems on one line
+ */
+function formatErrors(message) {
+    const lines = message.split('\n');
+    return lines.length > 1 ? lines.slice(1).map(line => line.replace(/^- /, '')).join(' · ') : message;
+}
+
+/**
+ * Color inputs only take #rrggbb
+ */
+function toFullHex(color) {
+    if (/^#[0-9a-f]{3}$/i.test(color)) {
+        return `#${color.slice(1).split('').map(c => c + c).join('')}`;
+    }
+    return color;
+}
+
+/**
+ * Keystrokes typed into a form field are not commands
+ */
+function isTextField(target) {
+    return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT');
+}
@@ -0,0 +1,160 @@
+import { CONFIG } from '../config.js';
+import { ArenaLoader } from '../entities/ArenaLoader.js';
+
+// Arena select value for an arena loaded from a file
+const CUSTOM_ARENA = 'CUSTOM';
+
+/**
+ * Match options on the start screen - game mode, team layout, friendly collisions, stocks,
+ * damage percent, power-ups, dash mode, arena (built-in or loaded from a file) and each
+ * player's character. Produces the settings object passed to Simulation.setSettings.
+ */
+export class MatchOptions {
+    constructor() {
+        // Callbacks
+        this.onChange = null; // (settings)
+        this.onError = null; // (message) - an arena file failed to load
+        
+        this.modeSelect = document.getElementById('game-mode');
+        this.teamLayoutSelect = document.getElementById('team-layout');
+        this.friendlyCollisionSelect = document.getElementById('friendly-collision');
+        this.stockSelect = document.getElementById('stock-count');
+        this.damageSelect = document.getElementById('damage-percent');
+        this.powerUpsSelect = document.getElementById('power-ups');
+        this.dashModeSelect = document.getElementById('dash-mode');
+        this.arenaSelect = document.getElementById('arena-select');
+        this.arenaLoadButton = document.getElementById('load-arena-btn');
+        this.arenaFileInput = document.getElementById('arena-file-input');
+        this.arenaEditButton = document.getElementById('edit-arena-btn');
+        this.characterSelects = [...document.querySelectorAll('.slot-character')];
+        
+        // Definition behind the custom arena option, once a file was loaded
+        this.customArena = null;
+        
+        this.getSelects().forEach(select => {
+            select.addEventListener('change', () => this.notifyChange());
+        });
+        this.characterSelects.forEach(select => {
+            select.addEventListener('change', () => this.updateCharacterInfo());
+        });
+        this.updateCharacterInfo();
+        
+        if (this.arenaLoadButton && this.arenaFileInput) {
+            this.arenaLoadButton.addEventListener('click', () => this.arenaFileInput.click());
+            this.arenaFileInput.addEventListener('change', () => {
+                if (this.arenaFileInput.files.length > 0) {
+                    this.loadArenaFile(this.arenaFileInput.files[0]);
+                }
+                this.arenaFileInput.value = '';
+            });
+        }
+    }
+    
+    /**
+     * The option controls present in the page
+     */
+    getSelects() {
+        return [this.modeSelect, this.teamLayoutSelect, this.friendlyCollisionSelect, this.stockSelect, this.damageSelect, this.powerUpsSelect, this.dashModeSelect, this.arenaSelect, ...this.characterSelects].filter(Boolean);
+    }
+    
+    /**
+     * Describe the picked character under each player's select
+     */
+    updateCharacterInfo() {
+        this.characterSelects.forEach(select => {
+            const info = document.querySelector(`.slot-character-info[data-player="${select.dataset.player}"]`);
+            const character = CONFIG.CHARACTERS[select.value];
+            if (info && character) {
+                info.innerHTML = `<strong>${character.signature.name}:</strong> ${character.signature.description}`;
+            }
+        });
+    }
+    
+    /**
+     * Report the current settings to the listener
+     */
+    notifyChange() {
+        if (this.onChange) this.onChange(this.getSettings());
+    }
+    
+    /**
+     * Settings as currently selected
+     */
+    getSettings() {
+        const arena = this.arenaSelect?.value || 'RECTANGLE';
+        return {
+            mode: this.modeSelect?.value || 'CLASSIC',
+            teamLayout: this.teamLayoutSelect?.value || null,
+            friendlyCollision: this.friendlyCollisionSelect?.value || 'REDUCED',
+            stocks: parseInt(this.stockSelect?.value) || 1,
+            damagePercent: this.damageSelect ? this.damageSelect.value === 'on' : true,
+            powerUps: this.powerUpsSelect ? this.powerUpsSelect.value === 'on' : true,
+            dashMode: this.dashModeSelect?.value || 'TAP',
+            arena: arena === CUSTOM_ARENA ? this.customArena : arena,
+            characters: this.characterSelects.map(select => select.value)
+        };
+    }
+    
+    /**
+     * Reflect settings in the controls (e.g. back to free-for-all)
+     */
+    setSettings(settings) {
+        if (this.modeSelect) this.modeSelect.value = settings.mode;
+        if (this.teamLayoutSelect) this.teamLayoutSelect.value = settings.teamLayout || '';
+        if (this.friendlyCollisionSelect) this.friendlyCollisionSelect.value = settings.friendlyCollision;
+        if (this.stockSelect) this.stockSelect.value = String(settings.stocks);
+        if (this.damageSelect) this.damageSelect.value = settings.damagePercent ? 'on' : 'off';
+        if (this.powerUpsSelect) this.powerUpsSelect.value = settings.powerUps ? 'on' : 'off';
+        if (this.dashModeSelect) this.dashModeSelect.value = settings.dashMode;
+        if (typeof settings.arena === 'object') {
+            this.setCustomArena(settings.arena);
+        } else if (this.arenaSelect) {
+            this.arenaSelect.value = settings.arena;
+        }
+        this.characterSelects.forEach((select, i) => {
+            select.value = settings.characters?.[i] ?? 'BLOB';
+        });
+        this.updateCharacterInfo();
+    }
+    
+    /**
+     * Offer a custom arena definition in the arena select and pick it
+     */
+    setCustomArena(definition) {
+        this.customArena = definition;
+        if (!this.arenaSelect) return;
+        
+        let option = this.arenaSelect.querySelector(`option[value="${CUSTOM_ARENA}"]`);
+        if (!option) {
+            option = document.createElement('option');
+            option.value = CUSTOM_ARENA;
+            this.arenaSelect.appendChild(option);
+        }
+        option.textContent = `📂 ${definition.name}`;
+        this.arenaSelect.value = CUSTOM_ARENA;
+    }
+    
+    /**
+     * Read an arena file chosen by the user and switch to it
+     */
+    async loadArenaFile(file) {
+        try {
+            this.setCustomArena(ArenaLoader.parse(await file.text()));
+            this.notifyChange();
+        } catch (error) {
+            console.error(`Could not load arena: ${error.message}`);
+            if (this.onError) this.onError(error.message);
+        }
+    }
+    
+    /**
+     * Lock the options (online matches use the host's settings)
+     */
+    setDisabled(disabled) {
+        this.getSelects().forEach(select => {
+            select.disabled = disabled;
+        });
+        if (this.arenaLoadButton) this.arenaLoadButton.disabled = disabled;
+        if (this.arenaEditButton) this.arenaEditButton.disabled = disabled;
+    }
+}
@@ -0,0 +1,79 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Online panel on the start screen - server address, room name,
+ * connect / leave button and a status line
+ */
+export class OnlineLobby {
+    constructor() {
+        // Callbacks
+        this.onConnect = null; // (url, room)
+        this.onLeave = null;
+        
+        this.connected = false;
+        
+        this.serverInput = document.getElementById('online-server');
+        this.roomInput = document.getElementById('online-room');
+        this.connectButton = document.getElementById('online-connect-btn');
+        this.statusLabel = document.getElementById('online-status');
+        
+        if (!this.serverInput || !this.roomInput || !this.connectButton) return;
+        
+        if (!this.serverInput.value) {
+            this.serverInput.value = CONFIG.NETWORK.DEFAULT_SERVER;
+        }
+        
+        this.connectButton.addEventListener('click', () => {
+            if (this.connected || this.connectButton.dataset.pending) {
+                if (this.onLeave) this.onLeave();
+            } else if (this.onConnect) {
+                const room = this.roomInput.value.trim() || 'lobby';
+                this.onConnect(this.serverInput.value.trim(), room);
+            }
+        });
+        
+        // Typing a room name must not start a match or move a player
+        [this.serverInput, this.roomInput].forEach(input => {
+            input.addEventListener('keydown', (e) => e.stopPropagation());
+        });
+    }
+    
+    /**
+     * Show that a connection attempt is under way
+     */
+    setPending() {
+        if (!this.connectButton) return;
+        this.connectButton.dataset.pending = 'true';
+        this.connectButton.textContent = '✕ Cancel';
+        this.setInputsDisabled(true);
+    }
+    
+    /**
+     * Switch between the connect and leave states
+     */
+    setConnected(connected) {
+        this.connected = connected;
+        if (!this.connectButton) return;
+        
+        delete this.connectButton.dataset.pending;
+        this.connectButton.textContent = connected ? '✕ Leave' : '🌐 Connect';
+        this.setInputsDisabled(connected);
+    }
+    
+    /**
+     * Lock the address fields while online
+     */
+    setInputsDisabled(disabled) {
+        this.serverInput.disabled = disabled;
+        this.roomInput.disabled = disabled;
+    }
+    
+    /**
+     * Update the status line
+     */
+    setStatus(text) {
+        if (this.statusLabel) {
+            this.statusLabel.textContent = text;
+        }
+    }
+}
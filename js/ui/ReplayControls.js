@@ -0,0 +1,117 @@
+/**
+ * Available playback speeds
+ */
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Replay playback bar - pause, scrub, speed and frame stepping
+ */
+export class ReplayControls {
+    constructor() {
+        // Callbacks
+        this.onTogglePause = null;
+        this.onStep = null;
+        this.onSpeedChange = null;
+        this.onSeek = null;
+        this.onDownload = null;
+        this.onExit = null;
+        
+        this.isScrubbing = false;
+        
+        this.createUI();
+    }
+    
+    /**
+     * Create the playback bar elements
+     */
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'replay-controls';
+        this.container.innerHTML = `
+            <span class="replay-badge">⏺ REPLAY</span>
+            <button class="replay-btn" data-action="back" title="Step back (,)">⏮</button>
+            <button class="replay-btn replay-play" data-action="pause" title="Play / pause (Space)">⏸</button>
+            <button class="replay-btn" data-action="forward" title="Step forward (.)">⏭</button>
+            <input class="replay-scrub" type="range" min="0" max="0" value="0" step="1">
+            <span class="replay-time">0:00.0 / 0:00.0</span>
+            <select class="replay-speed" title="Playback speed ([ and ])">
+                ${REPLAY_SPEEDS.map(speed => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}x</option>`).join('')}
+            </select>
+            <button class="replay-btn" data-action="download" title="Download replay file">💾</button>
+            <button class="replay-btn" data-action="exit" title="Exit replay (Esc)">✕</button>
+        `;
+        
+        this.playButton = this.container.querySelector('.replay-play');
+        this.scrubInput = this.container.querySelector('.replay-scrub');
+        this.timeLabel = this.container.querySelector('.replay-time');
+        this.speedSelect = this.container.querySelector('.replay-speed');
+        
+        this.container.querySelectorAll('.replay-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleAction(btn.dataset.action));
+        });
+        
+        this.scrubInput.addEventListener('input', () => {
+            this.isScrubbing = true;
+            if (this.onSeek) this.onSeek(parseInt(this.scrubInput.value));
+        });
+        this.scrubInput.addEventListener('change', () => {
+            this.isScrubbing = false;
+        });
+        
+        this.speedSelect.addEventListener('change', () => {
+            if (this.onSpeedChange) this.onSpeedChange(parseFloat(this.speedSelect.value));
+        });
+        
+        const container = document.getElementById('game-container') || document.body;
+        container.appendChild(this.container);
+    }
+    
+    /**
+     * Route a button press to its callback
+     */
+    handleAction(action) {
+        if (action === 'pause' && this.onTogglePause) this.onTogglePause();
+        if (action === 'back' && this.onStep) this.onStep(-1);
+        if (action === 'forward' && this.onStep) this.onStep(1);
+        if (action === 'download' && this.onDownload) this.onDownload();
+        if (action === 'exit' && this.onExit) this.onExit();
+    }
+    
+    /**
+     * Show the bar for a replay of the given length
+     */
+    show(tickCount) {
+        this.scrubInput.max = Math.max(0, tickCount);
+        this.scrubInput.value = 0;
+        this.container.classList.add('visible');
+    }
+    
+    /**
+     * Hide the bar
+     */
+    hide() {
+        this.container.classList.remove('visible');
+    }
+    
+    /**
+     * Refresh position, pause state and speed
+     */
+    update(tick, tickCount, paused, speed, tickDuration) {
+        if (!this.isScrubbing) {
+            this.scrubInput.value = tick;
+        }
+        this.timeLabel.textContent = `${this.formatTime(tick * tickDuration)} / ${this.formatTime(tickCount * tickDuration)}`;
+        this.playButton.textContent = paused ? '▶' : '⏸';
+        this.speedSelect.value = String(speed);
+    }
+    
+    /**
+     * Format ms as m:ss.t
+     */
+    formatTime(ms) {
+        const totalSeconds = ms / 1000;
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = (totalSeconds - minutes * 60).toFixed(1).padStart(4, '0');
+        return `${minutes}:${seconds}`;
+    }
+}
@@ -9,6 +9,7 @@ export class UI {
         this.countdownElement = document.getElementById('countdown');
         this.winnerElement = document.getElementById('winner-announcement');
         this.aliveCounterElement = document.getElementById('alive-counter');
+        this.scoreHudElement = document.getElementById('score-hud');
         this.floatingTextsElement = document.getElementById('floating-texts');
         this.gamepadStatusElement = document.getElementById('gamepad-status');
         
@@ -21,6 +22,12 @@ export class UI {
         // Final countdown element (created dynamically)
         this.finalCountdownElement = null;
         
+        // Scoreboard name overrides by player id (e.g. CPU players)
+        this.playerLabels = [];
+        
+        // Last score HUD markup, to skip rebuilding it every frame
+        this.scoreHudHtml = '';
+        
         // Start gamepad polling
         this.pollGamepads();
     }
@@ -71,6 +78,42 @@ export class UI {
         this.canvasRect = rect;
     }
     
+    /**
+     * Set scoreboard names by player id (missing entries use "Player N")
+     */
+    setPlayerLabels(labels) {
+        this.playerLabels = labels;
+    }
+    
+    /**
+     * Display name of a round or match winner (their team in team matches)
+     */
+    getWinnerName(winner) {
+        if (winner.team !== null) return CONFIG.TEAMS.NAMES[winner.team];
+        return `Player ${winner.id + 1}`;
+    }
+    
+    /**
+     * Display color of a round or match winner
+     */
+    getWinnerColor(winner) {
+        return winner.team !== null ? CONFIG.TEAMS.COLORS[winner.team] : winner.color;
+    }
+    
+    /**
+     * Group players by team index, or null outside team matches
+     */
+    getTeams(players) {
+        if (players.length === 0 || players[0].team === null) return null;
+        
+        const teams = [];
+        for (const player of players) {
+            if (!teams[player.team]) teams[player.team] = [];
+            teams[player.team].push(player);
+        }
+        return teams;
+    }
+    
     /**
      * Initialize scoreboard for players
      */
@@ -79,6 +122,12 @@ export class UI {
         
         this.scoreboardElement.innerHTML = '';
         
+        const teams = this.getTeams(players);
+        if (teams) {
+            teams.forEach((members, team) => this.createTeamScore(team, members));
+            return;
+        }
+        
         for (const player of players) {
             const playerDiv = document.createElement('div');
             playerDiv.className = 'player-score';
@@ -99,7 +148,8 @@ export class UI {
             // Player name
             const nameDiv = document.createElement('div');
             nameDiv.className = 'name';
-            nameDiv.textContent = `Player ${player.id + 1}`;
+            nameDiv.textContent = this.playerLabels[player.id] || `Player ${player.id + 1}`;
+            nameDiv.appendChild(this.createCharacterIcon(player));
             infoDiv.appendChild(nameDiv);
             
             // Win pips
@@ -114,45 +164,253 @@ export class UI {
             }
             
             infoDiv.appendChild(winsDiv);
+            infoDiv.appendChild(this.createPowerUps(player));
+            
+            // Remaining lives in stock matches
+            if (player.maxStocks > 1) {
+                infoDiv.appendChild(this.createStocks(player));
+            }
+            
             playerDiv.appendChild(infoDiv);
+            
+            // Damage percent
+            if (player.damageEnabled) {
+                playerDiv.appendChild(this.createDamage(player));
+            }
+            
             this.scoreboardElement.appendChild(playerDiv);
         }
     }
     
+    /**
+     * Icon of a player's character, named on hover
+     */
+    createCharacterIcon(player) {
+        const stats = player.getStats();
+        const icon = document.createElement('span');
+        icon.className = 'character-icon';
+        icon.textContent = stats.icon;
+        icon.title = `${stats.name} - ${stats.signature.name}: ${stats.signature.description}`;
+        return icon;
+    }
+    
+    /**
+     * Row of hearts showing a player's stocks
+     */
+    createStocks(player) {
+        const stocksDiv = document.createElement('div');
+        stocksDiv.className = 'stocks';
+        stocksDiv.id = `player-stocks-${player.id}`;
+        
+        for (let i = 0; i < player.maxStocks; i++) {
+            const stock = document.createElement('span');
+            stock.className = 'stock';
+            stock.style.color = player.color;
+            stock.textContent = '❤';
+            stocksDiv.appendChild(stock);
+        }
+        return stocksDiv;
+    }
+    
+    /**
+     * Empty the hearts of stocks a player has lost
+     */
+    updateStocks(player) {
+        const stocksDiv = document.getElementById(`player-stocks-${player.id}`);
+        if (!stocksDiv) return;
+        
+        stocksDiv.querySelectorAll('.stock').forEach((stock, index) => {
+            stock.classList.toggle('lost', index >= player.stocks);
+        });
+    }
+    
+    /**
+     * Damage percent readout for a player
+     */
+    createDamage(player) {
+        const damageDiv = document.createElement('div');
+        damageDiv.className = 'damage';
+        damageDiv.id = `player-damage-${player.id}`;
+        damageDiv.textContent = '0%';
+        return damageDiv;
+    }
+    
+    /**
+     * Show a player's current damage percent
+     */
+    updateDamage(player) {
+        const damageDiv = document.getElementById(`player-damage-${player.id}`);
+        if (!damageDiv) return;
+        
+        damageDiv.textContent = `${Math.floor(player.damage)}%`;
+        damageDiv.style.color = player.getDamageColor();
+    }
+    
+    /**
+     * Icons of a player's running power-ups
+     */
+    createPowerUps(player) {
+        const powerUpsDiv = document.createElement('div');
+        powerUpsDiv.className = 'powerups';
+        powerUpsDiv.id = `player-powerups-${player.id}`;
+        return powerUpsDiv;
+    }
+    
+    /**
+     * Show the power-ups a player has running
+     */
+    updatePowerUps(player) {
+        const powerUpsDiv = document.getElementById(`player-powerups-${player.id}`);
+        if (!powerUpsDiv) return;
+        
+        const types = Object.keys(player.activePowerUps);
+        powerUpsDiv.textContent = types.map(type => CONFIG.POWERUPS.TYPES[type].icon).join('');
+        powerUpsDiv.title = types.map(type => CONFIG.POWERUPS.TYPES[type].name).join(', ');
+    }
+    
+    /**
+     * One scoreboard entry for a team: name, members and shared win pips
+     */
+    createTeamScore(team, members) {
+        const color = CONFIG.TEAMS.COLORS[team];
+        
+        const teamDiv = document.createElement('div');
+        teamDiv.className = 'player-score team-score';
+        teamDiv.id = `team-score-${team}`;
+        teamDiv.style.setProperty('--player-color', color);
+        
+        // Member indicators
+        const membersDiv = document.createElement('div');
+        membersDiv.className = 'team-members';
+        for (const player of members) {
+            const indicator = document.createElement('div');
+            indicator.className = 'player-indicator team-member';
+            indicator.id = `team-member-${player.id}`;
+            indicator.style.background = player.color;
+            indicator.textContent = player.id + 1;
+            indicator.title = `${this.playerLabels[player.id] || `Player ${player.id + 1}`} (${player.getStats().name})`;
+            membersDiv.appendChild(indicator);
+        }
+        teamDiv.appendChild(membersDiv);
+        
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'player-info';
+        
+        const nameDiv = document.createElement('div');
+        nameDiv.className = 'name';
+        nameDiv.textContent = CONFIG.TEAMS.NAMES[team];
+        infoDiv.appendChild(nameDiv);
+        
+        const winsDiv = document.createElement('div');
+        winsDiv.className = 'wins';
+        for (let i = 0; i < CONFIG.ROUNDS.WINS_NEEDED; i++) {
+            const pip = document.createElement('div');
+            pip.className = 'win-pip';
+            pip.style.borderColor = color;
+            winsDiv.appendChild(pip);
+        }
+        infoDiv.appendChild(winsDiv);
+        
+        // Each member's remaining lives in stock matches
+        if (members[0].maxStocks > 1) {
+            const teamStocksDiv = document.createElement('div');
+            teamStocksDiv.className = 'team-stocks';
+            members.forEach(player => teamStocksDiv.appendChild(this.createStocks(player)));
+            infoDiv.appendChild(teamStocksDiv);
+        }
+        
+        // Each member's damage percent
+        if (members[0].damageEnabled) {
+            const teamDamageDiv = document.createElement('div');
+            teamDamageDiv.className = 'team-damage';
+            members.forEach(player => teamDamageDiv.appendChild(this.createDamage(player)));
+            infoDiv.appendChild(teamDamageDiv);
+        }
+        
+        // Each member's running power-ups
+        const teamPowerUpsDiv = document.createElement('div');
+        teamPowerUpsDiv.className = 'team-powerups';
+        members.forEach(player => teamPowerUpsDiv.appendChild(this.createPowerUps(player)));
+        infoDiv.appendChild(teamPowerUpsDiv);
+        
+        teamDiv.appendChild(infoDiv);
+        this.scoreboardElement.appendChild(teamDiv);
+    }
+    
+    /**
+     * Fill the first `wins` pips of an entry, animating newly filled ones
+     */
+    updatePips(scoreDiv, wins, color) {
+        const pips = scoreDiv.querySelectorAll('.win-pip');
+        pips.forEach((pip, index) => {
+            if (index < wins) {
+                if (!pip.classList.contains('filled')) {
+                    pip.classList.add('filled');
+                    pip.style.background = color;
+                    // Trigger animation
+                    pip.style.animation = 'none';
+                    pip.offsetHeight; // Trigger reflow
+                    pip.style.animation = 'pipFill 0.3s ease-out';
+                }
+            } else {
+                pip.classList.remove('filled');
+                pip.style.background = 'transparent';
+            }
+        });
+    }
+    
+    /**
+     * Update team entries: members grey out, the team once all are out
+     */
+    updateTeamScoreboard(teams) {
+        teams.forEach((members, team) => {
+            const teamDiv = document.getElementById(`team-score-${team}`);
+            if (!teamDiv) return;
+            
+            for (const player of members) {
+                const indicator = document.getElementById(`team-member-${player.id}`);
+                if (indicator) indicator.classList.toggle('eliminated', !player.isAlive);
+                this.updateStocks(player);
+                this.updateDamage(player);
+                this.updatePowerUps(player);
+            }
+            teamDiv.classList.toggle('eliminated', members.every(p => !p.isInRound()));
+            
+            // Every member is credited with team wins, so any of them holds the score
+            const wins = Math.max(...members.map(p => p.wins));
+            this.updatePips(teamDiv, wins, CONFIG.TEAMS.COLORS[team]);
+        });
+    }
+    
     /**
      * Update scoreboard
      */
     updateScoreboard(players) {
         if (!this.scoreboardElement) return;
         
+        const teams = this.getTeams(players);
+        if (teams) {
+            this.updateTeamScoreboard(teams);
+            return;
+        }
+        
         for (const player of players) {
             const playerDiv = document.getElementById(`player-score-${player.id}`);
             if (!playerDiv) continue;
             
-            // Update eliminated state
-            if (player.isAlive) {
+            // Update eliminated state (waiting to respawn is not out)
+            if (player.isInRound()) {
                 playerDiv.classList.remove('eliminated');
             } else {
                 playerDiv.classList.add('eliminated');
             }
+            playerDiv.classList.toggle('respawning', !player.isAlive && player.isInRound());
+            this.updateStocks(player);
+            this.updateDamage(player);
+            this.updatePowerUps(player);
             
             // Update win pips with animation
-            const pips = playerDiv.querySelectorAll('.win-pip');
-            pips.forEach((pip, index) => {
-                if (index < player.wins) {
-                    if (!pip.classList.contains('filled')) {
-                        pip.classList.add('filled');
-                        pip.style.background = player.color;
-                        // Trigger animation
-                        pip.style.animation = 'none';
-                        pip.offsetHeight; // Trigger reflow
-                        pip.style.animation = 'pipFill 0.3s ease-out';
-                    }
-                } else {
-                    pip.classList.remove('filled');
-                    pip.style.background = 'transparent';
-                }
-            });
+            this.updatePips(playerDiv, player.wins, player.color);
         }
     }
     
@@ -218,6 +476,12 @@ export class UI {
             // Explain why they won based on reason
             if (reason === 'timeout') {
                 reasonText = `<div class="last-survivor" style="color:#ff6b6b">⏱️ TIME'S UP! Closest to center wins!</div>`;
+            } else if (reason === 'points') {
+                reasonText = `<div class="last-survivor" style="color:#ff6b6b">⏱️ TIME'S UP! Most points wins!</div>`;
+            } else if (reason === 'score') {
+                reasonText = `<div class="last-survivor">👑 Reached the target score!</div>`;
+            } else if (winner.team !== null) {
+                reasonText = `<div class="last-survivor">Last team standing!</div>`;
             } else if (totalPlayers > 2) {
                 reasonText = `<div class="last-survivor">Last player standing!</div>`;
             } else {
@@ -232,18 +496,19 @@ export class UI {
             
             this.winnerElement.innerHTML = `
                 <div class="round-win-text">🎯 Round ${round} 🎯</div>
-                <div class="winner-name" style="color: ${winner.color}">
-                    Player ${winner.id + 1} wins!
+                <div class="winner-name" style="color: ${this.getWinnerColor(winner)}">
+                    ${this.getWinnerName(winner)} wins!
                 </div>
                 ${reasonText}
                 ${progressText}
                 ${nextRoundHint}
             `;
         } else {
+            const explanation = reason === 'points' ? 'Level on points when time ran out!' : 'All players eliminated simultaneously!';
             this.winnerElement.innerHTML = `
                 <div class="round-win-text">Round ${round}</div>
                 <div class="winner-name" style="color: #ff6b6b">⚔️ DRAW! ⚔️</div>
-                <div class="draw-explanation">All players eliminated simultaneously!</div>
+                <div class="draw-explanation">${explanation}</div>
                 <div class="progress-text">No points awarded</div>
                 <div class="next-round-hint">Next round starting...</div>
             `;
@@ -259,15 +524,58 @@ export class UI {
         
         this.winnerElement.innerHTML = `
             <div class="trophy">🏆</div>
-            <div class="match-winner" style="color: ${winner.color}">
-                Player ${winner.id + 1}
+            <div class="match-winner" style="color: ${this.getWinnerColor(winner)}">
+                ${this.getWinnerName(winner)}
             </div>
             <div class="wins-text">WINNER!</div>
             <div class=\"restart-hint\">Press <span class=\"key-inline\">SPACE</span> or <span class=\"key-inline gamepad-inline\">\ud83c\udfae A</span> to Restart</div>
+            <div class="replay-hint">Press <span class="key-inline">R</span> to watch the replay</div>
         `;
         this.winnerElement.classList.add('visible', 'match-win');
     }
     
+    /**
+     * Show the end of a survival run: how many waves the players got through
+     */
+    showGameOver(wavesSurvived, defeated) {
+        if (!this.winnerElement) return;
+        
+        this.winnerElement.innerHTML = `
+            <div class="game-over-title">💀 GAME OVER 💀</div>
+            <div class="waves-survived">Survived <strong>${wavesSurvived}</strong> wave${wavesSurvived === 1 ? '' : 's'}</div>
+            <div class="enemies-defeated">${defeated} enem${defeated === 1 ? 'y' : 'ies'} knocked out</div>
+            <div class="restart-hint">Press <span class="key-inline">SPACE</span> or <span class="key-inline gamepad-inline">🎮 A</span> to try again</div>
+            <div class="replay-hint">Press <span class="key-inline">R</span> to watch the replay</div>
+        `;
+        this.winnerElement.classList.add('visible', 'game-over');
+    }
+    
+    /**
+     * Show the end of a boss fight: won, or how long the players held out
+     * @param {number} time - ms the fight lasted
+     */
+    showBossResult(won, time) {
+        if (!this.winnerElement) return;
+        
+        const seconds = Math.floor(time / 1000);
+        const duration = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        this.winnerElement.innerHTML = won
+            ? `
+                <div class="trophy">🏆</div>
+                <div class="match-winner boss-defeated">BOSS DEFEATED!</div>
+                <div class="wins-text">Knocked out in ${duration}</div>
+            `
+            : `
+                <div class="game-over-title">💀 GAME OVER 💀</div>
+                <div class="enemies-defeated">Held out against the boss for ${duration}</div>
+            `;
+        this.winnerElement.innerHTML += `
+            <div class="restart-hint">Press <span class="key-inline">SPACE</span> or <span class="key-inline gamepad-inline">🎮 A</span> to ${won ? 'fight again' : 'try again'}</div>
+            <div class="replay-hint">Press <span class="key-inline">R</span> to watch the replay</div>
+        `;
+        this.winnerElement.classList.add('visible', won ? 'match-win' : 'game-over');
+    }
+    
     /**
      * Show waiting message with tutorial
      */
@@ -305,7 +613,7 @@ export class UI {
      */
     hideWinner() {
         if (!this.winnerElement) return;
-        this.winnerElement.classList.remove('visible', 'match-win');
+        this.winnerElement.classList.remove('visible', 'match-win', 'game-over');
     }
     
     /**
@@ -398,9 +706,10 @@ export class UI {
     }
     
     /**
-     * Show final countdown (guaranteed round end)
+     * Show final countdown (guaranteed round end); in score modes the
+     * side ahead on points takes the round instead of the centrifuge
      */
-    showFinalCountdown(seconds) {
+    showFinalCountdown(seconds, scoreMode = false) {
         // Create element if not exists
         if (!this.finalCountdownElement) {
             this.finalCountdownElement = document.createElement('div');
@@ -409,7 +718,12 @@ export class UI {
             document.getElementById('ui-overlay').appendChild(this.finalCountdownElement);
         }
         
-        if (seconds <= 0) {
+        if (scoreMode) {
+            this.finalCountdownElement.innerHTML = `
+                <div class="final-text">${seconds <= 0 ? '⏱️ TIME! ⏱️' : `⚡ FINAL ${seconds} ⚡`}</div>
+                <div class="final-subtext">Most points when time runs out wins!</div>
+            `;
+        } else if (seconds <= 0) {
             this.finalCountdownElement.innerHTML = `
                 <div class="final-text">💀 ELIMINATION! 💀</div>
                 <div class="final-subtext">Closest to center survives!</div>
@@ -440,6 +754,51 @@ export class UI {
         this.showFloatingText(x, y, `💀 P${playerNum} OUT!`, 'eliminated', color);
     }
     
+    /**
+     * Show text for a player who lost a stock but will respawn
+     */
+    showStockLostText(x, y, playerNum, stocksLeft, color) {
+        this.showFloatingText(x, y, `💔 P${playerNum} · ${stocksLeft} left`, 'eliminated', color);
+    }
+    
+    /**
+     * Show text where a player respawns
+     */
+    showRespawnText(x, y, color) {
+        this.showFloatingText(x, y - 40, '✨ BACK!', 'dash', color);
+    }
+    
+    /**
+     * Show which power-up a player picked up
+     */
+    showPowerUpText(x, y, type) {
+        const { icon, name, color } = CONFIG.POWERUPS.TYPES[type];
+        this.showFloatingText(x, y - 40, `${icon} ${name.toUpperCase()}!`, 'dash', color);
+    }
+    
+    /**
+     * Show text where a shield took a hit
+     */
+    showShieldText(x, y) {
+        this.showFloatingText(x, y - 40, '🛡️ BLOCKED!', 'hit', CONFIG.POWERUPS.TYPES.SHIELD.color);
+    }
+    
+    /**
+     * Show who scored a soccer goal (and for which team)
+     */
+    showGoalText(x, y, team, scorer) {
+        const own = scorer && scorer.team !== team ? ' (own goal)' : '';
+        const by = scorer ? `P${scorer.id + 1}${own}` : CONFIG.TEAMS.NAMES[team];
+        this.showFloatingText(x, y - 50, `⚽ GOAL! ${by}`, 'survivor', CONFIG.TEAMS.COLORS[team]);
+    }
+    
+    /**
+     * Show text where a hit was parried
+     */
+    showParryText(x, y) {
+        this.showFloatingText(x, y - 40, '⚡ PARRY!', 'parry', '#ffd700');
+    }
+    
     /**
      * Show last survivor text
      */
@@ -477,6 +836,99 @@ export class UI {
         this.aliveCounterElement.classList.remove('visible', 'danger');
     }
     
+    /**
+     * Update the score bars of score modes - one per side, filling towards
+     * the target, with the side holding the zone highlighted
+     */
+    updateScoreHud(players, target, holderId = null) {
+        if (!this.scoreHudElement) return;
+        
+        const teams = this.getTeams(players);
+        const sides = teams
+            ? teams.map((members, team) => ({
+                name: CONFIG.TEAMS.NAMES[team],
+                color: CONFIG.TEAMS.COLORS[team],
+                members
+            }))
+            : players.map(player => ({
+                name: this.playerLabels[player.id] || `P${player.id + 1}`,
+                color: player.color,
+                members: [player]
+            }));
+        
+        let html = '';
+        for (const side of sides) {
+            const score = Math.max(...side.members.map(p => p.score));
+            const fill = Math.min(100, score / target * 100).toFixed(1);
+            const holding = side.members.some(p => p.id === holderId);
+            html += `
+                <div class="score-side${holding ? ' holding' : ''}" style="--side-color: ${side.color}">
+                    <span class="score-name">${side.name}</span>
+                    <div class="score-bar"><div class="score-fill" style="width: ${fill}%"></div></div>
+                    <span class="score-points">${Math.floor(score)}</span>
+                </div>
+            `;
+        }
+        
+        if (html !== this.scoreHudHtml) {
+            this.scoreHudElement.innerHTML = html;
+            this.scoreHudHtml = html;
+        }
+        this.scoreHudElement.classList.add('visible');
+    }
+    
+    /**
+     * Show the survival wave and the enemies it has left, or the wave
+     * coming up during a break
+     */
+    updateWaveHud(wave, enemiesLeft, resting) {
+        if (!this.scoreHudElement) return;
+        
+        const html = resting
+            ? `<div class="wave-info"><span class="wave-name">🌊 Wave ${wave + 1} incoming</span></div>`
+            : `<div class="wave-info">
+                    <span class="wave-name">🌊 Wave ${wave}</span>
+                    <span class="wave-enemies">${enemiesLeft} left</span>
+                </div>`;
+        
+        if (html !== this.scoreHudHtml) {
+            this.scoreHudElement.innerHTML = html;
+            this.scoreHudHtml = html;
+        }
+        this.scoreHudElement.classList.add('visible');
+    }
+    
+    /**
+     * Show the boss's stagger meter (a share of full), flashing while it's
+     * staggered
+     */
+    updateBossHud(stagger, staggered) {
+        if (!this.scoreHudElement) return;
+        
+        const fill = Math.min(100, stagger * 100).toFixed(0);
+        const html = `
+            <div class="boss-info${staggered ? ' staggered' : ''}">
+                <span class="boss-name">👹 Boss</span>
+                <div class="stagger-bar"><div class="stagger-fill" style="width: ${staggered ? 100 : fill}%"></div></div>
+                <span class="stagger-label">${staggered ? 'STAGGERED!' : 'Stagger'}</span>
+            </div>
+        `;
+        
+        if (html !== this.scoreHudHtml) {
+            this.scoreHudElement.innerHTML = html;
+            this.scoreHudHtml = html;
+        }
+        this.scoreHudElement.classList.add('visible');
+    }
+    
+    /**
+     * Hide the score mode HUD
+     */
+    hideScoreHud() {
+        if (!this.scoreHudElement) return;
+        this.scoreHudElement.classList.remove('visible');
+    }
+    
     /**
      * Reset UI for new round
      */
@@ -498,6 +950,7 @@ export class UI {
         this.hideWinner();
         this.hideCountdown();
         this.hideAliveCounter();
+        this.hideScoreHud();
         this.initScoreboard(players);
         if (this.floatingTextsElement) {
             this.floatingTextsElement.innerHTML = '';
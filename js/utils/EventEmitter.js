@@ -0,0 +1,45 @@
+/**
+ * Minimal event emitter used by systems that need to run without the DOM
+ */
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+    
+    /**
+     * Subscribe to an event, returns an unsubscribe function
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(handler);
+        return () => this.off(event, handler);
+    }
+    
+    /**
+     * Remove a previously registered handler
+     */
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Call every handler registered for an event
+     */
+    emit(event, ...args) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        
+        // Copy so handlers can unsubscribe while being called
+        for (const handler of [...handlers]) {
+            handler(...args);
+        }
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ * Gameplay systems draw from a seeded instance so a match can be
+ * reproduced exactly from its seed and inputs.
+ */
+export class Random {
+    constructor(seed = Random.generateSeed()) {
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Create a fresh 32-bit seed for matches that don't specify one
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    /**
+     * Restart the sequence from a seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    /**
+     * Current position in the sequence (for snapshots)
+     */
+    getState() {
+        return this.state;
+    }
+    
+    /**
+     * Resume the sequence from a saved position
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+    
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+    
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+    
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
@@ -0,0 +1,49 @@
+import { Vector2 } from './Vector2.js';
+
+/**
+ * Deep copies of an object's plain data, used for simulation snapshots
+ * (rollback). Functions are never captured; shared services and object
+ * references must be excluded by the caller via skipKeys.
+ */
+export class StateSnapshot {
+    /**
+     * Copy every own data property of an object
+     */
+    static capture(source, skipKeys = []) {
+        const state = {};
+        for (const key of Object.keys(source)) {
+            if (skipKeys.includes(key) || typeof source[key] === 'function') continue;
+            state[key] = StateSnapshot.cloneValue(source[key]);
+        }
+        return state;
+    }
+    
+    /**
+     * Write captured data back onto an object (the snapshot stays reusable)
+     */
+    static restore(target, state) {
+        for (const key of Object.keys(state)) {
+            target[key] = StateSnapshot.cloneValue(state[key]);
+        }
+    }
+    
+    /**
+     * Deep copy numbers, strings, arrays, plain objects and Vector2s
+     */
+    static cloneValue(value) {
+        if (value instanceof Vector2) {
+            return value.clone();
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => StateSnapshot.cloneValue(item));
+        }
+        if (value && typeof value === 'object') {
+            const copy = {};
+            for (const key of Object.keys(value)) {
+                copy[key] = StateSnapshot.cloneValue(value[key]);
+            }
+            return copy;
+        }
+        return value;
+    }
+}
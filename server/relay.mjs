@@ -0,0 +1,374 @@
+/**
+ * Arena Brawler relay server - forwards lobby and input messages between
+ * the peers of a room. It never simulates anything: every browser runs the
+ * deterministic simulation itself with rollback netcode.
+ *
+ * Dependency-free (plain Node http + crypto WebSocket).
+ * Usage: node server/relay.mjs [port]   (default 8787, or $PORT)
+ *
+ * Protocol (JSON text frames):
+ *   client -> server  { type: 'join', room }
+ *                     { type: 'start', seed, settings }    (host only)
+ *                     { type: 'input', match, tick, input }
+ *   server -> client  { type: 'welcome', slot, room }
+ *                     { type: 'peers', slots, host }
+ *                     { type: 'start', seed, slots, settings }
+ *                     { type: 'input', slot, match, tick, input }
+ *                     { type: 'left', slot }
+ *                     { type: 'error', message }
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const MAX_PLAYERS = 4;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Largest message a client may send (bytes, all fragments together); the
+// biggest is a match start carrying a custom arena
+const MAX_MESSAGE_LENGTH = 16 * 1024;
+
+// room name -> { clients: Map<slot, Connection>, host: slot }
+const rooms = new Map();
+
+/**
+ * One WebSocket connection (server side of RFC 6455, text messages only).
+ * Frames breaking the protocol, or messages over MAX_MESSAGE_LENGTH, close
+ * the connection with an error.
+ */
+class Connection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // Payloads of a text message still arriving in pieces
+        this.room = null;
+        this.slot = null;
+        this.closed = false;
+        
+        // Callbacks
+        this.onMessage = null;
+        this.onClose = null;
+        
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+    
+    /**
+     * Parse as many complete frames as the buffer holds
+     */
+    receive(chunk) {
+        if (this.closed) return;
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        
+        while (this.buffer.length >= 2 && !this.closed) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+            
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            
+            // Checked before buffering the payload, so no client can make us hold more
+            if (!masked) {
+                this.fail(1002, 'Client frames must be masked');
+                return;
+            }
+            const received = this.fragments ? this.fragments.reduce((sum, part) => sum + part.length, 0) : 0;
+            if (received + length > MAX_MESSAGE_LENGTH) {
+                this.fail(1009, `Messages are limited to ${MAX_MESSAGE_LENGTH} bytes`);
+                return;
+            }
+            
+            if (this.buffer.length < offset + 4 + length) return;
+            
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+            
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+    
+    /**
+     * Act on one unmasked frame: put text messages back together from their
+     * fragments, answer pings and close requests
+     */
+    handleFrame(fin, opcode, payload) {
+        // Control frames come whole and small, even between fragments
+        if (opcode >= 0x8) {
+            if (!fin || payload.length > 125) {
+                this.fail(1002, 'Invalid control frame');
+            } else if (opcode === 0x8) {
+                this.close();
+            } else if (opcode === 0x9) {
+                this.writeFrame(0xa, payload);
+            }
+            return;
+        }
+        
+        if (opcode === 0x1) {
+            if (this.fragments) {
+                this.fail(1002, 'Expected the rest of the previous message');
+                return;
+            }
+            this.fragments = [];
+        } else if (opcode === 0x0) {
+            if (!this.fragments) {
+                this.fail(1002, 'Continuation frame without a message to continue');
+                return;
+            }
+        } else {
+            this.fail(1003, 'Only text messages are supported');
+            return;
+        }
+        
+        this.fragments.push(payload);
+        if (!fin) return;
+        
+        const text = Buffer.concat(this.fragments).toString('utf8');
+        this.fragments = null;
+        if (this.onMessage) this.onMessage(text);
+    }
+    
+    /**
+     * Write a single unmasked frame
+     */
+    writeFrame(opcode, payload) {
+        if (this.closed) return;
+        
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+    
+    /**
+     * Send a JSON message
+     */
+    send(message) {
+        this.writeFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+    
+    /**
+     * Close the connection, with a status code and reason if given
+     */
+    close(code = null, reason = '') {
+        if (this.closed) return;
+        
+        let payload = Buffer.alloc(0);
+        if (code !== null) {
+            payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code, 0);
+            payload = Buffer.concat([payload, Buffer.from(reason, 'utf8')]);
+        }
+        this.writeFrame(0x8, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+    
+    /**
+     * Drop a client that broke the protocol, telling it why
+     */
+    fail(code, reason) {
+        if (this.closed) return;
+        
+        console.log(`Closing a connection: ${reason}`);
+        this.send({ type: 'error', message: reason });
+        this.close(code, reason);
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null;
+    }
+    
+    /**
+     * Notify once when the socket goes away
+     */
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.onClose) this.onClose();
+    }
+}
+
+/**
+ * Send a message to everyone in a room, optionally skipping one connection
+ */
+function broadcast(room, message, except = null) {
+    for (const client of room.clients.values()) {
+        if (client !== except) client.send(message);
+    }
+}
+
+/**
+ * Tell a room who is present and who hosts
+ */
+function broadcastPeers(room) {
+    broadcast(room, {
+        type: 'peers',
+        slots: [...room.clients.keys()].sort((a, b) => a - b),
+        host: room.host
+    });
+}
+
+/**
+ * Put a connection into a room, taking the lowest free slot
+ */
+function joinRoom(connection, name) {
+    if (connection.room) return;
+    
+    const roomName = String(name || 'lobby').slice(0, 24);
+    let room = rooms.get(roomName);
+    if (!room) {
+        room = { name: roomName, clients: new Map(), host: null };
+        rooms.set(roomName, room);
+    }
+    
+    if (room.clients.size >= MAX_PLAYERS) {
+        connection.send({ type: 'error', message: `Room "${roomName}" is full` });
+        return;
+    }
+    
+    let slot = 0;
+    while (room.clients.has(slot)) slot++;
+    
+    room.clients.set(slot, connection);
+    if (room.host === null) room.host = slot;
+    connection.room = room;
+    connection.slot = slot;
+    
+    connection.send({ type: 'welcome', slot, room: roomName });
+    broadcastPeers(room);
+    console.log(`[${roomName}] slot ${slot} joined (${room.clients.size} connected)`);
+}
+
+/**
+ * Remove a connection from its room, passing host to the next slot
+ */
+function leaveRoom(connection) {
+    const room = connection.room;
+    if (!room) return;
+    
+    room.clients.delete(connection.slot);
+    connection.room = null;
+    console.log(`[${room.name}] slot ${connection.slot} left (${room.clients.size} connected)`);
+    
+    if (room.clients.size === 0) {
+        rooms.delete(room.name);
+        return;
+    }
+    
+    if (room.host === connection.slot) {
+        room.host = Math.min(...room.clients.keys());
+    }
+    broadcast(room, { type: 'left', slot: connection.slot });
+    broadcastPeers(room);
+}
+
+/**
+ * Check that an input message holds a tick and an encoded [x, y, buttons]
+ * input, so a bad client can't break the other peers' matches
+ */
+function isValidInput(message) {
+    return Number.isInteger(message.tick) && message.tick >= 0 &&
+        Array.isArray(message.input) && message.input.length === 3 &&
+        message.input.every(Number.isFinite);
+}
+
+/**
+ * Handle one message from a client
+ */
+function handleMessage(connection, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        message = null;
+    }
+    if (!message || typeof message !== 'object') {
+        connection.send({ type: 'error', message: 'Malformed message' });
+        return;
+    }
+    
+    const room = connection.room;
+    
+    switch (message.type) {
+        case 'join':
+            joinRoom(connection, message.room);
+            break;
+        case 'start': {
+            if (!room || room.host !== connection.slot) return;
+            const slots = [...room.clients.keys()].sort((a, b) => a - b);
+            if (slots.length < 2) {
+                connection.send({ type: 'error', message: 'Need at least 2 players to start' });
+                return;
+            }
+            const settings = message.settings && typeof message.settings === 'object' ? message.settings : {};
+            broadcast(room, { type: 'start', seed: message.seed >>> 0, slots, settings });
+            console.log(`[${room.name}] match started, seed ${message.seed >>> 0}, slots ${slots.join(',')}`);
+            break;
+        }
+        case 'input':
+            if (!room || !isValidInput(message)) return;
+            broadcast(room, {
+                type: 'input',
+                slot: connection.slot,
+                match: message.match,
+                tick: message.tick,
+                input: message.input
+            }, connection);
+            break;
+    }
+}
+
+const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end('Arena Brawler relay server - connect with a WebSocket\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+    
+    const connection = new Connection(socket);
+    connection.onMessage = (text) => handleMessage(connection, text);
+    connection.onClose = () => leaveRoom(connection);
+});
+
+server.listen(PORT, () => {
+    console.log(`Relay server listening on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplayPlayer, ReplayRecorder } from '../js/core/Replay.js';
+import { Simulation } from '../js/core/Simulation.js';
+
+const DELTA = 1000 / 60;
+
+/**
+ * Simulation state that should match between two ways of reaching a tick
+ * (distanceFromCenter is scratch, recomputed before use)
+ */
+function stateOf(simulation) {
+    return JSON.stringify(simulation.saveState(), (key, value) => (key === 'distanceFromCenter' ? undefined : value));
+}
+
+test('a recorded replay passes validation', () => {
+    const recorder = new ReplayRecorder(1, 2);
+    recorder.record([[0, 0, 0], [100, -100, 15]]);
+    recorder.record([[0, 0, 0], [100, -100, 15]]);
+    
+    const player = new ReplayPlayer(recorder.finish());
+    assert.equal(player.tickCount, 2);
+});
+
+test('replays with malformed frames are rejected', () => {
+    const replay = frames => ({ version: 1, seed: 1, playerCount: 2, frames });
+    
+    assert.throws(() => new ReplayPlayer(replay([[0, [[0, 0, 0], [0, 0, 0]]]])), /frame 0 is malformed/);
+    assert.throws(() => new ReplayPlayer(replay([[1, [[0, 0, 0]]]])), /frame 0 is malformed/);
+});
+
+test('replays with malformed inputs are rejected', () => {
+    const replay = frames => ({ version: 1, seed: 1, playerCount: 2, frames });
+    
+    // Used to load, then froze the game loop when the inputs were decoded
+    assert.throws(() => new ReplayPlayer(replay([[300, [5, 5]]])), /malformed input for player 1/);
+    
+    assert.throws(() => new ReplayPlayer(replay([[1, [[0, 0], [0, 0, 0]]]])), /player 1/);
+    assert.throws(() => new ReplayPlayer(replay([[1, [[0, 0, 0], [0.5, 0, 0]]]])), /player 2/);
+    assert.throws(() => new ReplayPlayer(replay([[1, [[0, 0, 0], [0, 101, 0]]]])), /player 2/);
+    assert.throws(() => new ReplayPlayer(replay([[1, [[0, 0, 0], [0, 0, 16]]]])), /player 2/);
+    assert.throws(() => new ReplayPlayer(replay([[1, [[0, 0, -1], [0, 0, 0]]]])), /player 1/);
+});
+
+test('seeking back from a snapshot lands on the same state as playing from the seed', () => {
+    const recorder = new ReplayRecorder(3, 2);
+    for (let tick = 0; tick < 1000; tick++) {
+        recorder.record([[100, (tick % 120) - 60, tick % 50 === 0 ? 1 : 0], [-100, 0, tick % 90 < 20 ? 2 : 0]]);
+    }
+    const replay = new ReplayPlayer(recorder.finish());
+    const simulation = new Simulation({ playerCount: 2 });
+    simulation.startNewMatch(replay.seed);
+    replay.recordSnapshot(simulation);
+    
+    const targets = [1, 300, 750];
+    const expected = new Map();
+    while (simulation.tick < replay.tickCount) {
+        simulation.fixedUpdate(DELTA, replay.getInputs(simulation.tick));
+        replay.recordSnapshot(simulation);
+        if (targets.includes(simulation.tick)) expected.set(simulation.tick, stateOf(simulation));
+    }
+    
+    // Each target twice, so a snapshot changed by playing on from it shows up
+    for (const target of [...targets, ...targets].reverse()) {
+        const snapshot = replay.getSnapshot(target);
+        assert.ok(snapshot.tick <= target && target - snapshot.tick < 300);
+        simulation.loadState(snapshot);
+        while (simulation.tick < target) {
+            simulation.fixedUpdate(DELTA, replay.getInputs(simulation.tick));
+        }
+        assert.equal(stateOf(simulation), expected.get(target), `tick ${target}`);
+    }
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../js/core/Simulation.js';
+import { InputCodec, INPUT_BUTTONS } from '../js/core/InputCodec.js';
+import { RollbackSession } from '../js/net/RollbackSession.js';
+import { Vector2 } from '../js/utils/Vector2.js';
+
+const DELTA = 1000 / 60;
+const LATENCY = 8; // Ticks an input takes to reach the other peer
+
+/**
+ * Two peers playing over a fixed latency: player 1 holds `button` whenever
+ * `holding(tick)` says so (walking at player 0 if `walk`), player 0 stands
+ * still.
+ * Returns each peer's simulation and how often each of `events` fired for
+ * player 1 there.
+ */
+function playOnline(button, holding, events, walk = true, ticks = 600) {
+    let now = 0;
+    const peers = [0, 1].map(index => {
+        const simulation = new Simulation({ playerCount: 2, seed: 7 });
+        simulation.startNewMatch(7);
+        const peer = { simulation, session: new RollbackSession(simulation, index), inbox: [], counts: {} };
+        for (const event of events) {
+            peer.counts[event] = 0;
+            simulation.on(event, player => {
+                if (player.id === 1) peer.counts[event]++;
+            });
+        }
+        return peer;
+    });
+    peers.forEach((peer, index) => {
+        peer.session.onLocalInput = (tick, input) => {
+            peers[1 - index].inbox.push({ at: now + LATENCY, index, tick, input });
+        };
+    });
+    
+    for (; now < ticks; now++) {
+        for (const peer of peers) {
+            peer.inbox = peer.inbox.filter(message => {
+                if (message.at > now) return true;
+                peer.session.addRemoteInput(message.index, message.tick, message.input);
+                return false;
+            });
+            
+            let input = {};
+            if (peer.session.localIndex === 1) {
+                const [target, self] = peer.simulation.players;
+                input = {
+                    movement: walk ? Vector2.subtract(target.position, self.position).normalize() : new Vector2(),
+                    [button]: holding(now)
+                };
+            }
+            peer.session.update(DELTA, InputCodec.encode(input));
+        }
+    }
+    
+    for (const peer of peers) {
+        for (const message of peer.inbox) {
+            peer.session.addRemoteInput(message.index, message.tick, message.input);
+        }
+        peer.session.applyRollback(DELTA);
+    }
+    return peers;
+}
+
+test('predictions keep held buttons but drop the dash tap', () => {
+    const simulation = new Simulation({ playerCount: 2, seed: 1 });
+    simulation.startNewMatch(1);
+    const session = new RollbackSession(simulation, 0);
+    const tick = simulation.tick + session.inputDelay;
+    
+    session.addRemoteInput(1, tick, [50, 0, INPUT_BUTTONS.GRAB | INPUT_BUTTONS.DASH]);
+    
+    assert.deepEqual(session.getInput(1, tick + 1), [50, 0, INPUT_BUTTONS.GRAB]);
+});
+
+test('a grab held across a prediction gap fires once on every peer', () => {
+    // Hold grab from well into the round until the end, so the press happens
+    // while the other peer is still predicting
+    const [local, remote] = playOnline('grab', tick => tick >= 300, ['grab', 'throw']).reverse();
+    
+    assert.ok(local.counts.grab > 0, 'the grab should land');
+    assert.deepEqual(remote.counts, local.counts);
+    assert.deepEqual(remote.simulation.saveState(), local.simulation.saveState());
+});
+
+test('a grab held across a prediction gap needs no rollback until let go', () => {
+    const [remote] = playOnline('grab', tick => tick >= 300 && tick < 500, ['grab'], false);
+    
+    // One rollback for the press and one for the release
+    assert.ok(remote.session.rollbackCount <= 2, `rolled back ${remote.session.rollbackCount} times`);
+});